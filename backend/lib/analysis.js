@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const { DEFAULT_USE_MODE, activeChecklist } = require('./rulePacks');
+const { LABEL_TYPES, COA_EXTRACTION_PROMPT, MEASUREMENT_PROMPT, TEXT_BLOCKS_PROMPT, WARNING_STYLE_PROMPT, YOUTH_APPEAL_PROMPT, buildSystemPrompt, buildQaSystemPrompt, buildAnalysisPrompt, buildClaimsPrompt, buildRepairPrompt, buildMissingItemsPrompt } = require('./prompts');
+const { MODEL, createMessage, responseText } = require('./anthropic');
+const { STATUSES, extractJson, createItemScanner, validateItems, validateResult } = require('./resultSchema');
+const { runRules, mergeRuleVerdicts } = require('./rules');
+const { normalizeCoa, crossCheckCoa } = require('./coa');
+const { LABEL_SIZE_UNITS, MAX_LABEL_INCHES, labelSizeInches, normalizeMeasurements, checkMeasurements } = require('./measurements');
+const { parsePdf } = require('./pdf');
+const { normalizeTextBlocks, numberTextBlocks } = require('./textBlocks');
+const { normalizeWarningStyles, checkWarnings, hasWarningChecks } = require('./warningVerifier');
+const { normalizeYouthAppeal, checkYouthAppeal, applyYouthAppeal } = require('./youthAppeal');
+const { MAX_COPY_LENGTH, packRules, normalizeClaims, lintClaims, allPackItems } = require('./claims');
+const { allergenKey, normalizeFormulation, hasFormulationChecks, checkFormulation } = require('./formulation');
+const { NET_WEIGHT_UNITS, calculateDosage } = require('./dosage');
+const { searchCorpus, itemPassages } = require('./regulationCorpus');
+const { applyOverrideScore } = require('./scoring');
+
+const SUPPORTED_MEDIA_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_REPAIR_ATTEMPTS = 2;
+const MAX_INGREDIENTS = 100;
+const MAX_SERVINGS = 1000;
+const MAX_QUESTION_LENGTH = 4000;
+// Earlier messages sent with each question (the oldest are dropped).
+const MAX_HISTORY_MESSAGES = 20;
+// Characters of regulation text sent with a review's checklist.
+const MAX_REGULATION_TEXT = 12000;
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+  }
+}
+
+function validatePanels(panels, checklist) {
+  if (!Array.isArray(panels) || panels.length === 0) throw new ValidationError('panels must be a non-empty array');
+  const sectionNames = new Set(checklist.sections.map(s => s.name));
+  const mapped = new Set();
+  for (const panel of panels) {
+    if (!Array.isArray(panel?.pages) || panel.pages.length === 0 || !panel.pages.every(n => Number.isInteger(n) && n > 0)) {
+      throw new ValidationError('Every panel needs a list of page numbers (1-based)');
+    }
+    if (!Array.isArray(panel.sections)) throw new ValidationError('Every panel needs a list of checklist sections');
+    for (const name of panel.sections) {
+      if (!sectionNames.has(name)) throw new ValidationError(`Unknown checklist section: ${name}`);
+      if (mapped.has(name)) throw new ValidationError(`Checklist section mapped to more than one panel: ${name}`);
+      mapped.add(name);
+    }
+  }
+}
+
+function validateFormulation(formulation) {
+  if (!Array.isArray(formulation.ingredients) || formulation.ingredients.length === 0) {
+    throw new ValidationError('The formulation needs at least one ingredient');
+  }
+  if (formulation.ingredients.length > MAX_INGREDIENTS) {
+    throw new ValidationError(`The formulation can have at most ${MAX_INGREDIENTS} ingredients`);
+  }
+  if (!Number.isInteger(formulation.servings) || formulation.servings < 1 || formulation.servings > MAX_SERVINGS) {
+    throw new ValidationError(`Servings per package must be a whole number from 1 to ${MAX_SERVINGS}`);
+  }
+  for (const ing of formulation.ingredients) {
+    if (typeof ing?.name !== 'string' || !ing.name.trim()) throw new ValidationError('Every formulation ingredient needs a name');
+    if (typeof ing.weight !== 'number' || !(ing.weight > 0)) {
+      throw new ValidationError(`The weight of ${ing.name} must be a positive number of grams`);
+    }
+    if (ing.allergens != null && !Array.isArray(ing.allergens)) throw new ValidationError(`Allergens of ${ing.name} must be a list`);
+    for (const allergen of ing.allergens || []) {
+      if (!allergenKey(allergen)) throw new ValidationError(`Not a major food allergen: ${allergen} (in ${ing.name})`);
+    }
+    for (const value of Object.values(ing.per100g || {})) {
+      if (value != null && !(typeof value === 'number' && value >= 0)) {
+        throw new ValidationError(`Nutrition values of ${ing.name} must be non-negative numbers`);
+      }
+    }
+  }
+}
+
+// Entered dosage figures: each one optional, all non-negative.
+function validateDosage(dosage) {
+  const isAmount = v => v == null || (typeof v === 'number' && Number.isFinite(v) && v >= 0);
+  if (dosage.servings != null && !(Number.isInteger(dosage.servings) && dosage.servings > 0)) {
+    throw new ValidationError('dosage.servings must be a positive whole number');
+  }
+  if (dosage.netWeight != null) {
+    if (!(typeof dosage.netWeight.value === 'number' && dosage.netWeight.value > 0)) {
+      throw new ValidationError('dosage.netWeight.value must be a positive number');
+    }
+    if (!NET_WEIGHT_UNITS.includes(dosage.netWeight.unit)) {
+      throw new ValidationError(`dosage.netWeight.unit must be one of ${NET_WEIGHT_UNITS.join(', ')}`);
+    }
+  }
+  for (const name of ['thc', 'cbd']) {
+    const amounts = dosage[name] || {};
+    for (const basis of ['serving', 'package', 'percent']) {
+      if (!isAmount(amounts[basis])) throw new ValidationError(`dosage.${name}.${basis} must be a non-negative number`);
+    }
+    if (amounts.percent != null && amounts.percent > 100) throw new ValidationError(`dosage.${name}.percent must be at most 100`);
+  }
+}
+
+function validateRequest({ productType, labelType, useMode = DEFAULT_USE_MODE, file, coa, labelSize, panels, formulation, dosage } = {}, pack) {
+  if (!pack.checklists[productType]) throw new ValidationError(`Unknown product type: ${productType}`);
+  if (!pack.useModes[useMode]) throw new ValidationError(`Unknown use mode for ${pack.jurisdiction.name}: ${useMode}`);
+  if (!LABEL_TYPES[labelType]) throw new ValidationError(`Unknown label type: ${labelType}`);
+  if (!file || typeof file.data !== 'string' || !file.data) throw new ValidationError('A label file is required');
+  if (!SUPPORTED_MEDIA_TYPES.includes(file.mediaType)) {
+    throw new ValidationError(`Unsupported file type: ${file.mediaType}`);
+  }
+  if (panels != null) {
+    if (file.mediaType !== 'application/pdf') throw new ValidationError('Panel mapping needs a PDF label file');
+    validatePanels(panels, pack.checklists[productType]);
+  }
+  if (coa != null) {
+    if (!pack.coaCrossCheck) {
+      throw new ValidationError(`COA cross-checking is not available for ${pack.jurisdiction.name}`);
+    }
+    if (typeof coa.data !== 'string' || !coa.data) throw new ValidationError('The COA file is empty');
+    if (!SUPPORTED_MEDIA_TYPES.includes(coa.mediaType)) {
+      throw new ValidationError(`Unsupported COA file type: ${coa.mediaType}`);
+    }
+  }
+  if (labelSize != null) {
+    if (!pack.sizeChecks) throw new ValidationError(`Physical size checks are not available for ${pack.jurisdiction.name}`);
+    if (labelSize.source === 'pdf') {
+      if (file.mediaType !== 'application/pdf') throw new ValidationError('Only a PDF label can be measured at its page size');
+    } else if (!LABEL_SIZE_UNITS.includes(labelSize.unit)) {
+      throw new ValidationError(`Label size unit must be one of ${LABEL_SIZE_UNITS.join(', ')}`);
+    } else if (!labelSizeInches(labelSize)) {
+      throw new ValidationError(`Label width and height must be positive numbers no larger than ${MAX_LABEL_INCHES} in`);
+    }
+  }
+  if (formulation != null) {
+    const items = pack.checklists[productType].sections.flatMap(s => s.items);
+    if (!hasFormulationChecks(pack.packId, items)) {
+      throw new ValidationError(`Formulation checks are not available for this product type in ${pack.jurisdiction.name}`);
+    }
+    validateFormulation(formulation);
+  }
+  if (dosage != null) validateDosage(dosage);
+}
+
+function newReportId() {
+  const d = new Date();
+  const ds = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+  return `CP-${ds}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function fileContentBlock(file) {
+  return {
+    type: file.mediaType === 'application/pdf' ? 'document' : 'image',
+    source: { type: 'base64', media_type: file.mediaType, data: file.data },
+  };
+}
+
+// A PDF goes to the model page by page: a caption naming the page and the
+// panel it holds, the rendered page, and its text layer when it has one.
+function pdfContentBlocks(pdf, panels) {
+  return pdf.pages.filter(p => p.image).flatMap(p => {
+    const names = (panels || []).filter(panel => panel.pages.includes(p.page)).map(panel => panel.name);
+    const blocks = [
+      { type: 'text', text: `Page ${p.page}${names.length ? ` (${names.join(', ')})` : ''}: ${p.width} × ${p.height} in` },
+      { type: 'image', source: { type: 'base64', media_type: p.image.mediaType, data: p.image.data } },
+    ];
+    if (p.text) {
+      blocks.push({ type: 'text', text: `Text layer of page ${p.page}, extracted from the PDF (use it to transcribe printed text exactly; artwork text that was converted to outlines is not in it):\n${p.text}` });
+    }
+    return blocks;
+  });
+}
+
+// Unnamed panels are numbered in the order given.
+function normalizePanels(panels) {
+  return panels.map((panel, i) => ({
+    name: typeof panel.name === 'string' && panel.name.trim() ? panel.name.trim() : `Panel ${i + 1}`,
+    pages: [...new Set(panel.pages)].sort((a, b) => a - b),
+    sections: panel.sections,
+  }));
+}
+
+// Placeholder verdict for a checklist item the model never evaluated, so the
+// item still shows up (as unverifiable) instead of silently disappearing.
+function notEvaluated(item) {
+  return {
+    id: item.id,
+    status: 'unverifiable',
+    finding: 'Not evaluated — the model did not return a verdict for this item',
+    recommendation: 'Verify this requirement manually or re-run the analysis',
+    regulation: item.reg,
+    evidence: [],
+    autoFilled: true,
+  };
+}
+
+// Calls the model, validates its JSON against the result schema and, when the
+// output is malformed or incomplete, asks it to repair the response (up to
+// MAX_REPAIR_ATTEMPTS extra calls). Items still missing at the end are filled
+// in as unverifiable. With `onItem` the first reply is streamed and each item
+// is passed to it as soon as it arrives, before any validation.
+async function evaluateChecklist({ system, userContent, checklistItems, blockIds = [], signal, onItem }) {
+  const conversation = [{ role: 'user', content: userContent }];
+  const ask = async (messages, onText) => responseText(await createMessage({ model: MODEL, max_tokens: 8000, system, messages }, { signal, onText }));
+
+  let text = await ask(conversation, onItem && createItemScanner(onItem));
+  let parsed = extractJson(text);
+  let checked = parsed && validateResult(parsed, checklistItems, blockIds);
+  let best = checked && Array.isArray(parsed.items) ? checked : null;
+  let attempts = 0;
+  const errorLog = [];
+
+  while (attempts < MAX_REPAIR_ATTEMPTS && (!checked || checked.errors.length > 0)) {
+    const errors = checked ? checked.errors : ['The response was not a valid JSON object'];
+    errorLog.push(...errors);
+    attempts++;
+    text = await ask([...conversation, { role: 'assistant', content: text }, { role: 'user', content: buildRepairPrompt(errors) }]);
+    parsed = extractJson(text);
+    checked = parsed && validateResult(parsed, checklistItems, blockIds);
+    if (checked && Array.isArray(parsed.items) && checked.result.items.length >= (best?.result.items.length || 0)) best = checked;
+  }
+
+  if (!best) {
+    return {
+      summary: 'The model\'s response could not be parsed, so no checklist item could be verified. The raw response is shown below.',
+      labelText: '',
+      items: checklistItems.map(notEvaluated),
+      complianceScore: null,
+      riskScore: null,
+      criticalIssues: [],
+      recommendations: [],
+      rawResponse: text,
+      validation: { repairAttempts: attempts, errors: errorLog, missingIds: checklistItems.map(i => i.id) },
+    };
+  }
+
+  const result = best.result;
+  let missing = checklistItems.filter(i => best.missingIds.includes(i.id));
+  if (missing.length > 0 && attempts < MAX_REPAIR_ATTEMPTS) {
+    attempts++;
+    const followUp = await ask([
+      ...conversation,
+      { role: 'assistant', content: text },
+      { role: 'user', content: buildMissingItemsPrompt(missing) },
+    ]);
+    const extra = extractJson(followUp);
+    if (extra) {
+      const { items } = validateItems(extra.items, missing, blockIds);
+      result.items.push(...items);
+      const added = new Set(items.map(i => i.id));
+      missing = missing.filter(i => !added.has(i.id));
+    }
+  }
+  result.items.push(...missing.map(notEvaluated));
+
+  return {
+    ...result,
+    validation: { repairAttempts: attempts, errors: errorLog, missingIds: missing.map(i => i.id) },
+  };
+}
+
+// Reads the cannabinoid results off a COA. Returns null when the model's
+// reply has no usable result rows.
+async function extractCoa(coa, { signal } = {}) {
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 2000,
+    messages: [{ role: 'user', content: [fileContentBlock(coa), { type: 'text', text: COA_EXTRACTION_PROMPT }] }],
+  }, { signal });
+  return normalizeCoa(extractJson(responseText(data)));
+}
+
+// Text blocks for the evidence overlay: the PDF text layer where a page has
+// one, otherwise read off the image by the model. An unreadable reply just
+// leaves those pages without blocks.
+async function extractTextBlocks(file, pdf, { signal } = {}) {
+  const rendered = pdf ? pdf.pages.filter(p => p.image) : [];
+  const fromLayer = rendered.flatMap(p => p.lines.map(line => ({ page: p.page, ...line })));
+  const unread = rendered.filter(p => p.lines.length === 0);
+  let read = [];
+  if (!pdf || unread.length > 0) {
+    const content = pdf
+      ? unread.flatMap(p => [
+        { type: 'text', text: `Page ${p.page}` },
+        { type: 'image', source: { type: 'base64', media_type: p.image.mediaType, data: p.image.data } },
+      ])
+      : [fileContentBlock(file)];
+    const data = await createMessage({
+      model: MODEL,
+      max_tokens: 8000,
+      messages: [{ role: 'user', content: [...content, { type: 'text', text: TEXT_BLOCKS_PROMPT }] }],
+    }, { signal });
+    read = normalizeTextBlocks(extractJson(responseText(data)), pdf ? unread.map(p => p.page) : [1]);
+  }
+  return numberTextBlocks([...fromLayer, ...read]);
+}
+
+// Locates the universal symbol, Prop 65 symbol and smallest text on the
+// label. Returns null when the model's reply isn't a JSON object.
+async function locateMeasuredElements(labelContent, { signal } = {}) {
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 1000,
+    messages: [{ role: 'user', content: [...labelContent, { type: 'text', text: MEASUREMENT_PROMPT }] }],
+  }, { signal });
+  return normalizeMeasurements(extractJson(responseText(data)));
+}
+
+// Copies the government and Prop 65 warnings split into bold and regular
+// runs. Returns null when the reply isn't a JSON object.
+async function readWarningStyles(labelContent, { signal } = {}) {
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 1500,
+    messages: [{ role: 'user', content: [...labelContent, { type: 'text', text: WARNING_STYLE_PROMPT }] }],
+  }, { signal });
+  return normalizeWarningStyles(extractJson(responseText(data)));
+}
+
+// Rates the artwork's youth-appeal factors. Returns null when the reply
+// isn't a JSON object.
+async function reviewImagery(labelContent, { signal } = {}) {
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 2000,
+    messages: [{ role: 'user', content: [...labelContent, { type: 'text', text: YOUTH_APPEAL_PROMPT }] }],
+  }, { signal });
+  return normalizeYouthAppeal(extractJson(responseText(data)));
+}
+
+// The model's pass of the claims linter over `content` (the label, or pasted
+// copy as a text block). Returns the parsed reply, or null when it isn't JSON.
+async function classifyClaims(content, rules, source, { signal } = {}) {
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 2000,
+    messages: [{ role: 'user', content: [...content, { type: 'text', text: buildClaimsPrompt(Object.values(rules), source) }] }],
+  }, { signal });
+  return extractJson(responseText(data));
+}
+
+// Lints pasted marketing copy (a website blurb, a menu description) against
+// every claims rule in the pack.
+async function lintCopy({ text } = {}, pack) {
+  if (typeof text !== 'string' || !text.trim()) throw new ValidationError('text is required');
+  if (text.length > MAX_COPY_LENGTH) throw new ValidationError(`text must be at most ${MAX_COPY_LENGTH} characters`);
+  const checklistItems = allPackItems(pack);
+  const rules = packRules(pack.packId, checklistItems);
+  if (Object.keys(rules).length === 0) throw new ValidationError(`The ${pack.name} rule pack has no claims rules`);
+  const parsed = await classifyClaims([{ type: 'text', text: `MARKETING COPY:\n${text}` }], rules, 'marketing copy');
+  const { report } = lintClaims({ text, aiClaims: normalizeClaims(parsed, text, rules), packId: pack.packId, checklistItems });
+  return {
+    ...report,
+    text,
+    rulePack: { packId: pack.packId, jurisdiction: pack.jurisdiction, name: pack.name, version: pack.version },
+  };
+}
+
+// The regulation text for a review's checklist: the best-matching passages
+// of each item's section, without repeats, up to MAX_REGULATION_TEXT.
+function checklistPassages(packId, checklistItems) {
+  const seen = new Set();
+  const passages = [];
+  let length = 0;
+  for (const passage of checklistItems.flatMap(item => itemPassages(packId, item))) {
+    if (seen.has(passage.id) || length + passage.text.length > MAX_REGULATION_TEXT) continue;
+    seen.add(passage.id);
+    passages.push(passage);
+    length += passage.text.length;
+  }
+  return passages;
+}
+
+// Answers the next question in a Q&A conversation. `turns` are the earlier
+// messages; `review` the saved label review the conversation is about, if any.
+// Returns the answer and the citations of the regulation text it was given.
+// `signal` cancels the model call.
+async function answerQuestion({ question, turns = [], review = null }, pack, { signal } = {}) {
+  if (typeof question !== 'string' || !question.trim()) throw new ValidationError('question is required');
+  if (question.length > MAX_QUESTION_LENGTH) throw new ValidationError(`question must be at most ${MAX_QUESTION_LENGTH} characters`);
+  const history = turns.slice(-MAX_HISTORY_MESSAGES).map(t => ({ role: t.role, content: t.content }));
+  // A follow-up ("and for beverages?") is searched with the question before it;
+  // a question about a review also with the citations of its failed items.
+  const previous = [...turns].reverse().find(t => t.role === 'user')?.content || '';
+  const flagged = (review?.result.items || []).filter(i => i.status === 'fail' || i.status === 'warning').map(i => i.regulation);
+  const passages = searchCorpus(pack.packId, [question, previous, ...flagged].join(' '));
+  const data = await createMessage({
+    model: MODEL,
+    max_tokens: 2000,
+    system: buildQaSystemPrompt(pack, review, passages),
+    messages: [...history, { role: 'user', content: question.trim() }],
+  }, { signal });
+  return {
+    answer: responseText(data).trim() || 'No response received.',
+    sources: [...new Set(passages.map(p => p.citation))],
+  };
+}
+
+// `pack` is the organization's active rule pack for the chosen jurisdiction
+// (rulePacks.js); the result records which jurisdiction and version it was
+// graded against, and which use mode (adult-use or medicinal) was assumed.
+//
+// `signal` cancels every model call still running. `onProgress` receives the
+// stages as they start ('reading', 'evaluating' with the checklist sections,
+// 'checking') and each model verdict as it streams in, before the rule checks
+// and validation that decide the final result.
+async function analyzeLabel(request, pack, { signal, onProgress } = {}) {
+  validateRequest(request, pack);
+  const progress = onProgress || (() => {});
+  progress({ type: 'stage', stage: 'reading' });
+  const { productType, labelType, file, coa, labelSize, useMode: useModeId = DEFAULT_USE_MODE } = request;
+  const panels = request.panels ? normalizePanels(request.panels) : null;
+  const useMode = { id: useModeId, ...pack.useModes[useModeId] };
+  const checklist = activeChecklist(pack.checklists[productType], useMode.id);
+  const checklistItems = checklist.sections.flatMap(s => s.items);
+  // With a panel mapping only the mapped pages are rendered and sent.
+  const pdf = file.mediaType === 'application/pdf'
+    ? await parsePdf(file.data, panels && [...new Set(panels.flatMap(p => p.pages))].sort((a, b) => a - b))
+    : null;
+  const labelContent = pdf ? pdfContentBlocks(pdf, panels) : [fileContentBlock(file)];
+
+  // Verdicts cite text blocks as evidence, so the evaluation waits for them;
+  // the COA, measurement, warning style, imagery and claims reads run
+  // alongside. A compliance-only sticker has no artwork to review for youth
+  // appeal.
+  const reviewsArtwork = labelType !== 'compliance';
+  const claimRules = packRules(pack.packId, checklistItems);
+  const lintsClaims = Object.keys(claimRules).length > 0;
+  const itemIds = new Set(checklistItems.map(i => i.id));
+  const regulationText = checklistPassages(pack.packId, checklistItems);
+  const evaluate = async () => {
+    const textBlocks = await extractTextBlocks(file, pdf, { signal });
+    progress({
+      type: 'stage',
+      stage: 'evaluating',
+      sections: checklist.sections.map(sec => ({ name: sec.name, items: sec.items.map(i => ({ id: i.id, text: i.text })) })),
+    });
+    const result = await evaluateChecklist({
+      system: buildSystemPrompt(pack, LABEL_TYPES[labelType], useMode),
+      userContent: [...labelContent, { type: 'text', text: buildAnalysisPrompt(checklist, panels, textBlocks, regulationText) }],
+      checklistItems,
+      blockIds: textBlocks.map(b => b.id),
+      signal,
+      onItem: onProgress && ((item) => {
+        if (!itemIds.has(item?.id) || !STATUSES.includes(item.status)) return;
+        onProgress({ type: 'item', item: { id: item.id, status: item.status, finding: String(item.finding || '') } });
+      }),
+    });
+    return { result, textBlocks };
+  };
+  const formulation = request.formulation ? normalizeFormulation(request.formulation) : null;
+  const [{ result, textBlocks }, coaResults, measured, warningStyles, imagery, claimsReply] = await Promise.all([
+    evaluate(),
+    coa ? extractCoa(coa, { signal }) : null,
+    labelSize ? locateMeasuredElements(labelContent, { signal }) : null,
+    hasWarningChecks(pack.packId, checklistItems) ? readWarningStyles(labelContent, { signal }) : null,
+    reviewsArtwork ? reviewImagery(labelContent, { signal }) : null,
+    lintsClaims ? classifyClaims(labelContent, claimRules, 'cannabis product label', { signal }) : null,
+  ]);
+  progress({ type: 'stage', stage: 'checking' });
+
+  const ruleVerdicts = runRules({
+    labelText: result.labelText, packId: pack.packId, productType, labelType, useMode, checklistItems,
+  });
+  const warnings = checkWarnings({
+    labelText: result.labelText, styles: warningStyles, packId: pack.packId, productType, labelType, checklistItems,
+  });
+  ruleVerdicts.push(...warnings.verdicts);
+  const dosage = calculateDosage({
+    labelText: result.labelText, entered: request.dosage, packId: pack.packId, productType, useMode, useModes: pack.useModes,
+    checklistItems,
+  });
+  ruleVerdicts.push(...dosage.verdicts);
+  const claims = lintClaims({
+    text: result.labelText, aiClaims: normalizeClaims(claimsReply, result.labelText, claimRules), packId: pack.packId, checklistItems,
+  });
+  ruleVerdicts.push(...claims.verdicts);
+  let coaCheck = null;
+  if (coa) {
+    coaCheck = { fileName: coa.name || null };
+    if (coaResults) {
+      const { report, verdicts } = crossCheckCoa({ labelText: result.labelText, coa: coaResults, checklistItems });
+      Object.assign(coaCheck, report);
+      ruleVerdicts.push(...verdicts);
+    } else {
+      coaCheck.error = 'No cannabinoid results could be read from the COA';
+    }
+  }
+  let formulationCheck = null;
+  if (formulation) {
+    const { report, verdicts } = checkFormulation({ labelText: result.labelText, formulation, packId: pack.packId, checklistItems });
+    formulationCheck = report;
+    ruleVerdicts.push(...verdicts);
+  }
+  let measurements = null;
+  if (labelSize) {
+    const { report, verdicts } = checkMeasurements({
+      measurements: measured, labelSize, pages: pdf?.pages, packId: pack.packId, checklistItems,
+    });
+    measurements = report;
+    ruleVerdicts.push(...verdicts);
+  }
+
+  let merged = mergeRuleVerdicts(result, ruleVerdicts, checklistItems);
+  let youthAppeal = null;
+  if (reviewsArtwork) {
+    const imageryCheck = checkYouthAppeal({ assessment: imagery, packId: pack.packId, checklistItems });
+    merged = applyYouthAppeal(merged, imageryCheck, checklistItems);
+    youthAppeal = imageryCheck.report;
+  }
+  merged = applyOverrideScore(merged, checklistItems);
+
+  return {
+    ...merged,
+    youthAppeal,
+    claims: claims.report,
+    dosage: dosage.report,
+    warningCheck: warnings.report,
+    coaCheck,
+    formulationCheck,
+    measurements,
+    textBlocks,
+    pdf: pdf && {
+      pageCount: pdf.pageCount,
+      pages: pdf.pages.map(p => ({ page: p.page, width: p.width, height: p.height, evaluated: Boolean(p.image), hasText: Boolean(p.text) })),
+      panels,
+    },
+    useMode: { id: useMode.id, label: useMode.label, assumption: useMode.assumption },
+    checklist: checklistItems,
+    rulePack: { packId: pack.packId, jurisdiction: pack.jurisdiction, name: pack.name, version: pack.version },
+    reportId: newReportId(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+module.exports = { ValidationError, validateRequest, analyzeLabel, lintCopy, answerQuestion };
@@ -0,0 +1,92 @@
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+
+// Cap on simultaneous upstream calls so a large batch upload queues here
+// instead of tripping the Anthropic rate limit.
+const MAX_CONCURRENCY = Number(process.env.ANTHROPIC_MAX_CONCURRENCY) || 4;
+let active = 0;
+const waiting = [];
+
+async function withSlot(fn) {
+  if (active < MAX_CONCURRENCY) active++;
+  else await new Promise(resolve => waiting.push(resolve));
+  try {
+    return await fn();
+  } finally {
+    // Hand the slot straight to the next waiter, or free it
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+}
+
+// `signal` aborts the upstream request (e.g. when the client disconnects).
+// With `onText` the reply is streamed and each text delta is passed to it as
+// it arrives; the resolved value has the same shape either way.
+function createMessage(body, { signal, onText } = {}) {
+  return withSlot(() => (onText ? streamMessage(body, signal, onText) : sendMessage(body, signal)));
+}
+
+function upstreamError(message) {
+  const err = new Error(message);
+  err.status = 502;
+  return err;
+}
+
+function post(body, signal) {
+  return fetch(ANTHROPIC_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+async function sendMessage(body, signal) {
+  const response = await post(body, signal);
+  const data = await response.json();
+  if (!response.ok) throw upstreamError(data.error?.message || `Anthropic API returned ${response.status}`);
+  return data;
+}
+
+// Reads the Messages API event stream, collecting the text blocks into a
+// response like the non-streaming one.
+async function streamMessage(body, signal, onText) {
+  const response = await post({ ...body, stream: true }, signal);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw upstreamError(data?.error?.message || `Anthropic API returned ${response.status}`);
+  }
+  const message = { content: [] };
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const events = buffered.split('\n\n');
+    buffered = events.pop();
+    for (const event of events) {
+      const data = event.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+      if (!data) continue;
+      const parsed = JSON.parse(data);
+      if (parsed.type === 'message_start') Object.assign(message, parsed.message, { content: [] });
+      else if (parsed.type === 'content_block_start') message.content[parsed.index] = { ...parsed.content_block };
+      else if (parsed.type === 'content_block_delta' && parsed.delta.type === 'text_delta') {
+        message.content[parsed.index].text += parsed.delta.text;
+        onText(parsed.delta.text);
+      } else if (parsed.type === 'message_delta') Object.assign(message, parsed.delta);
+      else if (parsed.type === 'error') throw upstreamError(parsed.error?.message || 'The Anthropic stream failed');
+    }
+  }
+  return message;
+}
+
+// Concatenate the text blocks of a Messages API response.
+function responseText(data) {
+  return data.content?.map(b => b.text || '').join('') || '';
+}
+
+module.exports = { MODEL, createMessage, responseText };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const store = require('./store');
+const { ROLES, getOrganization } = require('./orgs');
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Only a hash of the session token is stored, so a leaked data file can't be
+// replayed as a login.
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+  const org = getOrganization(user.orgId);
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    orgId: user.orgId,
+    orgName: org?.name || null,
+  };
+}
+
+function createUser({ email, name, password, orgId, role }) {
+  const normalized = email.trim().toLowerCase();
+  if (store.find('users', u => u.email === normalized)) {
+    throw new Error(`A user with email ${normalized} already exists`);
+  }
+  if (!getOrganization(orgId)) throw new Error(`Unknown organization: ${orgId}`);
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  return store.insert('users', {
+    id: crypto.randomUUID(),
+    email: normalized,
+    name,
+    orgId,
+    role,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function listUsers(orgId) {
+  return store.filter('users', u => u.orgId === orgId).map(publicUser);
+}
+
+function setUserRole(orgId, userId, role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  const user = store.update('users', u => u.id === userId && u.orgId === orgId, { role });
+  return user ? publicUser(user) : null;
+}
+
+function login(email, password) {
+  const user = store.find('users', u => u.email === String(email || '').trim().toLowerCase());
+  if (!user || !verifyPassword(String(password || ''), user.passwordHash)) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  store.remove('sessions', s => s.expiresAt < now);
+  store.insert('sessions', {
+    tokenHash: tokenHash(token),
+    userId: user.id,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+  });
+  return { token, user: publicUser(user) };
+}
+
+function logout(token) {
+  store.remove('sessions', s => s.tokenHash === tokenHash(token));
+}
+
+function userForToken(token) {
+  const session = store.find('sessions', s => s.tokenHash === tokenHash(token));
+  if (!session || session.expiresAt < Date.now()) return null;
+  const user = store.find('users', u => u.id === session.userId);
+  return user ? publicUser(user) : null;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Express middleware: rejects the request unless it carries a live session.
+function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  const user = token && userForToken(token);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
+  req.user = user;
+  req.sessionToken = token;
+  next();
+}
+
+// Express middleware factory: only lets through users holding one of `roles`.
+// Must run after requireAuth.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+    next();
+  };
+}
+
+module.exports = { publicUser, createUser, listUsers, setUserRole, login, logout, requireAuth, requireRole };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const store = require('./store');
+const { searchReviews, runReview } = require('./reviews');
+
+// How many of a server's queued batch labels are analyzed at the same time,
+// across all batches. Each review makes several model calls, which also wait
+// for the Anthropic concurrency cap (anthropic.js).
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const PENDING = ['queued', 'running'];
+
+// Labels waiting for a slot, in upload order. The uploaded file stays in
+// memory until its review is saved.
+const queue = [];
+let running = 0;
+
+// Every file of a batch is checked against the same jurisdiction and use mode.
+// `items` records each uploaded label and how far its review has got: queued,
+// running, done (with its reviewId) or failed (with the error).
+function createBatch({ orgId, user, name, jurisdiction, useMode }) {
+  return store.insert('batches', {
+    id: crypto.randomUUID(),
+    orgId,
+    name: String(name || '').trim() || `Batch ${new Date().toLocaleDateString('en-US')}`,
+    jurisdiction,
+    useMode,
+    items: [],
+    createdBy: { id: user.id, name: user.name },
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function getBatch(orgId, id) {
+  return store.find('batches', b => b.orgId === orgId && b.id === id);
+}
+
+function updateItem(batchId, itemId, changes) {
+  store.update('batches', b => b.id === batchId, b => ({
+    items: b.items.map(i => (i.id === itemId ? { ...i, ...changes } : i)),
+  }));
+}
+
+function startNext() {
+  while (running < BATCH_CONCURRENCY && queue.length > 0) {
+    const { batch, itemId, user, body } = queue.shift();
+    running++;
+    updateItem(batch.id, itemId, { status: 'running', startedAt: new Date().toISOString() });
+    runReview(user, { ...body, jurisdiction: batch.jurisdiction, useMode: batch.useMode }, { batchId: batch.id })
+      .then(
+        result => ({ status: 'done', reviewId: result.reviewId }),
+        err => {
+          console.error('Error:', err);
+          return { status: 'failed', error: err.message };
+        },
+      )
+      .then(changes => {
+        running--;
+        updateItem(batch.id, itemId, { ...changes, finishedAt: new Date().toISOString() });
+        startNext();
+      });
+  }
+}
+
+// Adds one label to the batch and queues its review. `body` has the label's
+// productType, labelType, productName and file, as for /api/analyze.
+function enqueueItem(batch, user, body) {
+  const item = {
+    id: crypto.randomUUID(),
+    fileName: body.file.name || 'Untitled',
+    productName: body.productName || null,
+    productType: body.productType,
+    labelType: body.labelType,
+    status: 'queued',
+    reviewId: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+  store.update('batches', b => b.id === batch.id, b => ({ items: [...b.items, item] }));
+  queue.push({ batch, itemId: item.id, user, body });
+  startNext();
+  return item;
+}
+
+// The queue lives in memory, so labels still pending when the server stopped
+// will never finish; they are marked failed at startup.
+function failInterruptedItems() {
+  const batches = store.readAll('batches');
+  let changed = false;
+  for (const batch of batches) {
+    for (const item of batch.items || []) {
+      if (!PENDING.includes(item.status)) continue;
+      Object.assign(item, { status: 'failed', error: 'Interrupted by a server restart; add the file to a new batch' });
+      changed = true;
+    }
+  }
+  if (changed) store.writeAll('batches', batches);
+}
+
+// A batch with the summaries of every review run as part of it, in upload order.
+function batchWithReviews(orgId, id) {
+  const batch = getBatch(orgId, id);
+  if (!batch) return null;
+  const reviews = searchReviews(orgId, { batchId: id })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return { ...batch, reviews };
+}
+
+function listBatches(orgId) {
+  const counts = new Map();
+  for (const r of store.filter('reviews', r => r.orgId === orgId && r.batchId)) {
+    counts.set(r.batchId, (counts.get(r.batchId) || 0) + 1);
+  }
+  return store
+    .filter('batches', b => b.orgId === orgId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ items = [], ...b }) => ({
+      ...b,
+      reviewCount: counts.get(b.id) || 0,
+      pendingCount: items.filter(i => PENDING.includes(i.status)).length,
+    }));
+}
+
+module.exports = { createBatch, getBatch, enqueueItem, failInterruptedItems, batchWithReviews, listBatches };
@@ -0,0 +1,183 @@
+// Claims and marketing-copy linter: health claims, "organic"/"organix", OCal,
+// appellations and place names, anticipated-effects wording and other
+// misleading statements (§17408, §17409). Works on a label's transcription
+// and on pasted copy such as website blurbs and menu descriptions.
+//
+// Two sources: the phrase lexicon (claimsLexicon.js), matched here
+// deterministically, and the model's classification (buildClaimsPrompt),
+// which catches paraphrases the lexicon doesn't list. Each claim comes back
+// with the phrase, the rule it falls under and a compliant rewrite. Only
+// lexicon matches decide checklist items; the model's finds are reported for
+// the reviewer.
+
+const { LEXICON } = require('./claimsLexicon');
+
+const RULES = {
+  health: { name: 'Health-related statement', severity: 'fail' },
+  effects: { name: 'Anticipated effects wording', severity: 'fail' },
+  misleading: { name: 'False or misleading statement', severity: 'fail' },
+  organic: { name: '"Organic" claim', severity: 'fail' },
+  ocal: { name: 'OCal claim', severity: 'warning' },
+  appellation: { name: 'Appellation of origin claim', severity: 'warning' },
+  origin: { name: 'City or county name', severity: 'warning' },
+};
+
+// Checklist item id → the rules it covers, per rule pack. A pack only lints
+// for the rules its checklists cover.
+const CLAIM_ITEMS = {
+  'ca-dcc': {
+    e5a: ['origin'], e5c: ['health'], e5d: ['misleading'], e5f: ['organic'], e5g: ['ocal'], e5h: ['appellation'], e6ae: ['effects'],
+    b5a: ['origin'], b5c: ['health'], b5d: ['misleading'], b5f: ['organic'], b5g: ['ocal'], b5h: ['appellation'], b6ae: ['effects'],
+    d5a: ['origin'], d5c: ['health'], d5d: ['misleading'], d5f: ['organic'], d5g: ['ocal'], d5h: ['appellation'], d6ae: ['effects'],
+    c5a: ['origin'], c5c: ['health'], c5d: ['misleading'], c5f: ['organic'], c5g: ['ocal'], c5h: ['appellation'], c6ae: ['effects'],
+    t5a: ['origin'], t5c: ['health'], t5d: ['misleading'], t5f: ['organic'], t5g: ['ocal'], t5h: ['appellation'], t6ae: ['effects'],
+    v5a: ['origin'], v5c: ['health'], v5d: ['misleading'], v5e: ['organic'], v5f: ['ocal'], v5g: ['appellation'], v6ae: ['effects'],
+    n4a: ['origin'], n4c: ['health'], n4d: ['misleading'], n4e: ['organic'], n4f: ['ocal'], n4g: ['appellation'], n5ae: ['effects'],
+  },
+  'co-med': {
+    e6b: ['health', 'effects'], e6c: ['misleading'], v6b: ['health', 'effects'], v6c: ['misleading'], n6b: ['health', 'effects'],
+  },
+  'mi-cra': {
+    e6b: ['health', 'effects'], e6c: ['misleading'], v6b: ['health', 'effects'], v6c: ['misleading'], n6b: ['health', 'effects'],
+  },
+  'or-olcc': {
+    e6b: ['health', 'effects', 'misleading'], v6b: ['health', 'effects', 'misleading'], n6b: ['health', 'effects', 'misleading'],
+  },
+};
+
+const MAX_COPY_LENGTH = 20000;
+
+// The rules a pack lints for, each with the citation of the first checklist
+// item that covers it in `checklistItems`.
+function packRules(packId, checklistItems) {
+  const map = CLAIM_ITEMS[packId] || {};
+  const rules = {};
+  for (const item of checklistItems) {
+    for (const key of map[item.id] || []) {
+      if (!rules[key]) rules[key] = { key, ...RULES[key], regulation: item.reg, itemIds: [] };
+      rules[key].itemIds.push(item.id);
+    }
+  }
+  return rules;
+}
+
+const LEXICON_PATTERNS = LEXICON.map(entry => ({ ...entry, regex: new RegExp(`\\b(?:${entry.pattern})\\b`, 'gi') }));
+
+// An ingredient statement: from "Ingredients:" to the first full stop, blank
+// line or line that opens another field ("Allergens:", "GOVERNMENT WARNING:").
+const INGREDIENTS = /\bingredients?\s*:(?:[^.\n]|\.(?!\s|$)|\n(?![^\S\n]*\n|[^\S\n]*[A-Za-z][\w ]{0,30}:))*/gi;
+
+function ingredientSpans(text) {
+  return [...text.matchAll(INGREDIENTS)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+// Every lexicon phrase in `text` under one of `rules`, in reading order. A
+// phrase inside a longer match is reported once, under the longer match.
+function matchLexicon(text, rules) {
+  const hits = [];
+  const ingredients = ingredientSpans(String(text || ''));
+  for (const entry of LEXICON_PATTERNS) {
+    if (!rules[entry.rule]) continue;
+    for (const m of String(text || '').matchAll(entry.regex)) {
+      if (entry.notInIngredients && ingredients.some(s => s.start <= m.index && m.index < s.end)) continue;
+      hits.push({
+        phrase: m[0],
+        start: m.index,
+        end: m.index + m[0].length,
+        rule: entry.rule,
+        rewrite: typeof entry.rewrite === 'function' ? entry.rewrite(m[0]) : entry.rewrite,
+        source: 'lexicon',
+      });
+    }
+  }
+  hits.sort((a, b) => a.start - b.start || b.end - a.end);
+  return hits.filter((hit, i) => !hits.slice(0, i).some(h => h.start <= hit.start && h.end >= hit.end));
+}
+
+// Normalizes the model's classification: claims under a rule the pack covers,
+// located in `text` when the phrase appears there verbatim (ignoring case).
+function normalizeClaims(parsed, text, rules) {
+  if (!parsed || !Array.isArray(parsed.claims)) return null;
+  const lower = String(text || '').toLowerCase();
+  return parsed.claims
+    .filter(c => c && typeof c.phrase === 'string' && c.phrase.trim() && rules[c.rule])
+    .map(c => {
+      const phrase = c.phrase.trim();
+      const start = lower.indexOf(phrase.toLowerCase());
+      return {
+        phrase: start === -1 ? phrase : text.slice(start, start + phrase.length),
+        start: start === -1 ? null : start,
+        end: start === -1 ? null : start + phrase.length,
+        rule: c.rule,
+        rationale: typeof c.rationale === 'string' ? c.rationale.trim() : '',
+        rewrite: typeof c.rewrite === 'string' ? c.rewrite.trim() : '',
+        source: 'ai',
+      };
+    });
+}
+
+const overlaps = (a, b) => a.start != null && b.start != null && a.start < b.end && b.start < a.end;
+
+// Lexicon matches plus the model's claims that don't overlap one, with the
+// rule's name, severity and citation filled in.
+function mergeClaims(lexiconHits, aiClaims, rules) {
+  const extra = (aiClaims || []).filter(c => !lexiconHits.some(h => overlaps(h, c) || h.phrase.toLowerCase() === c.phrase.toLowerCase()));
+  const seen = new Set();
+  return [...lexiconHits, ...extra]
+    .filter(c => {
+      const key = `${c.rule}:${c.phrase.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity))
+    .map(c => ({
+      ...c,
+      ruleName: rules[c.rule].name,
+      severity: rules[c.rule].severity,
+      regulation: rules[c.rule].regulation,
+      rationale: c.rationale || `Matches the ${rules[c.rule].name.toLowerCase()} lexicon`,
+    }));
+}
+
+// Lints `text` (a label transcription or pasted copy). Returns the report and
+// a verdict for each checklist item a lexicon match decides. `aiClaims` is
+// the normalized model classification, or null when it failed.
+function lintClaims({ text, aiClaims, packId, checklistItems }) {
+  const rules = packRules(packId, checklistItems);
+  if (Object.keys(rules).length === 0) return { report: null, verdicts: [] };
+  const claims = mergeClaims(matchLexicon(text, rules), aiClaims, rules);
+  // One verdict per item, from every rule it covers; the strictest severity wins.
+  const byItem = new Map();
+  for (const rule of Object.values(rules)) {
+    const hits = claims.filter(c => c.rule === rule.key && c.source === 'lexicon');
+    if (hits.length === 0) continue;
+    for (const id of rule.itemIds) {
+      if (!byItem.has(id)) byItem.set(id, []);
+      byItem.get(id).push({ rule, hits });
+    }
+  }
+  const verdicts = [...byItem.entries()].map(([id, found]) => ({
+    id,
+    status: found.some(f => f.rule.severity === 'fail') ? 'fail' : 'warning',
+    finding: found.map(({ rule, hits }) => `${rule.name}: ${hits.map(h => `"${h.phrase}"`).join(', ')}`).join('; '),
+    recommendation: [...new Set(found.flatMap(f => f.hits.map(h => h.rewrite)))].join('; '),
+    regulation: found[0].rule.regulation,
+  }));
+  return {
+    report: {
+      claims,
+      rules: Object.values(rules).map(({ key, name, regulation }) => ({ key, name, regulation })),
+      aiChecked: Array.isArray(aiClaims),
+    },
+    verdicts,
+  };
+}
+
+// Every checklist item across a pack, for linting copy that isn't tied to a
+// product type.
+function allPackItems(pack) {
+  return Object.values(pack.checklists).flatMap(c => c.sections.flatMap(s => s.items));
+}
+
+module.exports = { RULES, CLAIM_ITEMS, MAX_COPY_LENGTH, packRules, normalizeClaims, lintClaims, allPackItems };
@@ -0,0 +1,91 @@
+// The claims linter's phrase lexicon (claims.js). Each entry is a phrase
+// pattern that is always worth flagging, the rule it falls under and a
+// compliant rewrite. Patterns are matched case-insensitively on word
+// boundaries. `rewrite` is a string, or a function of the matched phrase.
+// Entries marked `notInIngredients` are not matched inside an ingredient
+// statement, where "organic cane sugar" describes an ingredient rather than
+// the cannabis; the model still judges those.
+//
+// Add phrases here as enforcement actions and reviewer feedback turn them up;
+// the model catches paraphrases, so entries should be specific enough not to
+// fire on compliant copy ("tasty treats" must not read as "treats anxiety").
+
+const CONDITIONS = 'anxiety|depression|pain|chronic pain|insomnia|cancer|inflammation|stress|nausea|seizures|epilepsy|PTSD|arthritis|migraines?|headaches?|glaucoma|ADHD|appetite loss';
+
+const LEXICON = [
+  // Health-related statements
+  {
+    rule: 'health',
+    pattern: `(cures?|treats?|heals?|prevents?|relieves?|reduces?|eases?|fights?|alleviates?|soothes?)\\s+(your\\s+)?(${CONDITIONS})`,
+    rewrite: 'Remove the health claim, or describe a physiological effect only, e.g. "May cause relaxation"',
+  },
+  {
+    rule: 'health',
+    pattern: `(relief|remedy|treatment|cure|therapy)\\s+(for|from)\\s+(your\\s+)?(${CONDITIONS})`,
+    rewrite: 'Remove the health claim, or describe a physiological effect only, e.g. "May cause relaxation"',
+  },
+  { rule: 'health', pattern: 'anti-?(anxiety|inflammatory|depressant|cancer|nausea)', rewrite: 'Remove the therapeutic claim' },
+  { rule: 'health', pattern: 'pain[- ]reli(ef|ever|eving)', rewrite: 'Remove the pain-relief claim' },
+  { rule: 'health', pattern: 'sleep aid', rewrite: 'Describe the effect instead, e.g. "May cause drowsiness"' },
+  { rule: 'health', pattern: 'FDA[- ](approved|registered|cleared)', rewrite: 'Remove: cannabis products are not FDA approved' },
+  {
+    rule: 'health',
+    pattern: '(clinically|medically|scientifically)\\s+(proven|tested|shown)|doctor[- ]recommended',
+    rewrite: 'Remove the clinical claim unless it is substantiated for this product, and even then do not imply a health benefit',
+  },
+  { rule: 'health', pattern: 'boosts?\\s+(your\\s+)?immun(e system|ity)', rewrite: 'Remove the health claim' },
+
+  // Anticipated effects stated as outcomes rather than possible physiological effects
+  {
+    rule: 'effects',
+    pattern: '(helps?|will help)\\s+(you\\s+)?(sleep|fall asleep|relax|focus|unwind)',
+    rewrite: phrase => `Replace with "${/sleep/i.test(phrase) ? 'May cause drowsiness' : 'May cause relaxation'}"`,
+  },
+  {
+    rule: 'effects',
+    pattern: '(guaranteed|promises?)\\s+to\\s+\\w+|(will|always)\\s+make\\s+you\\s+\\w+',
+    rewrite: 'State anticipated effects as possibilities, e.g. "May cause euphoria"',
+  },
+
+  // False or misleading statements
+  {
+    rule: 'misleading',
+    pattern: '(100%|completely|totally|perfectly)\\s+safe|no side[- ]effects|non-?toxic|harmless|(can\'t|cannot|impossible to)\\s+overdose',
+    rewrite: 'Remove the safety claim',
+  },
+  {
+    rule: 'misleading',
+    pattern: 'non-?psychoactive|won\'t get you high|no high',
+    rewrite: 'Remove: THC products are intoxicating',
+    notInIngredients: true,
+  },
+
+  // Organic
+  {
+    rule: 'organic',
+    pattern: '(certified\\s+|USDA\\s+)?organi(c|x|cally)(\\s+grown)?',
+    rewrite: 'Remove "organic"; describe cultivation factually, e.g. "Sun-grown", if substantiated',
+    notInIngredients: true,
+  },
+
+  // OCal
+  {
+    rule: 'ocal',
+    pattern: 'OCal(\\s+certified)?',
+    rewrite: 'Keep "OCal" only if the product is certified under the CDFA OCal program (B&P §26062); otherwise remove it',
+  },
+
+  // Appellations of origin and place names
+  {
+    rule: 'appellation',
+    pattern: '(appellation(\\s+of\\s+origin)?|AOC|estate[- ]grown)',
+    rewrite: 'Remove the appellation claim unless the product meets the CDFA appellation of origin program (B&P §26063)',
+  },
+  {
+    rule: 'origin',
+    pattern: 'Humboldt|Mendocino|Trinity County|Emerald Triangle|Sonoma|Santa Cruz|Big Sur|Napa|Salinas Valley|Nevada County|Lake County',
+    rewrite: phrase => `Name ${phrase} only if all of the cannabis was grown there; otherwise remove it`,
+  },
+];
+
+module.exports = { LEXICON };
@@ -0,0 +1,204 @@
+// Label vs. certificate of analysis (COA) cross-check. The model only reads
+// the lab's numbers off the COA; the comparison with the amounts printed on
+// the label is done here, deterministically.
+//
+// §15307.1: labeled amounts may differ from the COA by no more than ±10%
+// (e4e also allows rounding to the nearest whole number).
+// §17407(d)(1): every cannabinoid that is ≥5% of total cannabinoids must be
+// listed on the label.
+
+const { cannabinoidAmounts, cannabinoidPercents } = require('./rules');
+
+const TOLERANCE = 0.10;
+const LISTING_THRESHOLD = 0.05;
+const MATCH_REG = '§17407(d)(2)';
+const LISTING_REG = '§17407(d)(1)';
+
+const LAB_FIELDS = { percent: 'percent', serving: 'mgPerServing', package: 'mgPerPackage' };
+const UNITS = { percent: '%', serving: ' mg/serving', package: ' mg/package' };
+
+// A label line for THC or CBD accounts for the acid form and the total too
+// when deciding which cannabinoids are listed.
+const FAMILIES = {
+  THC: ['TOTAL THC', 'THC', 'THCA'],
+  CBD: ['TOTAL CBD', 'CBD', 'CBDA'],
+};
+
+function cannabinoidKey(name) {
+  const compact = String(name || '').toUpperCase().replace(/Δ/g, 'D').replace(/DELTA/g, 'D').replace(/[\s\-_]/g, '');
+  if (compact === 'TOTALTHC') return 'TOTAL THC';
+  if (compact === 'TOTALCBD') return 'TOTAL CBD';
+  if (compact === 'TOTALCANNABINOIDS') return 'TOTAL CANNABINOIDS';
+  if (compact === 'D9THC' || compact === 'D9') return 'THC';
+  if (compact === 'D8THC') return 'D8-THC';
+  return compact;
+}
+
+function familyOf(key) {
+  return Object.keys(FAMILIES).find(f => FAMILIES[f].includes(key)) || key;
+}
+
+function isTotalRow(key) {
+  return key.startsWith('TOTAL ');
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Normalizes the model's COA extraction; null when no usable result rows.
+function normalizeCoa(parsed) {
+  if (!parsed || !Array.isArray(parsed.cannabinoids)) return null;
+  const cannabinoids = parsed.cannabinoids
+    .filter(c => c && typeof c.name === 'string' && c.name.trim())
+    .map(c => ({
+      name: c.name.trim(),
+      key: cannabinoidKey(c.name),
+      percent: numberOrNull(c.percent),
+      mgPerGram: numberOrNull(c.mgPerGram),
+      mgPerServing: numberOrNull(c.mgPerServing),
+      mgPerPackage: numberOrNull(c.mgPerPackage),
+    }))
+    .filter(c => c.percent != null || c.mgPerGram != null || c.mgPerServing != null || c.mgPerPackage != null);
+  if (cannabinoids.length === 0) return null;
+  const text = v => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  return { labName: text(parsed.labName), sampleId: text(parsed.sampleId), batchNumber: text(parsed.batchNumber), cannabinoids };
+}
+
+// The COA row a label claim is checked against: a THC or CBD claim is read
+// as the reported total, falling back to the neutral row.
+function labRowFor(coa, labelKey) {
+  const candidates = labelKey === 'THC' || labelKey === 'TOTAL THC' ? ['TOTAL THC', 'THC']
+    : labelKey === 'CBD' || labelKey === 'TOTAL CBD' ? ['TOTAL CBD', 'CBD']
+      : [labelKey];
+  for (const key of candidates) {
+    const row = coa.cannabinoids.find(c => c.key === key);
+    if (row) return row;
+  }
+  return null;
+}
+
+function compareClaim(claim, lab) {
+  if (lab == null) return { status: 'unverifiable', deviation: null };
+  if (claim.lessThan) return { status: lab < claim.value ? 'pass' : 'fail', deviation: null };
+  const deviation = lab === 0 ? (claim.value === 0 ? 0 : null) : (claim.value - lab) / lab;
+  const withinTolerance = deviation != null && Math.abs(deviation) <= TOLERANCE + 1e-9;
+  const rounded = Math.round(lab) === claim.value;
+  return { status: withinTolerance || rounded ? 'pass' : 'fail', deviation };
+}
+
+// Compares every numeric cannabinoid claim on the label with the COA. An mg
+// amount that doesn't say per serving or per package is compared with both
+// COA values: it passes if it matches either, and is only a warning if it
+// matches neither, since it may be meant the other way.
+function compareClaims(labelText, coa) {
+  const claims = [...cannabinoidAmounts(labelText), ...cannabinoidPercents(labelText)];
+  return claims.map(claim => {
+    const key = cannabinoidKey(claim.cannabinoid);
+    const row = labRowFor(coa, key);
+    const compared = (claim.basis ? [claim.basis] : ['serving', 'package'])
+      .map(basis => ({ basis, lab: row ? row[LAB_FIELDS[basis]] : null }))
+      .map(c => ({ ...c, ...compareClaim(claim, c.lab) }));
+    const best = compared.find(c => c.status === 'pass')
+      || compared.find(c => c.status === 'fail')
+      || compared[0];
+    const status = !claim.basis && best.status === 'fail' ? 'warning' : best.status;
+    return {
+      cannabinoid: claim.cannabinoid,
+      labName: row?.name || null,
+      basis: best.basis,
+      basisStated: Boolean(claim.basis),
+      label: claim.text,
+      lab: best.lab == null ? null : `${best.lab}${UNITS[best.basis]}`,
+      deviationPercent: best.deviation == null ? null : Math.round(best.deviation * 1000) / 10,
+      status,
+    };
+  });
+}
+
+// Share of total cannabinoid content per cannabinoid, using whichever unit
+// the COA reports for most rows. "Total …" rows are excluded from the sum.
+function requiredListings(labelText, coa) {
+  const rows = coa.cannabinoids.filter(c => !isTotalRow(c.key));
+  const field = ['percent', 'mgPerGram', 'mgPerPackage', 'mgPerServing']
+    .reduce((best, f) => (rows.filter(r => r[f] != null).length > rows.filter(r => r[best] != null).length ? f : best));
+  const total = rows.reduce((sum, r) => sum + (r[field] || 0), 0);
+  if (total === 0) return [];
+
+  const listed = new Set([...cannabinoidAmounts(labelText), ...cannabinoidPercents(labelText)]
+    .map(c => familyOf(cannabinoidKey(c.cannabinoid))));
+  return rows
+    .map(r => ({ name: r.name, share: (r[field] || 0) / total, family: familyOf(r.key) }))
+    .filter(r => r.share >= LISTING_THRESHOLD)
+    .map(r => ({ name: r.name, sharePercent: Math.round(r.share * 1000) / 10, listed: listed.has(r.family) }));
+}
+
+function matchVerdict(comparisons) {
+  const compared = comparisons.filter(c => c.status !== 'unverifiable');
+  if (compared.length === 0) {
+    return {
+      status: 'unverifiable',
+      finding: 'A COA was attached, but none of the label\'s cannabinoid amounts could be matched to a COA result in the same unit',
+      recommendation: 'Check that the label states cannabinoid amounts in the units the COA reports (mg/serving, mg/package or %)',
+    };
+  }
+  const failed = compared.filter(c => c.status === 'fail');
+  const unclear = compared.filter(c => c.status === 'warning');
+  const describe = c => `${c.cannabinoid} ${c.label} vs COA ${c.lab}${c.deviationPercent != null ? ` (${c.deviationPercent > 0 ? '+' : ''}${c.deviationPercent}%)` : ''}`;
+  if (failed.length > 0) {
+    return {
+      status: 'fail',
+      finding: `Labeled amounts outside the ±10% COA tolerance: ${failed.map(describe).join('; ')}`,
+      recommendation: 'Relabel using the COA results (rounding to the nearest whole number is allowed), or retest the batch',
+    };
+  }
+  if (unclear.length > 0) {
+    return {
+      status: 'warning',
+      finding: `Amounts that don't say per serving or per package match neither COA value within ±10%: ${unclear.map(describe).join('; ')}`,
+      recommendation: 'State whether each amount is per serving or per package, and check it against the COA',
+    };
+  }
+  return {
+    status: 'pass',
+    finding: `All labeled amounts are within ±10% of the COA: ${compared.map(describe).join('; ')}`,
+    recommendation: '',
+  };
+}
+
+function listingVerdict(required) {
+  const missing = required.filter(r => !r.listed);
+  if (missing.length > 0) {
+    return {
+      status: 'fail',
+      finding: `Cannabinoids at ≥5% of total cannabinoids are not listed on the label: ${missing.map(r => `${r.name} (${r.sharePercent}%)`).join(', ')}`,
+      recommendation: 'List every cannabinoid that is 5% or more of total cannabinoid content, with its amount',
+    };
+  }
+  return {
+    status: 'pass',
+    finding: required.length > 0
+      ? `Every cannabinoid at ≥5% of total is listed: ${required.map(r => `${r.name} (${r.sharePercent}%)`).join(', ')}`
+      : 'No cannabinoid other than those listed reaches 5% of total cannabinoid content',
+    recommendation: '',
+  };
+}
+
+// Returns the cross-check report plus verdicts for the checklist's COA items
+// (matched by citation, so they work for every product type).
+function crossCheckCoa({ labelText, coa, checklistItems }) {
+  const comparisons = compareClaims(labelText, coa);
+  const required = requiredListings(labelText, coa);
+  const verdicts = [];
+  const matchItem = checklistItems.find(i => i.reg === MATCH_REG);
+  const listingItem = checklistItems.find(i => i.reg === LISTING_REG);
+  if (matchItem) verdicts.push({ id: matchItem.id, ...matchVerdict(comparisons), regulation: matchItem.reg });
+  if (listingItem) verdicts.push({ id: listingItem.id, ...listingVerdict(required), regulation: listingItem.reg });
+
+  return {
+    report: { labName: coa.labName, sampleId: coa.sampleId, batchNumber: coa.batchNumber, comparisons, required },
+    verdicts,
+  };
+}
+
+module.exports = { normalizeCoa, crossCheckCoa };
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+const TITLE_LENGTH = 80;
+
+// Q&A conversations belong to the user who started them. `reviewId` is set
+// when the conversation is about a saved label review.
+function createConversation({ orgId, user, packId, review }) {
+  const now = new Date().toISOString();
+  return store.insert('conversations', {
+    id: crypto.randomUUID(),
+    orgId,
+    userId: user.id,
+    packId,
+    reviewId: review?.id || null,
+    productName: review?.productName || null,
+    title: null,
+    turns: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+function getConversation(orgId, userId, id) {
+  return store.find('conversations', c => c.orgId === orgId && c.userId === userId && c.id === id);
+}
+
+// One question and its answer, appended together so a failed model call
+// leaves the conversation as it was. They are appended to the stored turns,
+// which may have grown while the answer was awaited. `sources` are the
+// citations of the regulation text the answer was given.
+function addTurn(id, question, { answer, sources = [] }) {
+  const now = new Date().toISOString();
+  return store.update('conversations', c => c.id === id, c => ({
+    title: c.title || (question.length > TITLE_LENGTH ? `${question.slice(0, TITLE_LENGTH - 1)}…` : question),
+    turns: [
+      ...c.turns,
+      { role: 'user', content: question, createdAt: now },
+      { role: 'assistant', content: answer, sources, createdAt: now },
+    ],
+    updatedAt: now,
+  }));
+}
+
+// The user's conversations, most recently active first, without their turns.
+function listConversations(orgId, userId) {
+  return store
+    .filter('conversations', c => c.orgId === orgId && c.userId === userId && c.turns.length > 0)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(({ turns, ...c }) => ({ ...c, questionCount: turns.length / 2 }));
+}
+
+module.exports = { createConversation, getConversation, addTurn, listConversations };
@@ -0,0 +1,297 @@
+// Serving and dosage calculator: reconciles the cannabinoid numbers on a
+// label and shows the arithmetic. The numbers are parsed from the label
+// transcription; any the reviewer enters (the request's `dosage`) take their
+// place, e.g. when the transcription misread a figure.
+//
+// - servingMath: mg per serving × servings per package = mg per package,
+//   allowing the package figure to be rounded to a whole milligram.
+// - percentMath: THC/CBD % × net weight = mg per package, within ±10%
+//   (§15307.1). Only for net weights in mass units.
+// - underTwoMg: amounts under 2 mg are stated as "<2 mg" (§17407(c)).
+// - servingCap / packageCap: THC per serving and per package within the use
+//   mode's limits (§17304), using a figure worked out from the others when the
+//   label doesn't state one.
+
+const { cannabinoidAmounts, cannabinoidPercents, isThc, isCbd } = require('./rules');
+
+const PERCENT_TOLERANCE = 0.10;
+const CANNABINOIDS = { THC: isThc, CBD: isCbd };
+const BASES = ['serving', 'package', 'percent'];
+
+const SERVING_COUNT = [
+  /servings?\s+per\s+(?:container|package|pkg|bottle|can)\s*:?\s*(\d+)/i,
+  /\b(\d+)\s+servings?\b/i,
+  /\b(\d+)\s+(?:capsules|softgels)\b/i,
+];
+
+const NET_WEIGHT = /\bnet\s*(?:wt\.?|weight|contents|vol\.?)[ \t]*:?[ \t]*([^\n]{0,60})/i;
+const QUANTITY = /(\d+(?:\.\d+)?)\s*(mg|g|kg|ml|l|fl\.?\s*oz|oz|lbs?)\b/i;
+const GRAMS_PER_UNIT = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592, lbs: 453.592 };
+const NET_WEIGHT_UNITS = ['mg', 'g', 'kg', 'oz', 'lb', 'ml', 'l', 'fl oz'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+function servingCount(labelText) {
+  for (const pattern of SERVING_COUNT) {
+    const match = String(labelText || '').match(pattern);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+function netWeightOf(value, unit, text) {
+  const key = unit.toLowerCase().replace(/\.|\s+/g, '');
+  const grams = GRAMS_PER_UNIT[key];
+  return { value, unit: key === 'floz' ? 'fl oz' : key, text, grams: grams == null ? null : round(value * grams, 4) };
+}
+
+function labelNetWeight(labelText) {
+  const statement = String(labelText || '').match(NET_WEIGHT);
+  const quantity = statement && statement[1].match(QUANTITY);
+  return quantity ? netWeightOf(Number(quantity[1]), quantity[2], statement[0].trim()) : null;
+}
+
+// The highest stated amount of a cannabinoid on a basis; caps are judged on
+// the largest figure the label gives.
+function highest(amounts) {
+  const stated = amounts.filter(a => !a.lessThan);
+  const pool = stated.length ? stated : amounts;
+  if (pool.length === 0) return null;
+  const top = pool.reduce((max, a) => (a.value > max.value ? a : max));
+  return { value: top.value, lessThan: top.lessThan, text: top.text, source: 'label' };
+}
+
+// The numbers the calculation runs on: parsed from the label, with any
+// entered value in its place.
+function dosageFacts(labelText, entered = {}) {
+  const amounts = [...cannabinoidAmounts(labelText), ...cannabinoidPercents(labelText)];
+  const facts = { servings: null, netWeight: null, cannabinoids: {} };
+
+  const count = servingCount(labelText);
+  if (entered.servings != null) facts.servings = { value: entered.servings, source: 'entered' };
+  else if (count != null) facts.servings = { value: count, source: 'label' };
+
+  if (entered.netWeight != null) {
+    const { value, unit } = entered.netWeight;
+    facts.netWeight = { ...netWeightOf(value, unit, `${value} ${unit}`), source: 'entered' };
+  } else {
+    const parsed = labelNetWeight(labelText);
+    if (parsed) facts.netWeight = { ...parsed, source: 'label' };
+  }
+
+  for (const [name, matches] of Object.entries(CANNABINOIDS)) {
+    const own = amounts.filter(matches);
+    const input = entered[name.toLowerCase()] || {};
+    facts.cannabinoids[name] = Object.fromEntries(BASES.map(basis => {
+      if (input[basis] != null) {
+        const unit = basis === 'percent' ? '%' : ' mg';
+        return [basis, { value: input[basis], lessThan: false, text: `${input[basis]}${unit}`, source: 'entered' }];
+      }
+      return [basis, highest(own.filter(a => a.basis === basis))];
+    }));
+  }
+  return facts;
+}
+
+// ── Checks ──
+
+function servingMath(facts) {
+  const pairs = Object.entries(facts.cannabinoids)
+    .map(([name, c]) => ({ name, serving: c.serving, pkg: c.package }))
+    .filter(p => p.serving && p.pkg && !p.serving.lessThan && !p.pkg.lessThan);
+  if (pairs.length === 0) return null;
+
+  const count = facts.servings?.value;
+  if (count == null) {
+    if (pairs.every(p => p.serving.value === p.pkg.value)) {
+      return { status: 'pass', finding: 'Single-serving package: per-serving and per-package amounts are equal', steps: [], recommendation: '' };
+    }
+    return {
+      status: 'warning',
+      finding: 'Servings per container are not stated, so the per-serving and per-package amounts cannot be reconciled',
+      steps: pairs.map(p => `${p.name} ${p.pkg.text} ÷ ${p.serving.text} = ${round(p.pkg.value / p.serving.value)} servings implied`),
+      recommendation: 'State the number of servings per container so the per-serving and per-package amounts can be reconciled',
+    };
+  }
+  const worked = pairs.map(p => {
+    const expected = round(p.serving.value * count);
+    return {
+      ok: Math.abs(expected - p.pkg.value) < 1,
+      text: `${p.name}: ${p.serving.text} × ${count} servings = ${expected} mg; label states ${p.pkg.text} per package`,
+    };
+  });
+  const failed = worked.filter(w => !w.ok);
+  return {
+    status: failed.length ? 'fail' : 'pass',
+    finding: failed.length ? 'Per-serving and per-package amounts do not reconcile' : 'Per-serving and per-package amounts reconcile',
+    steps: worked.map(w => w.text),
+    recommendation: failed.length ? 'Correct the per-serving amount, the servings per container or the per-package amount so they agree' : '',
+  };
+}
+
+function percentMath(facts) {
+  const grams = facts.netWeight?.grams;
+  const pairs = Object.entries(facts.cannabinoids)
+    .map(([name, c]) => ({ name, percent: c.percent, pkg: c.package }))
+    .filter(p => p.percent && p.pkg && !p.percent.lessThan && !p.pkg.lessThan);
+  if (pairs.length === 0) return null;
+  if (grams == null) {
+    return {
+      status: 'unverifiable',
+      finding: facts.netWeight
+        ? `The net weight (${facts.netWeight.text}) is a volume, so % cannot be converted to mg`
+        : 'No net weight was found, so % cannot be converted to mg',
+      steps: [],
+      recommendation: '',
+    };
+  }
+  const worked = pairs.map(p => {
+    const expected = round(p.percent.value / 100 * grams * 1000, 1);
+    const deviation = expected === 0 ? null : (p.pkg.value - expected) / expected;
+    return {
+      ok: deviation != null && Math.abs(deviation) <= PERCENT_TOLERANCE + 1e-9,
+      text: `${p.name}: ${p.percent.text} × ${grams} g × 1,000 mg/g = ${expected} mg; label states ${p.pkg.text} per package`
+        + (deviation == null ? '' : ` (${deviation > 0 ? '+' : ''}${round(deviation * 100, 1)}%)`),
+    };
+  });
+  const failed = worked.filter(w => !w.ok);
+  return {
+    status: failed.length ? 'fail' : 'pass',
+    finding: failed.length ? 'The mg per package and the % do not agree for the net weight (more than ±10% apart)' : 'The mg per package and the % agree for the net weight',
+    steps: worked.map(w => w.text),
+    recommendation: failed.length ? 'Recalculate the mg per package from the % and the net weight (or the reverse) so both state the same content' : '',
+  };
+}
+
+function underTwoMg(facts, { labelText }) {
+  const amounts = cannabinoidAmounts(labelText).filter(a => isThc(a) || isCbd(a));
+  if (amounts.length === 0) return null;
+
+  const unqualified = amounts.filter(a => !a.lessThan && a.value < 2);
+  if (unqualified.length > 0) {
+    return {
+      status: 'fail',
+      finding: 'Amounts below 2 mg are stated numerically',
+      steps: unqualified.map(a => `${a.cannabinoid} "${a.text}": ${a.value} mg < 2 mg, so it must read "<2 mg"`),
+      recommendation: 'State any THC or CBD amount under 2 mg as "<2 mg per serving" or "<2 mg per package"',
+    };
+  }
+  const otherBound = amounts.filter(a => a.lessThan && a.value !== 2);
+  if (otherBound.length > 0) {
+    return {
+      status: 'warning',
+      finding: 'Amounts use a bound other than "<2 mg"',
+      steps: otherBound.map(a => `"${a.text}"`),
+      recommendation: 'Use the "<2 mg" phrasing from §17407(c)',
+    };
+  }
+  return {
+    status: 'pass',
+    finding: 'All THC/CBD amounts are 2 mg or more, or stated as "<2 mg"',
+    steps: [amounts.map(a => a.text).join(', ')],
+    recommendation: '',
+  };
+}
+
+// THC per serving or per package: the stated figure, else one worked out
+// from the others.
+function thcAmount(facts, basis) {
+  const thc = facts.cannabinoids.THC;
+  const count = facts.servings?.value;
+  if (thc[basis]) return { value: thc[basis].value, lessThan: thc[basis].lessThan, how: `${thc[basis].text} per ${basis} stated` };
+  if (basis === 'serving' && thc.package && count) {
+    return { value: round(thc.package.value / count), lessThan: thc.package.lessThan, how: `${thc.package.text} ÷ ${count} servings = ${round(thc.package.value / count)} mg per serving` };
+  }
+  if (basis === 'package' && thc.serving && count) {
+    return { value: round(thc.serving.value * count), lessThan: thc.serving.lessThan, how: `${thc.serving.text} × ${count} servings = ${round(thc.serving.value * count)} mg per package` };
+  }
+  if (basis === 'package' && thc.percent && facts.netWeight?.grams != null) {
+    const mg = round(thc.percent.value / 100 * facts.netWeight.grams * 1000, 1);
+    return { value: mg, lessThan: thc.percent.lessThan, how: `${thc.percent.text} × ${facts.netWeight.grams} g × 1,000 mg/g = ${mg} mg per package` };
+  }
+  return null;
+}
+
+// The cap comes from the use mode the review assumed (the rule pack's
+// `thcLimits` for the product type); no cap leaves the item to the model. An
+// adult-use label over its cap is pointed at the medicinal mode only when
+// that mode allows more (e.g. tinctures, but not edibles, in California).
+function thcCap(basis) {
+  return (facts, { productType, useMode, useModes }) => {
+    const limit = useMode.thcLimits?.[productType]?.[basis];
+    if (limit == null) return null;
+    const amount = thcAmount(facts, basis);
+    if (!amount) return null;
+
+    const mode = useMode.label.toLowerCase();
+    const steps = [amount.how, `${mode} limit ${limit} mg per ${basis}`];
+    if (amount.lessThan || amount.value <= limit) {
+      return { status: 'pass', finding: `THC per ${basis} is within the ${limit} mg ${mode} limit`, steps, recommendation: '' };
+    }
+    const medicinalLimit = useModes?.medicinal?.thcLimits?.[productType]?.[basis];
+    return {
+      status: 'fail',
+      finding: `THC per ${basis} is ${amount.value} mg, above the ${limit} mg ${mode} limit`,
+      steps,
+      recommendation: useMode.id === 'adult_use' && medicinalLimit > limit && amount.value <= medicinalLimit
+        ? `Reformulate to ${limit} mg THC or less per ${basis}, or review and sell it as a medicinal product ("FOR MEDICAL USE ONLY", up to ${medicinalLimit} mg)`
+        : `Reformulate to ${limit} mg THC or less per ${basis}`,
+    };
+  };
+}
+
+const CHECKS = {
+  servingMath: { name: 'Serving math', run: servingMath },
+  percentMath: { name: 'mg ↔ % for net weight', run: percentMath },
+  underTwoMg: { name: '"<2 mg" statements', run: underTwoMg },
+  servingCap: { name: 'THC per serving cap', run: thcCap('serving') },
+  packageCap: { name: 'THC per package cap', run: thcCap('package') },
+};
+
+// Rule pack id → checklist item id → the check that decides it.
+const DOSAGE_ITEMS = {
+  'ca-dcc': {
+    e4b: 'servingMath', e4c: 'underTwoMg', e4f: 'servingCap', e4f2: 'servingCap', e4g: 'packageCap', e4g2: 'packageCap',
+    b4b2: 'servingMath', b4c: 'underTwoMg', b4f: 'servingCap', b4f2: 'servingCap', b4g: 'packageCap', b4g2: 'packageCap',
+    d4c: 'underTwoMg', d4g: 'packageCap', d4g2: 'packageCap',
+    c4b2: 'servingMath', c4c: 'underTwoMg', c4g: 'packageCap', c4g2: 'packageCap',
+    t4c: 'underTwoMg', t4g: 'packageCap', t4g2: 'packageCap',
+    v4b: 'percentMath', v4c: 'underTwoMg',
+  },
+  'co-med': { e5a: 'servingMath', e5b: 'servingCap', e5c: 'packageCap', v5a: 'percentMath' },
+  'mi-cra': { e5a: 'servingMath', v5a: 'percentMath' },
+  'or-olcc': { e5a: 'servingMath', v5a: 'percentMath' },
+};
+
+// Runs every check on the label's numbers. Returns the report (the facts and
+// each check's worked calculation) and a verdict for each checklist item a
+// check decides. `useModes` is the pack's full set, used to compare limits.
+function calculateDosage({ labelText, entered, packId, productType, useMode, useModes, checklistItems }) {
+  const facts = dosageFacts(labelText, entered || undefined);
+  const context = { labelText, productType, useMode, useModes };
+  const checks = Object.entries(CHECKS)
+    .map(([key, check]) => {
+      const outcome = check.run(facts, context);
+      return outcome && { key, name: check.name, ...outcome };
+    })
+    .filter(Boolean);
+
+  const map = DOSAGE_ITEMS[packId] || {};
+  const verdicts = checklistItems
+    .map(item => {
+      const check = checks.find(c => c.key === map[item.id]);
+      if (!check || check.status === 'unverifiable') return null;
+      return {
+        id: item.id,
+        status: check.status,
+        finding: check.steps.length ? `${check.finding}: ${check.steps.join('; ')}` : check.finding,
+        recommendation: check.recommendation,
+        regulation: item.reg,
+      };
+    })
+    .filter(Boolean);
+
+  return { report: { facts, checks }, verdicts };
+}
+
+module.exports = { NET_WEIGHT_UNITS, DOSAGE_ITEMS, calculateDosage };
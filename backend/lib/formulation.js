@@ -0,0 +1,428 @@
+// Edible ingredient and nutrition panel vs. the product's formulation
+// (§17406(a)(5)–(8)). The reviewer enters the recipe for one package: each
+// ingredient's weight in grams, its major food allergens, whether it is an
+// artificial coloring and, optionally, its sodium, sugar, carbohydrate and fat
+// content per 100 g. The panel is read from the label transcription and
+// compared with the formulation here, deterministically:
+//
+// - order: ingredients in descending order of predominance by weight. Those
+//   after "contains 2% or less of" may be in any order, but must each be ≤2%.
+// - allergens: every major food allergen in the formulation is declared, in a
+//   "Contains" statement or by name in the ingredients list ("whey (milk)").
+// - colors: every artificial coloring is named ("Red 40"), not just
+//   "artificial color".
+// - nutrition: printed sodium, sugar, carbohydrates and total fat per serving
+//   match the formulation after FDA rounding (21 CFR 101.9(c)), or are within
+//   20% of it.
+
+const { normalize } = require('./rules');
+
+const MINOR_SHARE = 0.02;
+const NUTRITION_TOLERANCE = 0.20;
+
+// The nine major food allergens, with the names that declare each one.
+const MAJOR_ALLERGENS = {
+  milk: { name: 'Milk', terms: ['milk'] },
+  eggs: { name: 'Eggs', terms: ['eggs?'] },
+  fish: { name: 'Fish', terms: ['fish', 'anchov(?:y|ies)', 'salmon', 'tuna', 'cod', 'tilapia'] },
+  shellfish: { name: 'Crustacean shellfish', terms: ['shellfish', 'crustaceans?', 'shrimp', 'crabs?', 'lobsters?', 'crayfish'] },
+  treeNuts: {
+    name: 'Tree nuts',
+    terms: ['tree nuts?', 'almonds?', 'cashews?', 'walnuts?', 'pecans?', 'hazelnuts?', 'pistachios?', 'macadamias?(?: nuts?)?', 'brazil nuts?', 'coconuts?'],
+  },
+  peanuts: { name: 'Peanuts', terms: ['peanuts?'] },
+  wheat: { name: 'Wheat', terms: ['wheat'] },
+  soy: { name: 'Soy', terms: ['soy', 'soybeans?', 'soya'] },
+  sesame: { name: 'Sesame', terms: ['sesame'] },
+};
+
+const ALLERGEN_PATTERNS = Object.entries(MAJOR_ALLERGENS)
+  .map(([key, a]) => ({ key, regex: new RegExp(`\\b(?:${a.terms.join('|')})\\b`, 'i') }));
+
+// FD&C certified colors, which must each be named on the label ("Red 40",
+// "FD&C Red No. 40" or "Red 40 Lake").
+const CERTIFIED_COLORS = [
+  ['FD&C Red No. 40', 'red', 40],
+  ['FD&C Red No. 3', 'red', 3],
+  ['FD&C Yellow No. 5', 'yellow', 5],
+  ['FD&C Yellow No. 6', 'yellow', 6],
+  ['FD&C Blue No. 1', 'blue', 1],
+  ['FD&C Blue No. 2', 'blue', 2],
+  ['FD&C Green No. 3', 'green', 3],
+  ['Citrus Red No. 2', 'citrus\\s+red', 2],
+  ['Orange B', 'orange\\s+b', ''],
+].map(([name, color, number]) => ({
+  name,
+  regex: new RegExp(`\\b(?:fd&c\\s+)?${color}${number === '' ? '' : `\\s*(?:no\\.?\\s*)?${number}`}\\b`, 'i'),
+}));
+
+const GENERIC_COLOR = /\b(?:artificial\s+colou?rs?|artificial\s+colou?rings?|colou?rs?\s+added|added\s+colou?rs?|fd&c\s+colou?rs?)\b/i;
+
+const NUTRIENTS = {
+  sodium: { name: 'Sodium', unit: 'mg', pattern: /\bsodium\b/ },
+  sugar: { name: 'Sugar', unit: 'g', pattern: /(?<!added\s)\b(?:total\s+)?sugars?\b(?!\s+alcohol)/ },
+  carbs: { name: 'Carbohydrates', unit: 'g', pattern: /\b(?:total\s+)?carb(?:ohydrate)?s?\b/ },
+  fat: { name: 'Total fat', unit: 'g', pattern: /(?<!(?:saturated|trans)\s)\b(?:total\s+)?fat\b/ },
+};
+
+const AMOUNT = /^\s*:?\s*(<\s*|less\s+than\s+)?(\d+(?:\.\d+)?)\s*(mg|g)\b/i;
+
+// The allergen key for an allergen name ("Milk", "soybeans", "almond"), or
+// null when it is not one of the nine major food allergens.
+function allergenKey(name) {
+  const text = String(name || '').trim();
+  if (MAJOR_ALLERGENS[text]) return text;
+  return ALLERGEN_PATTERNS.find(p => p.regex.test(text))?.key || null;
+}
+
+function certifiedColor(name) {
+  return CERTIFIED_COLORS.find(c => c.regex.test(name)) || null;
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Normalizes a validated request formulation: allergen names become keys,
+// blank nutrition values become null. Ingredients are sorted heaviest first.
+function normalizeFormulation(formulation) {
+  const ingredients = formulation.ingredients.map(i => ({
+    name: normalize(i.name),
+    weight: i.weight,
+    allergens: [...new Set((i.allergens || []).map(allergenKey))],
+    colorAdditive: Boolean(i.colorAdditive) || Boolean(certifiedColor(i.name)),
+    per100g: Object.fromEntries(Object.keys(NUTRIENTS).map(k => [k, numberOrNull(i.per100g?.[k])])),
+  }));
+  ingredients.sort((a, b) => b.weight - a.weight);
+  return { servings: formulation.servings, ingredients };
+}
+
+// ── Reading the panel off the label ──
+
+const INGREDIENTS_HEADING = /\bingredients?\s*:\s*/i;
+const LIST_END = /\n\s*\n|\n\s*(?=[A-Za-z][A-Za-z &'/-]{1,30}:)|\b(?:contains|allergens?|allergen\s+statement)\s*:/i;
+const MINOR_MARKER = /,?\s*\b(?:contains\s+)?(?:2\s*%\s+or\s+less|less\s+than\s+2\s*%)\s+of\s*:?\s*/i;
+
+// Splits on commas outside parentheses and brackets.
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(' || ch === '[') depth++;
+    if ((ch === ')' || ch === ']') && depth > 0) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim().replace(/^and\s+/i, '').replace(/[.;]+$/, '').trim()).filter(Boolean);
+}
+
+function parseEntry(text, minor) {
+  const inner = [...text.matchAll(/[([]([^)\]]*)[)\]]/g)].map(m => m[1]);
+  return {
+    text,
+    name: text.replace(/[([][^)\]]*[)\]]/g, '').replace(/\s+/g, ' ').trim(),
+    subIngredients: inner.flatMap(s => splitTopLevel(s)),
+    minor,
+  };
+}
+
+// The printed ingredients list: entries in order, each with its
+// parenthesized sub-ingredients. Null when the label has no list.
+function labelIngredients(labelText) {
+  const text = String(labelText || '');
+  const heading = text.match(INGREDIENTS_HEADING);
+  if (!heading) return null;
+  const rest = text.slice(heading.index + heading[0].length);
+  const end = rest.search(LIST_END);
+  const list = (end === -1 ? rest : rest.slice(0, end)).replace(/\s*\n\s*/g, ' ');
+  const marker = list.match(MINOR_MARKER);
+  const major = marker ? list.slice(0, marker.index) : list;
+  const minor = marker ? list.slice(marker.index + marker[0].length) : '';
+  const entries = [...splitTopLevel(major).map(e => parseEntry(e, false)), ...splitTopLevel(minor).map(e => parseEntry(e, true))];
+  return entries.length > 0 ? entries : null;
+}
+
+// The "Contains: …" allergen statement, or null.
+function containsStatement(labelText) {
+  const m = String(labelText || '').match(/\b(?:contains|allergens?|allergen\s+statement)\s*:\s*([^\n]+)/i);
+  return m ? m[1].trim().replace(/\.$/, '') : null;
+}
+
+// The printed per-serving amount of each nutrient, in its unit, or null.
+function labelNutrition(labelText) {
+  const lines = String(labelText || '').split(/\n/);
+  const found = {};
+  for (const [key, nutrient] of Object.entries(NUTRIENTS)) {
+    const pattern = new RegExp(nutrient.pattern.source, 'gi');
+    for (const line of lines) {
+      for (const m of line.matchAll(pattern)) {
+        const amount = line.slice(m.index + m[0].length).match(AMOUNT);
+        if (!amount) continue;
+        const value = Number(amount[2]);
+        const unit = amount[3].toLowerCase();
+        found[key] = {
+          text: `${m[0].trim()} ${amount[0].replace(/^\s*:?\s*/, '')}`,
+          value: unit === nutrient.unit ? value : unit === 'g' ? value * 1000 : value / 1000,
+          lessThan: Boolean(amount[1]),
+        };
+        break;
+      }
+      if (found[key]) break;
+    }
+  }
+  return found;
+}
+
+// ── Matching ──
+
+const STOP_WORDS = new Set(['and', 'of', 'the', 'natural', 'organic', 'pure', 'with']);
+
+function nameTokens(name) {
+  return new Set(String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').split(' ')
+    .filter(w => w && !STOP_WORDS.has(w))
+    .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w)));
+}
+
+function namesMatch(a, b) {
+  const colorA = certifiedColor(a);
+  if (colorA || certifiedColor(b)) return colorA === certifiedColor(b);
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (ta.size === 0 || tb.size === 0) return false;
+  const shared = [...ta].filter(w => tb.has(w)).length;
+  return shared === Math.min(ta.size, tb.size) || shared / new Set([...ta, ...tb]).size >= 0.5;
+}
+
+// Where each formulation ingredient appears on the label: the index of the
+// top-level entry, and whether it was only found as a sub-ingredient.
+function locateIngredients(formulation, entries) {
+  const used = new Set();
+  return formulation.ingredients.map(ing => {
+    const index = entries.findIndex((e, i) => !used.has(i) && namesMatch(ing.name, e.name));
+    if (index !== -1) {
+      used.add(index);
+      return { index, listedAs: entries[index].name, sub: false };
+    }
+    const parent = entries.findIndex(e => e.subIngredients.some(s => namesMatch(ing.name, s)));
+    if (parent !== -1) return { index: parent, listedAs: entries[parent].subIngredients.find(s => namesMatch(ing.name, s)), sub: true };
+    return { index: null, listedAs: null, sub: false };
+  });
+}
+
+const formatGrams = g => `${Math.round(g * 100) / 100} g`;
+
+// ── Checks ──
+
+function checkOrder(formulation, entries, located, totalWeight) {
+  const issues = [];
+  const listed = formulation.ingredients
+    .map((ing, i) => ({ ing, ...located[i] }))
+    .filter(l => l.index != null && !l.sub)
+    .sort((a, b) => a.index - b.index);
+
+  const major = listed.filter(l => !entries[l.index].minor);
+  for (let i = 1; i < major.length; i++) {
+    const before = major[i - 1];
+    const after = major[i];
+    if (after.ing.weight > before.ing.weight) {
+      issues.push({ severity: 'fail', message: `${after.listedAs} (${formatGrams(after.ing.weight)}) is listed after ${before.listedAs} (${formatGrams(before.ing.weight)})` });
+    }
+  }
+  for (const l of listed.filter(l => entries[l.index].minor)) {
+    if (l.ing.weight / totalWeight > MINOR_SHARE + 1e-9) {
+      issues.push({ severity: 'fail', message: `${l.listedAs} is listed under "2% or less" but is ${Math.round(l.ing.weight / totalWeight * 1000) / 10}% of the formulation` });
+    }
+  }
+  formulation.ingredients.forEach((ing, i) => {
+    if (located[i].index == null) issues.push({ severity: 'fail', message: `${ing.name} (${formatGrams(ing.weight)}) is in the formulation but not in the ingredients list` });
+  });
+  // A bare "artificial color" stands in for the formulation's colorings; the
+  // colors check reports it.
+  const hasColors = formulation.ingredients.some(i => i.colorAdditive);
+  entries.forEach((e, i) => {
+    if (hasColors && GENERIC_COLOR.test(e.name)) return;
+    if (!located.some(l => l.index === i)) issues.push({ severity: 'warning', message: `${e.name} is listed on the label but is not in the formulation` });
+  });
+  return issues;
+}
+
+function checkAllergens(formulation, entries, contains) {
+  const required = new Set(formulation.ingredients.flatMap(i => i.allergens));
+  const listText = entries.map(e => e.text).join(', ');
+  const allergens = Object.entries(MAJOR_ALLERGENS).map(([key, a]) => {
+    const { regex } = ALLERGEN_PATTERNS.find(p => p.key === key);
+    const source = contains && regex.test(contains) ? 'contains' : regex.test(listText) ? 'list' : null;
+    return { key, name: a.name, required: required.has(key), declared: source != null, source };
+  }).filter(a => a.required || a.declared);
+
+  const issues = [];
+  for (const a of allergens.filter(a => a.required && !a.declared)) {
+    const from = formulation.ingredients.filter(i => i.allergens.includes(a.key)).map(i => i.name);
+    issues.push({ severity: 'fail', message: `${a.name} (from ${from.join(', ')}) is not declared` });
+  }
+  for (const a of allergens.filter(a => a.declared && !a.required)) {
+    issues.push({ severity: 'warning', message: `${a.name} is declared on the label but no ingredient in the formulation contains it` });
+  }
+  return { allergens, issues };
+}
+
+function checkColors(formulation, entries, located) {
+  const labelNames = entries.flatMap(e => [e.name, ...e.subIngredients]);
+  const genericOnly = labelNames.some(n => GENERIC_COLOR.test(n));
+  const colors = formulation.ingredients
+    .map((ing, i) => ({ ing, loc: located[i] }))
+    .filter(({ ing }) => ing.colorAdditive)
+    .map(({ ing, loc }) => ({ name: ing.name, listedAs: loc.listedAs }));
+
+  const issues = colors.filter(c => !c.listedAs).map(c => ({
+    severity: 'fail',
+    message: genericOnly ? `${c.name} is only declared as "artificial color"; it must be named` : `${c.name} is not named on the label`,
+  }));
+  for (const name of labelNames.filter(n => certifiedColor(n))) {
+    if (!formulation.ingredients.some(i => namesMatch(i.name, name))) {
+      issues.push({ severity: 'warning', message: `${name} is listed on the label but is not in the formulation` });
+    }
+  }
+  return { colors, issues };
+}
+
+// FDA rounding for the nutrition facts panel (21 CFR 101.9(c)). Sugar and
+// carbohydrates between 0.5 and 1 g are declared as "less than 1 g".
+function roundNutrient(key, value) {
+  if (key === 'sodium') {
+    if (value < 5) return 0;
+    return value <= 140 ? Math.round(value / 5) * 5 : Math.round(value / 10) * 10;
+  }
+  if (key === 'fat') {
+    if (value < 0.5) return 0;
+    return value < 5 ? Math.round(value * 2) / 2 : Math.round(value);
+  }
+  if (value < 0.5) return 0;
+  return value < 1 ? '<1' : Math.round(value);
+}
+
+function checkNutrition(formulation, printed) {
+  return Object.entries(NUTRIENTS).map(([key, nutrient]) => {
+    const missingData = formulation.ingredients.filter(i => i.per100g[key] == null).map(i => i.name);
+    const computed = missingData.length > 0 ? null
+      : formulation.ingredients.reduce((sum, i) => sum + i.weight * i.per100g[key] / 100, 0) / formulation.servings;
+    const label = printed[key] || null;
+    const row = {
+      key,
+      name: nutrient.name,
+      unit: nutrient.unit,
+      computed: computed == null ? null : Math.round(computed * 100) / 100,
+      expected: computed == null ? null : roundNutrient(key, computed),
+      label: label?.text || null,
+      missingData,
+    };
+    if (!label) return { ...row, status: 'missing' };
+    if (computed == null) return { ...row, status: 'unverifiable' };
+    const matches = label.lessThan
+      ? computed < label.value
+      : label.value === row.expected || (computed > 0 && Math.abs(label.value - computed) / computed <= NUTRITION_TOLERANCE + 1e-9);
+    return { ...row, status: matches ? 'pass' : 'fail' };
+  });
+}
+
+function nutritionIssues(nutrition) {
+  return nutrition.flatMap(n => {
+    const worked = n.computed == null ? ''
+      : `the formulation gives ${n.computed} ${n.unit} per serving (${n.expected} ${n.unit} rounded)`;
+    if (n.status === 'missing') return [{ severity: 'fail', message: `${n.name} per serving is not on the label${worked && `; ${worked}`}` }];
+    if (n.status === 'fail') return [{ severity: 'fail', message: `${n.name}: the label states "${n.label}", ${worked}` }];
+    return [];
+  });
+}
+
+// Checklist item id → the checks it covers, per rule pack.
+const FORMULATION_ITEMS = {
+  'ca-dcc': { e3e: ['order'], e3f: ['allergens'], e3g: ['colors'], e3g2: ['nutrition'] },
+  'co-med': { e4c: ['order', 'allergens'] },
+  'mi-cra': { e4c: ['order', 'allergens'] },
+  'or-olcc': { e4c: ['order', 'allergens'] },
+};
+
+const CHECK_NAMES = { order: 'Ingredient order', allergens: 'Allergens', colors: 'Artificial colorings', nutrition: 'Nutrition per serving' };
+
+function hasFormulationChecks(packId, checklistItems) {
+  const map = FORMULATION_ITEMS[packId] || {};
+  return checklistItems.some(i => map[i.id]);
+}
+
+function checkStatus(issues) {
+  if (issues.some(i => i.severity === 'fail')) return 'fail';
+  return issues.some(i => i.severity === 'warning') ? 'warning' : 'pass';
+}
+
+// Compares the label's ingredient and nutrition panel with `formulation`
+// (normalized). Returns the report and a verdict for each mapped checklist
+// item whose checks could be run.
+function checkFormulation({ labelText, formulation, packId, checklistItems }) {
+  const map = FORMULATION_ITEMS[packId] || {};
+  const totalWeight = formulation.ingredients.reduce((sum, i) => sum + i.weight, 0);
+  const entries = labelIngredients(labelText);
+  const contains = containsStatement(labelText);
+  const located = entries ? locateIngredients(formulation, entries) : formulation.ingredients.map(() => ({ index: null, listedAs: null, sub: false }));
+
+  const noList = [{ severity: 'fail', message: 'No ingredients list ("Ingredients: …") was found on the label' }];
+  const allergenCheck = checkAllergens(formulation, entries || [], contains);
+  const colorCheck = checkColors(formulation, entries || [], located);
+  const nutrition = checkNutrition(formulation, labelNutrition(labelText));
+  const nutritionChecked = nutrition.some(n => n.status !== 'unverifiable');
+
+  const checks = {
+    order: entries ? checkOrder(formulation, entries, located, totalWeight) : noList,
+    allergens: allergenCheck.issues,
+    colors: entries || !formulation.ingredients.some(i => i.colorAdditive) ? colorCheck.issues : noList,
+    nutrition: nutritionChecked ? nutritionIssues(nutrition) : null,
+  };
+
+  const verdicts = [];
+  for (const item of checklistItems) {
+    const covered = (map[item.id] || []).filter(check => checks[check]);
+    if (covered.length === 0) continue;
+    const issues = covered.flatMap(check => checks[check].map(i => ({ ...i, check })));
+    const status = checkStatus(issues);
+    verdicts.push({
+      id: item.id,
+      status,
+      finding: status === 'pass'
+        ? `Consistent with the formulation: ${covered.map(c => CHECK_NAMES[c].toLowerCase()).join(', ')}`
+        : `Differs from the formulation: ${issues.map(i => i.message).join('; ')}`,
+      recommendation: status === 'pass' ? '' : 'Update the label to match the formulation, or correct the formulation if the label is right',
+      regulation: item.reg,
+    });
+  }
+
+  return {
+    report: {
+      servings: formulation.servings,
+      totalWeight: Math.round(totalWeight * 100) / 100,
+      ingredients: formulation.ingredients.map((ing, i) => ({
+        name: ing.name,
+        weight: ing.weight,
+        percent: Math.round(ing.weight / totalWeight * 1000) / 10,
+        allergens: ing.allergens.map(k => MAJOR_ALLERGENS[k].name),
+        colorAdditive: ing.colorAdditive,
+        listedAs: located[i].listedAs,
+        position: located[i].index == null ? null : located[i].index + 1,
+      })),
+      labelIngredients: entries && entries.map(e => e.text),
+      contains,
+      allergens: allergenCheck.allergens,
+      colors: colorCheck.colors,
+      nutrition,
+      checks: Object.fromEntries(Object.entries(checks).map(([key, issues]) => [key, issues && { status: checkStatus(issues), issues }])),
+    },
+    verdicts,
+  };
+}
+
+module.exports = { MAJOR_ALLERGENS, FORMULATION_ITEMS, allergenKey, normalizeFormulation, hasFormulationChecks, checkFormulation };
@@ -0,0 +1,16 @@
+// Mirrors the letter-grade bands the frontend renders so reviews can be
+// filtered by grade on the server.
+const GRADE_BANDS = [
+  [97, 'A+'], [93, 'A'], [90, 'A-'],
+  [87, 'B+'], [83, 'B'], [80, 'B-'],
+  [77, 'C+'], [73, 'C'], [70, 'C-'],
+  [67, 'D+'], [63, 'D'], [60, 'D-'],
+];
+
+function scoreToGrade(score) {
+  if (score == null) return null;
+  const band = GRADE_BANDS.find(([min]) => score >= min);
+  return band ? band[1] : 'F';
+}
+
+module.exports = { scoreToGrade };
@@ -0,0 +1,239 @@
+// Physical size checks: the universal symbol (§17410), the 6 pt minimum type
+// size (§17404(a), §17406(b)) and the Prop 65 symbol height. The model only
+// locates elements on the label (MEASUREMENT_PROMPT); converting its boxes to
+// inches and points and comparing them with the requirements happens here.
+//
+// Boxes are fractions of the page, so the resolution of the uploaded image
+// (the browser rescales images to 1920px) doesn't matter, only the label size
+// the reviewer declared or the size of the PDF page the element is on. Type
+// size is estimated from cap height, which is about 70% of the point size in
+// typical label typefaces.
+
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+const CAP_HEIGHT_RATIO = 0.7;
+// Boxes read off an image are not precise enough to pass or fail a value
+// within this margin of the limit, so those come back as warnings.
+const MARGIN = 0.1;
+const LABEL_SIZE_UNITS = ['in', 'mm'];
+const MAX_LABEL_INCHES = 48;
+
+const ELEMENTS = ['universalSymbol', 'prop65Symbol', 'prop65WarningWord', 'smallestText'];
+
+function toInches(value, unit) {
+  return unit === 'mm' ? value / MM_PER_INCH : value;
+}
+
+// Declared label width and height in inches, or null when they aren't
+// positive numbers in a known unit (or are implausibly large).
+function labelSizeInches(labelSize) {
+  const { width, height, unit } = labelSize || {};
+  if (!LABEL_SIZE_UNITS.includes(unit)) return null;
+  const inches = [width, height].map(v => (typeof v === 'number' && v > 0 ? toInches(v, unit) : null));
+  if (inches.some(v => v == null || v > MAX_LABEL_INCHES)) return null;
+  return { width: inches[0], height: inches[1] };
+}
+
+function normalizeElement(entry) {
+  const box = entry?.box;
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(v => typeof v === 'number' && v >= 0 && v <= 1)) return null;
+  const [left, top, right, bottom] = box;
+  if (right <= left || bottom <= top) return null;
+  return {
+    page: Number.isInteger(entry.page) && entry.page > 0 ? entry.page : 1,
+    box,
+    text: typeof entry.text === 'string' && entry.text.trim() ? entry.text.trim() : null,
+  };
+}
+
+// Normalizes the model's reply; null when it isn't an object at all.
+function normalizeMeasurements(parsed) {
+  if (!parsed || typeof parsed !== 'object') return null;
+  return Object.fromEntries(ELEMENTS.map(key => [key, normalizeElement(parsed[key])]));
+}
+
+// The size in inches of each page an element can be on. A PDF measured at its
+// own size (`source: 'pdf'`) uses every page's size as pdf.js reads it, the
+// same box the page was rendered from, unscaled. A declared size is the
+// printed size of the image, or of a PDF's page 1 with the other pages scaled
+// with it.
+function pageSizes(labelSize, pages) {
+  if (labelSize.source === 'pdf') return new Map(pages.map(p => [p.page, { width: p.width, height: p.height }]));
+  const size = labelSizeInches(labelSize);
+  if (!pages?.length) return new Map([[1, size]]);
+  const first = pages.find(p => p.page === 1) || pages[0];
+  const scaleX = size.width / first.width;
+  const scaleY = size.height / first.height;
+  return new Map(pages.map(p => [p.page, { width: p.width * scaleX, height: p.height * scaleY }]));
+}
+
+function sizeOf(element, sizes) {
+  const [left, top, right, bottom] = element.box;
+  const page = sizes.get(element.page) || sizes.get(1) || sizes.values().next().value;
+  return { width: (right - left) * page.width, height: (bottom - top) * page.height };
+}
+
+function compare(measured, required) {
+  if (measured >= required * (1 + MARGIN)) return 'pass';
+  if (measured < required * (1 - MARGIN)) return 'fail';
+  return 'warning';
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const inches = value => `${round(value, 2)} in (${round(value * MM_PER_INCH, 1)} mm)`;
+
+// Each check takes the located elements and the page sizes in inches and
+// returns one row of the measurement report.
+const universalSymbol = (minInches, altInches = null) => ({
+  key: 'universalSymbol',
+  name: 'Universal symbol size',
+  measure({ universalSymbol: element }, sizes) {
+    const required = `≥ ${minInches} in${altInches ? ` (${altInches} in for vape cartridges and integrated vaporizers)` : ''}`;
+    if (!element) {
+      return { measured: null, required, status: 'unverifiable', finding: 'The universal symbol could not be located on the label' };
+    }
+    const { width, height } = sizeOf(element, sizes);
+    const smaller = Math.min(width, height);
+    const measured = `${round(width, 2)} × ${round(height, 2)} in`;
+    const status = compare(smaller, minInches);
+    if (status === 'fail' && altInches && compare(smaller, altInches) !== 'fail') {
+      return {
+        measured, required, status: 'warning',
+        finding: `Universal symbol measures ${measured}: below ${minInches} in, which meets the ${altInches} in minimum only if this is a vape cartridge or integrated vaporizer`,
+        recommendation: `Confirm the product is a vape cartridge or integrated vaporizer, or enlarge the symbol to at least ${minInches} in`,
+      };
+    }
+    return {
+      measured, required, status,
+      finding: status === 'pass'
+        ? `Universal symbol measures ${measured} (minimum ${minInches} in)`
+        : status === 'fail'
+          ? `Universal symbol measures ${measured}, below the ${minInches} in minimum`
+          : `Universal symbol measures ${measured}, within measurement error of the ${minInches} in minimum`,
+      recommendation: status === 'pass' ? '' : `Print the universal symbol at least ${minInches} × ${minInches} in and confirm on the printed proof`,
+    };
+  },
+});
+
+const minTextSize = minPoints => ({
+  key: 'smallestText',
+  name: 'Smallest type size',
+  measure({ smallestText: element }, sizes) {
+    const required = `≥ ${minPoints} pt`;
+    if (!element) {
+      return { measured: null, required, status: 'unverifiable', finding: 'The smallest text on the label could not be located' };
+    }
+    const capHeight = sizeOf(element, sizes).height;
+    const points = round((capHeight * POINTS_PER_INCH) / CAP_HEIGHT_RATIO, 1);
+    const measured = `${points} pt (cap height ${inches(capHeight)})`;
+    const status = compare(points, minPoints);
+    const what = element.text ? `"${element.text}"` : 'The smallest text';
+    return {
+      measured, required, status,
+      finding: status === 'pass'
+        ? `Smallest text ${what} measures about ${measured}`
+        : status === 'fail'
+          ? `${what} measures about ${measured}, below the ${minPoints} pt minimum`
+          : `${what} measures about ${measured}, within measurement error of the ${minPoints} pt minimum`,
+      recommendation: status === 'pass' ? '' : `Set all label text to at least ${minPoints} pt and confirm on the printed proof`,
+    };
+  },
+});
+
+// A ratio of two heights, so this one holds whatever the label size.
+const prop65Symbol = {
+  key: 'prop65Symbol',
+  name: 'Prop 65 symbol height',
+  measure({ prop65Symbol: symbol, prop65WarningWord: word }, sizes) {
+    const required = 'At least the height of "WARNING"';
+    if (!symbol || !word) {
+      return {
+        measured: null, required, status: 'unverifiable',
+        finding: `The Prop 65 ${symbol ? 'word "WARNING"' : 'warning symbol'} could not be located on the label`,
+      };
+    }
+    const symbolHeight = sizeOf(symbol, sizes).height;
+    const wordHeight = sizeOf(word, sizes).height;
+    const measured = `${round(symbolHeight, 3)} in vs "WARNING" ${round(wordHeight, 3)} in`;
+    const status = compare(symbolHeight, wordHeight);
+    return {
+      measured, required, status,
+      finding: status === 'pass'
+        ? `Prop 65 symbol is ${measured}`
+        : status === 'fail'
+          ? `Prop 65 symbol is shorter than the word "WARNING": ${measured}`
+          : `Prop 65 symbol is about the same height as "WARNING" (${measured}); too close to call from the image`,
+      recommendation: status === 'pass' ? '' : 'Make the warning triangle at least as tall as the word "WARNING"',
+    };
+  },
+};
+
+// Checklist items decided by a measurement, per rule pack.
+const MEASURES = {
+  'ca-dcc': {
+    e2c: universalSymbol(0.5),
+    e2e: minTextSize(6),
+    e3l: minTextSize(6),
+    e6c: prop65Symbol,
+    b2c: universalSymbol(0.5),
+    b2e: minTextSize(6),
+    b3l: minTextSize(6),
+    b6c: prop65Symbol,
+    d2c: universalSymbol(0.5),
+    d2e: minTextSize(6),
+    d3l: minTextSize(6),
+    d6c: prop65Symbol,
+    c2c: universalSymbol(0.5),
+    c2e: minTextSize(6),
+    c3l: minTextSize(6),
+    c6c: prop65Symbol,
+    t2c: universalSymbol(0.5),
+    t2e: minTextSize(6),
+    t3l: minTextSize(6),
+    t6c: prop65Symbol,
+    v2c: universalSymbol(0.5, 0.25),
+    v2d: minTextSize(6),
+    v3l: minTextSize(6),
+    v6c: prop65Symbol,
+    n2c: universalSymbol(0.5),
+    n2i: minTextSize(6),
+    n5c: prop65Symbol,
+  },
+};
+
+// Returns the measurement report (one row per check that applies to this
+// checklist) plus a verdict for each checklist item a measurement decides.
+// `pages` are a PDF's pages with their width and height in inches; the report
+// gives page 1's size when the PDF is measured at its own size.
+function checkMeasurements({ measurements, labelSize, pages = null, packId, checklistItems }) {
+  const sizes = pageSizes(labelSize, pages);
+  const first = sizes.get(1) || sizes.values().next().value;
+  const reported = labelSize.source === 'pdf'
+    ? { width: first.width, height: first.height, unit: 'in', source: 'pdf' }
+    : { width: labelSize.width, height: labelSize.height, unit: labelSize.unit, source: 'declared' };
+  if (!measurements) {
+    return { report: { labelSize: reported, checks: [], error: 'The label elements to measure could not be located' }, verdicts: [] };
+  }
+  const measures = MEASURES[packId] || {};
+  const rows = new Map();
+  const verdicts = [];
+  for (const item of checklistItems) {
+    const check = measures[item.id];
+    if (!check) continue;
+    if (!rows.has(check.key)) rows.set(check.key, { key: check.key, name: check.name, ...check.measure(measurements, sizes) });
+    const { status, finding, recommendation = '' } = rows.get(check.key);
+    // An element the model couldn't find leaves the item to the model's own verdict.
+    if (status === 'unverifiable') continue;
+    verdicts.push({ id: item.id, status, finding, recommendation, regulation: item.reg });
+  }
+  return {
+    report: {
+      labelSize: reported,
+      checks: [...rows.values()].map(({ key, name, measured, required, status, finding }) => ({ key, name, measured, required, status, finding })),
+      elements: measurements,
+    },
+    verdicts,
+  };
+}
+
+module.exports = { LABEL_SIZE_UNITS, MAX_LABEL_INCHES, MEASURES, labelSizeInches, normalizeMeasurements, checkMeasurements };
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+// Reviewers run label checks, approvers can also sign off on results, and
+// admins can additionally manage the people in their organization.
+const ROLES = ['reviewer', 'approver', 'admin'];
+
+function createOrganization(name) {
+  return store.insert('organizations', {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function findOrCreateOrganization(name) {
+  const existing = store.find('organizations', o => o.name.toLowerCase() === name.trim().toLowerCase());
+  return existing || createOrganization(name);
+}
+
+function getOrganization(id) {
+  return store.find('organizations', o => o.id === id);
+}
+
+module.exports = { ROLES, createOrganization, findOrCreateOrganization, getOrganization };
@@ -0,0 +1,128 @@
+// Server-side handling for PDF artwork. A label PDF is split into pages; each
+// page is rasterized to a JPEG (so a large print-ready file goes to the model
+// as a few hundred KB per page instead of one huge document block) and its
+// text layer is extracted, which lets the model copy printed text exactly
+// instead of reading it off pixels. Outlined artwork has no text layer; those
+// pages are sent as images only.
+
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+
+const POINTS_PER_INCH = 72;
+// Longest edge of a rendered page, in pixels. Small labels are scaled up to it
+// (up to MAX_RENDER_SCALE) so fine print stays legible.
+const RENDER_EDGE = 2000;
+const MAX_RENDER_SCALE = 8;
+const JPEG_QUALITY = 85;
+const MAX_PAGES = 20;
+// Metrics for the 14 standard PDF fonts, which artwork often uses without embedding.
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+class PdfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfError';
+    this.status = 400;
+  }
+}
+
+// pdf.js is published as an ES module only.
+let pdfjs = null;
+async function loadPdfjs() {
+  if (!pdfjs) pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs;
+}
+
+const clamp = v => Math.round(Math.min(1, Math.max(0, v)) * 10000) / 10000;
+
+// The page's text layer: one entry per printed line, boxed in fractions of
+// the page ([left, top, right, bottom] from the top-left corner).
+async function pageTextLines(page) {
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const lines = [];
+  let line = null;
+  const endLine = () => {
+    if (line && line.text.trim()) lines.push({ text: line.text.trim(), box: line.box.map(clamp) });
+    line = null;
+  };
+  for (const item of content.items) {
+    if (typeof item.str !== 'string') continue;
+    if (item.str.trim()) {
+      const [, , c, d, e, f] = item.transform;
+      const size = Math.hypot(c, d);
+      // From just below the baseline (descenders) to the top of the em box.
+      const [x0, y0, x1, y1] = viewport.convertToViewportRectangle([e, f - size * 0.25, e + item.width, f + size]);
+      const box = [Math.min(x0, x1) / viewport.width, Math.min(y0, y1) / viewport.height,
+        Math.max(x0, x1) / viewport.width, Math.max(y0, y1) / viewport.height];
+      if (!line) line = { text: '', box };
+      line.box = [Math.min(line.box[0], box[0]), Math.min(line.box[1], box[1]), Math.max(line.box[2], box[2]), Math.max(line.box[3], box[3])];
+    }
+    if (line) line.text += item.str;
+    if (item.hasEOL) endLine();
+  }
+  endLine();
+  return lines;
+}
+
+async function renderPage(page) {
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.min(MAX_RENDER_SCALE, RENDER_EDGE / Math.max(base.width, base.height));
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvas, canvasContext: context, viewport }).promise;
+  return {
+    mediaType: 'image/jpeg',
+    data: (await canvas.encode('jpeg', JPEG_QUALITY)).toString('base64'),
+    width: canvas.width,
+    height: canvas.height,
+  };
+}
+
+// Splits a PDF (a Buffer, or base64 as sent by the browser) into pages: size
+// in inches, text layer and a rendered image for each. `pageNumbers` (1-based)
+// limits which pages are rendered; every page is measured either way.
+async function parsePdf(data, pageNumbers = null) {
+  const { getDocument } = await loadPdfjs();
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+  let doc;
+  try {
+    doc = await getDocument({ data: new Uint8Array(bytes), standardFontDataUrl: STANDARD_FONTS, isEvalSupported: false, verbosity: 0 }).promise;
+  } catch (err) {
+    throw new PdfError(`The PDF could not be read: ${err.message}`);
+  }
+  try {
+    const wanted = pageNumbers || Array.from({ length: doc.numPages }, (_, i) => i + 1);
+    const missing = wanted.filter(n => n > doc.numPages);
+    if (missing.length > 0) throw new PdfError(`The PDF has ${doc.numPages} page(s); there is no page ${missing.join(', ')}`);
+    if (wanted.length > MAX_PAGES) {
+      throw new PdfError(`The PDF has ${wanted.length} pages; map at most ${MAX_PAGES} of them to panels`);
+    }
+
+    const pages = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const entry = {
+        page: n,
+        width: Math.round((width / POINTS_PER_INCH) * 1000) / 1000,
+        height: Math.round((height / POINTS_PER_INCH) * 1000) / 1000,
+      };
+      if (wanted.includes(n)) {
+        entry.lines = await pageTextLines(page);
+        entry.text = entry.lines.map(l => l.text).join('\n');
+        entry.image = await renderPage(page);
+      }
+      pages.push(entry);
+      page.cleanup();
+    }
+    return { pageCount: doc.numPages, pages };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { MAX_PAGES, PdfError, parsePdf };
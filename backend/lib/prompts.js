@@ -0,0 +1,328 @@
+// The system prompt is assembled from the rule pack: everything that names a
+// jurisdiction's rules (scope, key requirements, citation examples, what
+// belongs on the compliance label) comes from `pack.prompt`; the evaluation
+// procedure and output schema here are the same for every jurisdiction.
+function buildEvaluationInstructions(prompt) {
+  return `When analyzing a label image or description, evaluate EVERY checklist item. For each:
+- Determine PASS, FAIL, or UNABLE TO VERIFY
+- Cite the specific regulation using its EXACT section code (e.g. ${prompt.citationExamples})
+- Explain why it fails and how to fix it
+- Assess risk level
+${prompt.evaluationNotes}
+
+Output your analysis as JSON with this structure:
+{
+  "summary": "2-3 sentence executive summary of overall compliance status and key findings",
+  "labelText": "Verbatim transcription of ALL text printed on the label, panel by panel, preserving line breaks, capitalization, punctuation and units exactly as printed (do not correct errors)",
+  "items": [
+    {
+      "id": "checklist item id",
+      "status": "pass" | "fail" | "warning" | "unverifiable",
+      "finding": "What was found",
+      "recommendation": "How to fix (if fail/warning)",
+      "regulation": "Exact regulation citation code (e.g. ${prompt.citationExamples})",
+      "evidence": ["ids of the TEXT BLOCKS (e.g. b3) the verdict is based on; [] when no printed text supports it, e.g. a required element that is missing"]
+    }
+  ],
+  "complianceScore": numeric integer 0-100 (the UI converts this to a letter grade),
+  "riskScore": 0-100,
+  "criticalIssues": ["Each entry MUST begin with the exact citation code followed by a colon, e.g.: '${prompt.criticalIssueExample}'"],
+  "recommendations": ["Prioritized fixes, each referencing the specific regulation code, e.g.: '${prompt.recommendationExample}'"]
+}
+
+IMPORTANT: The "regulation" field for every item MUST contain the exact citation from the checklist (e.g. ${prompt.citationExamples}). Every criticalIssues entry MUST start with the citation code followed by a colon and description. Every recommendations entry MUST reference the specific regulation.
+
+WARNING CONSOLIDATION: When the label type is 'Packaging / Strain Label only', do NOT generate individual warnings for every compliance label field. Instead, generate ONE single warning item with this exact finding: 'Compliance label required — ensure it includes: ${prompt.complianceLabelSummary}' and regulation '${prompt.complianceLabelCitation}'. Every checklist id must still appear in "items": give each compliance label field status 'unverifiable' with that same finding and regulation so they collapse into the one warning. Only generate additional individual warnings for things actually visible and questionable on the packaging itself (e.g. youth-appealing design, misleading claims). Keep total warnings to 5 or fewer.`;
+}
+
+// Label-type ids the client may send, mapped to the wording the model sees.
+const LABEL_TYPES = {
+  packaging: 'Packaging / Strain Label only',
+  compliance: 'Compliance Label only',
+  both: 'Packaging / Strain Label AND Compliance Label (full review)',
+};
+
+// `useMode` is the pack's entry for the mode the reviewer chose (adult-use or
+// medicinal), plus its `id`.
+function buildSystemPrompt(pack, labelType, useMode) {
+  const { prompt } = pack;
+  const regulatorySection = `You are a cannabis regulatory compliance expert specializing in ${prompt.expertise}.
+
+Your job is to analyze cannabis product packaging and labels for compliance with:
+${prompt.scope}
+
+${prompt.requirements}
+
+`;
+  const labelTypeSection = `
+
+LABEL TYPE CONTEXT:
+The user has indicated this image is: ${labelType}.
+Adjust your analysis accordingly:
+
+- If 'Packaging / Strain Label': Evaluate ONLY ${prompt.packagingScope}. Do NOT flag missing compliance label fields (batch number, UID, ingredients, cannabinoid content, etc.) as failures — these belong on the compliance label which was not uploaded. Note in your summary that a separate compliance label is required.
+
+- If 'Compliance Label': Evaluate ONLY the variable data fields: ${prompt.complianceLabelFields}. Do NOT flag missing packaging artwork elements as failures.
+
+- If 'Both': Evaluate all requirements for both primary panel and compliance label. This is a full compliance review.`;
+  const useModeSection = `
+
+PRODUCT USE MODE:
+The user has indicated this product is: ${useMode.label}. ${useMode.assumption}
+Evaluate THC limits and required statements for this mode only; the checklist already contains only the items that apply to it.`;
+  return regulatorySection + buildEvaluationInstructions(prompt) + labelTypeSection + useModeSection;
+}
+
+function buildChecklistText(checklist, panels = null) {
+  const panelFor = name => panels?.find(p => p.sections.includes(name));
+  return checklist.sections.map(s => {
+    const panel = panelFor(s.name);
+    const where = panel ? ` (evaluate on ${panel.name} only: page${panel.pages.length > 1 ? 's' : ''} ${panel.pages.join(', ')})` : '';
+    return `### ${s.name}${where}\n${s.items.map(i => `- [${i.id}] ${i.text} (${i.reg}) [Severity: ${i.severity}]`).join('\n')}`;
+  }).join('\n\n');
+}
+
+// How the reviewer mapped the dieline's pages to panels.
+function buildPanelText(panels) {
+  return `
+
+PANEL MAPPING:
+This label is a multi-page dieline. The reviewer mapped its pages to panels:
+${panels.map(p => `- ${p.name}: page${p.pages.length > 1 ? 's' : ''} ${p.pages.join(', ')}`).join('\n')}
+Evaluate each checklist section marked with a panel against that panel's pages only: a required element that appears only on another panel does not satisfy it. Evaluate unmarked sections against all pages shown.`;
+}
+
+// The label's text blocks, for the model to cite as evidence.
+function buildTextBlocksText(textBlocks) {
+  return `
+
+TEXT BLOCKS (cite their ids in each item's "evidence"):
+${textBlocks.map(b => `[${b.id}] page ${b.page}: ${b.text}`).join('\n')}`;
+}
+
+// Passages of the bundled regulation text (regulationCorpus.js), each under
+// its citation.
+function buildPassagesText(passages) {
+  return passages.map(p => `[${p.citation}]${p.heading ? ` ${p.heading}` : ''} (${p.source.title})\n${p.text}`).join('\n\n');
+}
+
+function buildRegulationTextSection(passages) {
+  return `
+
+REGULATION TEXT (the official wording of the regulations the checklist cites; where it is given, base the verdict on this text rather than on the checklist summary):
+${buildPassagesText(passages)}`;
+}
+
+// `panels` is the optional page-to-panel mapping for a PDF dieline;
+// `textBlocks` the label's text with ids the verdicts cite as evidence;
+// `passages` the regulation text retrieved for the checklist's citations.
+function buildAnalysisPrompt(checklist, panels = null, textBlocks = [], passages = []) {
+  return `Analyze this cannabis product label for compliance. Product type: ${checklist.title}.${panels ? buildPanelText(panels) : ''}
+
+CHECKLIST TO EVALUATE:
+${buildChecklistText(checklist, panels)}${passages.length > 0 ? buildRegulationTextSection(passages) : ''}${textBlocks.length > 0 ? buildTextBlocksText(textBlocks) : ''}
+
+Evaluate every item on the checklist against this label. Return ONLY valid JSON matching the schema described in the system prompt. No markdown, no backticks, just raw JSON.`;
+}
+
+function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON schema:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the complete, corrected JSON object for the whole checklist. Return ONLY raw JSON — no markdown, no backticks, no commentary.`;
+}
+
+function buildMissingItemsPrompt(items) {
+  return `Your response did not include a verdict for these checklist items:
+${items.map(i => `- [${i.id}] ${i.text} (${i.reg})`).join('\n')}
+
+Evaluate ONLY these items against the same label. Return ONLY raw JSON of the form {"items": [...]} using the same item structure as before.`;
+}
+
+const COA_EXTRACTION_PROMPT = `This is a cannabis Certificate of Analysis (COA) from a testing laboratory. Extract the cannabinoid potency results exactly as reported.
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "labName": "Laboratory name, or null",
+  "sampleId": "Sample / COA ID, or null",
+  "batchNumber": "Batch or lot number of the sampled product, or null",
+  "cannabinoids": [
+    {
+      "name": "Cannabinoid name as printed (e.g. Δ9-THC, THCa, Total THC, CBD, Total CBD, CBN)",
+      "percent": number or null,
+      "mgPerGram": number or null,
+      "mgPerServing": number or null,
+      "mgPerPackage": number or null
+    }
+  ]
+}
+
+Include every cannabinoid row on the potency panel, including "Total THC", "Total CBD" and "Total Cannabinoids" rows if present. Use 0 for results reported as ND or <LOQ. Use null for any unit the COA does not report. Copy numbers exactly; do not compute or convert values.`;
+
+// Bounding boxes for the physical size checks (measurements.js). Sizes are
+// worked out in code from these boxes and the declared label dimensions; the
+// model only locates things.
+const MEASUREMENT_PROMPT = `This is a cannabis product label. Locate the elements below and give a tight bounding box for each as fractions of the page (or image) width and height: [left, top, right, bottom], each from 0 to 1, measured from the top-left corner. If the file has several pages, use the page the element is on and give its 1-based "page" number.
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "universalSymbol": { "page": 1, "box": [left, top, right, bottom] } or null,
+  "prop65Symbol": { "page": 1, "box": [left, top, right, bottom] } or null,
+  "prop65WarningWord": { "page": 1, "box": [left, top, right, bottom] } or null,
+  "smallestText": { "page": 1, "text": "the words measured", "box": [left, top, right, bottom] } or null
+}
+
+- "universalSymbol": the state cannabis universal symbol (the outer edge of the whole symbol, including its border).
+- "prop65Symbol": the warning triangle with an exclamation point beside the Prop 65 warning.
+- "prop65WarningWord": the word "WARNING" that begins the Prop 65 warning.
+- "smallestText": the line of text that is printed smallest anywhere on the label. Box ONLY the height of its capital letters (from the baseline to the top of the capitals, excluding descenders), across a few words.
+
+Use null for anything that is not on the label. Be as precise as you can: these boxes are converted to inches and points.`;
+
+// The two warning statements as printed, split by type weight, so that
+// warningVerifier.js can check bold type as well as the exact wording.
+const WARNING_STYLE_PROMPT = `This is a cannabis product label. Find the government warning (it begins "GOVERNMENT WARNING:") and the Prop 65 warning (it begins "WARNING:" and mentions delta-9-THC or P65Warnings.ca.gov). Copy each one exactly as printed, split into consecutive runs of bold and regular (non-bold) type.
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "governmentWarning": { "runs": [{ "text": "GOVERNMENT WARNING: THIS PRODUCT ...", "bold": true }] } or null,
+  "prop65Warning": { "runs": [{ "text": "WARNING:", "bold": true }, { "text": " Consuming this product ...", "bold": false }] } or null
+}
+
+Joined together, the runs must reproduce the statement exactly as printed: same words, spelling, capitalization and punctuation, with any errors left in. Start a new run wherever the type changes between bold and regular. Use null for a warning that is not on the label.`;
+
+// The youth-appeal imagery review (youthAppeal.js). The model rates each
+// factor; the score and any verdicts are derived in code.
+const YOUTH_APPEAL_PROMPT = `This is the artwork of a cannabis product package or label. Review it the way a state cannabis regulator would when deciding whether packaging is attractive to people under 21. Judge the design as printed (illustrations, photos, colors, typography, characters and wording), not the legality of the product.
+
+Rate each factor below as "none", "low", "medium" or "high" risk:
+- "cartoons": cartoons, caricatures or illustrations in a cartoon style, mascots, animated or toy-like figures.
+- "candy": depictions that resemble candy, sweets, desserts or snacks, or that imitate the packaging or branding of products marketed to children.
+- "palette": bright, saturated or rainbow color schemes, bubbly or playful lettering, and other styling typical of products aimed at children or teenagers.
+- "likeness": images, names or likenesses of celebrities, influencers, or characters from films, television, games or comics.
+- "productImage": photographs or realistic images of the edible product itself (e.g. the gummies, chocolate or drink) on the outside of the package.
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "cartoons": { "rating": "none" | "low" | "medium" | "high", "rationale": "One or two sentences on what you saw and why it does or doesn't appeal to minors", "elements": ["short description of each element that drives the rating"] },
+  "candy": { ... },
+  "palette": { ... },
+  "likeness": { ... },
+  "productImage": { ... }
+}
+
+Use "none" with an empty "elements" list when the factor is absent. Reserve "high" for elements a regulator would very likely cite.`;
+
+// The claims linter's model pass (claims.js): finds claims the phrase lexicon
+// doesn't list. `rules` are the rules the pack covers, each with its name and
+// citation. The label or the copy to lint comes before this text.
+function buildClaimsPrompt(rules, source) {
+  const list = rules.map(r => `- "${r.key}": ${r.name} (${r.regulation})`).join('\n');
+  return `Review the ${source} above for cannabis marketing claims that regulators prohibit or restrict. Flag every phrase that falls under one of these rules:
+${list}
+
+Guidance: "health" covers any statement that the product treats, cures, prevents or relieves a disease, condition or symptom, or is safe, healthy or medically endorsed. "effects" covers anticipated effects stated as outcomes or therapeutic benefits rather than possible physiological effects (e.g. "May cause drowsiness" is acceptable). "organic" covers "organic", "organix" and look-alike spellings used of the cannabis or the product, not of an ingredient in the ingredient list (e.g. "organic cane sugar"). "ocal" covers OCal or similar certification marks. "appellation" covers appellation of origin claims. "origin" covers California city or county names. "misleading" covers any other false or misleading statement, such as calling a THC product non-psychoactive (an ingredient such as "non-psychoactive hemp seed oil" is not a claim about the product).
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "claims": [
+    { "phrase": "the offending phrase exactly as written", "rule": "one of the rule keys above", "rationale": "Why it violates the rule", "rewrite": "A compliant replacement for the phrase, or what to remove" }
+  ]
+}
+
+Copy each phrase verbatim, as short as it can be while still carrying the claim. Do not flag required warnings or statements such as the government warning. Return an empty list when nothing is flagged.`;
+}
+
+// Text with coordinates for the evidence overlay (textBlocks.js), for images
+// and PDF pages without a text layer.
+const TEXT_BLOCKS_PROMPT = `Read all of the text printed on this cannabis product label. Return one block per printed line of text, with a tight bounding box as fractions of the page (or image) width and height: [left, top, right, bottom], each from 0 to 1, measured from the top-left corner. If several pages are shown, give the 1-based "page" number from the caption before each page.
+
+Return ONLY raw JSON — no markdown, no backticks — of the form:
+{
+  "blocks": [
+    { "page": 1, "text": "The line exactly as printed", "box": [left, top, right, bottom] }
+  ]
+}
+
+Include small print, warnings, symbols' captions and the compliance sticker. Copy text exactly as printed, including capitalization and punctuation; do not correct errors.`;
+
+// The label review a conversation is about: its verdicts by checklist item id,
+// with the checklist wording, and the label text as transcribed.
+function buildReviewContext(review) {
+  const { result } = review;
+  const checklistText = new Map((result.checklist || []).map(i => [i.id, i.text]));
+  const items = (result.items || []).map(i => {
+    const lines = [`- ${i.id} [${String(i.status).toUpperCase()}] ${checklistText.get(i.id) || ''}`.trimEnd()];
+    if (i.regulation) lines.push(`  Regulation: ${i.regulation}`);
+    if (i.finding) lines.push(`  Finding: ${i.finding}`);
+    if (i.recommendation) lines.push(`  Recommendation: ${i.recommendation}`);
+    if (i.source === 'rule') lines.push('  (decided by a deterministic check on the label text)');
+    return lines.join('\n');
+  });
+  return `LABEL REVIEW:
+Product: ${review.productName} (${review.productType})
+Label type: ${LABEL_TYPES[review.labelType] || review.labelType}
+Use mode: ${result.useMode?.label || 'Adult-Use'}
+Rule pack: ${result.rulePack ? `${result.rulePack.name} v${result.rulePack.version}` : 'California (DCC + City of Los Angeles)'}
+Compliance score: ${result.complianceScore}/100
+Summary: ${result.summary || ''}
+
+CHECKLIST VERDICTS:
+${items.join('\n')}
+
+LABEL TEXT (as transcribed):
+${result.labelText || '(not transcribed)'}`;
+}
+
+// The Q&A chat. Earlier turns go in as messages; `review`, when the
+// conversation is about a saved label review, is described here so questions
+// like "why did e3f fail?" can be answered from its verdicts. `passages` is
+// the regulation text retrieved for the question, which answers quote.
+function buildQaSystemPrompt(pack, review = null, passages = []) {
+  const { prompt } = pack;
+  const passageSection = passages.length > 0 ? `
+
+REGULATION TEXT retrieved for this question:
+${buildPassagesText(passages)}
+
+When a passage above supports your answer, quote the relevant words exactly, in quotation marks, followed by its citation in square brackets. Do not attribute wording to a section unless it appears above; if the passages don't cover the question, say that the answer is not based on the quoted regulation text.` : `
+
+No regulation text was found for this question. Do not quote or attribute exact wording to any section; say that the answer is based on a summary of the regulations and should be checked against the official text.`;
+  const reviewSection = review ? `
+
+The user is asking about the label review below. Answer questions about it from its verdicts (referring to checklist items by their id), findings and label text. When asked what wording would pass, give the exact replacement text to print.
+
+${buildReviewContext(review)}` : '';
+  return `You are a cannabis compliance expert specializing in ${prompt.expertise}.
+
+You answer questions about:
+${prompt.scope}
+
+Answer questions concisely and directly. Format every answer like this:
+- Start with a 2-3 sentence direct answer
+- Follow with a 'Key Requirements' section if applicable (bullet points, max 5 bullets)
+- End with a 'Relevant Regulations' section listing specific citations in square brackets, e.g. ${prompt.citationExamples.split(', ').map(c => `[${c}]`).join(' ')}
+
+Rules:
+- Only answer questions related to ${pack.jurisdiction.name} cannabis compliance, labeling, packaging, and regulations
+- If asked something outside this scope, politely redirect
+- Always cite the specific regulation section in square brackets when stating a requirement
+- Follow-up questions refer to the earlier turns of this conversation
+- Be concise — no long paragraphs
+- If unsure, say so and recommend consulting a compliance attorney${passageSection}${reviewSection}`;
+}
+
+module.exports = {
+  COA_EXTRACTION_PROMPT,
+  TEXT_BLOCKS_PROMPT,
+  MEASUREMENT_PROMPT,
+  WARNING_STYLE_PROMPT,
+  YOUTH_APPEAL_PROMPT,
+  LABEL_TYPES,
+  buildSystemPrompt,
+  buildQaSystemPrompt,
+  buildAnalysisPrompt,
+  buildClaimsPrompt,
+  buildRepairPrompt,
+  buildMissingItemsPrompt,
+};
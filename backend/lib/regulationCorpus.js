@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { GOVERNMENT_WARNINGS, PROP65_WARNINGS } = require('./warningTexts');
+
+// Regulation text bundled with the code, one JSON file per source document in
+// backend/corpus/ (scripts/import-corpus.js builds them from a plain-text copy
+// of the official text). Each file lists the rule packs it applies to and its
+// sections by citation; a section's text is split into passages, which are
+// indexed for retrieval. `excerpt` marks a source that holds only part of each
+// section's text.
+//
+// The California warning statements are added from warningTexts.js, which the
+// warning verifier checks labels against, so the two can't disagree.
+const CORPUS_DIR = path.join(__dirname, '..', 'corpus');
+const MAX_PASSAGE_LENGTH = 1200;
+
+const STOPWORDS = new Set(('a an and are as at be by for from has have how if in into is it its may must not of on '
+  + 'or that the their then there these this to was what when which who why will with without does do can should '
+  + 'i my our we you your').split(' '));
+
+// A crude suffix strip so "vape", "vaping" and "warnings", "warning" match.
+function stem(word) {
+  if (/\d/.test(word)) return word;
+  const singular = word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+  const match = singular.match(/^(.{3,}?)(ing|ed|e)$/);
+  return match ? match[1] : singular;
+}
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+(?:[.-][a-z0-9]+)*/g) || [])
+    .filter(t => !STOPWORDS.has(t))
+    .map(stem);
+}
+
+// Paragraphs of a section, merged up to MAX_PASSAGE_LENGTH so a passage reads
+// on its own.
+function splitPassages(text) {
+  const passages = [];
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    const last = passages[passages.length - 1];
+    if (last && last.length + paragraph.length + 2 <= MAX_PASSAGE_LENGTH) {
+      passages[passages.length - 1] = `${last}\n\n${paragraph}`;
+    } else {
+      passages.push(paragraph);
+    }
+  }
+  return passages;
+}
+
+// One entry per distinct statement: several product types share a text.
+function uniqueBy(entries, key) {
+  return [...new Map(entries.map(e => [e[key], e])).values()];
+}
+
+const GOVERNMENT_WARNING_PRODUCTS = { PRODUCT: 'manufactured cannabis products', PACKAGE: 'nonmanufactured cannabis' };
+const PROP65_WARNING_PRODUCTS = {
+  edible: 'products that are eaten or drunk',
+  topical: 'products applied to the skin',
+  'vape/dab': 'vaping or dabbing',
+  smoking: 'smoking',
+};
+
+const WARNING_DOCUMENTS = [
+  {
+    id: 'ca-dcc-warnings',
+    title: 'DCC regulations (4 CCR Div. 19): government warning statements',
+    url: 'https://www.cannabis.ca.gov/cannabis-laws/dcc-regulations/',
+    excerpt: true,
+    packIds: ['ca-dcc'],
+    sections: uniqueBy(Object.values(GOVERNMENT_WARNINGS), 'reg').map(w => ({
+      citation: w.reg,
+      heading: `Government warning statement — ${GOVERNMENT_WARNING_PRODUCTS[w.version]} (${w.version} version, in bold)`,
+      text: w.text,
+    })),
+  },
+  {
+    id: 'ca-prop65-cannabis',
+    title: 'Proposition 65: cannabis short-form warnings',
+    url: 'https://www.p65warnings.ca.gov/fact-sheets/cannabis-smoke',
+    excerpt: true,
+    packIds: ['ca-dcc'],
+    sections: uniqueBy(Object.values(PROP65_WARNINGS), 'variant').map(w => ({
+      citation: 'CA Prop 65',
+      heading: `Cannabis warning — ${PROP65_WARNING_PRODUCTS[w.variant]}`,
+      text: w.text,
+    })),
+  },
+];
+
+function readDocuments() {
+  const files = fs.existsSync(CORPUS_DIR) ? fs.readdirSync(CORPUS_DIR).filter(f => f.endsWith('.json')).sort() : [];
+  return [...WARNING_DOCUMENTS, ...files.map(file => JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, file), 'utf8')))];
+}
+
+function loadCorpus() {
+  const documents = readDocuments();
+  const passages = [];
+  for (const { id, title, url, excerpt = false, packIds, sections } of documents) {
+    const source = { id, title, url: url || null, excerpt };
+    sections.forEach((section, s) => {
+      splitPassages(section.text).forEach((text, p) => {
+        passages.push({
+          id: `${id}:${s}:${p}`,
+          citation: section.citation,
+          heading: section.heading || null,
+          text,
+          source,
+          packIds,
+          terms: tokenize(`${section.heading || ''} ${text}`),
+        });
+      });
+    });
+  }
+  const documentFrequency = new Map();
+  for (const passage of passages) {
+    for (const term of new Set(passage.terms)) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+  const averageLength = passages.reduce((sum, p) => sum + p.terms.length, 0) / (passages.length || 1);
+  const sources = documents.map(({ id, title, excerpt = false, packIds }) => ({ id, title, excerpt, packIds }));
+  return { passages, documentFrequency, averageLength, sources };
+}
+
+const CORPUS = loadCorpus();
+
+// Whether the section cited as `section` contains `citation`: "§17406" covers
+// "§17406(a)(3)" but not "§174061" or "§17406.1".
+function covers(section, citation) {
+  const a = section.replace(/\s+/g, '');
+  const b = String(citation || '').replace(/\s+/g, '');
+  return b.startsWith(a) && !/[0-9A-Za-z.]/.test(b[a.length] || '');
+}
+
+// BM25 score of a passage against the query terms.
+function score(passage, terms) {
+  const { documentFrequency, averageLength, passages } = CORPUS;
+  const counts = new Map();
+  for (const term of passage.terms) counts.set(term, (counts.get(term) || 0) + 1);
+  let total = 0;
+  for (const term of new Set(terms)) {
+    const tf = counts.get(term);
+    if (!tf) continue;
+    const df = documentFrequency.get(term);
+    const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+    total += idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * passage.terms.length / averageLength));
+  }
+  return total;
+}
+
+function packPassages(packId) {
+  return CORPUS.passages.filter(p => p.packIds.includes(packId));
+}
+
+function publicPassage({ terms, packIds, ...passage }) {
+  return passage;
+}
+
+// The passages that best answer `query`, most relevant first. Passages of a
+// section the query cites by number (e.g. "§17406(a)(3)") rank ahead of the rest.
+function searchCorpus(packId, query, { limit = 6 } = {}) {
+  const terms = tokenize(query);
+  const cited = String(query).match(/§\s?\d+(?:\.\d+)?(?:\([0-9A-Za-z]+\))*/g) || [];
+  return packPassages(packId)
+    .map(p => ({ p, s: score(p, terms) + (cited.some(c => covers(p.citation, c) || covers(c, p.citation)) ? 10 : 0) }))
+    .filter(({ s }) => s > 0)
+    .sort((a, b) => b.s - a.s)
+    .slice(0, limit)
+    .map(({ p }) => publicPassage(p));
+}
+
+// The passages for one checklist item: those of the section its citation
+// falls under, best match to the item's wording first.
+function itemPassages(packId, item, { limit = 2 } = {}) {
+  const terms = tokenize(item.text);
+  return packPassages(packId)
+    .filter(p => covers(p.citation, item.reg) || covers(item.reg, p.citation))
+    .map(p => ({ p, s: score(p, terms) }))
+    .sort((a, b) => b.s - a.s)
+    .slice(0, limit)
+    .map(({ p }) => publicPassage(p));
+}
+
+// The text under a pack's regulation reference (e.g. "§17406", "CA Prop 65"),
+// grouped back into sections for display.
+function regulationText(packId, citation) {
+  const sections = [];
+  for (const p of packPassages(packId).filter(p => covers(citation, p.citation) || covers(p.citation, citation))) {
+    const last = sections[sections.length - 1];
+    if (last && last.citation === p.citation && last.heading === p.heading && last.source.id === p.source.id) {
+      last.text += `\n\n${p.text}`;
+    } else {
+      sections.push({ citation: p.citation, heading: p.heading, text: p.text, source: p.source });
+    }
+  }
+  return sections;
+}
+
+// The source documents bundled for a pack, and which of its regulation
+// references (`citations`, the keys of the pack's `regulations`) have no full
+// text, only an excerpt or nothing. Answers and reviews fall back on the
+// pack's summaries for those, so `fullText` is true only when none is missing.
+function corpusCoverage(packId, citations = []) {
+  const sources = CORPUS.sources.filter(s => s.packIds.includes(packId)).map(({ packIds, ...s }) => s);
+  const full = packPassages(packId).filter(p => !p.source.excerpt);
+  const missing = citations.filter(c => !full.some(p => covers(c, p.citation) || covers(p.citation, c)));
+  return { sources, missing, fullText: full.length > 0 && missing.length === 0 };
+}
+
+module.exports = { CORPUS_DIR, searchCorpus, itemPassages, regulationText, corpusCoverage };
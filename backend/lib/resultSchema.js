@@ -0,0 +1,162 @@
+// Validation for the analysis JSON described in the system prompt
+// (prompts.js). Every check produces a human-readable error; those errors are
+// sent back to the model verbatim when asking it to repair its output.
+
+const STATUSES = ['pass', 'fail', 'warning', 'unverifiable'];
+
+// Pull a JSON object out of a model reply: tolerates code fences, prose before
+// or after the object, and trailing commas.
+function extractJson(text) {
+  const unfenced = String(text || '').replace(/```json|```/g, '').trim();
+  const candidates = [unfenced];
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    const body = unfenced.slice(start, end + 1);
+    candidates.push(body, body.replace(/,\s*([}\]])/g, '$1'));
+  }
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+// Picks the entries of the top-level "items" array out of a reply that is
+// still streaming in, calling onItem with each one as soon as its closing
+// brace arrives. Feed it the text deltas in order. Entries that don't parse
+// are skipped; the finished reply is validated as a whole anyway.
+function createItemScanner(onItem) {
+  let text = '';
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastString = null;
+  let key = null;
+  let inItems = false;
+  let itemStart = -1;
+  return (chunk) => {
+    text += chunk;
+    for (; pos < text.length; pos++) {
+      const ch = text[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          if (depth === 1) lastString = text.slice(stringStart + 1, pos);
+        }
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+        stringStart = pos;
+      } else if (ch === ':' && depth === 1) {
+        key = lastString;
+      } else if (ch === ',' && depth === 1) {
+        key = null;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+        if (ch === '[' && depth === 2 && key === 'items') inItems = true;
+        if (ch === '{' && depth === 3 && inItems) itemStart = pos;
+      } else if (ch === '}' || ch === ']') {
+        if (ch === '}' && depth === 3 && inItems && itemStart >= 0) {
+          try {
+            onItem(JSON.parse(text.slice(itemStart, pos + 1)));
+          } catch {
+            // a malformed entry; the repair pass deals with it
+          }
+          itemStart = -1;
+        }
+        if (ch === ']' && depth === 2) inItems = false;
+        depth--;
+      }
+    }
+  };
+}
+
+function isScore(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+// Validates `items` on its own so partial re-asks ("evaluate only these IDs")
+// can reuse it. Invalid entries are dropped and reported; the first verdict
+// for an ID wins. Evidence ids that aren't in `blockIds` are dropped quietly:
+// a bad citation isn't worth a repair round.
+function validateItems(items, checklistItems, blockIds = []) {
+  const knownBlocks = new Set(blockIds);
+  const knownIds = new Set(checklistItems.map(i => i.id));
+  const errors = [];
+  const valid = [];
+  const seen = new Set();
+
+  if (!Array.isArray(items)) return { items: valid, errors: ['"items" must be an array'] };
+
+  items.forEach((item, index) => {
+    const where = `items[${index}]${item?.id ? ` (${item.id})` : ''}`;
+    if (!item || typeof item !== 'object') return errors.push(`${where} must be an object`);
+    if (!knownIds.has(item.id)) return errors.push(`${where}: "${item.id}" is not a checklist item id`);
+    if (seen.has(item.id)) return errors.push(`${where}: duplicate verdict for ${item.id}`);
+    if (!STATUSES.includes(item.status)) {
+      return errors.push(`${where}: "status" must be one of ${STATUSES.join(', ')}`);
+    }
+    if (typeof item.finding !== 'string') errors.push(`${where}: "finding" must be a string`);
+    if (typeof item.regulation !== 'string') errors.push(`${where}: "regulation" must be a string`);
+    seen.add(item.id);
+    valid.push({
+      id: item.id,
+      status: item.status,
+      finding: typeof item.finding === 'string' ? item.finding : '',
+      recommendation: typeof item.recommendation === 'string' ? item.recommendation : '',
+      regulation: typeof item.regulation === 'string' ? item.regulation : '',
+      evidence: Array.isArray(item.evidence) ? [...new Set(item.evidence.filter(id => knownBlocks.has(id)))] : [],
+    });
+  });
+
+  return { items: valid, errors };
+}
+
+// Checks the full result object. Returns the normalized result (invalid parts
+// dropped or nulled), the list of problems, and the checklist IDs that got no
+// verdict.
+function validateResult(parsed, checklistItems, blockIds = []) {
+  const errors = [];
+  const { items, errors: itemErrors } = validateItems(parsed.items, checklistItems, blockIds);
+  errors.push(...itemErrors);
+
+  if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) errors.push('"summary" must be a non-empty string');
+  if (typeof parsed.labelText !== 'string') errors.push('"labelText" must be a string transcribing the label text');
+  if (!isScore(parsed.complianceScore)) errors.push('"complianceScore" must be a number from 0 to 100');
+  if (!isScore(parsed.riskScore)) errors.push('"riskScore" must be a number from 0 to 100');
+  if (!isStringArray(parsed.criticalIssues)) errors.push('"criticalIssues" must be an array of strings');
+  if (!isStringArray(parsed.recommendations)) errors.push('"recommendations" must be an array of strings');
+
+  const evaluated = new Set(items.map(i => i.id));
+  const missingIds = checklistItems.map(i => i.id).filter(id => !evaluated.has(id));
+
+  return {
+    result: {
+      summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+      labelText: typeof parsed.labelText === 'string' ? parsed.labelText : '',
+      items,
+      complianceScore: isScore(parsed.complianceScore) ? Math.round(parsed.complianceScore) : null,
+      riskScore: isScore(parsed.riskScore) ? Math.round(parsed.riskScore) : null,
+      criticalIssues: isStringArray(parsed.criticalIssues) ? parsed.criticalIssues : [],
+      recommendations: isStringArray(parsed.recommendations) ? parsed.recommendations : [],
+    },
+    errors,
+    missingIds,
+  };
+}
+
+module.exports = { STATUSES, extractJson, createItemScanner, validateItems, validateResult };
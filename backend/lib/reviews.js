@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { scoreToGrade } = require('./grades');
+const { latestSignoffs, signoffHistory } = require('./signoffs');
+const { DEFAULT_PACK_ID, hasPack, getActivePack } = require('./rulePacks');
+const { ValidationError, analyzeLabel } = require('./analysis');
+const { compareResults } = require('./revisions');
+
+const FILES_DIR = path.join(store.DATA_DIR, 'files');
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+function productNameFor(productName, fileName) {
+  const name = String(productName || '').trim();
+  return name || String(fileName || 'Untitled').replace(/\.[^.]+$/, '');
+}
+
+function storeFile(baseName, file) {
+  const storedName = `${baseName}.${EXTENSIONS[file.mediaType] || 'bin'}`;
+  const bytes = Buffer.from(file.data, 'base64');
+  fs.mkdirSync(FILES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FILES_DIR, storedName), bytes);
+  return { name: file.name || storedName, mediaType: file.mediaType, size: bytes.length, storedName };
+}
+
+// Persists one analysis: the uploaded label (and COA, if any) go to disk next
+// to the JSON store, the record keeps everything needed to re-render the report.
+function saveReview({ orgId, user, productType, labelType, productName, file, coa, result, previous, batchId }) {
+  const id = crypto.randomUUID();
+  const storedFile = storeFile(id, file);
+
+  return store.insert('reviews', {
+    id,
+    orgId,
+    reportId: result.reportId,
+    productName: productNameFor(productName, file.name),
+    productType,
+    labelType,
+    previousReviewId: previous?.id || null,
+    revision: previous ? (previous.revision || 1) + 1 : 1,
+    batchId: batchId || null,
+    file: storedFile,
+    coaFile: coa ? storeFile(`${id}-coa`, coa) : null,
+    complianceScore: result.complianceScore,
+    grade: scoreToGrade(result.complianceScore),
+    rulePack: result.rulePack || null,
+    useMode: result.useMode?.id || null,
+    result,
+    createdBy: { id: user.id, name: user.name },
+    createdAt: result.createdAt,
+  });
+}
+
+// Runs the review `body` describes (the /api/analyze request) for `user`, saves
+// it and returns the response body. `batchId` files the review under a batch;
+// the other options go to analyzeLabel (cancellation and progress).
+async function runReview(user, body, { batchId = null, ...options } = {}) {
+  const { productType, labelType, productName, file, coa, previousReviewId } = body || {};
+  const jurisdiction = body?.jurisdiction || DEFAULT_PACK_ID;
+  if (!hasPack(jurisdiction)) throw new ValidationError(`Unknown jurisdiction: ${jurisdiction}`);
+  const previous = previousReviewId ? getReview(user.orgId, previousReviewId) : null;
+  if (previousReviewId && !previous) throw new ValidationError('The review being revised was not found');
+  if (previous && previous.productType !== productType) {
+    throw new ValidationError('A revision must use the same product type as the review it revises');
+  }
+  if (previous && (previous.rulePack?.packId || DEFAULT_PACK_ID) !== jurisdiction) {
+    throw new ValidationError('A revision must use the same jurisdiction as the review it revises');
+  }
+
+  const result = await analyzeLabel(body, getActivePack(user.orgId, jurisdiction), options);
+  options.signal?.throwIfAborted();
+  if (previous) result.comparison = compareResults(previous, result, result.checklist);
+
+  const review = saveReview({
+    orgId: user.orgId,
+    user,
+    productType,
+    labelType,
+    productName: productName || previous?.productName,
+    file,
+    coa,
+    result,
+    previous,
+    batchId,
+  });
+  return {
+    ...result,
+    reviewId: review.id,
+    revision: review.revision,
+    productName: review.productName,
+    fileName: review.file.name,
+  };
+}
+
+function summarize(review, signoff) {
+  return {
+    id: review.id,
+    reportId: review.reportId,
+    productName: review.productName,
+    productType: review.productType,
+    labelType: review.labelType,
+    fileName: review.file.name,
+    revision: review.revision || 1,
+    complianceScore: review.complianceScore,
+    grade: review.grade,
+    criticalCount: (review.result.items || []).filter(i => i.status === 'fail').length,
+    batchId: review.batchId || null,
+    rulePack: review.rulePack || null,
+    useMode: review.useMode || null,
+    createdBy: review.createdBy,
+    createdAt: review.createdAt,
+    signoff: signoff ? { decision: signoff.decision, decidedBy: signoff.decidedBy, decidedAt: signoff.decidedAt } : null,
+  };
+}
+
+// Filters: q (product or file name substring), from/to (YYYY-MM-DD, inclusive),
+// grade (letter family, e.g. "B" matches B+, B and B-), productType, batchId.
+function searchReviews(orgId, { q, from, to, grade, productType, batchId } = {}) {
+  const needle = String(q || '').trim().toLowerCase();
+  const fromTime = from ? Date.parse(`${from}T00:00:00`) : null;
+  const toTime = to ? Date.parse(`${to}T23:59:59.999`) : null;
+  const signoffs = latestSignoffs(orgId);
+
+  return store
+    .filter('reviews', r => {
+      if (r.orgId !== orgId) return false;
+      if (needle && !`${r.productName} ${r.file.name}`.toLowerCase().includes(needle)) return false;
+      const created = Date.parse(r.createdAt);
+      if (fromTime != null && created < fromTime) return false;
+      if (toTime != null && created > toTime) return false;
+      if (grade && r.grade?.[0] !== grade[0].toUpperCase()) return false;
+      if (productType && r.productType !== productType) return false;
+      if (batchId && r.batchId !== batchId) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(r => summarize(r, signoffs.get(r.reportId)));
+}
+
+function getReview(orgId, id) {
+  const review = store.find('reviews', r => r.orgId === orgId && r.id === id);
+  if (!review) return null;
+  const history = signoffHistory(orgId, review.reportId);
+  return { ...review, signoff: history[history.length - 1] || null, signoffHistory: history };
+}
+
+// `which` is 'file' (the label) or 'coaFile'.
+function reviewFilePath(review, which = 'file') {
+  return path.join(FILES_DIR, review[which].storedName);
+}
+
+module.exports = { saveReview, runReview, searchReviews, getReview, reviewFilePath };
@@ -0,0 +1,46 @@
+// Ordering used to decide whether an item got better or worse between two
+// reviews of the same label.
+const STATUS_RANK = { pass: 0, warning: 1, unverifiable: 1, fail: 2 };
+
+function statusById(result) {
+  return new Map((result.items || []).map(i => [i.id, i.status]));
+}
+
+// Item-by-item comparison of a revision's result against the review it
+// revises. Items are matched by checklist ID (e1a, v3c, n2h, ...).
+function compareResults(previous, current, checklistItems) {
+  const before = statusById(previous.result);
+  const after = statusById(current);
+  const textFor = id => checklistItems.find(i => i.id === id)?.text || id;
+
+  const improved = [];
+  const regressed = [];
+  let unchanged = 0;
+  for (const [id, to] of after) {
+    const from = before.get(id);
+    if (!from) continue;
+    const change = { id, text: textFor(id), from, to };
+    if (STATUS_RANK[to] < STATUS_RANK[from]) improved.push(change);
+    else if (STATUS_RANK[to] > STATUS_RANK[from]) regressed.push(change);
+    else unchanged++;
+  }
+
+  const fromScore = previous.complianceScore;
+  const toScore = current.complianceScore;
+  return {
+    previousReviewId: previous.id,
+    previousReportId: previous.reportId,
+    previousRevision: previous.revision || 1,
+    previousCreatedAt: previous.createdAt,
+    score: {
+      from: fromScore,
+      to: toScore,
+      delta: fromScore != null && toScore != null ? toScore - fromScore : null,
+    },
+    improved,
+    regressed,
+    unchanged,
+  };
+}
+
+module.exports = { compareResults };
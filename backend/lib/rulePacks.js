@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// One rule pack per jurisdiction ships with the code; any change to a shipped
+// pack bumps its `version` and `effectiveDate`. An organization's admins edit
+// a pack by saving new versions, which are stored per organization and pack;
+// the highest version is the one new reviews are graded against. A saved
+// version records the shipped version it was edited from
+// (`basedOnBundledVersion`), so an organization can see when a newer one has
+// shipped: its saved checklists don't pick up the changes by themselves.
+const PACK_DIR = path.join(__dirname, '..', 'rulepacks');
+const BUNDLED_PACKS = Object.fromEntries(fs.readdirSync(PACK_DIR)
+  .filter(f => f.endsWith('.json'))
+  .map(f => JSON.parse(fs.readFileSync(path.join(PACK_DIR, f), 'utf8')))
+  .map(pack => [pack.packId, pack]));
+const DEFAULT_PACK_ID = 'ca-dcc';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+// Whether a product is reviewed as adult-use or medicinal. A pack describes
+// each mode (and its THC caps per product type, if any); items with `modes`
+// apply only there.
+const USE_MODES = ['adult_use', 'medicinal'];
+const DEFAULT_USE_MODE = 'adult_use';
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Throws with a message naming the first problem found.
+function validateUseModes(useModes, checklists) {
+  if (!useModes || typeof useModes !== 'object' || Object.keys(useModes).length === 0) {
+    throw new Error('useModes must describe at least one use mode');
+  }
+  for (const [id, mode] of Object.entries(useModes)) {
+    if (!USE_MODES.includes(id)) throw new Error(`Unknown use mode: ${id}`);
+    if (!isText(mode?.label) || !isText(mode.assumption)) throw new Error(`Use mode ${id} needs a label and an assumption`);
+    for (const [type, limits] of Object.entries(mode.thcLimits || {})) {
+      if (!checklists[type]) throw new Error(`Use mode ${id}: THC limits for unknown product type ${type}`);
+      for (const [basis, limit] of Object.entries(limits || {})) {
+        if (!['serving', 'package'].includes(basis)) throw new Error(`Use mode ${id}: unknown THC limit basis ${basis}`);
+        if (limit != null && !(typeof limit === 'number' && limit > 0)) {
+          throw new Error(`Use mode ${id}: ${type} THC limit per ${basis} must be a positive number`);
+        }
+      }
+    }
+  }
+}
+
+function validatePack({ prompt, regulations, checklists, useModes } = {}) {
+  if (!prompt || !isText(prompt.expertise) || !isText(prompt.scope) || !isText(prompt.requirements)) {
+    throw new Error('prompt.expertise, prompt.scope and prompt.requirements are required');
+  }
+  if (!regulations || typeof regulations !== 'object') throw new Error('regulations must be an object');
+  for (const [citation, ref] of Object.entries(regulations)) {
+    if (!isText(citation) || !isText(ref?.title) || !isText(ref?.description)) {
+      throw new Error(`Regulation ${citation || '(blank)'} needs a title and a description`);
+    }
+  }
+  if (!checklists || typeof checklists !== 'object' || Object.keys(checklists).length === 0) {
+    throw new Error('At least one checklist is required');
+  }
+  validateUseModes(useModes, checklists);
+  for (const [type, checklist] of Object.entries(checklists)) {
+    if (!/^[a-z0-9_]+$/.test(type)) throw new Error(`Invalid product type key: ${type}`);
+    if (!isText(checklist?.title)) throw new Error(`Checklist ${type} needs a title`);
+    if (!Array.isArray(checklist.sections)) throw new Error(`Checklist ${type} needs a sections array`);
+    const ids = new Set();
+    for (const section of checklist.sections) {
+      if (!isText(section?.name)) throw new Error(`Every section in ${type} needs a name`);
+      if (!Array.isArray(section.items)) throw new Error(`Section "${section.name}" in ${type} needs an items array`);
+      for (const item of section.items) {
+        if (!/^[a-z0-9]+$/i.test(item?.id || '')) throw new Error(`Item ids in ${type} must be letters and digits only`);
+        if (ids.has(item.id)) throw new Error(`Duplicate item id ${item.id} in ${type}`);
+        ids.add(item.id);
+        if (!isText(item.text)) throw new Error(`Item ${item.id} needs requirement text`);
+        if (!isText(item.reg)) throw new Error(`Item ${item.id} needs a citation`);
+        if (!SEVERITIES.includes(item.severity)) {
+          throw new Error(`Item ${item.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (item.modes != null && !(Array.isArray(item.modes) && item.modes.length > 0 && item.modes.every(m => useModes[m]))) {
+          throw new Error(`Item ${item.id}: modes must list use modes defined in the pack`);
+        }
+      }
+    }
+  }
+}
+
+function hasPack(packId) {
+  return Object.prototype.hasOwnProperty.call(BUNDLED_PACKS, packId);
+}
+
+function bundledPack(packId) {
+  if (!hasPack(packId)) throw new Error(`Unknown jurisdiction: ${packId}`);
+  return BUNDLED_PACKS[packId];
+}
+
+// The shipped pack as an organization's active pack.
+function bundledAsActive(packId) {
+  const bundled = bundledPack(packId);
+  return { ...bundled, bundledVersion: bundled.version, basedOnBundledVersion: bundled.version };
+}
+
+function orgVersions(orgId, packId) {
+  return store
+    .filter('rulePacks', p => p.orgId === orgId && p.packId === packId)
+    .sort((a, b) => a.version - b.version);
+}
+
+// Saved versions carry what admins can edit; the jurisdiction, and any prompt
+// text the editor doesn't expose, come from the bundled pack. Versions saved
+// before the shipped packs were versioned were all edited from version 1.
+function withBundledDefaults(pack) {
+  const bundled = bundledPack(pack.packId);
+  return {
+    ...pack,
+    bundledVersion: bundled.version,
+    basedOnBundledVersion: pack.basedOnBundledVersion || 1,
+    jurisdiction: bundled.jurisdiction,
+    coaCrossCheck: Boolean(bundled.coaCrossCheck),
+    sizeChecks: Boolean(bundled.sizeChecks),
+    stickers: Boolean(bundled.stickers),
+    useModes: pack.useModes || bundled.useModes,
+    prompt: { ...bundled.prompt, ...pack.prompt },
+  };
+}
+
+function getActivePack(orgId, packId = DEFAULT_PACK_ID) {
+  const versions = orgVersions(orgId, packId);
+  return versions.length > 0 ? withBundledDefaults(versions[versions.length - 1]) : bundledAsActive(packId);
+}
+
+// A shipped version bumped after an organization saved its own can share its
+// number; the organization's version is the one its reviews were graded against.
+function getPackVersion(orgId, packId, version) {
+  const saved = orgVersions(orgId, packId).find(p => p.version === Number(version));
+  if (saved) return withBundledDefaults(saved);
+  const bundled = bundledPack(packId);
+  return Number(version) === bundled.version ? bundledAsActive(packId) : null;
+}
+
+// The jurisdictions a reviewer can pick from, with the organization's active
+// version of each.
+function listActivePacks(orgId) {
+  return Object.keys(BUNDLED_PACKS).map(packId => {
+    const pack = getActivePack(orgId, packId);
+    return {
+      packId,
+      jurisdiction: pack.jurisdiction,
+      name: pack.name,
+      version: pack.version,
+      effectiveDate: pack.effectiveDate,
+      bundledVersion: pack.bundledVersion,
+      basedOnBundledVersion: pack.basedOnBundledVersion,
+      productTypes: Object.keys(pack.checklists),
+      useModes: Object.entries(pack.useModes).map(([id, mode]) => ({ id, label: mode.label })),
+      coaCrossCheck: Boolean(pack.coaCrossCheck),
+      sizeChecks: Boolean(pack.sizeChecks),
+      stickers: Boolean(pack.stickers),
+    };
+  });
+}
+
+function listPackVersions(orgId, packId) {
+  const summary = p => ({
+    packId: p.packId,
+    version: p.version,
+    name: p.name,
+    effectiveDate: p.effectiveDate,
+    note: p.note || 'Bundled rule pack',
+    bundled: !p.createdBy,
+    basedOnBundledVersion: p.createdBy ? p.basedOnBundledVersion || 1 : p.version,
+    createdBy: p.createdBy || null,
+    createdAt: p.createdAt || null,
+  });
+  return [bundledPack(packId), ...orgVersions(orgId, packId)].map(summary)
+    .sort((a, b) => b.version - a.version || Number(a.bundled) - Number(b.bundled));
+}
+
+// `pack.basedOnBundledVersion` says which shipped version the edits start
+// from: the editor sends the one the loaded version was based on, or the
+// current shipped version after loading it. Anything else keeps the active
+// version's.
+function savePackVersion({ orgId, packId, user, pack, note }) {
+  validatePack(pack);
+  const current = getActivePack(orgId, packId);
+  const bundled = bundledPack(packId);
+  const basedOn = Number.isInteger(pack.basedOnBundledVersion)
+    && pack.basedOnBundledVersion >= 1 && pack.basedOnBundledVersion <= bundled.version
+    ? pack.basedOnBundledVersion
+    : current.basedOnBundledVersion;
+  return withBundledDefaults(store.insert('rulePacks', {
+    id: crypto.randomUUID(),
+    orgId,
+    packId,
+    // Above the shipped version too, so a new version never shares its number.
+    version: Math.max(current.version, bundled.version) + 1,
+    basedOnBundledVersion: basedOn,
+    name: isText(pack.name) ? pack.name.trim() : current.name,
+    effectiveDate: isText(pack.effectiveDate) ? pack.effectiveDate.trim() : current.effectiveDate,
+    note: String(note || '').trim(),
+    useModes: pack.useModes,
+    prompt: pack.prompt,
+    regulations: pack.regulations,
+    checklists: pack.checklists,
+    createdBy: { id: user.id, name: user.name },
+    createdAt: new Date().toISOString(),
+  }));
+}
+
+// A checklist as the model and the report see it for one use mode: retired
+// items and items for the other mode dropped, along with sections left empty.
+function activeChecklist(checklist, useMode) {
+  const applies = i => !i.retired && (!i.modes || i.modes.includes(useMode));
+  return {
+    ...checklist,
+    sections: checklist.sections
+      .map(s => ({ ...s, items: s.items.filter(applies) }))
+      .filter(s => s.items.length > 0),
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  USE_MODES,
+  DEFAULT_USE_MODE,
+  DEFAULT_PACK_ID,
+  hasPack,
+  bundledAsActive,
+  getActivePack,
+  getPackVersion,
+  listActivePacks,
+  listPackVersions,
+  savePackVersion,
+  activeChecklist,
+};
@@ -0,0 +1,247 @@
+// Deterministic checks for checklist items that can be decided from the label
+// text alone. Each rule receives the transcribed label text and returns a
+// verdict ({ status, finding, recommendation }) or null when the text gives it
+// nothing to go on, in which case the model's verdict stands.
+
+function normalize(text) {
+  return String(text || '')
+    .replace(/[‘’ʼ]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[‐-―]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function words(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+function coversPackaging(labelType) {
+  return labelType !== 'compliance';
+}
+
+// ── Cannabinoid amounts ──
+
+const AMOUNT = /(<\s*)?(\d+(?:\.\d+)?)\s*mg\b/gi;
+const PERCENT = /(<\s*)?(\d+(?:\.\d+)?)\s*%/g;
+const CANNABINOID = /\b(total\s+thc|total\s+cbd|thca|thcv|thc|cbda|cbd|cbn|cbg|cbc)\b/gi;
+const PER_SERVING = /\b(per\s+(serving|piece|gummy|unit|dose|capsule|softgel|dropper|1\s*ml|ml)|each|\/\s*(serving|piece|pc|capsule|ml))\b/i;
+const PER_PACKAGE = /\b(per\s+(package|pkg|pack|container|bottle|can)|\/\s*(package|pkg|pack|container|bottle|can)|total\s+in\s+package)\b/i;
+
+function lastMatch(regex, text) {
+  const all = [...text.matchAll(regex)];
+  return all.length ? all[all.length - 1][1] : null;
+}
+
+// Finds every `pattern` match in the label text with the cannabinoid it
+// refers to ("10mg THC" or "THC: 10mg") and the text around it.
+function cannabinoidMatches(labelText, pattern) {
+  const found = [];
+  for (const line of String(labelText || '').split(/\n/)) {
+    const matches = [...line.matchAll(pattern)];
+    matches.forEach((m, i) => {
+      const after = line.slice(m.index + m[0].length, matches[i + 1]?.index ?? line.length);
+      const before = line.slice(i > 0 ? matches[i - 1].index + matches[i - 1][0].length : 0, m.index)
+        .split(/[|;,]/).pop();
+      const name = (after.slice(0, 12).match(/^\s*:?\s*(total\s+thc|total\s+cbd|thca|thcv|thc|cbda|cbd|cbn|cbg|cbc)\b/i) || [])[1]
+        || lastMatch(CANNABINOID, line.slice(0, m.index));
+      if (!name) return;
+      found.push({
+        cannabinoid: name.replace(/\s+/g, ' ').toUpperCase(),
+        value: Number(m[2]),
+        lessThan: Boolean(m[1]),
+        text: m[0].trim(),
+        before,
+        after,
+      });
+    });
+  }
+  return found;
+}
+
+// Every "<n> mg" statement, tagged as a per-serving or per-package amount
+// when the label says which.
+function cannabinoidAmounts(labelText) {
+  return cannabinoidMatches(labelText, AMOUNT).map(({ before, after, ...amount }) => ({
+    ...amount,
+    basis: PER_SERVING.test(after) ? 'serving'
+      : PER_PACKAGE.test(after) ? 'package'
+        : PER_SERVING.test(before) ? 'serving'
+          : PER_PACKAGE.test(before) ? 'package' : null,
+  }));
+}
+
+// Every "<n>%" statement attached to a cannabinoid.
+function cannabinoidPercents(labelText) {
+  return cannabinoidMatches(labelText, PERCENT).map(({ before, after, ...percent }) => ({ ...percent, basis: 'percent' }));
+}
+
+function isThc(amount) {
+  return amount.cannabinoid === 'THC' || amount.cannabinoid === 'TOTAL THC';
+}
+
+function isCbd(amount) {
+  return amount.cannabinoid === 'CBD' || amount.cannabinoid === 'TOTAL CBD';
+}
+
+// ── Tincture dosing device ──
+
+const DOSING_DEVICE = /\b(dropper|pipette|syringe|measuring\s+(?:cap|cup|spoon)|dosing\s+(?:cap|cup|device))\b/i;
+
+function dosingDevice({ labelText, labelType }) {
+  const device = String(labelText || '').match(DOSING_DEVICE);
+  if (!device) {
+    if (!coversPackaging(labelType)) return null;
+    return {
+      status: 'fail',
+      finding: 'No dosing device (dropper, syringe or measuring cap) is mentioned in the label text',
+      recommendation: 'State the included dosing device and the THC per measured dose, e.g. "1 mL dropper = 5 mg THC"',
+    };
+  }
+  const perDose = cannabinoidAmounts(labelText).filter(a => isThc(a) && a.basis === 'serving');
+  if (perDose.length === 0) {
+    return {
+      status: 'fail',
+      finding: `The label mentions a ${device[1].toLowerCase()} but not the mg of THC per measured dose`,
+      recommendation: 'State the THC per dose the device measures, e.g. "1 mL dropper = 5 mg THC"',
+    };
+  }
+  return {
+    status: 'pass',
+    finding: `Dosing device (${device[1].toLowerCase()}) with THC per dose stated: ${perDose.map(a => a.text).join(', ')}`,
+    recommendation: '',
+  };
+}
+
+// ── Medicinal statement ──
+
+// §17406(a)(4): medicinal products carry "FOR MEDICAL USE ONLY"; an adult-use
+// product must not.
+function medicalUseStatement(required) {
+  return ({ labelText, labelType }) => {
+    const present = /FOR MEDICAL USE ONLY/i.test(normalize(labelText));
+    if (required) {
+      if (present) return { status: 'pass', finding: 'Label carries "FOR MEDICAL USE ONLY"', recommendation: '' };
+      if (!coversPackaging(labelType)) return null;
+      return {
+        status: 'fail',
+        finding: 'Reviewed as a medicinal product, but "FOR MEDICAL USE ONLY" was not found in the label text',
+        recommendation: 'Add "FOR MEDICAL USE ONLY" to the informational panel',
+      };
+    }
+    if (!present) {
+      return { status: 'pass', finding: 'No "FOR MEDICAL USE ONLY" statement on this adult-use product', recommendation: '' };
+    }
+    return {
+      status: 'fail',
+      finding: 'Reviewed as an adult-use product, but the label carries "FOR MEDICAL USE ONLY"',
+      recommendation: 'Remove the statement, or review the label as a medicinal product if it is sold only to medicinal-use customers',
+    };
+  };
+}
+
+// ── Net weight ──
+
+const METRIC = /\d\s*(mg|g|kg|ml|l)\b/i;
+const US_CUSTOMARY = /\d\s*(fl\.?\s*oz|oz|lbs?)\b/i;
+
+function netWeight({ labelText, labelType }) {
+  const statement = String(labelText || '').match(/\bnet\s*(wt\.?|weight|contents|vol\.?)[ \t]*:?[ \t]*([^\n]{0,60})/i);
+  if (!statement) {
+    if (!coversPackaging(labelType)) return null;
+    return {
+      status: 'fail',
+      finding: 'No net weight statement ("Net Wt.") found in the label text',
+      recommendation: 'Add the net weight in both metric and US customary units, e.g. "Net Wt. 3.5 g (0.12 oz)"',
+    };
+  }
+  const declared = statement[2];
+  const metric = METRIC.test(declared);
+  const us = US_CUSTOMARY.test(declared);
+  if (metric && us) {
+    return { status: 'pass', finding: `Net weight declared in metric and US units: "${statement[0].trim()}"`, recommendation: '' };
+  }
+  const missing = [!metric && 'metric (g/mg/mL)', !us && 'US customary (oz/fl oz)'].filter(Boolean).join(' and ');
+  return {
+    status: 'fail',
+    finding: `Net weight "${statement[0].trim()}" is missing ${missing} units`,
+    recommendation: 'Declare the net weight in both metric and US customary units, e.g. "Net Wt. 3.5 g (0.12 oz)"',
+  };
+}
+
+// Rule pack id → checklist item id → rule. The rules encode California's
+// statements and limits, so other jurisdictions rely on the model alone. The
+// government and Prop 65 warnings are verified in warningVerifier.js, and the
+// cannabinoid math and THC caps in dosage.js.
+const RULES = {
+  'ca-dcc': {
+    e2b: netWeight,
+    e3d: medicalUseStatement(true),
+    e3d2: medicalUseStatement(false),
+    b2b: netWeight,
+    b3d: medicalUseStatement(true),
+    b3d2: medicalUseStatement(false),
+    d2b: netWeight,
+    d3d: medicalUseStatement(true),
+    d3d2: medicalUseStatement(false),
+    d3h2: dosingDevice,
+    c2b: netWeight,
+    c3d: medicalUseStatement(true),
+    c3d2: medicalUseStatement(false),
+    t2b: netWeight,
+    t3d: medicalUseStatement(true),
+    t3d2: medicalUseStatement(false),
+    v2b: netWeight,
+    v3d: medicalUseStatement(true),
+    v3d2: medicalUseStatement(false),
+    n2b: netWeight,
+  },
+};
+
+function runRules({ labelText, packId, productType, labelType, useMode, checklistItems }) {
+  const rules = RULES[packId];
+  if (!rules || !normalize(labelText)) return [];
+  return checklistItems
+    .filter(item => rules[item.id])
+    .map(item => {
+      const verdict = rules[item.id]({ labelText, productType, labelType, useMode });
+      return verdict && { id: item.id, ...verdict, regulation: item.reg };
+    })
+    .filter(Boolean);
+}
+
+// Rule verdicts replace the model's for the same item. A rule only sees text,
+// so when it passes an item the model flagged (e.g. for formatting), the item
+// is kept as a warning carrying both findings.
+function mergeRuleVerdicts(result, ruleVerdicts, checklistItems) {
+  const byId = new Map(ruleVerdicts.map(v => [v.id, v]));
+  const severity = new Map(checklistItems.map(i => [i.id, i.severity]));
+  const criticalIssues = [...result.criticalIssues];
+
+  const items = result.items.map(ai => {
+    const rule = byId.get(ai.id);
+    if (!rule) return { ...ai, source: 'ai' };
+    const aiVerdict = { status: ai.status, finding: ai.finding };
+    // Rules read the transcription, not the page, so the model's evidence stays.
+    const evidence = ai.evidence || [];
+    if (rule.status === 'pass' && !ai.autoFilled && (ai.status === 'fail' || ai.status === 'warning')) {
+      return {
+        ...rule,
+        status: 'warning',
+        finding: `${rule.finding}. The AI review flagged: ${ai.finding}`,
+        recommendation: ai.recommendation,
+        source: 'rule',
+        aiVerdict,
+        evidence,
+      };
+    }
+    if (rule.status === 'fail' && ai.status !== 'fail' && severity.get(ai.id) === 'critical') {
+      criticalIssues.push(`${rule.regulation}: ${rule.finding}`);
+    }
+    return { ...rule, source: 'rule', aiVerdict, evidence };
+  });
+
+  return { ...result, items, criticalIssues };
+}
+
+module.exports = { RULES, normalize, words, cannabinoidAmounts, cannabinoidPercents, isThc, isCbd, runRules, mergeRuleVerdicts };
@@ -0,0 +1,29 @@
+// The model scores the label before the deterministic checks run (rules.js
+// and the checks merged through it, youthAppeal.js). Every item a check made
+// worse than the model's verdict takes points off that score by severity, a
+// warning half as many as a fail, and a critical item failed by a check caps
+// the score below C-. The model's own score is kept in `scoreAdjustment`.
+const DEDUCTIONS = { critical: 20, high: 12, medium: 6, low: 3 };
+const CRITICAL_FAIL_CAP = 69;
+const ORDER = { pass: 0, unverifiable: 0, warning: 1, fail: 2 };
+
+function applyOverrideScore(result, checklistItems) {
+  if (result.complianceScore == null) return result;
+  const severity = new Map(checklistItems.map(i => [i.id, i.severity]));
+  const deductions = result.items
+    .filter(i => i.aiVerdict && ORDER[i.status] > ORDER[i.aiVerdict.status])
+    .map(i => {
+      const points = DEDUCTIONS[severity.get(i.id)] ?? DEDUCTIONS.medium;
+      return { id: i.id, status: i.status, points: i.status === 'fail' ? points : Math.ceil(points / 2) };
+    });
+  if (deductions.length === 0) return { ...result, scoreAdjustment: null };
+
+  const modelScore = result.complianceScore;
+  let score = Math.max(0, modelScore - deductions.reduce((sum, d) => sum + d.points, 0));
+  if (deductions.some(d => d.status === 'fail' && severity.get(d.id) === 'critical')) {
+    score = Math.min(score, CRITICAL_FAIL_CAP);
+  }
+  return { ...result, complianceScore: score, scoreAdjustment: { modelScore, deductions } };
+}
+
+module.exports = { DEDUCTIONS, CRITICAL_FAIL_CAP, applyOverrideScore };
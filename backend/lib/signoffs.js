@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+const DECISIONS = ['approved', 'rejected'];
+
+// Records an approver's print decision for a report. A report can be signed
+// off more than once (e.g. rejected, then approved after a fix); the latest
+// decision wins but earlier ones are kept for the audit trail. `review` is
+// the saved review record being signed off.
+function recordSignoff({ orgId, user, review, decision, comment }) {
+  if (!DECISIONS.includes(decision)) {
+    throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+  return store.insert('signoffs', {
+    id: crypto.randomUUID(),
+    orgId,
+    reportId: review.reportId,
+    reviewId: review.id,
+    decision,
+    comment: comment || '',
+    review: {
+      productType: review.productType || null,
+      labelType: review.labelType || null,
+      fileName: review.file.name,
+      complianceScore: review.complianceScore ?? null,
+    },
+    decidedBy: { id: user.id, name: user.name },
+    decidedAt: new Date().toISOString(),
+  });
+}
+
+function signoffHistory(orgId, reportId) {
+  return store
+    .filter('signoffs', s => s.orgId === orgId && s.reportId === reportId)
+    .sort((a, b) => a.decidedAt.localeCompare(b.decidedAt));
+}
+
+// Latest decision per report for the whole organization, keyed by reportId.
+function latestSignoffs(orgId) {
+  const latest = new Map();
+  for (const s of store.filter('signoffs', s => s.orgId === orgId)) {
+    const current = latest.get(s.reportId);
+    if (!current || s.decidedAt > current.decidedAt) latest.set(s.reportId, s);
+  }
+  return latest;
+}
+
+module.exports = { DECISIONS, recordSignoff, signoffHistory, latestSignoffs };
@@ -0,0 +1,405 @@
+// Compliance sticker generator: the variable data a package sticker carries
+// (product identifier, cannabinoid content, ingredients, batch and UID,
+// packaging date, licensee) laid out at a chosen size, with the government
+// warning for the product type and, optionally, the Prop 65 warning. The
+// texts come from warningTexts.js, so a generated sticker always carries the
+// right variant word for word.
+//
+// The sticker is rendered to a vector PDF that uses the standard Helvetica
+// fonts (so it has a real text layer and can go through the same analysis as
+// uploaded artwork) and to an SVG with the same layout. Type is set as large
+// as fits, from MAX_TYPE_SIZE down to the 6 pt minimum (§17406(b)); content
+// that doesn't fit at 6 pt is an error rather than an illegible sticker.
+
+const { labelSizeInches, LABEL_SIZE_UNITS, MAX_LABEL_INCHES } = require('./measurements');
+const { GOVERNMENT_WARNINGS, PROP65_WARNINGS } = require('./warningTexts');
+
+const POINTS_PER_INCH = 72;
+const MIN_TYPE_SIZE = 6;
+const MAX_TYPE_SIZE = 10;
+const TYPE_SIZE_STEP = 0.25;
+const TITLE_SCALE = 1.3;
+const LINE_HEIGHT = 1.2;
+const PARAGRAPH_GAP = 0.35;
+// Margin in points; at most a quarter of the shorter side on very small
+// stickers.
+const MARGIN = 6;
+
+const TEXT_FIELDS = {
+  productName: { label: 'Product name', required: true, max: 120 },
+  licensee: { label: 'Licensee name', required: true, max: 120 },
+  licenseNumber: { label: 'License number', max: 60 },
+  contact: { label: 'Licensee phone or website', required: true, max: 120 },
+  batch: { label: 'Batch number', required: true, max: 60 },
+  uid: { label: 'UID', max: 60 },
+  packageDate: { label: 'Package date', required: true, max: 40 },
+  expirationDate: { label: 'Expiration date', max: 40 },
+  netWeight: { label: 'Net weight', max: 40 },
+  ingredients: { label: 'Ingredients', max: 2000 },
+  allergens: { label: 'Allergens', max: 200 },
+};
+const NUMBER_FIELDS = {
+  servings: 'Servings per package',
+  totalThcPercent: 'Total THC %',
+  totalCbdPercent: 'Total CBD %',
+  thcPerServing: 'THC mg per serving',
+  thcPerPackage: 'THC mg per package',
+  cbdPerServing: 'CBD mg per serving',
+  cbdPerPackage: 'CBD mg per package',
+};
+
+class StickerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StickerError';
+    this.status = 400;
+  }
+}
+
+// Advance widths of the printable ASCII characters (32-126) in the standard
+// Helvetica and Helvetica-Bold fonts, in 1/1000 em (Adobe AFM metrics).
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// The few characters outside ASCII that labels commonly use, with their
+// WinAnsiEncoding codes. Latin-1 letters (é, ñ, µ, °) map to their own code.
+const WIN_ANSI = { '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '™': 0x99, '€': 0x80 };
+const WIDE = { 0x96: 556, 0x97: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x99: 1000, 0xa9: 737, 0xae: 737, 0xb0: 400, 0xb7: 278 };
+
+function winAnsiCode(ch) {
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+  const code = ch.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+  return null;
+}
+
+function textWidth(text, bold, size) {
+  const widths = bold ? HELVETICA_BOLD : HELVETICA;
+  let total = 0;
+  for (const ch of text) {
+    const code = winAnsiCode(ch);
+    total += code <= 126 ? widths[code - 32] : WIDE[code] || 556;
+  }
+  return (total * size) / 1000;
+}
+
+// --- Input ---
+
+function validateSticker({ productType, fields, size, prop65 } = {}) {
+  if (!GOVERNMENT_WARNINGS[productType]) throw new StickerError(`Unknown product type: ${productType}`);
+  if (!fields || typeof fields !== 'object') throw new StickerError('The sticker fields are required');
+  for (const [key, { label, required, max }] of Object.entries(TEXT_FIELDS)) {
+    const value = fields[key];
+    if (value == null || value === '') {
+      if (required) throw new StickerError(`${label} is required`);
+      continue;
+    }
+    if (typeof value !== 'string' || !value.trim()) throw new StickerError(`${label} must be text`);
+    if (value.length > max) throw new StickerError(`${label} must be at most ${max} characters`);
+    const unprintable = [...new Set([...value].filter(ch => !/\s/.test(ch) && winAnsiCode(ch) == null))];
+    if (unprintable.length > 0) {
+      throw new StickerError(`${label} contains characters the sticker fonts can't print: ${unprintable.join(' ')}`);
+    }
+  }
+  if (productType !== 'non_mfg' && !fields.ingredients) {
+    throw new StickerError('Ingredients are required for a manufactured product');
+  }
+  for (const [key, label] of Object.entries(NUMBER_FIELDS)) {
+    const value = fields[key];
+    if (value != null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      throw new StickerError(`${label} must be a non-negative number`);
+    }
+  }
+  if (fields.servings != null && !(Number.isInteger(fields.servings) && fields.servings >= 1)) {
+    throw new StickerError('Servings per package must be a whole number');
+  }
+  for (const key of ['totalThcPercent', 'totalCbdPercent']) {
+    if (fields[key] > 100) throw new StickerError(`${NUMBER_FIELDS[key]} must be at most 100`);
+  }
+  if (fields.thcPerPackage == null && fields.totalThcPercent == null) {
+    throw new StickerError('Enter the THC content per package or the total THC %');
+  }
+  if (!LABEL_SIZE_UNITS.includes(size?.unit)) throw new StickerError(`Sticker size unit must be one of ${LABEL_SIZE_UNITS.join(', ')}`);
+  if (!labelSizeInches(size)) {
+    throw new StickerError(`Sticker width and height must be positive numbers no larger than ${MAX_LABEL_INCHES} in`);
+  }
+  if (prop65 != null && typeof prop65 !== 'boolean') throw new StickerError('prop65 must be true or false');
+}
+
+const number = v => String(Math.round(v * 100) / 100);
+// Amounts under 2 mg are printed as "<2 mg" (§17407(c)).
+const milligrams = v => (v < 2 ? '<2 mg' : `${number(v)} mg`);
+const clean = text => text.trim().replace(/\s+/g, ' ');
+
+// The sticker's paragraphs, top to bottom: runs of regular and bold text.
+function stickerParagraphs({ productType, medicinal, fields, governmentWarning, prop65Warning }) {
+  const f = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, typeof v === 'string' ? clean(v) : v]));
+  const labelled = (label, value) => [{ text: `${label} `, bold: true }, { text: value }];
+  // Several short labelled values on one line, e.g. "Batch #: … · UID #: …".
+  const together = pairs => pairs.filter(([, v]) => v != null && v !== '')
+    .flatMap(([label, v], i) => [...(i ? [{ text: ' · ' }] : []), ...labelled(label, v)]);
+  const paragraphs = [{ runs: [{ text: f.productName, bold: true }], scale: TITLE_SCALE }];
+  if (medicinal) paragraphs.push({ runs: [{ text: 'FOR MEDICAL USE ONLY', bold: true }] });
+
+  const percent = v => (v == null ? null : `${number(v)}%`);
+  const percents = together([['Total THC:', percent(f.totalThcPercent)], ['Total CBD:', percent(f.totalCbdPercent)]]);
+  if (percents.length > 0) paragraphs.push({ runs: percents });
+  for (const [name, serving, pkg] of [['THC', f.thcPerServing, f.thcPerPackage], ['CBD', f.cbdPerServing, f.cbdPerPackage]]) {
+    const amounts = [[serving, 'serving'], [pkg, 'package']].filter(([v]) => v != null).map(([v, basis]) => `${milligrams(v)} per ${basis}`);
+    if (amounts.length > 0) paragraphs.push({ runs: labelled(`${name}:`, amounts.join(', ')) });
+  }
+  const contents = [f.netWeight && `Net Wt. ${f.netWeight}`, f.servings != null && `${f.servings} servings per package`].filter(Boolean);
+  if (contents.length > 0) paragraphs.push({ runs: [{ text: contents.join(' · ') }] });
+
+  if (f.ingredients) paragraphs.push({ runs: labelled('Ingredients:', f.ingredients.replace(/^ingredients:\s*/i, '')) });
+  if (f.allergens) paragraphs.push({ runs: labelled('Contains:', f.allergens.replace(/^contains:\s*/i, '')) });
+
+  paragraphs.push({ runs: together([['Batch #:', f.batch], ['UID #:', f.uid]]) });
+  paragraphs.push({ runs: together([['Packaged:', f.packageDate], ['Expires:', f.expirationDate]]) });
+  const licensee = [f.licensee, f.licenseNumber && `Lic. # ${f.licenseNumber}`, f.contact].filter(Boolean).join(', ');
+  paragraphs.push({ runs: labelled(productType === 'non_mfg' ? 'Packaged by:' : 'Manufactured by:', licensee) });
+
+  paragraphs.push({ runs: [{ text: governmentWarning.text, bold: true }] });
+  if (prop65Warning) {
+    const rest = prop65Warning.text.replace(/^WARNING:/, '');
+    paragraphs.push({ runs: [{ text: 'WARNING:', bold: true }, { text: rest }], symbol: 'prop65' });
+  }
+  return paragraphs;
+}
+
+// --- Layout ---
+
+// Splits a word that is wider than the line into pieces that fit (long URLs,
+// batch numbers without spaces).
+function breakWord(text, bold, size, maxWidth) {
+  const pieces = [];
+  let current = '';
+  for (const ch of text) {
+    if (current && textWidth(current + ch, bold, size) > maxWidth) {
+      pieces.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  return [...pieces, current];
+}
+
+// Wraps a paragraph's runs into lines of segments, each segment a stretch of
+// one style with its x offset from the left margin. Runs of spaces collapse to
+// one, as they would in print.
+function wrapParagraph({ runs, symbol }, size, width) {
+  const indent = symbol ? size * 1.4 : 0;
+  const words = [];
+  let spaced = false;
+  for (const run of runs) {
+    for (const [, space, word] of run.text.matchAll(/(\s*)(\S+)/g)) {
+      words.push({ word, bold: Boolean(run.bold), spaceBefore: spaced || space.length > 0 });
+      spaced = false;
+    }
+    spaced = spaced || /\s$/.test(run.text);
+  }
+
+  const lines = [];
+  let line = [];
+  let x = indent;
+  for (const { word, bold, spaceBefore } of words) {
+    const available = width - (lines.length === 0 ? indent : 0);
+    const pieces = textWidth(word, bold, size) > available ? breakWord(word, bold, size, width) : [word];
+    pieces.forEach((piece, i) => {
+      let gap = i === 0 && spaceBefore && line.length > 0 ? textWidth(' ', bold, size) : 0;
+      const w = textWidth(piece, bold, size);
+      if (line.length > 0 && x + gap + w > width) {
+        lines.push(line);
+        line = [];
+        x = 0;
+        gap = 0;
+      }
+      const last = line[line.length - 1];
+      if (last && last.bold === bold) {
+        last.text += (gap ? ' ' : '') + piece;
+      } else {
+        // A space between differently styled runs stays with the earlier one.
+        if (last && gap) last.text += ' ';
+        line.push({ text: piece, bold, x: x + gap });
+      }
+      x += gap + w;
+    });
+  }
+  if (line.length > 0) lines.push(line);
+  return lines;
+}
+
+// Positions every line at one base type size, or null when the paragraphs
+// don't fit the sticker's height.
+function layoutAt(paragraphs, size, width, height, margin) {
+  const placed = [];
+  const symbols = [];
+  let top = margin;
+  paragraphs.forEach((paragraph, p) => {
+    const lineSize = size * (paragraph.scale || 1);
+    if (p > 0) top += size * PARAGRAPH_GAP;
+    if (paragraph.symbol) symbols.push({ x: margin, top, size: lineSize });
+    for (const segments of wrapParagraph(paragraph, lineSize, width - 2 * margin)) {
+      placed.push({ size: lineSize, baseline: top + lineSize * 0.95, segments: segments.map(s => ({ ...s, x: s.x + margin })) });
+      top += lineSize * LINE_HEIGHT;
+    }
+  });
+  return top + margin <= height ? { lines: placed, symbols, used: top + margin } : null;
+}
+
+function layoutSticker(paragraphs, width, height) {
+  const margin = Math.min(MARGIN, Math.min(width, height) / 4);
+  for (let size = MAX_TYPE_SIZE; size >= MIN_TYPE_SIZE; size -= TYPE_SIZE_STEP) {
+    const layout = layoutAt(paragraphs, size, width, height, margin);
+    if (layout) return { ...layout, size };
+  }
+  return null;
+}
+
+// --- Rendering ---
+
+// The Prop 65 symbol: an equilateral triangle (outline, so it prints on
+// one-color thermal stickers) as tall as the type, with a bold "!".
+function prop65Triangle({ x, top, size }) {
+  const h = size;
+  const side = (2 * h) / Math.sqrt(3);
+  return {
+    points: [[x + side / 2, top + h * 0.05], [x, top + h * 1.05], [x + side, top + h * 1.05]],
+    stroke: size * 0.09,
+    mark: { x: x + side / 2 - textWidth('!', true, size * 0.7) / 2, baseline: top + h * 0.95, size: size * 0.7 },
+  };
+}
+
+const round = v => Math.round(v * 100) / 100;
+
+function pdfString(text) {
+  let out = '';
+  for (const ch of text) {
+    const code = winAnsiCode(ch);
+    if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += ch;
+  }
+  return `(${out})`;
+}
+
+function pdfDocument({ lines, symbols }, width, height, title) {
+  const y = v => round(height - v);
+  const ops = ['0 g 0 G'];
+  for (const line of lines) {
+    for (const s of line.segments) {
+      ops.push(`BT /${s.bold ? 'F2' : 'F1'} ${round(line.size)} Tf 1 0 0 1 ${round(s.x)} ${y(line.baseline)} Tm ${pdfString(s.text)} Tj ET`);
+    }
+  }
+  for (const symbol of symbols) {
+    const { points, stroke, mark } = prop65Triangle(symbol);
+    const [a, b, c] = points;
+    ops.push(`${round(stroke)} w 1 j ${round(a[0])} ${y(a[1])} m ${round(b[0])} ${y(b[1])} l ${round(c[0])} ${y(c[1])} l h S`);
+    ops.push(`BT /F2 ${round(mark.size)} Tf 1 0 0 1 ${round(mark.x)} ${y(mark.baseline)} Tm (!) Tj ET`);
+  }
+  const content = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${round(width)} ${round(height)}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${pdfString(title)} /Producer (Cannabis Label Compliance Checker) >>`,
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const xml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function svgDocument({ lines, symbols }, width, height, size) {
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(size.width)}${size.unit}" height="${round(size.height)}${size.unit}" ` +
+      `viewBox="0 0 ${round(width)} ${round(height)}">`,
+    `<rect width="${round(width)}" height="${round(height)}" fill="#fff"/>`,
+    '<g font-family="Helvetica, Arial, sans-serif" fill="#000">',
+  ];
+  for (const line of lines) {
+    for (const s of line.segments) {
+      // textLength keeps the layout when the viewer substitutes another font.
+      const text = s.text.trimEnd();
+      parts.push(`<text x="${round(s.x)}" y="${round(line.baseline)}" font-size="${round(line.size)}"` +
+        `${s.bold ? ' font-weight="bold"' : ''} textLength="${round(textWidth(text, s.bold, line.size))}" ` +
+        `lengthAdjust="spacingAndGlyphs">${xml(text)}</text>`);
+    }
+  }
+  for (const symbol of symbols) {
+    const { points, stroke, mark } = prop65Triangle(symbol);
+    parts.push(`<path d="M${points.map(p => p.map(round).join(' ')).join(' L')} Z" fill="none" stroke="#000" ` +
+      `stroke-width="${round(stroke)}" stroke-linejoin="round"/>`);
+    parts.push(`<text x="${round(mark.x)}" y="${round(mark.baseline)}" font-size="${round(mark.size)}" font-weight="bold">!</text>`);
+  }
+  parts.push('</g>', '</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Generates a compliance sticker. `medicinal` adds the "FOR MEDICAL USE ONLY"
+ * line; `prop65` (default true) adds the Prop 65 warning for the product type.
+ * Returns the PDF (base64, ready to post to /api/analyze), the SVG, and the
+ * type size and warning variants that were used.
+ */
+function generateSticker(request, { medicinal = false } = {}) {
+  validateSticker(request);
+  const { productType, fields, size, prop65 = true } = request;
+  const inches = labelSizeInches(size);
+  const width = inches.width * POINTS_PER_INCH;
+  const height = inches.height * POINTS_PER_INCH;
+  const governmentWarning = GOVERNMENT_WARNINGS[productType];
+  const prop65Warning = prop65 ? PROP65_WARNINGS[productType] : null;
+
+  const paragraphs = stickerParagraphs({ productType, medicinal, fields, governmentWarning, prop65Warning });
+  const layout = layoutSticker(paragraphs, width, height);
+  if (!layout) {
+    throw new StickerError(`The sticker content doesn't fit on ${size.width} × ${size.height} ${size.unit} at the ` +
+      `${MIN_TYPE_SIZE} pt minimum type size; choose a larger size or shorten the ingredients`);
+  }
+
+  const title = `${clean(fields.productName)} compliance sticker`;
+  const slug = clean(fields.productName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'sticker';
+  return {
+    pdf: { name: `${slug}-sticker.pdf`, mediaType: 'application/pdf', data: pdfDocument(layout, width, height, title).toString('base64') },
+    svg: svgDocument(layout, width, height, size),
+    layout: {
+      typeSize: layout.size,
+      titleSize: round(layout.size * TITLE_SCALE),
+      fill: Math.round((layout.used / height) * 100),
+      size: { width: size.width, height: size.height, unit: size.unit },
+    },
+    warnings: {
+      government: { version: governmentWarning.version, reg: governmentWarning.reg },
+      prop65: prop65Warning ? { variant: prop65Warning.variant } : null,
+    },
+  };
+}
+
+module.exports = { MIN_TYPE_SIZE, StickerError, generateSticker };
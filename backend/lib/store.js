@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each collection is a JSON array in its own file under DATA_DIR. Writes go to
+// a temp file first and are renamed into place so a crash can't truncate data.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function collectionPath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+function readAll(name) {
+  try {
+    return JSON.parse(fs.readFileSync(collectionPath(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function writeAll(name, records) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = collectionPath(name);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(records, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function find(name, predicate) {
+  return readAll(name).find(predicate) || null;
+}
+
+function filter(name, predicate) {
+  return readAll(name).filter(predicate);
+}
+
+function insert(name, record) {
+  const records = readAll(name);
+  records.push(record);
+  writeAll(name, records);
+  return record;
+}
+
+// `changes` may be a function of the stored record, for changes that build on
+// it (appending to a list) rather than on a copy read earlier.
+function update(name, predicate, changes) {
+  const records = readAll(name);
+  const record = records.find(predicate);
+  if (!record) return null;
+  Object.assign(record, typeof changes === 'function' ? changes(record) : changes);
+  writeAll(name, records);
+  return record;
+}
+
+function remove(name, predicate) {
+  const records = readAll(name);
+  const kept = records.filter(r => !predicate(r));
+  writeAll(name, kept);
+  return records.length - kept.length;
+}
+
+module.exports = { DATA_DIR, readAll, writeAll, find, filter, insert, update, remove };
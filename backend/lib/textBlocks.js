@@ -0,0 +1,31 @@
+// Text blocks with coordinates: the evidence layer that ties each checklist
+// verdict to the place on the label it is based on. PDF pages with a text
+// layer give exact lines (pdf.js); images, and PDF pages whose text was
+// converted to outlines, are read by the model (TEXT_BLOCKS_PROMPT). Boxes are
+// fractions of the page, [left, top, right, bottom] from the top-left corner,
+// so the browser can draw them over any rendering of it.
+
+function isBox(box) {
+  return Array.isArray(box) && box.length === 4 && box.every(v => typeof v === 'number' && v >= 0 && v <= 1)
+    && box[2] > box[0] && box[3] > box[1];
+}
+
+// Normalizes the model's OCR reply to { page, text, box } entries on the
+// pages it was shown; anything malformed is dropped.
+function normalizeTextBlocks(parsed, pages) {
+  if (!Array.isArray(parsed?.blocks)) return [];
+  return parsed.blocks
+    .filter(b => b && typeof b.text === 'string' && b.text.trim() && isBox(b.box))
+    .map(b => ({ page: pages.length === 1 ? pages[0] : b.page, text: b.text.trim(), box: b.box }))
+    .filter(b => pages.includes(b.page));
+}
+
+// Orders blocks by page, then top to bottom, and numbers them b1, b2, … for
+// the model to cite.
+function numberTextBlocks(blocks) {
+  return [...blocks]
+    .sort((a, b) => a.page - b.page || a.box[1] - b.box[1] || a.box[0] - b.box[0])
+    .map((b, i) => ({ id: `b${i + 1}`, ...b }));
+}
+
+module.exports = { normalizeTextBlocks, numberTextBlocks };
@@ -0,0 +1,66 @@
+// Canonical warning statements, keyed by product type.
+//
+// GOVERNMENT_WARNINGS: §17406(a)(3) "PRODUCT" version for manufactured
+// products, §17403(b)(4) "PACKAGE" version for nonmanufactured cannabis.
+// PROP65_WARNINGS: the cannabis-specific Prop 65 short-form text for how the
+// product is consumed (eaten or drunk, vaped/dabbed, smoked, applied to the
+// skin).
+
+const PRODUCT_WARNING = 'GOVERNMENT WARNING: THIS PRODUCT CONTAINS CANNABIS, A SCHEDULE I CONTROLLED SUBSTANCE. ' +
+  'KEEP OUT OF REACH OF CHILDREN AND ANIMALS. CANNABIS MAY ONLY BE POSSESSED OR CONSUMED BY PERSONS 21 YEARS OF AGE ' +
+  'OR OLDER UNLESS THE PERSON IS A QUALIFIED PATIENT. THE INTOXICATING EFFECTS OF CANNABIS MAY BE DELAYED UP TO TWO ' +
+  'HOURS. CANNABIS USE WHILE PREGNANT MAY BE HARMFUL. CONSUMPTION OF CANNABIS IMPAIRS YOUR ABILITY TO DRIVE AND ' +
+  'OPERATE MACHINERY. PLEASE USE EXTREME CAUTION.';
+
+const PACKAGE_WARNING = 'GOVERNMENT WARNING: THIS PACKAGE CONTAINS CANNABIS, A SCHEDULE I CONTROLLED SUBSTANCE. ' +
+  'KEEP OUT OF REACH OF CHILDREN AND ANIMALS. CANNABIS MAY ONLY BE POSSESSED OR CONSUMED BY PERSONS 21 YEARS OF AGE ' +
+  'OR OLDER UNLESS THE PERSON IS A QUALIFIED PATIENT. CANNABIS USE WHILE PREGNANT MAY BE HARMFUL. CONSUMPTION OF ' +
+  'CANNABIS IMPAIRS YOUR ABILITY TO DRIVE AND OPERATE MACHINERY. PLEASE USE EXTREME CAUTION.';
+
+const MANUFACTURED = { version: 'PRODUCT', reg: '§17406(a)(3)', text: PRODUCT_WARNING };
+
+const GOVERNMENT_WARNINGS = {
+  edibles: MANUFACTURED,
+  beverages: MANUFACTURED,
+  tinctures: MANUFACTURED,
+  capsules: MANUFACTURED,
+  topicals: MANUFACTURED,
+  mfg_vape: MANUFACTURED,
+  non_mfg: { version: 'PACKAGE', reg: '§17403(b)(4)', text: PACKAGE_WARNING },
+};
+
+// Beverages, tinctures and capsules are swallowed like edibles and share
+// their text.
+const CONSUMING = {
+  variant: 'edible',
+  text: 'WARNING: Consuming this product during pregnancy exposes your child to delta-9-THC, which is known to the ' +
+    'State of California to cause birth defects or other reproductive harm. For more information go to ' +
+    'www.P65Warnings.ca.gov/cannabis.',
+};
+
+const PROP65_WARNINGS = {
+  edibles: CONSUMING,
+  beverages: CONSUMING,
+  tinctures: CONSUMING,
+  capsules: CONSUMING,
+  topicals: {
+    variant: 'topical',
+    text: 'WARNING: Using this product during pregnancy exposes your child to delta-9-THC, which is known to the ' +
+      'State of California to cause birth defects or other reproductive harm. For more information go to ' +
+      'www.P65Warnings.ca.gov/cannabis.',
+  },
+  mfg_vape: {
+    variant: 'vape/dab',
+    text: 'WARNING: Vaping or dabbing this product during pregnancy exposes your child to delta-9-THC, which is known ' +
+      'to the State of California to cause birth defects or other reproductive harm. For more information go to ' +
+      'www.P65Warnings.ca.gov/cannabis.',
+  },
+  non_mfg: {
+    variant: 'smoking',
+    text: 'WARNING: Smoking cannabis increases your cancer risk and during pregnancy exposes your child to ' +
+      'delta-9-THC and other chemicals that can affect your child\'s birth weight, behavior, and learning ability. ' +
+      'For more information go to www.P65Warnings.ca.gov/cannabis.',
+  },
+};
+
+module.exports = { GOVERNMENT_WARNINGS, PROP65_WARNINGS };
@@ -0,0 +1,382 @@
+// Verifies the government warning and the Prop 65 warning against their
+// canonical texts (warningTexts.js). The printed statement is diffed against
+// the required one word by word, so a missing sentence, a wrong word or a
+// comma for a period shows up once, exactly where it is. Capitalization and
+// bold type are checked separately: the government warning must be entirely
+// in bold capitals (§17406(a)(3), §17403(b)(4)), and the word "WARNING" that
+// opens the Prop 65 warning must be bold capitals too.
+//
+// Bold can't be read from a transcription, so the model copies each warning
+// again split into bold and regular runs (WARNING_STYLE_PROMPT). Without that
+// reply the wording and capitals are still checked, from the label text.
+// Diffs are computed over the whole statement (a hundred-odd words and
+// punctuation marks), so the quadratic searches stay small.
+
+const { GOVERNMENT_WARNINGS, PROP65_WARNINGS } = require('./warningTexts');
+const { normalize, words } = require('./rules');
+
+// Equal stretches of fewer words than this between two changes are folded
+// into the change, so "THIS PACKAGE HAS" vs "THIS PRODUCT CONTAINS" reads as
+// one replaced phrase rather than two words either side of a space.
+const MIN_EQUAL_WORDS = 2;
+
+const WARNINGS = {
+  government: {
+    name: 'Government warning',
+    canonical: productType => GOVERNMENT_WARNINGS[productType],
+    label: canonical => `${canonical.version} version`,
+    opening: () => 'GOVERNMENT WARNING',
+    // Characters of the printed statement that must be bold capitals.
+    emphasis: text => text.length,
+  },
+  prop65: {
+    name: 'Prop 65 warning',
+    canonical: productType => PROP65_WARNINGS[productType],
+    label: canonical => `${canonical.variant} variant`,
+    opening: canonical => words(canonical.text).slice(0, 2).join(' '),
+    emphasis: text => (/^WARNING\b/i.test(text) ? 'WARNING'.length : 0),
+  },
+};
+
+// Checklist items decided by the verifier, per rule pack.
+const WARNING_CHECKS = {
+  'ca-dcc': {
+    e3c: 'government',
+    e6a: 'prop65',
+    b3c: 'government',
+    b6a: 'prop65',
+    d3c: 'government',
+    d6a: 'prop65',
+    c3c: 'government',
+    c6a: 'prop65',
+    t3c: 'government',
+    t6a: 'prop65',
+    v3c: 'government',
+    v6a: 'prop65',
+    n2h: 'government',
+    n5a: 'prop65',
+  },
+};
+
+// Normalizes the model's style reply: for each warning, the runs of text it
+// is printed in and whether each run is bold. Null when unusable.
+function normalizeRuns(entry) {
+  if (!entry || !Array.isArray(entry.runs)) return null;
+  const runs = entry.runs
+    .filter(r => r && typeof r.text === 'string' && r.text)
+    .map(r => ({ text: r.text, bold: r.bold !== false }));
+  return runs.length > 0 ? runs : null;
+}
+
+function normalizeWarningStyles(parsed) {
+  if (!parsed || typeof parsed !== 'object') return null;
+  return { government: normalizeRuns(parsed.governmentWarning), prop65: normalizeRuns(parsed.prop65Warning) };
+}
+
+// The printed statement in the label text: from its opening words up to the
+// canonical text's last word, or about the canonical length when that word
+// is missing. Null when the opening words aren't on the label.
+function findStatement(labelText, canonical, opening) {
+  const text = normalize(labelText);
+  const start = text.toUpperCase().indexOf(opening.toUpperCase());
+  if (start === -1) return null;
+  const window = text.slice(start, start + Math.round(canonical.length * 1.3) + 20);
+  const last = words(canonical).pop().replace(/[^\w/.]+$/, '').replace(/\.$/, '');
+  const end = window.toUpperCase().lastIndexOf(last.toUpperCase());
+  if (end !== -1) {
+    const after = window.slice(end + last.length).match(/^[.!,;:]*/)[0];
+    return window.slice(0, end + last.length + after.length);
+  }
+  const cut = window.slice(0, canonical.length);
+  const space = cut.lastIndexOf(' ');
+  return space > canonical.length * 0.8 ? cut.slice(0, space) : cut;
+}
+
+// Words, runs of spaces and single punctuation marks, in order.
+const tokens = text => text.match(/[A-Za-z0-9']+|\s+|[^A-Za-z0-9'\s]/g) || [];
+const wordCount = text => (text.match(/[A-Za-z0-9']+/g) || []).length;
+
+// The longest run of equal tokens in a[aLo..aHi) and b[bLo..bHi), the
+// earliest on ties.
+function longestMatch(a, b, aLo, aHi, bLo, bHi) {
+  let best = { i: aLo, j: bLo, size: 0 };
+  let prev = new Uint16Array(bHi - bLo + 1);
+  for (let i = aLo; i < aHi; i++) {
+    const row = new Uint16Array(bHi - bLo + 1);
+    for (let j = bLo; j < bHi; j++) {
+      if (a[i] !== b[j]) continue;
+      const size = prev[j - bLo] + 1;
+      row[j - bLo + 1] = size;
+      if (size > best.size) best = { i: i - size + 1, j: j - size + 1, size };
+    }
+    prev = row;
+  }
+  return best;
+}
+
+// Word diff of the printed statement against the canonical one, ignoring
+// case (capitals are checked separately). The longest common run is matched
+// first and each side is diffed the same way, so a dropped sentence can't be
+// matched word by word against the rest of the statement. Returns segments
+// in reading order: 'equal' (as printed), 'missing' (required but not
+// printed) and 'extra' (printed but not in the required text).
+function diffWords(expected, found) {
+  const a = tokens(expected);
+  const b = tokens(found);
+  const upperA = a.map(t => t.toUpperCase());
+  const upperB = b.map(t => t.toUpperCase());
+  const ops = [];
+  const push = (op, text, source) => {
+    const prev = ops[ops.length - 1];
+    if (prev && prev.op === op) {
+      prev.text += text;
+      prev.expected += source;
+    } else {
+      ops.push({ op, text, expected: source });
+    }
+  };
+  const align = (aLo, aHi, bLo, bHi) => {
+    const { i, j, size } = longestMatch(upperA, upperB, aLo, aHi, bLo, bHi);
+    if (size === 0) {
+      if (aHi > aLo) push('missing', a.slice(aLo, aHi).join(''), a.slice(aLo, aHi).join(''));
+      if (bHi > bLo) push('extra', b.slice(bLo, bHi).join(''), '');
+      return;
+    }
+    align(aLo, i, bLo, j);
+    push('equal', b.slice(j, j + size).join(''), a.slice(i, i + size).join(''));
+    align(i + size, aHi, j + size, bHi);
+  };
+  align(0, a.length, 0, b.length);
+  return startAtWords(cleanUp(ops));
+}
+
+// Folds short equal stretches between changes into the changes, then merges
+// each run of changes into one missing and one extra segment.
+function cleanUp(ops) {
+  const segments = [];
+  let missing = '';
+  let extra = '';
+  const flush = () => {
+    if (missing) segments.push({ op: 'missing', text: missing });
+    if (extra) segments.push({ op: 'extra', text: extra });
+    missing = '';
+    extra = '';
+  };
+  ops.forEach((op, k) => {
+    const between = k > 0 && k < ops.length - 1;
+    if (op.op === 'equal' && !(between && wordCount(op.text) < MIN_EQUAL_WORDS)) {
+      flush();
+      segments.push({ op: 'equal', text: op.text });
+    } else if (op.op === 'equal') {
+      missing += op.expected;
+      extra += op.text;
+    } else if (op.op === 'missing') {
+      missing += op.text;
+    } else {
+      extra += op.text;
+    }
+  });
+  flush();
+  return segments;
+}
+
+// A dropped sentence can be aligned as ". KEEP ... ANIMALS" or as
+// "KEEP ... ANIMALS. "; a lone change that starts with punctuation or a space
+// is slid right along the equal text after it until it starts with a word.
+function startAtWords(segments) {
+  segments.forEach((seg, k) => {
+    const prev = segments[k - 1];
+    const next = segments[k + 1];
+    if (seg.op === 'equal' || prev?.op !== 'equal' || next?.op !== 'equal') return;
+    while (/^[^A-Za-z0-9']/.test(seg.text) && next.text && seg.text[0].toUpperCase() === next.text[0].toUpperCase()) {
+      prev.text += next.text[0];
+      next.text = next.text.slice(1);
+      seg.text = seg.text.slice(1) + seg.text[0];
+    }
+  });
+  return segments.filter(seg => seg.text);
+}
+
+const hasWords = text => /[A-Za-z0-9]/.test(text);
+
+// One issue per change in the diff: missing or extra words, wrong
+// punctuation, or different wording. Punctuation is reported with the word it
+// follows.
+function diffIssues(diff) {
+  const issues = [];
+  for (let k = 0; k < diff.length; k++) {
+    const seg = diff[k];
+    if (seg.op === 'equal') continue;
+    const paired = seg.op === 'missing' && diff[k + 1]?.op === 'extra';
+    const before = diff[k - 1]?.op === 'equal' ? diff[k - 1].text : '';
+    const expected = seg.op === 'missing' ? seg.text.trim() : '';
+    const found = (seg.op === 'extra' ? seg.text : paired ? diff[k + 1].text : '').trim();
+    if (paired) k++;
+    if (!expected && !found) continue;
+
+    if (!hasWords(expected) && !hasWords(found)) {
+      const word = before.match(/(\S+)\s*$/);
+      issues.push({ type: 'punctuation', expected, found, after: word ? word[1] : null });
+      continue;
+    }
+    const type = expected && found ? 'wording' : found ? 'extra' : 'missing';
+    issues.push({ type, expected, found });
+  }
+  return issues;
+}
+
+// Stretches of the first `length` characters that aren't capitals, joined
+// into whole words.
+function lowercaseSpans(text, length) {
+  const spans = [];
+  let span = null;
+  for (const match of text.slice(0, length).matchAll(/\S+/g)) {
+    const lower = /[a-z]/.test(match[0]);
+    if (lower && span) span.text += ` ${match[0]}`;
+    else if (lower) span = { text: match[0] };
+    else if (span) {
+      spans.push(span);
+      span = null;
+    }
+  }
+  if (span) spans.push(span);
+  return spans.map(s => s.text);
+}
+
+// Regular-weight runs within the first `length` characters.
+function regularSpans(runs, length) {
+  const spans = [];
+  let pos = 0;
+  for (const run of runs) {
+    const text = run.text.slice(0, Math.max(0, length - pos));
+    if (!run.bold && hasWords(text)) spans.push(normalize(text));
+    pos += run.text.length;
+  }
+  return spans.filter(Boolean);
+}
+
+const quote = text => `"${text}"`;
+
+function describeIssue(issue) {
+  switch (issue.type) {
+    case 'missing': return `missing ${quote(issue.expected)}`;
+    case 'extra': return `extra ${quote(issue.found)}`;
+    case 'punctuation': {
+      const where = issue.after ? ` after ${quote(issue.after)}` : '';
+      if (!issue.found) return `missing ${quote(issue.expected)}${where}`;
+      if (!issue.expected) return `extra ${quote(issue.found)}${where}`;
+      return `${quote(issue.found)} instead of ${quote(issue.expected)}${where}`;
+    }
+    case 'case': return `not in capitals: ${quote(issue.found)}`;
+    case 'bold': return `not bold: ${quote(issue.found)}`;
+    default: return issue.found ? `${quote(issue.found)} instead of ${quote(issue.expected)}` : `missing ${quote(issue.expected)}`;
+  }
+}
+
+// Compares one warning on the label with its canonical text. The wording is
+// taken from the label text, falling back to the model's style reading
+// (`runs`, or null) when the transcription lacks the statement; bold type
+// comes from the style reading only.
+function verifyWarning(key, { labelText, productType, runs }) {
+  const spec = WARNINGS[key];
+  const canonical = spec.canonical(productType);
+  const expected = normalize(canonical.text);
+  const opening = spec.opening(canonical);
+  const styled = runs && normalize(runs.map(r => r.text).join(''));
+  const found = findStatement(labelText, expected, opening)
+    || (styled && styled.toUpperCase().startsWith(opening.toUpperCase()) ? styled : null);
+  const entry = {
+    key,
+    name: spec.name,
+    required: spec.label(canonical),
+    regulation: canonical.reg || null,
+    expected,
+    found,
+    boldChecked: Boolean(found && styled),
+  };
+  if (!found) return { ...entry, diff: [], issues: [] };
+
+  const diff = diffWords(expected, found);
+  const issues = [
+    ...diffIssues(diff),
+    ...lowercaseSpans(found, spec.emphasis(found)).map(text => ({ type: 'case', expected: '', found: text })),
+    ...(entry.boldChecked ? regularSpans(runs, spec.emphasis(styled)).map(text => ({ type: 'bold', expected: '', found: text })) : []),
+  ];
+  return { ...entry, diff, issues };
+}
+
+// The checklist verdict for one verified warning; null when the statement
+// isn't on a compliance-only label, which may not be expected to carry it.
+function warningVerdict(entry, { labelText, productType, labelType }) {
+  const spec = WARNINGS[entry.key];
+  const canonical = spec.canonical(productType);
+  if (!entry.found) {
+    if (labelType === 'compliance') return null;
+    if (entry.key === 'prop65') {
+      const other = Object.values(PROP65_WARNINGS)
+        .find(w => w !== canonical && findStatement(labelText, normalize(w.text), spec.opening(w)));
+      return {
+        status: 'fail',
+        finding: other
+          ? `Label uses the ${other.variant} Prop 65 warning; this product type requires the ${canonical.variant} variant`
+          : `No ${canonical.variant} Prop 65 warning found in the label text`,
+        recommendation: `Print the Prop 65 warning verbatim: "${canonical.text}"`,
+      };
+    }
+    return {
+      status: 'fail',
+      finding: 'No "GOVERNMENT WARNING:" statement found in the label text',
+      recommendation: `Add the ${canonical.version} version of the government warning, in bold capital letters, verbatim`,
+    };
+  }
+  if (entry.issues.length > 0) {
+    const shown = entry.issues.slice(0, 3).map(describeIssue).join('; ');
+    const more = entry.issues.length > 3 ? `; and ${entry.issues.length - 3} more difference(s)` : '';
+    return {
+      status: 'fail',
+      finding: `${spec.name} differs from the required ${entry.required}: ${shown}${more}`,
+      recommendation: entry.key === 'government'
+        ? `Replace the statement with the exact ${canonical.reg} text, in bold capital letters: "${canonical.text}"`
+        : `Print the Prop 65 warning verbatim, with "WARNING:" in bold capitals: "${canonical.text}"`,
+    };
+  }
+  const style = entry.key === 'government' ? ', in capital letters' : '';
+  return {
+    status: 'pass',
+    finding: `${spec.name} matches the required ${entry.required} verbatim${style}` +
+      (entry.boldChecked ? ' and in bold type' : ' (bold type was not checked)'),
+    recommendation: '',
+  };
+}
+
+// Returns the verification report (one entry per warning on this checklist)
+// plus a verdict for each checklist item it decides. Null report when the
+// pack has no canonical warning texts for this checklist.
+function checkWarnings({ labelText, styles, packId, productType, labelType, checklistItems }) {
+  const checks = WARNING_CHECKS[packId] || {};
+  const keys = [...new Set(checklistItems.map(i => checks[i.id]).filter(Boolean))];
+  // With no text to read from, the model's verdicts stand.
+  if (keys.length === 0 || (!normalize(labelText) && !styles)) return { report: null, verdicts: [] };
+  const entries = new Map(keys.map(key => [key, verifyWarning(key, { labelText, productType, runs: styles?.[key] || null })]));
+  const verdicts = [];
+  for (const item of checklistItems) {
+    const key = checks[item.id];
+    if (!key) continue;
+    const verdict = warningVerdict(entries.get(key), { labelText, productType, labelType });
+    if (verdict) verdicts.push({ id: item.id, ...verdict, regulation: item.reg });
+  }
+  const warnings = [...entries.values()].map(entry => ({
+    ...entry,
+    status: !entry.found ? 'missing' : entry.issues.length > 0 ? 'fail' : 'pass',
+  }));
+  return { report: { warnings }, verdicts };
+}
+
+// Whether the pack has warnings to verify on this checklist, so the style
+// read can be skipped when it doesn't.
+function hasWarningChecks(packId, checklistItems) {
+  const checks = WARNING_CHECKS[packId] || {};
+  return checklistItems.some(i => checks[i.id]);
+}
+
+module.exports = { WARNING_CHECKS, diffWords, normalizeWarningStyles, checkWarnings, hasWarningChecks };
@@ -0,0 +1,129 @@
+// Youth-appeal imagery review: a dedicated pass over the artwork for the
+// things regulators cite under "attractive to individuals under 21"
+// (§17408(a)(2)) and the ban on pictures of the edible product (§17408(a)(4)).
+// The model rates each factor (YOUTH_APPEAL_PROMPT); turning the ratings into
+// a score and into verdicts happens here.
+//
+// The pass can only make a checklist item stricter: a factor rated high fails
+// the item it bears on, a medium one makes it at least a warning. A low or
+// absent rating leaves the evaluation's verdict as it was.
+
+const RATINGS = ['none', 'low', 'medium', 'high'];
+// Risk points per rating; the imagery score is the highest factor's.
+const RATING_SCORES = { none: 0, low: 25, medium: 60, high: 90 };
+
+const FACTORS = [
+  { key: 'cartoons', name: 'Cartoons and illustrations', item: 'appeal' },
+  { key: 'candy', name: 'Candy-like depictions', item: 'appeal' },
+  { key: 'palette', name: 'Youth-oriented colors and style', item: 'appeal' },
+  { key: 'likeness', name: 'Celebrity or character likenesses', item: 'appeal' },
+  { key: 'productImage', name: 'Images of the edible product', item: 'productImage' },
+];
+
+// Checklist items the review bears on, per rule pack: 'appeal' for
+// "not attractive to minors", 'productImage' for the edible-picture ban.
+const IMAGERY_ITEMS = {
+  'ca-dcc': {
+    e5b: 'appeal',
+    e5e: 'productImage',
+    b5b: 'appeal',
+    b5e: 'productImage',
+    d5b: 'appeal',
+    c5b: 'appeal',
+    t5b: 'appeal',
+    v5b: 'appeal',
+    n4b: 'appeal',
+  },
+  'co-med': { e6a: 'appeal', v6a: 'appeal', n6a: 'appeal' },
+  'mi-cra': { e6a: 'appeal', v6a: 'appeal', n6a: 'appeal' },
+  'or-olcc': { e6a: 'appeal', v6a: 'appeal', n6a: 'appeal' },
+};
+
+function imageryItems(packId, checklistItems) {
+  const map = IMAGERY_ITEMS[packId] || {};
+  return checklistItems.filter(i => map[i.id]).map(i => ({ ...i, bears: map[i.id] }));
+}
+
+// Normalizes the model's reply; null when it isn't an object at all. A
+// factor the model skipped or rated with an unknown value is left unrated.
+function normalizeYouthAppeal(parsed) {
+  if (!parsed || typeof parsed !== 'object') return null;
+  return Object.fromEntries(FACTORS.map(({ key }) => {
+    const entry = parsed[key];
+    const rating = RATINGS.includes(entry?.rating) ? entry.rating : null;
+    return [key, {
+      rating,
+      rationale: typeof entry?.rationale === 'string' ? entry.rationale.trim() : '',
+      elements: Array.isArray(entry?.elements) ? entry.elements.filter(e => typeof e === 'string' && e.trim()).map(e => e.trim()) : [],
+    }];
+  }));
+}
+
+const worst = ratings => ratings.reduce((a, b) => (RATINGS.indexOf(b) > RATINGS.indexOf(a) ? b : a), 'none');
+
+// The verdict one checklist item gets from the factors that bear on it, or
+// null when none of them is rated medium or high.
+function imageryVerdict(item, factors) {
+  const flagged = factors.filter(f => f.item === item.bears && (f.rating === 'medium' || f.rating === 'high'));
+  if (flagged.length === 0) return null;
+  const status = flagged.some(f => f.rating === 'high') ? 'fail' : 'warning';
+  return {
+    id: item.id,
+    status,
+    finding: `Imagery review: ${flagged.map(f => `${f.name.toLowerCase()} (${f.rating} risk)${f.rationale ? ` — ${f.rationale.replace(/\.$/, '')}` : ''}`).join('; ')}`,
+    recommendation: item.bears === 'productImage'
+      ? 'Remove pictures of the product from the packaging exterior'
+      : `Redesign the flagged elements so they do not appeal to people under 21: ${flagged.flatMap(f => f.elements).join(', ') || 'see the imagery review'}`,
+    regulation: item.reg,
+  };
+}
+
+// Returns the imagery report (one row per factor that applies to this
+// checklist, the overall rating and a 0–100 score) plus the verdicts it
+// raises. The picture ban only applies where the checklist has that item.
+function checkYouthAppeal({ assessment, packId, checklistItems }) {
+  const items = imageryItems(packId, checklistItems);
+  const applies = new Set(items.map(i => i.bears));
+  // Without a mapped item, the general appeal factors are still reported.
+  applies.add('appeal');
+  if (!assessment) {
+    return { report: { factors: [], overall: null, score: null, error: 'The artwork could not be reviewed for youth appeal' }, verdicts: [] };
+  }
+  const factors = FACTORS
+    .filter(f => applies.has(f.item))
+    .map(f => ({ key: f.key, name: f.name, item: f.item, ...assessment[f.key] }));
+  const rated = factors.filter(f => f.rating);
+  const overall = rated.length > 0 ? worst(rated.map(f => f.rating)) : null;
+  const verdicts = items.map(item => imageryVerdict(item, factors)).filter(Boolean);
+  return {
+    report: {
+      factors: factors.map(({ key, name, rating, rationale, elements }) => ({ key, name, rating, rationale, elements })),
+      overall,
+      score: overall ? RATING_SCORES[overall] : null,
+    },
+    verdicts,
+  };
+}
+
+const ORDER = { pass: 0, unverifiable: 0, warning: 1, fail: 2 };
+
+// Applies the imagery verdicts to the evaluated items. An item only moves to
+// a stricter status; the earlier verdict is kept in `aiVerdict`. The result's
+// riskScore becomes the higher of the model's and the imagery score.
+function applyYouthAppeal(result, { report, verdicts }, checklistItems) {
+  const byId = new Map(verdicts.map(v => [v.id, v]));
+  const severity = new Map(checklistItems.map(i => [i.id, i.severity]));
+  const criticalIssues = [...result.criticalIssues];
+  const items = result.items.map(item => {
+    const verdict = byId.get(item.id);
+    if (!verdict || ORDER[verdict.status] <= ORDER[item.status]) return item;
+    if (verdict.status === 'fail' && severity.get(item.id) === 'critical') {
+      criticalIssues.push(`${verdict.regulation}: ${verdict.finding}`);
+    }
+    return { ...item, ...verdict, aiVerdict: { status: item.status, finding: item.finding } };
+  });
+  const riskScore = report.score == null ? result.riskScore : Math.max(result.riskScore ?? 0, report.score);
+  return { ...result, items, criticalIssues, riskScore };
+}
+
+module.exports = { FACTORS, IMAGERY_ITEMS, normalizeYouthAppeal, checkYouthAppeal, applyYouthAppeal };
@@ -0,0 +1,45 @@
+const express = require('express');
+const { runReview } = require('../lib/reviews');
+
+const router = express.Router();
+
+router.post('/analyze', async (req, res) => {
+  try {
+    res.json(await runReview(req.user, req.body));
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// The same review as server-sent events: `stage` and `item` events while the
+// model works, then one `result` (the /analyze response) or `error`. Closing
+// the connection cancels the upstream model calls and nothing is saved.
+router.post('/analyze/stream', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const result = await runReview(req.user, req.body, {
+      signal: controller.signal,
+      onProgress: ({ type, ...data }) => send(type, data),
+    });
+    send('result', result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('Error:', err);
+    send('error', { error: err.message, status: err.status || 500 });
+  }
+  res.end();
+});
+
+module.exports = router;
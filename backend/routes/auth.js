@@ -0,0 +1,21 @@
+const express = require('express');
+const { login, logout, requireAuth } = require('../lib/auth');
+
+const router = express.Router();
+
+router.post('/login', (req, res) => {
+  const session = login(req.body?.email, req.body?.password);
+  if (!session) return res.status(401).json({ error: 'Invalid email or password' });
+  res.json(session);
+});
+
+router.post('/logout', requireAuth, (req, res) => {
+  logout(req.sessionToken);
+  res.status(204).end();
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { DEFAULT_PACK_ID, DEFAULT_USE_MODE, hasPack, getActivePack } = require('../lib/rulePacks');
+const { validateRequest } = require('../lib/analysis');
+const { createBatch, getBatch, enqueueItem, batchWithReviews, listBatches } = require('../lib/batches');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ batches: listBatches(req.user.orgId) });
+});
+
+router.post('/', (req, res) => {
+  const { name, jurisdiction = DEFAULT_PACK_ID, useMode = DEFAULT_USE_MODE } = req.body || {};
+  if (!hasPack(jurisdiction)) return res.status(400).json({ error: `Unknown jurisdiction: ${jurisdiction}` });
+  const pack = getActivePack(req.user.orgId, jurisdiction);
+  if (!pack.useModes[useMode]) {
+    return res.status(400).json({ error: `Unknown use mode for ${pack.jurisdiction.name}: ${useMode}` });
+  }
+  res.status(201).json(createBatch({ orgId: req.user.orgId, user: req.user, name, jurisdiction, useMode }));
+});
+
+router.get('/:id', (req, res) => {
+  const batch = batchWithReviews(req.user.orgId, req.params.id);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  res.json(batch);
+});
+
+// Queues one label of the batch (`{ productType, labelType, productName, file }`)
+// and returns its item right away; GET /:id shows how far it has got.
+router.post('/:id/items', (req, res) => {
+  try {
+    const batch = getBatch(req.user.orgId, req.params.id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    const { productType, labelType, productName, file } = req.body || {};
+    const body = { productType, labelType, productName, file, useMode: batch.useMode };
+    validateRequest(body, getActivePack(req.user.orgId, batch.jurisdiction));
+    res.status(202).json(enqueueItem(batch, req.user, body));
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
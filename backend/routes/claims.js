@@ -0,0 +1,19 @@
+const express = require('express');
+const { DEFAULT_PACK_ID, hasPack, getActivePack } = require('../lib/rulePacks');
+const { ValidationError, lintCopy } = require('../lib/analysis');
+
+const router = express.Router();
+
+// Lints pasted marketing copy for prohibited claims. Nothing is saved.
+router.post('/', async (req, res) => {
+  try {
+    const jurisdiction = req.body?.jurisdiction || DEFAULT_PACK_ID;
+    if (!hasPack(jurisdiction)) throw new ValidationError(`Unknown jurisdiction: ${jurisdiction}`);
+    res.json(await lintCopy(req.body, getActivePack(req.user.orgId, jurisdiction)));
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
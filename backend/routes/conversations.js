@@ -0,0 +1,54 @@
+const express = require('express');
+const { DEFAULT_PACK_ID, hasPack, getActivePack } = require('../lib/rulePacks');
+const { answerQuestion } = require('../lib/analysis');
+const { getReview } = require('../lib/reviews');
+const { createConversation, getConversation, addTurn, listConversations } = require('../lib/conversations');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ conversations: listConversations(req.user.orgId, req.user.id) });
+});
+
+// A conversation about a saved review uses the jurisdiction it was graded under.
+router.post('/', (req, res) => {
+  const { reviewId } = req.body || {};
+  const review = reviewId ? getReview(req.user.orgId, reviewId) : null;
+  if (reviewId && !review) return res.status(404).json({ error: 'Review not found' });
+  const packId = review ? review.rulePack?.packId || DEFAULT_PACK_ID : req.body?.jurisdiction || DEFAULT_PACK_ID;
+  if (!hasPack(packId)) return res.status(400).json({ error: `Unknown jurisdiction: ${packId}` });
+  res.status(201).json(createConversation({ orgId: req.user.orgId, user: req.user, packId, review }));
+});
+
+router.get('/:id', (req, res) => {
+  const conversation = getConversation(req.user.orgId, req.user.id, req.params.id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  res.json(conversation);
+});
+
+// Asks the next question; returns the conversation with the new turn. Closing
+// the connection cancels the model call and the question isn't saved.
+router.post('/:id/messages', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  try {
+    const conversation = getConversation(req.user.orgId, req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    const review = conversation.reviewId ? getReview(req.user.orgId, conversation.reviewId) : null;
+    const question = req.body?.question;
+    const reply = await answerQuestion(
+      { question, turns: conversation.turns, review },
+      getActivePack(req.user.orgId, conversation.packId),
+      { signal: controller.signal },
+    );
+    res.json(addTurn(conversation.id, question.trim(), reply));
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { createUser, listUsers, publicUser, setUserRole, requireRole } = require('../lib/auth');
+const { getOrganization } = require('../lib/orgs');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  const org = getOrganization(req.user.orgId);
+  res.json({ id: org.id, name: org.name, members: listUsers(org.id) });
+});
+
+router.post('/users', requireRole('admin'), (req, res) => {
+  const { email, name, password, role = 'reviewer' } = req.body || {};
+  if (!email || !name || !password) {
+    return res.status(400).json({ error: 'email, name and password are required' });
+  }
+  if (password.length < 10) {
+    return res.status(400).json({ error: 'Password must be at least 10 characters' });
+  }
+  try {
+    const user = createUser({ email, name, password, role, orgId: req.user.orgId });
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.patch('/users/:id', requireRole('admin'), (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  try {
+    const user = setUserRole(req.user.orgId, req.params.id, req.body?.role);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
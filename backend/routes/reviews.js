@@ -0,0 +1,53 @@
+const fs = require('fs');
+const express = require('express');
+const { searchReviews, getReview, reviewFilePath } = require('../lib/reviews');
+const { parsePdf } = require('../lib/pdf');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ reviews: searchReviews(req.user.orgId, req.query) });
+});
+
+router.get('/:id', (req, res) => {
+  const review = getReview(req.user.orgId, req.params.id);
+  if (!review) return res.status(404).json({ error: 'Review not found' });
+  res.json(review);
+});
+
+router.get('/:id/file', (req, res) => {
+  const review = getReview(req.user.orgId, req.params.id);
+  if (!review) return res.status(404).json({ error: 'Review not found' });
+  res.type(review.file.mediaType);
+  res.sendFile(reviewFilePath(review), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'File not found' });
+  });
+});
+
+// One page of a PDF label, rendered as the model saw it, for the evidence overlay.
+router.get('/:id/pages/:page', async (req, res) => {
+  const review = getReview(req.user.orgId, req.params.id);
+  if (!review) return res.status(404).json({ error: 'Review not found' });
+  if (review.file.mediaType !== 'application/pdf') return res.status(400).json({ error: 'The label is not a PDF' });
+  const page = Number(req.params.page);
+  if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'Invalid page number' });
+  try {
+    const pdf = await parsePdf(fs.readFileSync(reviewFilePath(review)), [page]);
+    const image = pdf.pages[page - 1].image;
+    res.type(image.mediaType).send(Buffer.from(image.data, 'base64'));
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/:id/coa', (req, res) => {
+  const review = getReview(req.user.orgId, req.params.id);
+  if (!review || !review.coaFile) return res.status(404).json({ error: 'COA not found' });
+  res.type(review.coaFile.mediaType);
+  res.sendFile(reviewFilePath(review, 'coaFile'), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'File not found' });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { requireRole } = require('../lib/auth');
+const {
+  hasPack, bundledAsActive, getActivePack, getPackVersion, listActivePacks, listPackVersions, savePackVersion,
+} = require('../lib/rulePacks');
+const { regulationText, corpusCoverage } = require('../lib/regulationCorpus');
+
+const router = express.Router();
+
+router.param('packId', (req, res, next, packId) => {
+  if (!hasPack(packId)) return res.status(404).json({ error: 'Unknown jurisdiction' });
+  next();
+});
+
+// `corpus` lists the regulation text bundled for each pack and the citations
+// it has no full text for (regulationCorpus.js).
+router.get('/', (req, res) => {
+  res.json({
+    packs: listActivePacks(req.user.orgId).map(p => {
+      const citations = Object.keys(getActivePack(req.user.orgId, p.packId).regulations || {});
+      return { ...p, corpus: corpusCoverage(p.packId, citations) };
+    }),
+  });
+});
+
+router.get('/:packId/active', (req, res) => {
+  res.json(getActivePack(req.user.orgId, req.params.packId));
+});
+
+// The bundled regulation text under a citation, e.g. ?citation=§17406(a)(3).
+router.get('/:packId/text', (req, res) => {
+  const citation = String(req.query.citation || '').trim();
+  if (!citation) return res.status(400).json({ error: 'citation is required' });
+  res.json({ citation, sections: regulationText(req.params.packId, citation) });
+});
+
+// The pack as it currently ships, to start an organization's edits over from.
+router.get('/:packId/bundled', (req, res) => {
+  res.json(bundledAsActive(req.params.packId));
+});
+
+router.get('/:packId/versions', (req, res) => {
+  res.json({ versions: listPackVersions(req.user.orgId, req.params.packId) });
+});
+
+router.get('/:packId/versions/:version', (req, res) => {
+  const pack = getPackVersion(req.user.orgId, req.params.packId, req.params.version);
+  if (!pack) return res.status(404).json({ error: 'Rule pack version not found' });
+  res.json(pack);
+});
+
+router.post('/:packId', requireRole('admin'), (req, res) => {
+  const { note, ...pack } = req.body || {};
+  try {
+    res.status(201).json(savePackVersion({ orgId: req.user.orgId, packId: req.params.packId, user: req.user, pack, note }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
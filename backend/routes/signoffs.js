@@ -0,0 +1,28 @@
+const express = require('express');
+const { requireRole } = require('../lib/auth');
+const { recordSignoff, signoffHistory } = require('../lib/signoffs');
+const { getReview } = require('../lib/reviews');
+
+const router = express.Router();
+
+router.get('/:reportId', (req, res) => {
+  const history = signoffHistory(req.user.orgId, req.params.reportId);
+  res.json({ current: history[history.length - 1] || null, history });
+});
+
+// The decision is recorded against a saved review; what the audit trail
+// keeps about it (score, file) comes from the stored record.
+router.post('/', requireRole('approver', 'admin'), (req, res) => {
+  const { reviewId, decision, comment } = req.body || {};
+  if (!reviewId) return res.status(400).json({ error: 'reviewId is required' });
+  const review = getReview(req.user.orgId, reviewId);
+  if (!review) return res.status(404).json({ error: 'Review not found' });
+  try {
+    const signoff = recordSignoff({ orgId: req.user.orgId, user: req.user, review, decision, comment });
+    res.status(201).json(signoff);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
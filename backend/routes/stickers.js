@@ -0,0 +1,25 @@
+const express = require('express');
+const { DEFAULT_PACK_ID, DEFAULT_USE_MODE, hasPack, getActivePack } = require('../lib/rulePacks');
+const { ValidationError } = require('../lib/analysis');
+const { generateSticker } = require('../lib/sticker');
+
+const router = express.Router();
+
+// Generates a compliance sticker from the entered variable data. Nothing is
+// saved; the client posts the returned PDF to /api/analyze to check it.
+router.post('/', (req, res) => {
+  try {
+    const jurisdiction = req.body?.jurisdiction || DEFAULT_PACK_ID;
+    if (!hasPack(jurisdiction)) throw new ValidationError(`Unknown jurisdiction: ${jurisdiction}`);
+    const pack = getActivePack(req.user.orgId, jurisdiction);
+    if (!pack.stickers) throw new ValidationError(`Sticker generation is not available for ${pack.jurisdiction.name}`);
+    const { useMode = DEFAULT_USE_MODE } = req.body;
+    if (!pack.useModes[useMode]) throw new ValidationError(`Unknown use mode for ${pack.jurisdiction.name}: ${useMode}`);
+    res.json(generateSticker(req.body, { medicinal: useMode === 'medicinal' }));
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// Usage: npm run create-user -- <email> "<full name>" "<organization>" [role]
+// The organization is created if it doesn't exist yet; role defaults to
+// reviewer. Prompts for the password so it never lands in shell history.
+const readline = require('readline');
+const { createUser } = require('../lib/auth');
+const { ROLES, findOrCreateOrganization } = require('../lib/orgs');
+
+const [email, name, orgName, role = 'reviewer'] = process.argv.slice(2);
+if (!email || !name || !orgName) {
+  console.error('Usage: npm run create-user -- <email> "<full name>" "<organization>" [reviewer|approver|admin]');
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`Role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+rl.question('Password: ', (password) => {
+  rl.close();
+  if (password.length < 10) {
+    console.error('Password must be at least 10 characters');
+    process.exit(1);
+  }
+  try {
+    const org = findOrCreateOrganization(orgName);
+    const user = createUser({ email, name, password, orgId: org.id, role });
+    console.log(`Created ${user.role} ${user.email} in ${org.name} (${user.id})`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+});
@@ -0,0 +1,78 @@
+// Usage: npm run import-corpus -- <id> <text-file> --title "<title>" --pack <packId> [--pack ...]
+//          [--url <source url>] [--heading <regex>] [--prefix <citation prefix>]
+// Builds backend/corpus/<id>.json from a plain-text copy of the official
+// regulation text. The text is split into sections at each heading line:
+// by default "§ 17402. Labeling Requirements" or "Section 17402. ...", cited
+// as "§17402". For other numbering pass --heading, a regex whose first group
+// is the section number and second the heading, and --prefix, e.g.
+// --heading "^Regulation No\. (\d+)\.?\s*(.*)$" --prefix "LADCR Reg ".
+const fs = require('fs');
+const path = require('path');
+const { CORPUS_DIR } = require('../lib/regulationCorpus');
+const { hasPack } = require('../lib/rulePacks');
+
+const USAGE = 'Usage: npm run import-corpus -- <id> <text-file> --title "<title>" --pack <packId> [--pack ...] '
+  + '[--url <url>] [--heading <regex>] [--prefix <citation prefix>]';
+
+const args = process.argv.slice(2);
+const positional = [];
+const options = { pack: [] };
+for (let i = 0; i < args.length; i++) {
+  const match = args[i].match(/^--(title|pack|url|heading|prefix)$/);
+  if (!match) {
+    positional.push(args[i]);
+  } else if (match[1] === 'pack') {
+    options.pack.push(args[++i]);
+  } else {
+    options[match[1]] = args[++i];
+  }
+}
+
+const [id, textFile] = positional;
+if (!id || !textFile || !options.title || options.pack.length === 0) {
+  console.error(USAGE);
+  process.exit(1);
+}
+if (!/^[a-z0-9-]+$/.test(id)) {
+  console.error('The id must be lowercase letters, digits and dashes');
+  process.exit(1);
+}
+const unknown = options.pack.filter(p => !hasPack(p));
+if (unknown.length > 0) {
+  console.error(`Unknown rule pack: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+const heading = new RegExp(options.heading || '^\\s*(?:§|Section)\\s*(\\d+(?:\\.\\d+)?)\\.?\\s*(.*)$');
+const prefix = options.prefix ?? '§';
+const sections = [];
+for (const line of fs.readFileSync(textFile, 'utf8').replace(/\r\n?/g, '\n').split('\n')) {
+  const match = line.match(heading);
+  if (match) {
+    sections.push({ citation: `${prefix}${match[1]}`, heading: (match[2] || '').trim().replace(/\.$/, '') || null, lines: [] });
+  } else if (sections.length > 0) {
+    sections[sections.length - 1].lines.push(line.trim());
+  }
+}
+if (sections.length === 0) {
+  console.error('No section headings found; check --heading');
+  process.exit(1);
+}
+
+const doc = {
+  id,
+  title: options.title,
+  url: options.url || null,
+  excerpt: false,
+  packIds: options.pack,
+  sections: sections.map(s => ({
+    citation: s.citation,
+    heading: s.heading,
+    // Blank lines separate paragraphs; wrapped lines within one are joined.
+    text: s.lines.join('\n').split(/\n\s*\n/).map(p => p.replace(/\s*\n\s*/g, ' ').trim()).filter(Boolean).join('\n\n'),
+  })),
+};
+const out = path.join(CORPUS_DIR, `${id}.json`);
+fs.mkdirSync(CORPUS_DIR, { recursive: true });
+fs.writeFileSync(out, `${JSON.stringify(doc, null, 2)}\n`);
+console.log(`Wrote ${doc.sections.length} sections to ${out}`);
@@ -1,14 +1,28 @@
 const express = require('express');
+const { requireAuth } = require('./lib/auth');
+const authRoutes = require('./routes/auth');
+const analyzeRoutes = require('./routes/analyze');
+const orgRoutes = require('./routes/org');
+const signoffRoutes = require('./routes/signoffs');
+const reviewRoutes = require('./routes/reviews');
+const batchRoutes = require('./routes/batches');
+const rulePackRoutes = require('./routes/rulePacks');
+const claimsRoutes = require('./routes/claims');
+const stickerRoutes = require('./routes/stickers');
+const conversationRoutes = require('./routes/conversations');
+const { failInterruptedItems } = require('./lib/batches');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(express.json({ limit: '50mb' }));
+// Print-ready PDFs arrive base64-encoded in the JSON body (lib/pdf.js renders
+// them page by page before they reach the model).
+app.use(express.json({ limit: process.env.MAX_BODY_SIZE || '150mb' }));
 
 // Manual CORS headers — applied to every request
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
@@ -19,24 +33,22 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
-app.post('/api/messages', async (req, res) => {
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify(req.body),
-    });
-    const data = await response.json();
-    res.json(data);
-  } catch (err) {
-    console.error('Error:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+app.use('/api/auth', authRoutes);
+
+// Everything else under /api needs a signed-in user
+app.use('/api', requireAuth);
+
+app.use('/api', analyzeRoutes);
+app.use('/api/org', orgRoutes);
+app.use('/api/signoffs', signoffRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/rulepacks', rulePackRoutes);
+app.use('/api/claims', claimsRoutes);
+app.use('/api/stickers', stickerRoutes);
+app.use('/api/conversations', conversationRoutes);
+
+failInterruptedItems();
 
 app.listen(PORT, () => {
   console.log(`Cannapliant backend listening on port ${PORT}`);
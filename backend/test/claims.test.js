@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintClaims } = require('../lib/claims');
+const pack = require('../rulepacks/ca-dcc.json');
+
+const checklistItems = pack.checklists.edibles.sections.flatMap(s => s.items);
+
+function lint(text) {
+  const { report, verdicts } = lintClaims({ text, aiClaims: [], packId: 'ca-dcc', checklistItems });
+  return { phrases: report.claims.map(c => c.phrase), verdicts: Object.fromEntries(verdicts.map(v => [v.id, v.status])) };
+}
+
+test('"organic" in an ingredient list does not fail the organic item', () => {
+  const { phrases, verdicts } = lint('Mango Gummies\nIngredients: organic cane sugar, tapioca syrup, pectin,\nnon-psychoactive hemp seed oil.\nAllergens: none');
+  assert.deepStrictEqual(phrases, []);
+  assert.strictEqual(verdicts.e5f, undefined);
+  assert.strictEqual(verdicts.e5d, undefined);
+});
+
+test('"organic" and "non-psychoactive" said of the product still fail', () => {
+  const { phrases, verdicts } = lint('Organic Mango Gummies. Non-psychoactive fun!\nIngredients: cane sugar, pectin.');
+  assert.deepStrictEqual(phrases, ['Organic', 'Non-psychoactive']);
+  assert.strictEqual(verdicts.e5f, 'fail');
+  assert.strictEqual(verdicts.e5d, 'fail');
+});
+
+test('a health claim in compliant-looking copy is matched once', () => {
+  const { phrases, verdicts } = lint('Tasty treats that relieve anxiety.');
+  assert.deepStrictEqual(phrases, ['relieve anxiety']);
+  assert.strictEqual(verdicts.e5c, 'fail');
+});
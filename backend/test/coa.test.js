@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCoa, crossCheckCoa } = require('../lib/coa');
+const pack = require('../rulepacks/ca-dcc.json');
+
+// e4d: cannabinoids at ≥5% of total listed; e4e: labeled amounts match the COA.
+const checklistItems = pack.checklists.edibles.sections.flatMap(s => s.items);
+
+const coa = normalizeCoa({
+  labName: 'Example Labs',
+  cannabinoids: [
+    { name: 'Total THC', mgPerServing: 9.6, mgPerPackage: 96 },
+    { name: 'Δ9-THC', mgPerServing: 9.6, mgPerPackage: 96 },
+    { name: 'CBN', mgPerServing: 1, mgPerPackage: 10 },
+    { name: 'Notes', percent: 'n/a' },
+  ],
+});
+
+function check(labelText) {
+  const { report, verdicts } = crossCheckCoa({ labelText, coa, checklistItems });
+  return { report, verdicts: Object.fromEntries(verdicts.map(v => [v.id, v.status])) };
+}
+
+test('COA rows are keyed by cannabinoid and rows without numbers dropped', () => {
+  assert.deepStrictEqual(coa.cannabinoids.map(c => c.key), ['TOTAL THC', 'THC', 'CBN']);
+  assert.strictEqual(normalizeCoa({ cannabinoids: [{ name: 'THC' }] }), null);
+});
+
+test('amounts within ±10% of the COA pass, others fail', () => {
+  const ok = check('THC 10mg per serving. THC 100mg per package. CBN 1mg per serving');
+  assert.strictEqual(ok.verdicts.e4e, 'pass');
+  assert.strictEqual(ok.report.comparisons[0].deviationPercent, 4.2);
+
+  assert.strictEqual(check('THC 12mg per serving. CBN 1mg per serving').verdicts.e4e, 'fail');
+});
+
+test('an amount with no basis is a warning when it matches neither COA value', () => {
+  assert.strictEqual(check('THC 10mg. CBN 1mg per serving').verdicts.e4e, 'pass');
+  const { report, verdicts } = check('THC 50mg. CBN 1mg per serving');
+  assert.strictEqual(verdicts.e4e, 'warning');
+  assert.strictEqual(report.comparisons[0].basisStated, false);
+});
+
+test('a cannabinoid at 5% or more of the total must be listed', () => {
+  assert.strictEqual(check('THC 10mg per serving').verdicts.e4d, 'fail');
+  assert.strictEqual(check('THC 10mg per serving. CBN 1mg per serving').verdicts.e4d, 'pass');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+const { createConversation, getConversation, addTurn } = require('../lib/conversations');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('turns are appended to the stored conversation, not the copy read before the answer', () => {
+  const { id } = createConversation({ orgId: 'org', user: { id: 'user' }, packId: 'ca-dcc', review: null });
+  // Both questions are read before either answer is saved, as with two requests in flight.
+  const first = getConversation('org', 'user', id);
+  const second = getConversation('org', 'user', id);
+  addTurn(first.id, 'What warnings are required?', { answer: 'The government warning.' });
+  const saved = addTurn(second.id, 'And for vapes?', { answer: 'The same, plus the vape warning.' });
+  assert.deepStrictEqual(saved.turns.map(t => t.content), [
+    'What warnings are required?', 'The government warning.', 'And for vapes?', 'The same, plus the vape warning.',
+  ]);
+  assert.strictEqual(saved.title, 'What warnings are required?');
+});
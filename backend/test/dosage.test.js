@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateDosage } = require('../lib/dosage');
+const { activeChecklist } = require('../lib/rulePacks');
+const pack = require('../rulepacks/ca-dcc.json');
+
+const items = (productType, useMode) => activeChecklist(pack.checklists[productType], useMode).sections.flatMap(s => s.items);
+
+function dosage(labelText, { productType = 'edibles', useMode = 'adult_use' } = {}) {
+  const { report, verdicts } = calculateDosage({
+    labelText,
+    packId: 'ca-dcc',
+    productType,
+    useMode: { id: useMode, ...pack.useModes[useMode] },
+    useModes: pack.useModes,
+    checklistItems: items(productType, useMode),
+  });
+  return {
+    checks: Object.fromEntries(report.checks.map(c => [c.key, c.status])),
+    verdicts: Object.fromEntries(verdicts.map(v => [v.id, v.status])),
+    recommendations: Object.fromEntries(verdicts.map(v => [v.id, v.recommendation])),
+  };
+}
+
+test('per-serving THC times servings must match the per-package total', () => {
+  const ok = dosage('THC 10mg per serving. THC 100mg per package. 10 servings per package.');
+  assert.strictEqual(ok.checks.servingMath, 'pass');
+  assert.strictEqual(ok.verdicts.e4b, 'pass');
+
+  const off = dosage('THC 10mg per serving. THC 120mg per package. 10 servings per package.');
+  assert.strictEqual(off.checks.servingMath, 'fail');
+  assert.strictEqual(off.verdicts.e4b, 'fail');
+});
+
+test('a THC amount under 2 mg must be stated as "<2mg"', () => {
+  const { checks, verdicts } = dosage('THC 1.5mg per serving. 10 servings per package.');
+  assert.strictEqual(checks.underTwoMg, 'fail');
+  assert.strictEqual(verdicts.e4c, 'fail');
+});
+
+test('adult-use edibles are capped at 10 mg per serving and 100 mg per package', () => {
+  const { checks, verdicts } = dosage('THC 10mg per serving. THC 120mg per package. 12 servings per package.');
+  assert.strictEqual(checks.servingCap, 'pass');
+  assert.strictEqual(checks.packageCap, 'fail');
+  assert.deepStrictEqual([verdicts.e4f, verdicts.e4g], ['pass', 'fail']);
+});
+
+test('the use mode sets the per-package limit for tinctures', () => {
+  const label = 'THC 50mg per serving. THC 1500mg per package. 30 servings per package.';
+  const adult = dosage(label, { productType: 'tinctures' });
+  assert.strictEqual(adult.verdicts.d4g, 'fail');
+  assert.match(adult.recommendations.d4g, /medicinal product .*up to 2000 mg/);
+  assert.strictEqual(adult.verdicts.d4g2, undefined);
+
+  const medicinal = dosage(label, { productType: 'tinctures', useMode: 'medicinal' });
+  assert.strictEqual(medicinal.verdicts.d4g2, 'pass');
+  assert.strictEqual(medicinal.verdicts.d4g, undefined);
+});
+
+test('medicinal edibles keep the 100 mg package cap, so adult use is not pointed at it', () => {
+  const label = 'THC 10mg per serving. THC 200mg per package. 20 servings per package.';
+  const adult = dosage(label);
+  assert.strictEqual(adult.verdicts.e4g, 'fail');
+  assert.doesNotMatch(adult.recommendations.e4g, /medicinal/);
+  assert.strictEqual(dosage(label, { useMode: 'medicinal' }).verdicts.e4g2, 'fail');
+});
+
+test('a label without amounts produces no dosage verdicts', () => {
+  assert.deepStrictEqual(dosage('Keep out of reach of children.').verdicts, {});
+});
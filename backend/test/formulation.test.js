@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { allergenKey, normalizeFormulation, checkFormulation } = require('../lib/formulation');
+const pack = require('../rulepacks/ca-dcc.json');
+
+// e3e: ingredient order; e3f: allergens; e3g: artificial colorings; e3g2: nutrition.
+const checklistItems = pack.checklists.edibles.sections.flatMap(s => s.items);
+
+const nutrients = (sodium, sugar, carbs, fat) => ({ sodium, sugar, carbs, fat });
+const formulation = normalizeFormulation({
+  servings: 10,
+  ingredients: [
+    { name: 'Glucose syrup', weight: 30, per100g: nutrients(0, 50, 80, 0) },
+    { name: 'Cane sugar', weight: 40, per100g: nutrients(0, 100, 100, 0) },
+    { name: 'Whey protein', weight: 5, allergens: ['Milk'], per100g: nutrients(500, 0, 10, 2) },
+    { name: 'Red 40', weight: 0.1, colorAdditive: true, per100g: nutrients(0, 0, 0, 0) },
+  ],
+});
+
+const LABEL = [
+  'Ingredients: cane sugar, glucose syrup, whey protein, contains 2% or less of: Red 40.',
+  'Contains: milk',
+  'Sodium 0mg  Total Sugars 6g  Total Carbohydrate 6g  Total Fat 0g',
+].join('\n');
+
+function check(labelText) {
+  const { report, verdicts } = checkFormulation({ labelText, formulation, packId: 'ca-dcc', checklistItems });
+  return { report, verdicts: Object.fromEntries(verdicts.map(v => [v.id, v.status])) };
+}
+
+test('allergen names map to the nine major allergens', () => {
+  assert.strictEqual(allergenKey('soybeans'), 'soy');
+  assert.strictEqual(allergenKey('Almond'), 'treeNuts');
+  assert.strictEqual(allergenKey('celery'), null);
+  assert.deepStrictEqual(formulation.ingredients.map(i => i.name), ['Cane sugar', 'Glucose syrup', 'Whey protein', 'Red 40']);
+});
+
+test('a panel that matches the formulation passes every item', () => {
+  assert.deepStrictEqual(check(LABEL).verdicts, { e3e: 'pass', e3f: 'pass', e3g: 'pass', e3g2: 'pass' });
+});
+
+test('ingredients out of order by weight fail', () => {
+  const { verdicts } = check(LABEL.replace('cane sugar, glucose syrup', 'glucose syrup, cane sugar'));
+  assert.strictEqual(verdicts.e3e, 'fail');
+});
+
+test('an undeclared allergen and an unnamed coloring fail', () => {
+  const { verdicts } = check(LABEL.replace('Red 40', 'artificial color').replace('Contains: milk', ''));
+  assert.strictEqual(verdicts.e3f, 'fail');
+  assert.strictEqual(verdicts.e3g, 'fail');
+});
+
+test('nutrition is compared after FDA rounding', () => {
+  const { report, verdicts } = check(LABEL.replace('Total Sugars 6g', 'Total Sugars 9g'));
+  assert.strictEqual(verdicts.e3g2, 'fail');
+  const sugar = report.nutrition.find(n => n.key === 'sugar');
+  assert.deepStrictEqual([sugar.computed, sugar.expected, sugar.status], [5.5, 6, 'fail']);
+});
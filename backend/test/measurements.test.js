@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkMeasurements, normalizeMeasurements } = require('../lib/measurements');
+
+const checklistItems = [{ id: 'e2c', text: 'Universal symbol', reg: '§17410', severity: 'critical' }];
+// The symbol takes a fifth of its page's width and height.
+const symbolOn = page => normalizeMeasurements({ universalSymbol: { page, box: [0.1, 0.1, 0.3, 0.3] } });
+
+function symbolCheck(measurements, labelSize, pages) {
+  return checkMeasurements({ measurements, labelSize, pages, packId: 'ca-dcc', checklistItems }).report.checks[0];
+}
+
+test('an element on a PDF page is measured against that page', () => {
+  const labelSize = { source: 'pdf' };
+  const pages = [{ page: 1, width: 2, height: 2 }, { page: 2, width: 4, height: 4 }];
+  assert.strictEqual(symbolCheck(symbolOn(1), labelSize, pages).status, 'fail');
+  const onPage2 = symbolCheck(symbolOn(2), labelSize, pages);
+  assert.strictEqual(onPage2.status, 'pass');
+  assert.strictEqual(onPage2.measured, '0.8 × 0.8 in');
+});
+
+test('a PDF measured at its own size ignores any width and height sent with it', () => {
+  const labelSize = { width: 1.5, height: 1.5, unit: 'in', source: 'pdf' };
+  const pages = [{ page: 1, width: 2, height: 2 }];
+  const { report } = checkMeasurements({ measurements: symbolOn(1), labelSize, pages, packId: 'ca-dcc', checklistItems });
+  assert.strictEqual(report.checks[0].measured, '0.4 × 0.4 in');
+  assert.deepStrictEqual(report.labelSize, { width: 2, height: 2, unit: 'in', source: 'pdf' });
+});
+
+test('a declared size scales every PDF page with page 1', () => {
+  const labelSize = { width: 1, height: 1, unit: 'in', source: 'declared' };
+  const pages = [{ page: 1, width: 2, height: 2 }, { page: 2, width: 4, height: 4 }];
+  assert.strictEqual(symbolCheck(symbolOn(2), labelSize, pages).measured, '0.4 × 0.4 in');
+});
+
+test('an image is measured against the declared size', () => {
+  const labelSize = { width: 50, height: 50, unit: 'mm', source: 'declared' };
+  assert.strictEqual(symbolCheck(symbolOn(1), labelSize, null).measured, '0.39 × 0.39 in');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { regulationText, corpusCoverage } = require('../lib/regulationCorpus');
+const { GOVERNMENT_WARNINGS, PROP65_WARNINGS } = require('../lib/warningTexts');
+
+test('the warning passages are the texts the warning verifier checks against', () => {
+  for (const { reg, text } of Object.values(GOVERNMENT_WARNINGS)) {
+    assert.deepStrictEqual(regulationText('ca-dcc', reg).map(s => s.text), [text]);
+  }
+  const prop65 = regulationText('ca-dcc', 'CA Prop 65').map(s => s.text);
+  assert.deepStrictEqual(prop65.sort(), [...new Set(Object.values(PROP65_WARNINGS).map(w => w.text))].sort());
+});
+
+test('citations with only excerpts or no text are listed as missing', () => {
+  const ca = corpusCoverage('ca-dcc', Object.keys(require('../rulepacks/ca-dcc.json').regulations));
+  assert.strictEqual(ca.fullText, false);
+  assert.ok(ca.missing.includes('§17406') && ca.missing.includes('CA Prop 65') && ca.missing.includes('LADCR Reg 5'));
+  assert.deepStrictEqual(corpusCoverage('mi-cra', ['R 420.504']), { sources: [], missing: ['R 420.504'], fullText: false });
+});
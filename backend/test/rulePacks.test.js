@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rulepacks-'));
+const store = require('../lib/store');
+const { bundledAsActive, getActivePack, getPackVersion, savePackVersion } = require('../lib/rulePacks');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const user = { id: 'admin', name: 'Ada Admin' };
+const editable = ({ useModes, prompt, regulations, checklists }) => ({ useModes, prompt, regulations, checklists });
+
+test('a saved version records the shipped version it was edited from', () => {
+  const bundled = bundledAsActive('ca-dcc');
+  const saved = savePackVersion({ orgId: 'org-a', packId: 'ca-dcc', user, pack: editable(bundled), note: 'Edit' });
+  assert.strictEqual(saved.version, bundled.version + 1);
+  assert.strictEqual(saved.basedOnBundledVersion, bundled.version);
+  assert.strictEqual(getActivePack('org-a', 'ca-dcc').bundledVersion, bundled.version);
+});
+
+test('a version saved from an older shipped pack shows the newer one and keeps its own number', () => {
+  const bundled = bundledAsActive('ca-dcc');
+  // Saved before the shipped packs were versioned: v2, with no basedOnBundledVersion.
+  store.insert('rulePacks', { id: 'old', orgId: 'org-b', packId: 'ca-dcc', version: 2, name: 'Old edit', ...editable(bundled) });
+  const active = getActivePack('org-b', 'ca-dcc');
+  assert.strictEqual(active.basedOnBundledVersion, 1);
+  assert.ok(active.bundledVersion > active.basedOnBundledVersion);
+
+  const rebased = savePackVersion({
+    orgId: 'org-b', packId: 'ca-dcc', user, pack: { ...editable(bundled), basedOnBundledVersion: bundled.version }, note: 'Rebase',
+  });
+  assert.strictEqual(rebased.version, bundled.version + 1);
+  assert.strictEqual(rebased.basedOnBundledVersion, bundled.version);
+  assert.strictEqual(getPackVersion('org-b', 'ca-dcc', 2).name, 'Old edit');
+});
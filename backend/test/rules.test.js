@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cannabinoidAmounts, runRules } = require('../lib/rules');
+const { activeChecklist } = require('../lib/rulePacks');
+const pack = require('../rulepacks/ca-dcc.json');
+
+function verdicts(labelText, { productType = 'edibles', labelType = 'packaging', useMode = 'adult_use' } = {}) {
+  const checklistItems = activeChecklist(pack.checklists[productType], useMode).sections.flatMap(s => s.items);
+  const found = runRules({ labelText, packId: 'ca-dcc', productType, labelType, useMode, checklistItems });
+  return Object.fromEntries(found.map(v => [v.id, v.status]));
+}
+
+test('amounts are tagged with their cannabinoid and basis', () => {
+  const amounts = cannabinoidAmounts('THC: 10mg per serving | CBD <2mg per package\n100mg THC per package');
+  assert.deepStrictEqual(amounts.map(({ cannabinoid, value, lessThan, basis }) => ({ cannabinoid, value, lessThan, basis })), [
+    { cannabinoid: 'THC', value: 10, lessThan: false, basis: 'serving' },
+    { cannabinoid: 'CBD', value: 2, lessThan: true, basis: 'package' },
+    { cannabinoid: 'THC', value: 100, lessThan: false, basis: 'package' },
+  ]);
+});
+
+test('the net weight must be declared in metric and US units', () => {
+  assert.strictEqual(verdicts('Net Wt. 100 g (3.5 oz)').e2b, 'pass');
+  assert.strictEqual(verdicts('Net Wt. 100 g').e2b, 'fail');
+  assert.strictEqual(verdicts('Mango gummies').e2b, 'fail');
+  // A compliance label may leave the net weight to the packaging.
+  assert.strictEqual(verdicts('Mango gummies', { labelType: 'compliance' }).e2b, undefined);
+});
+
+test('"FOR MEDICAL USE ONLY" is required in medicinal mode and refused in adult-use mode', () => {
+  const label = 'Mango gummies. FOR MEDICAL USE ONLY. Net Wt. 100 g (3.5 oz)';
+  assert.strictEqual(verdicts(label).e3d2, 'fail');
+  assert.strictEqual(verdicts(label, { useMode: 'medicinal' }).e3d, 'pass');
+  assert.strictEqual(verdicts('Mango gummies', { useMode: 'medicinal' }).e3d, 'fail');
+  assert.strictEqual(verdicts('Mango gummies').e3d2, 'pass');
+});
+
+test('a tincture names its dosing device and the THC per dose', () => {
+  assert.strictEqual(verdicts('1 mL dropper = 5mg THC per serving', { productType: 'tinctures' }).d3h2, 'pass');
+  assert.strictEqual(verdicts('Use the dropper provided', { productType: 'tinctures' }).d3h2, 'fail');
+});
+
+test('no label text leaves every item to the model', () => {
+  assert.deepStrictEqual(verdicts('  '), {});
+});
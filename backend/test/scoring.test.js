@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeRuleVerdicts } = require('../lib/rules');
+const { applyOverrideScore, CRITICAL_FAIL_CAP } = require('../lib/scoring');
+
+const checklistItems = [
+  { id: 'e1a', text: 'Required information is in English', reg: '§17402(a)', severity: 'high' },
+  { id: 'e3c', text: 'Government warning statement', reg: '§17406(a)(3)', severity: 'critical' },
+];
+const modelResult = {
+  summary: 'ok',
+  items: [
+    { id: 'e1a', status: 'pass', finding: 'English', regulation: '§17402(a)' },
+    { id: 'e3c', status: 'pass', finding: 'Warning present', regulation: '§17406(a)(3)' },
+  ],
+  complianceScore: 95,
+  criticalIssues: [],
+};
+
+test('a deterministic fail lowers the model score', () => {
+  const merged = mergeRuleVerdicts(modelResult, [
+    { id: 'e3c', status: 'fail', finding: 'Warning wording differs', regulation: '§17406(a)(3)' },
+  ], checklistItems);
+  const scored = applyOverrideScore(merged, checklistItems);
+  assert.ok(scored.complianceScore < modelResult.complianceScore);
+  assert.ok(scored.complianceScore <= CRITICAL_FAIL_CAP);
+  assert.strictEqual(scored.scoreAdjustment.modelScore, 95);
+  assert.deepStrictEqual(scored.scoreAdjustment.deductions.map(d => d.id), ['e3c']);
+});
+
+test('a deterministic warning takes half the points', () => {
+  const merged = mergeRuleVerdicts(modelResult, [
+    { id: 'e1a', status: 'warning', finding: 'Some text not in English', regulation: '§17402(a)' },
+  ], checklistItems);
+  assert.strictEqual(applyOverrideScore(merged, checklistItems).complianceScore, 89);
+});
+
+test('verdicts that agree with the model keep its score', () => {
+  const merged = mergeRuleVerdicts(modelResult, [
+    { id: 'e1a', status: 'pass', finding: 'English', regulation: '§17402(a)' },
+  ], checklistItems);
+  const scored = applyOverrideScore(merged, checklistItems);
+  assert.strictEqual(scored.complianceScore, 95);
+  assert.strictEqual(scored.scoreAdjustment, null);
+});
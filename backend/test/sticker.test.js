@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MIN_TYPE_SIZE, StickerError, generateSticker } = require('../lib/sticker');
+const { parsePdf } = require('../lib/pdf');
+const { normalize } = require('../lib/rules');
+const { GOVERNMENT_WARNINGS } = require('../lib/warningTexts');
+
+const fields = {
+  productName: 'Mango Gummies',
+  licensee: 'Example Edibles LLC',
+  contact: 'example.com',
+  batch: 'B-1024',
+  packageDate: '2026-10-01',
+  ingredients: 'Cane sugar, glucose syrup, pectin',
+  thcPerServing: 1.5,
+  thcPerPackage: 15,
+  servings: 10,
+};
+const request = { productType: 'edibles', fields, size: { width: 3, height: 4, unit: 'in' } };
+
+test('the sticker PDF is the requested size and carries the warning as text', async () => {
+  const sticker = generateSticker(request);
+  assert.ok(sticker.layout.typeSize >= MIN_TYPE_SIZE);
+  assert.strictEqual(sticker.warnings.government.version, 'PRODUCT');
+
+  const pdf = await parsePdf(sticker.pdf.data);
+  assert.deepStrictEqual([pdf.pages[0].width, pdf.pages[0].height], [3, 4]);
+  assert.ok(normalize(pdf.pages[0].text).includes(GOVERNMENT_WARNINGS.edibles.text));
+});
+
+test('amounts under 2 mg are printed as "<2 mg"', () => {
+  const { svg } = generateSticker(request);
+  assert.match(svg, /&lt;2 mg per serving/);
+  assert.match(svg, /15 mg per package/);
+});
+
+test('medicinal stickers carry "FOR MEDICAL USE ONLY"', () => {
+  assert.match(generateSticker(request, { medicinal: true }).svg, /FOR MEDICAL USE ONLY/);
+  assert.doesNotMatch(generateSticker(request).svg, /FOR MEDICAL USE ONLY/);
+});
+
+test('missing fields and content that does not fit at 6 pt are rejected', () => {
+  assert.throws(() => generateSticker({ ...request, fields: { ...fields, batch: '' } }), { name: 'StickerError', message: 'Batch number is required' });
+  assert.throws(() => generateSticker({ ...request, size: { width: 1, height: 1, unit: 'in' } }), err => err instanceof StickerError && err.status === 400);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkWarnings } = require('../lib/warningVerifier');
+const { GOVERNMENT_WARNINGS, PROP65_WARNINGS } = require('../lib/warningTexts');
+
+const PRODUCT = GOVERNMENT_WARNINGS.edibles.text;
+const PACKAGE = GOVERNMENT_WARNINGS.non_mfg.text;
+const items = [{ id: 'e3c', reg: '§17406(a)(3)' }, { id: 'e6a', reg: 'CA Prop 65' }];
+
+function verify(governmentWarning, prop65 = PROP65_WARNINGS.edibles.text) {
+  const { report, verdicts } = checkWarnings({
+    labelText: `Cannabis-infused gummies\n${governmentWarning}\n${prop65}`,
+    packId: 'ca-dcc',
+    productType: 'edibles',
+    labelType: 'packaging',
+    checklistItems: items,
+  });
+  return { warning: report.warnings.find(w => w.key === 'government'), verdicts };
+}
+
+test('the exact warning passes', () => {
+  const { warning, verdicts } = verify(PRODUCT);
+  assert.deepStrictEqual(warning.issues, []);
+  assert.deepStrictEqual(verdicts.map(v => v.status), ['pass', 'pass']);
+});
+
+test('a missing sentence is reported once, as the whole sentence', () => {
+  const { warning } = verify(PRODUCT.replace('KEEP OUT OF REACH OF CHILDREN AND ANIMALS. ', ''));
+  assert.deepStrictEqual(warning.issues, [
+    { type: 'missing', expected: 'KEEP OUT OF REACH OF CHILDREN AND ANIMALS.', found: '' },
+  ]);
+});
+
+test('the PACKAGE warning on an edible reads as one word swapped and one sentence missing', () => {
+  const { warning, verdicts } = verify(PACKAGE);
+  assert.deepStrictEqual(warning.issues, [
+    { type: 'wording', expected: 'PRODUCT', found: 'PACKAGE' },
+    { type: 'missing', expected: 'THE INTOXICATING EFFECTS OF CANNABIS MAY BE DELAYED UP TO TWO HOURS.', found: '' },
+  ]);
+  assert.strictEqual(verdicts.find(v => v.id === 'e3c').status, 'fail');
+});
+
+test('a replaced phrase and wrong punctuation are reported where they are', () => {
+  const { warning } = verify(PRODUCT.replace('THIS PRODUCT CONTAINS', 'THIS PACKAGE HAS').replace('ANIMALS.', 'ANIMALS,'));
+  assert.deepStrictEqual(warning.issues, [
+    { type: 'wording', expected: 'PRODUCT CONTAINS', found: 'PACKAGE HAS' },
+    { type: 'punctuation', expected: '.', found: ',', after: 'ANIMALS' },
+  ]);
+});
+
+test('lowercase words in the government warning fail the capitals check', () => {
+  const { warning } = verify(PRODUCT.replace('PLEASE USE EXTREME CAUTION.', 'Please use extreme caution.'));
+  assert.deepStrictEqual(warning.issues, [{ type: 'case', expected: '', found: 'Please use extreme caution.' }]);
+});
+
+test('the Prop 65 warning for another product type fails with its variant named', () => {
+  const { verdicts } = verify(PRODUCT, PROP65_WARNINGS.topicals.text);
+  const prop65 = verdicts.find(v => v.id === 'e6a');
+  assert.strictEqual(prop65.status, 'fail');
+  assert.match(prop65.finding, /topical Prop 65 warning; this product type requires the edible variant/);
+});
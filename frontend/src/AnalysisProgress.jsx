@@ -0,0 +1,44 @@
+const STATUS_COLORS = { pass: "#22c55e", warning: "#c49a2a", fail: "#ef4444", unverifiable: "#94a3b8" };
+
+export const STAGES = {
+  reading: "Reading the label...",
+  evaluating: "Evaluating the checklist...",
+  checking: "Running the rule checks...",
+};
+
+// Checklist sections filling in while the analysis streams. Verdicts are the
+// model's first pass; rule checks and validation can still change them.
+export default function AnalysisProgress({ progress }) {
+  if (!progress.sections) return null;
+
+  return (
+    <div style={{ marginTop: 16, background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20 }}>
+      {progress.sections.map(section => {
+        const done = section.items.filter(i => progress.items[i.id]).length;
+        return (
+          <div key={section.name} style={{ marginBottom: 14 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, fontWeight: 600, color: "#64748b",
+              textTransform: "uppercase", letterSpacing: 1, marginBottom: 6 }}>
+              <span>{section.name}</span>
+              <span style={{ fontFamily: "'DM Mono', monospace", color: done === section.items.length ? "#22c55e" : "#475569" }}>
+                {done}/{section.items.length}</span>
+            </div>
+            {section.items.map(item => {
+              const verdict = progress.items[item.id];
+              return (
+                <div key={item.id} style={{ display: "flex", gap: 10, alignItems: "baseline", padding: "3px 0", fontSize: 12,
+                  color: verdict ? "#cbd5e1" : "#475569" }}>
+                  <span style={{ width: 8, height: 8, borderRadius: "50%", flexShrink: 0, alignSelf: "center",
+                    background: verdict ? STATUS_COLORS[verdict.status] : "transparent",
+                    border: verdict ? "none" : "1px solid #334155" }} />
+                  <span style={{ fontFamily: "'DM Mono', monospace", color: "#64748b", width: 40, flexShrink: 0 }}>{item.id}</span>
+                  <span style={{ flex: 1 }}>{verdict?.finding || item.text}</span>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
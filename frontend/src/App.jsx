@@ -1,379 +1,46 @@
 import { useState, useRef, useCallback, useEffect } from "react";
 import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle } from 'docx';
+import { API_BASE, apiFetch, apiFetchBlob, apiStream, getToken, setToken } from './api';
+import LoginScreen from './LoginScreen';
+import SignoffPanel, { formatSignoff } from './SignoffPanel';
+import HistoryView from './HistoryView';
+import BatchView from './BatchView';
+import RevisionDiff from './RevisionDiff';
+import CoaCheckPanel from './CoaCheckPanel';
+import FormulationCheckPanel, { CHECK_NAMES as FORMULATION_CHECKS } from './FormulationCheckPanel';
+import FormulationInput, { EMPTY_FORMULATION, formulationFromInput } from './FormulationInput';
+import DosageInput, { EMPTY_DOSAGE, dosageFromInput } from './DosageInput';
+import DosagePanel from './DosagePanel';
+import MeasurementsPanel from './MeasurementsPanel';
+import WarningCheckPanel, { ISSUE_LABELS, describeIssue } from './WarningCheckPanel';
+import YouthAppealPanel from './YouthAppealPanel';
+import ClaimsPanel from './ClaimsPanel';
+import ClaimsView from './ClaimsView';
+import StickerView from './StickerView';
+import QaView from './QaView';
+import CitationLink from './CitationLink';
+import PanelMapping, { panelsFromPages } from './PanelMapping';
+import EvidencePreview from './EvidencePreview';
+import AnalysisProgress, { STAGES } from './AnalysisProgress';
+import RulePackEditor from './RulePackEditor';
+import { scoreToGrade } from './grades';
+import { encodeLabelFile, isTooLarge } from './files';
+import { sourceTag } from './sources';
+
+const DEFAULT_JURISDICTION = "ca-dcc";
+const DEFAULT_USE_MODE = "adult_use";
+const EMPTY_LABEL_SIZE = { width: "", height: "", unit: "in", source: null };
 
 const PRODUCT_TYPES = [
   { id: "edibles", label: "Edibles", icon: "🍪", desc: "Cannabis-infused edible products" },
+  { id: "beverages", label: "Beverages", icon: "🥤", desc: "Infused drinks, shots & drink mixes" },
+  { id: "tinctures", label: "Tinctures", icon: "💧", desc: "Orally ingested tinctures & oils with a dosing device" },
+  { id: "capsules", label: "Capsules", icon: "💊", desc: "Capsules, softgels & tablets" },
+  { id: "topicals", label: "Topicals", icon: "🧴", desc: "Lotions, balms, salves & transdermal patches" },
   { id: "mfg_vape", label: "Vapes / All-in-Ones / Concentrates / Infused Pre-Rolls", icon: "💨", desc: "Manufactured vape cartridges, AIOs, concentrates & infused pre-rolls" },
   { id: "non_mfg", label: "Flower / Non-Infused Pre-Rolls", icon: "🌿", desc: "Non-manufactured cannabis flower & pre-rolls" },
 ];
 
-
-// ── Embedded regulatory checklists derived from DCC regs ──
-const CHECKLISTS = {
-  edibles: {
-    title: "MFG - Edibles Labeling Checklist",
-    reference: "CCR Title 4 Div. 19, DCC Chapter 11 Art. 3 §§17403–17410",
-    sections: [
-      { name: "General Requirements", items: [
-        { id: "e1a", text: "Required information is in English", reg: "§17402(a)", severity: "high" },
-        { id: "e1b", text: "Label is easy to read / unobstructed and conspicuous", reg: "§17402(b)", severity: "high" },
-        { id: "e1c", text: "All required information on outermost packaging", reg: "§17402(c)", severity: "high" },
-      ]},
-      { name: "Primary Panel", items: [
-        { id: "e2a", text: "Primary label identifies the product", reg: "§17404(a)(1)", severity: "high" },
-        { id: "e2b", text: "Net weight in BOTH metric and US customary units", reg: "§17404(a)(3)", severity: "high" },
-        { id: "e2c", text: "Universal symbol (CA cannabis leaf) at least 0.5\" height", reg: "§17410", severity: "critical" },
-        { id: "e2d", text: "'cannabis-infused' or 'cannabis infused' in bold above product identity, larger text size", reg: "§17405(a)", severity: "critical" },
-        { id: "e2e", text: "All text at least 6pt font (~2.17mm)", reg: "§17404(a)", severity: "medium" },
-      ]},
-      { name: "Informational Panel", items: [
-        { id: "e3a", text: "Name of the Licensee (manufacturer)", reg: "§17406(a)(1)", severity: "high" },
-        { id: "e3b", text: "Packaging Date", reg: "§17406(a)(2)", severity: "high" },
-        { id: "e3c", text: "Government Warning statement in bold caps (full text required)", reg: "§17406(a)(3)", severity: "critical" },
-        { id: "e3d", text: "'FOR MEDICAL USE ONLY' if THC exceeds adult-use limits (§17304)", reg: "§17406(a)(4)", severity: "critical" },
-        { id: "e3e", text: "Ingredients list in descending order of predominance", reg: "§17406(a)(5)", severity: "high" },
-        { id: "e3f", text: "'Contains' + major food allergens listed (if applicable)", reg: "§17406(a)(6)", severity: "high" },
-        { id: "e3g", text: "Artificial colorings named (if applicable)", reg: "§17406(a)(7)", severity: "medium" },
-        { id: "e3g2", text: "Sodium, sugar, carbohydrates, total fat per serving (g or mg)", reg: "§17406(a)(8)", severity: "high" },
-        { id: "e3h", text: "Instructions for use/consumption", reg: "§17406(a)(9)", severity: "medium" },
-        { id: "e3i", text: "Product UID", reg: "§17406(a)(10)", severity: "critical" },
-        { id: "e3j", text: "Batch number", reg: "§17406(a)(11)", severity: "critical" },
-        { id: "e3k", text: "'KEEP REFRIGERATED' or 'REFRIGERATE AFTER OPENING' if applicable", reg: "§17406(a)(12)", severity: "medium" },
-        { id: "e3l", text: "All informational panel text at least 6pt font", reg: "§17406(b)", severity: "medium" },
-      ]},
-      { name: "Cannabinoid Content", items: [
-        { id: "e4a", text: "Cannabinoid content on Primary or Informational Panel", reg: "§17407(a)", severity: "critical" },
-        { id: "e4b", text: "THC and CBD in mg per serving AND mg per package (for edibles with servings)", reg: "§17407(b)(1)", severity: "critical" },
-        { id: "e4c", text: "If THC/CBD < 2mg, stated as '<2 mg per serving' or '<2 mg per package'", reg: "§17407(c)", severity: "high" },
-        { id: "e4d", text: "After COA: cannabinoids ≥5% of total listed with percentages", reg: "§17407(d)(1)", severity: "high" },
-        { id: "e4e", text: "After COA: labeled amounts match COA (may round to nearest whole number)", reg: "§17407(d)(2)", severity: "critical" },
-        { id: "e4f", text: "THC per serving does not exceed 10mg (adult-use)", reg: "§17304", severity: "critical" },
-        { id: "e4g", text: "THC per package does not exceed 100mg (adult-use)", reg: "§17304", severity: "critical" },
-        { id: "e4h", text: "Cannabinoid label affixed to outermost packaging, does not obstruct other info", reg: "§17407(d)(3)", severity: "high" },
-      ]},
-      { name: "Labeling Restrictions", items: [
-        { id: "e5a", text: "No misleading California city/county name (unless 100% from there)", reg: "§17408(a)(1)", severity: "high" },
-        { id: "e5b", text: "Content NOT attractive to individuals under 21", reg: "§17408(a)(2)", severity: "critical" },
-        { id: "e5c", text: "No untrue or misleading health-related statements", reg: "§17408(a)(3)", severity: "critical" },
-        { id: "e5d", text: "No false or misleading information of any kind", reg: "§17408(a)(5)", severity: "critical" },
-        { id: "e5e", text: "No picture of the edible product on packaging exterior", reg: "§17408(a)(4)", severity: "high" },
-        { id: "e5f", text: "No 'organic' / 'organix' claims unless USDA NOP authorized for cannabis", reg: "§17408(a)(5)(A)", severity: "high" },
-        { id: "e5g", text: "No 'OCal' or 'OCal certified' claims unless product meets B&P §26062 program requirements", reg: "§17408(a)(5)(B)", severity: "high" },
-        { id: "e5h", text: "No appellation of origin claim unless product meets B&P §26063 program requirements", reg: "§17408(a)(6)", severity: "medium" },
-      ]},
-      { name: "Anticipated Effects (§17409 — If Used)", items: [
-        { id: "e6ae", text: "If anticipated effects are stated, they describe physiological effects only (e.g., 'may cause drowsiness'), NOT health benefit or therapeutic claims", reg: "§17409(a)", severity: "critical" },
-        { id: "e6bf", text: "If anticipated effects are stated, licensee has substantiation that the information is truthful and not misleading", reg: "§17409(a)", severity: "high" },
-        { id: "e6cf", text: "Anticipated effects statement located on informational panel or supplemental labeling (not primary panel)", reg: "§17409(a)", severity: "low" },
-      ]},
-      { name: "Prop 65 Warning", items: [
-        { id: "e6a", text: "Prop 65 warning: 'WARNING: Consuming this product during pregnancy exposes your child to delta-9-THC...'", reg: "CA Prop 65", severity: "critical" },
-        { id: "e6b", text: "Prop 65 warning symbol (triangle with !) next to 'WARNING:'", reg: "CA Prop 65", severity: "high" },
-        { id: "e6c", text: "Prop 65 symbol at least same height as word 'WARNING'", reg: "CA Prop 65", severity: "medium" },
-      ]},
-      { name: "Internal Requirements", items: [
-        { id: "e7a", text: "Expiration date present (required for edibles)", reg: "Internal/Best Practice", severity: "high" },
-        { id: "e7b", text: "THC in mg per package AND mg per serving format", reg: "Internal Memo", severity: "high" },
-        { id: "e7c", text: "CBD in mg per package AND mg per serving format", reg: "Internal Memo", severity: "high" },
-        { id: "e7d", text: "Licensee contact info present", reg: "Internal Memo", severity: "medium" },
-        { id: "e7e", text: "Space reserved for additional cannabinoid >5% (relabeling contingency)", reg: "Internal Best Practice", severity: "low" },
-      ]},
-      { name: "LADCR Requirements (City of LA)", items: [
-        { id: "e8a", text: "No deceptive, false, or misleading statements on any product label or customer-facing document", reg: "LADCR Reg 5(A)(1)(xi)", severity: "critical" },
-        { id: "e8b", text: "Product is fully labeled (including cannabinoid content) before leaving manufacturing premises for distribution or delivery", reg: "LADCR Reg 5(D)(3); DCC §17401", severity: "high" },
-        { id: "e8c", text: "Product labeled in compliance with all applicable State (DCC) labeling requirements — LADCR enforces State labeling standards", reg: "LADCR Reg 5(A)(1)(v) & 5(A)(1)(ix)", severity: "high" },
-      ]},
-    ]
-  },
-  mfg_vape: {
-    title: "MFG - Vapes/All-in-Ones/Concentrates & Infused Pre-Rolls Labeling Checklist",
-    reference: "CCR Title 4 Div. 19, DCC Chapter 11 Art. 3 §§17403–17410",
-    sections: [
-      { name: "General Requirements", items: [
-        { id: "v1a", text: "Required information is in English", reg: "§17402(a)", severity: "high" },
-        { id: "v1b", text: "Label is easy to read", reg: "§17402(b)", severity: "high" },
-        { id: "v1c", text: "All required information on outermost packaging", reg: "§17402(c)", severity: "high" },
-      ]},
-      { name: "Primary Panel", items: [
-        { id: "v2a", text: "Primary label identifies the product", reg: "§17404(a)(1)", severity: "high" },
-        { id: "v2b", text: "Net weight in BOTH metric and US customary units", reg: "§17404(a)(3)", severity: "high" },
-        { id: "v2c", text: "Universal symbol at least 0.5\" (or 0.25\" for vape carts/integrated vaporizers)", reg: "§17410", severity: "critical" },
-        { id: "v2d", text: "All text at least 6pt font", reg: "§17404(a)", severity: "medium" },
-      ]},
-      { name: "Informational Panel", items: [
-        { id: "v3a", text: "Name of the Licensee", reg: "§17406(a)(1)", severity: "high" },
-        { id: "v3b", text: "Packaging Date", reg: "§17406(a)(2)", severity: "high" },
-        { id: "v3c", text: "Government Warning in bold caps (full text required)", reg: "§17406(a)(3)", severity: "critical" },
-        { id: "v3d", text: "'FOR MEDICAL USE ONLY' if THC exceeds adult-use limits", reg: "§17406(a)(4)", severity: "critical" },
-        { id: "v3e", text: "Ingredients list in descending order of predominance", reg: "§17406(a)(5)", severity: "high" },
-        { id: "v3f", text: "Allergen statement if applicable", reg: "§17406(a)(6)", severity: "high" },
-        { id: "v3g", text: "Artificial colorings named if applicable", reg: "§17406(a)(7)", severity: "medium" },
-        { id: "v3h", text: "Instructions for use/consumption", reg: "§17406(a)(9)", severity: "medium" },
-        { id: "v3i", text: "Product UID", reg: "§17406(a)(10)", severity: "critical" },
-        { id: "v3j", text: "Batch number", reg: "§17406(a)(11)", severity: "critical" },
-        { id: "v3k", text: "'KEEP REFRIGERATED' if applicable", reg: "§17406(a)(12)", severity: "medium" },
-        { id: "v3l", text: "All text at least 6pt font", reg: "§17406(b)", severity: "medium" },
-      ]},
-      { name: "Cannabinoid Content", items: [
-        { id: "v4a", text: "Cannabinoid content on Primary or Informational Panel", reg: "§17407(a)", severity: "critical" },
-        { id: "v4b", text: "THC and CBD expressed in mg per package", reg: "§17407(b)(2)", severity: "critical" },
-        { id: "v4b2", text: "Infused pre-rolls: cannabinoid in mg OR flower % + added mg", reg: "§17407(b)(4)", severity: "critical" },
-        { id: "v4c", text: "If THC/CBD < 2mg, stated as '<2 mg per package'", reg: "§17407(c)", severity: "high" },
-        { id: "v4d", text: "After COA: cannabinoids ≥5% listed with percentages", reg: "§17407(d)(1)", severity: "high" },
-        { id: "v4e", text: "After COA: labeled amounts match COA", reg: "§17407(d)(2)", severity: "critical" },
-        { id: "v4f", text: "Cannabinoid label on outermost packaging, not obstructing other info", reg: "§17407(d)(3)", severity: "high" },
-      ]},
-      { name: "Labeling Restrictions", items: [
-        { id: "v5a", text: "No misleading CA city/county name", reg: "§17408(a)(1)", severity: "high" },
-        { id: "v5b", text: "Not attractive to individuals under 21", reg: "§17408(a)(2)", severity: "critical" },
-        { id: "v5c", text: "No untrue/misleading health statements", reg: "§17408(a)(3)", severity: "critical" },
-        { id: "v5d", text: "No false or misleading information of any kind", reg: "§17408(a)(5)", severity: "critical" },
-        { id: "v5e", text: "No 'organic' / 'organix' claims unless USDA NOP authorized for cannabis", reg: "§17408(a)(5)(A)", severity: "high" },
-        { id: "v5f", text: "No 'OCal' or 'OCal certified' claims unless product meets B&P §26062 program requirements", reg: "§17408(a)(5)(B)", severity: "high" },
-        { id: "v5g", text: "No appellation of origin claim unless product meets B&P §26063 program requirements", reg: "§17408(a)(6)", severity: "medium" },
-      ]},
-      { name: "Anticipated Effects (§17409 — If Used)", items: [
-        { id: "v6ae", text: "If anticipated effects are stated, they describe physiological effects only (NOT health benefit or therapeutic claims)", reg: "§17409(a)", severity: "critical" },
-        { id: "v6bf", text: "If anticipated effects are stated, licensee has substantiation that the information is truthful and not misleading", reg: "§17409(a)", severity: "high" },
-        { id: "v6cf", text: "Anticipated effects statement located on informational panel or supplemental labeling", reg: "§17409(a)", severity: "low" },
-      ]},
-      { name: "Prop 65 Warning", items: [
-        { id: "v6a", text: "Prop 65: 'WARNING: Vaping or dabbing this product during pregnancy exposes your child to delta-9-THC...'", reg: "CA Prop 65", severity: "critical" },
-        { id: "v6b", text: "Prop 65 warning symbol next to 'WARNING:'", reg: "CA Prop 65", severity: "high" },
-        { id: "v6c", text: "Prop 65 symbol at least same height as 'WARNING'", reg: "CA Prop 65", severity: "medium" },
-      ]},
-      { name: "Internal Requirements", items: [
-        { id: "v7a", text: "Total THC as percentage present", reg: "Internal Memo", severity: "high" },
-        { id: "v7b", text: "THC in mg per container", reg: "Internal Memo", severity: "high" },
-        { id: "v7c", text: "CBD in mg per container (if applicable)", reg: "Internal Memo", severity: "medium" },
-        { id: "v7d", text: "Licensee contact info", reg: "Internal Memo", severity: "medium" },
-        { id: "v7e", text: "Space for additional cannabinoid >5%", reg: "Internal Best Practice", severity: "low" },
-      ]},
-      { name: "LADCR Requirements (City of LA)", items: [
-        { id: "v8a", text: "No deceptive, false, or misleading statements on any product label or customer-facing document", reg: "LADCR Reg 5(A)(1)(xi)", severity: "critical" },
-        { id: "v8b", text: "Product is fully labeled (including cannabinoid content) before leaving manufacturing premises for distribution or delivery", reg: "LADCR Reg 5(D)(3); DCC §17401", severity: "high" },
-        { id: "v8c", text: "Product labeled in compliance with all applicable State (DCC) labeling requirements — LADCR enforces State labeling standards", reg: "LADCR Reg 5(A)(1)(v) & 5(A)(1)(ix)", severity: "high" },
-      ]},
-    ]
-  },
-  non_mfg: {
-    title: "Non-MFG - Flower / Non-Infused Pre-Rolls Labeling Checklist",
-    reference: "CCR Title 4 Div. 19, DCC Chapter 11 Art. 3 §§17403–17410",
-    sections: [
-      { name: "General Requirements", items: [
-        { id: "n1a", text: "Required information is in English", reg: "§17402(a)", severity: "high" },
-        { id: "n1b", text: "Label is easy to read", reg: "§17402(b)", severity: "high" },
-        { id: "n1c", text: "All required information on outermost packaging", reg: "§17402(c)", severity: "high" },
-      ]},
-      { name: "Primary Panel", items: [
-        { id: "n2a", text: "Primary label identifies the product", reg: "§17403(a)(1)", severity: "high" },
-        { id: "n2b", text: "Net weight in BOTH metric and US customary units", reg: "§17403(a)(2)", severity: "high" },
-        { id: "n2c", text: "Universal symbol at least 0.5\" height", reg: "§17410", severity: "critical" },
-        { id: "n2d", text: "Product UID", reg: "§17403(b)(1)", severity: "critical" },
-        { id: "n2e", text: "Name of the Licensee (cultivator or packager)", reg: "§17403(b)(2)", severity: "high" },
-        { id: "n2f", text: "Licensee's phone number or website", reg: "§17403(b)(2)", severity: "high" },
-        { id: "n2g", text: "Packaging Date", reg: "§17403(b)(3)", severity: "high" },
-        { id: "n2h", text: "Government Warning in bold caps (PACKAGE version)", reg: "§17403(b)(4)", severity: "critical" },
-        { id: "n2i", text: "All text at least 6pt font", reg: "§17403(a)", severity: "medium" },
-      ]},
-      { name: "Cannabinoid Content", items: [
-        { id: "n3a", text: "Total THC expressed as a percentage", reg: "§17407(b)(3)", severity: "critical" },
-        { id: "n3b", text: "After COA: cannabinoids ≥5% listed with percentages", reg: "§17407(d)(1)", severity: "high" },
-        { id: "n3c", text: "After COA: labeled amounts match COA", reg: "§17407(d)(2)", severity: "critical" },
-        { id: "n3d", text: "Cannabinoid label on outermost packaging", reg: "§17407(d)(3)", severity: "high" },
-      ]},
-      { name: "Labeling Restrictions", items: [
-        { id: "n4a", text: "No misleading CA city/county name", reg: "§17408(a)(1)", severity: "high" },
-        { id: "n4b", text: "Not attractive to individuals under 21", reg: "§17408(a)(2)", severity: "critical" },
-        { id: "n4c", text: "No untrue/misleading health statements", reg: "§17408(a)(3)", severity: "critical" },
-        { id: "n4d", text: "No false or misleading information of any kind", reg: "§17408(a)(5)", severity: "critical" },
-        { id: "n4e", text: "No 'organic' / 'organix' claims unless USDA NOP authorized for cannabis", reg: "§17408(a)(5)(A)", severity: "high" },
-        { id: "n4f", text: "No 'OCal' or 'OCal certified' claims unless product meets B&P §26062 program requirements", reg: "§17408(a)(5)(B)", severity: "high" },
-        { id: "n4g", text: "No appellation of origin claim unless product meets B&P §26063 program requirements", reg: "§17408(a)(6)", severity: "medium" },
-      ]},
-      { name: "Anticipated Effects (§17409 — If Used)", items: [
-        { id: "n5ae", text: "If anticipated effects are stated, they describe physiological effects only (NOT health benefit or therapeutic claims)", reg: "§17409(a)", severity: "critical" },
-        { id: "n5bf", text: "If anticipated effects are stated, licensee has substantiation that the information is truthful and not misleading", reg: "§17409(a)", severity: "high" },
-        { id: "n5cf", text: "Anticipated effects statement located on informational panel or supplemental labeling", reg: "§17409(a)", severity: "low" },
-      ]},
-      { name: "Prop 65 Warning", items: [
-        { id: "n5a", text: "Prop 65: 'WARNING: Smoking cannabis increases your cancer risk and during pregnancy...'", reg: "CA Prop 65", severity: "critical" },
-        { id: "n5b", text: "Prop 65 warning symbol next to 'WARNING:'", reg: "CA Prop 65", severity: "high" },
-        { id: "n5c", text: "Prop 65 symbol at least same height as 'WARNING'", reg: "CA Prop 65", severity: "medium" },
-      ]},
-      { name: "Internal Requirements", items: [
-        { id: "n6a", text: "Total THC percentage present", reg: "Internal Memo", severity: "high" },
-        { id: "n6b", text: "UID present", reg: "Internal Memo", severity: "critical" },
-        { id: "n6c", text: "Batch number present", reg: "Internal Memo", severity: "critical" },
-        { id: "n6d", text: "Licensee contact info", reg: "Internal Memo", severity: "medium" },
-        { id: "n6e", text: "Any cannabinoid above 5% listed", reg: "Internal Memo", severity: "high" },
-      ]},
-      { name: "LADCR Requirements (City of LA)", items: [
-        { id: "n7a", text: "No deceptive, false, or misleading statements on any product label or customer-facing document", reg: "LADCR Reg 5(A)(1)(xi)", severity: "critical" },
-        { id: "n7b", text: "Product is fully labeled (including cannabinoid content) before leaving premises for distribution or delivery", reg: "LADCR Reg 5(D)(3); DCC §17401", severity: "high" },
-        { id: "n7c", text: "Product labeled in compliance with all applicable State (DCC) labeling requirements — LADCR enforces State labeling standards", reg: "LADCR Reg 5(A)(1)(v) & 5(A)(1)(ix)", severity: "high" },
-      ]},
-    ]
-  }
-};
-
-// ── Regulation References ──
-const REGULATION_REFS = {
-  '§17302': {
-    title: 'Packaging Requirements',
-    description: 'Cannabis products must be sold in child-resistant, tamper-evident, and resealable (if multi-dose) packaging. Packaging must not be attractive to persons under 21.',
-  },
-  '§17304': {
-    title: 'Adult-Use Cannabinoid Limits',
-    description: 'For adult-use edibles: maximum 10mg THC per serving and 100mg THC per package. Products exceeding these limits must be labeled "FOR MEDICAL USE ONLY".',
-  },
-  '§17402': {
-    title: 'General Labeling Requirements',
-    description: 'All required label information must be in English, easy to read, unobstructed and conspicuous, and placed on the outermost packaging.',
-  },
-  '§17403': {
-    title: 'Nonmanufactured Cannabis Primary Panel',
-    description: 'For flower/non-infused pre-rolls: product identity, net weight (metric + US customary), universal symbol (≥0.5"), UID, cultivator/packager name and contact info, packaging date, and government warning (PACKAGE version) in bold caps.',
-  },
-  '§17404': {
-    title: 'Manufactured Cannabis Primary Panel',
-    description: 'For manufactured cannabis products: product identity, universal symbol (≥0.5"), net weight (metric + US customary); all text must be at least 6pt font.',
-  },
-  '§17405': {
-    title: 'Edible Cannabis Products – Primary Panel',
-    description: 'Edibles must display "cannabis-infused" or "cannabis infused" in bold immediately above the product identity statement, in a larger text size than the identity.',
-  },
-  '§17406': {
-    title: 'Manufactured Cannabis Informational Panel',
-    description: 'Must include: licensee name and contact, packaging date, government warning (PRODUCT version, bold caps), "FOR MEDICAL USE ONLY" if THC exceeds §17304 limits, ingredients in descending order by predominance, allergens, artificial colorings, nutritional info for edibles (sodium/sugar/carbs/total fat per serving), instructions for use, UID, batch/lot number, refrigeration notice if applicable; all text min 6pt font.',
-  },
-  '§17407': {
-    title: 'Cannabinoid Content Labeling',
-    description: 'Cannabinoid content must appear on primary or informational panel. Edibles: mg/serving + mg/package. Vapes/concentrates: mg/package. Flower: percentage. Amounts <2mg must be stated as "<2 mg". Any cannabinoid ≥5% of total must be listed. Labeled amounts must match COA within ±10%.',
-  },
-  '§17408': {
-    title: 'Labeling Restrictions',
-    description: 'Prohibited: misleading California city/county names, content attractive to individuals under 21, false or misleading health claims, pictures of edible products on exterior packaging, false or misleading information of any kind, "organic"/"organix" claims without USDA NOP authorization for cannabis, "OCal" claims without B&P §26062 compliance, appellation of origin claims without B&P §26063 compliance.',
-  },
-  '§17409': {
-    title: 'Anticipated Effects (Optional)',
-    description: 'Anticipated effects statements are OPTIONAL. If used, they must describe physiological effects only (e.g., "may cause drowsiness") and NOT health benefit or therapeutic claims. The licensee must have substantiation that the information is truthful and not misleading. Must appear on informational panel or supplemental labeling, not the primary panel.',
-  },
-  '§17410': {
-    title: 'Universal Symbol Requirements',
-    description: 'The California universal cannabis symbol must be black or white on a contrasting background, not altered or cropped, and at least 0.5" in height. Exception: vape cartridges and integrated vaporizers may use a symbol of at least 0.25" in height.',
-  },
-  '§15307.1': {
-    title: 'COA Variance Tolerance',
-    description: 'Labeled cannabinoid amounts may vary from Certificate of Analysis (COA) test results by no more than ±10%.',
-  },
-  'CA Prop 65': {
-    title: 'California Proposition 65 Warning',
-    description: 'California Prop 65 requires specific health warnings on cannabis products. The warning must include the required text, a triangle warning symbol (⚠), and the symbol must be at least the same height as the word "WARNING". Text varies by product type: edibles reference ingestion, vapes/concentrates reference vaping/dabbing, and flower/pre-rolls reference smoking.',
-  },
-  'LADCR Reg 5': {
-    title: 'LADCR Operating Standards',
-    description: 'Los Angeles Department of Cannabis Regulation Operating Standards prohibit deceptive, false, or misleading statements on product labels and customer-facing documents (Reg 5(A)(1)(xi)). Products must be fully labeled (including cannabinoid content) before leaving manufacturing premises for distribution or delivery (Reg 5(D)(3)). LADCR enforces all State DCC labeling requirements (Reg 5(A)(1)(v) & 5(A)(1)(ix)).',
-  },
-};
-
-const SYSTEM_PROMPT = `You are a cannabis regulatory compliance expert specializing in California Department of Cannabis Control (DCC) regulations and Los Angeles Department of Cannabis Regulation (LADCR) rules.
-
-Your job is to analyze cannabis product packaging and labels for compliance with:
-1. DCC Regulations (CCR Title 4 Div. 19, Chapter 11 §§17402-17410) - Labeling & Packaging (revised January 1, 2026)
-2. LADCR Rules & Regulations (Effective Oct 17, 2025) — NOTE: LADCR does not contain product-specific labeling requirements; it primarily governs licensing, operations, and security. LADCR enforces State labeling compliance and prohibits deceptive/false/misleading statements on products and customer-facing documents (LADCR Reg 5(A)(1)(xi)). Products must be labeled before leaving premises for delivery/distribution (Reg 5(D)(3)).
-3. California Prop 65 warnings specific to cannabis products
-4. Internal standards and the Labeled Cannabinoid Memo
-
-KEY REGULATORY REQUIREMENTS (DCC Jan 1, 2026 revision):
-- §17402: All label text in English, unobstructed/conspicuous, required info on outermost packaging
-- §17403: Nonmanufactured primary panel: product identity, net weight (metric + US), universal symbol (≥0.5"); informational label: UID, cultivator name+contact, pkg date, govt warning (PACKAGE version in bold)
-- §17404: Manufactured primary panel: product identity, universal symbol (≥0.5"), net weight (metric + US); all text min 6pt font
-- §17405: Edibles primary panel additionally: "cannabis-infused" or "cannabis infused" in BOLD immediately ABOVE identity, in LARGER text size than identity
-- §17406: Manufactured informational panel: licensee name+contact, pkg date, govt warning (PRODUCT version in bold), FOR MEDICAL USE ONLY if THC exceeds §17304 limits, ingredients in descending order, allergens, artificial colorings, edible nutritional info (sodium/sugar/carbs/total fat per serving), instructions for use, UID, batch/lot#, refrigeration notice if applicable; all text min 6pt
-- §17407: Cannabinoid content on primary or informational panel; edibles: mg/serving + mg/pkg; vapes/concentrates: mg/pkg; flower: percentage; <2mg → "<2 mg"; any cannabinoid ≥5% of total must be listed; must match COA within ±10%
-- §17408: Labeling restrictions — no misleading city/county name, not attractive to under 21, no false health claims, no edible product pictures, no false/misleading info; NO "organic"/"organix" claims unless USDA NOP authorized; NO "OCal" claims unless meets B&P §26062; NO appellation of origin unless meets B&P §26063
-- §17409: Anticipated effects are OPTIONAL — if used, must be physiological effects only (NOT health benefit/therapeutic claims), must be truthful and substantiated, must be on informational panel or supplemental labeling
-- §17410: Universal symbol — black or white on contrasting background; ≥0.5" height EXCEPT vape cartridges/integrated vaporizers which may be ≥0.25"; not altered or cropped
-- Adult-use edibles: max 10mg THC/serving, 100mg THC/package (§17304)
-- COA variance tolerance: ±10% between label and test results (§15307.1)
-- Government warning: EXACT text required — "PRODUCT" version for manufactured, "PACKAGE" version for nonmanufactured
-
-When analyzing a label image or description, evaluate EVERY checklist item. For each:
-- Determine PASS, FAIL, or UNABLE TO VERIFY
-- Cite the specific regulation using its EXACT section code (e.g. §17408(a)(1), §17407(b)(1), CA Prop 65, LADCR Reg 5(A)(1)(xi))
-- Explain why it fails and how to fix it
-- Assess risk level
-- For §17409 Anticipated Effects items: if no anticipated effects statement is present on the label, mark as PASS (it's optional). Only flag if a statement IS present and violates the rule.
-
-Output your analysis as JSON with this structure:
-{
-  "summary": "2-3 sentence executive summary of overall compliance status and key findings",
-  "items": [
-    {
-      "id": "checklist item id",
-      "status": "pass" | "fail" | "warning" | "unverifiable",
-      "finding": "What was found",
-      "recommendation": "How to fix (if fail/warning)",
-      "regulation": "Exact regulation citation code (e.g. §17408(a)(1), §17407(b)(1), CA Prop 65, LADCR Reg 5(A)(1)(xi))"
-    }
-  ],
-  "complianceScore": numeric integer 0-100 (the UI converts this to a letter grade),
-  "riskScore": 0-100,
-  "criticalIssues": ["Each entry MUST begin with the exact citation code followed by a colon, e.g.: '§17408(a)(2): Content appears attractive to minors — remove cartoon imagery'"],
-  "recommendations": ["Prioritized fixes, each referencing the specific regulation code, e.g.: '§17406(a)(3): Add the required government warning statement in bold caps'"]
-}
-
-IMPORTANT: The "regulation" field for every item MUST contain the exact DCC section number (e.g. §17408(a)(1)), Prop 65 citation, or LADCR reference. Every criticalIssues entry MUST start with the citation code followed by a colon and description. Every recommendations entry MUST reference the specific regulation.
-
-WARNING CONSOLIDATION: When the label type is 'Packaging / Strain Label only', do NOT generate individual warnings for every compliance label field. Instead, generate ONE single warning item with this exact finding: 'Compliance label required — ensure it includes: Product Identifier, Ingredients, Batch #, UID #, Package Date, Total THC%, THC mg/pkg, CBD mg/pkg, and Licensee Name + contact info' and regulation '[§17406, §17407]'. Only generate additional individual warnings for things actually visible and questionable on the packaging itself (e.g. youth-appealing design, misleading claims). Keep total warnings to 5 or fewer.`;
-
-const QA_SYSTEM_PROMPT = `You are a California cannabis compliance expert with deep knowledge of DCC regulations (CCR Title 4, Division 19), LADCR rules, and Prop 65.
-
-Answer questions concisely and directly. Format every answer like this:
-- Start with a 2-3 sentence direct answer
-- Follow with a 'Key Requirements' section if applicable (bullet points, max 5 bullets)
-- End with a 'Relevant Regulations' section listing specific citations in this format: [§17404] [§17406] etc.
-
-Rules:
-- Only answer questions related to California cannabis compliance, labeling, packaging, and regulations
-- If asked something outside this scope, politely redirect
-- Always cite the specific regulation section when stating a requirement
-- Be concise — no long paragraphs
-- If unsure, say so and recommend consulting a compliance attorney`;
-
-function buildSystemPrompt(labelType) {
-  const labelTypeSection = `
-
-LABEL TYPE CONTEXT:
-The user has indicated this image is: ${labelType}.
-Adjust your analysis accordingly:
-
-- If 'Packaging / Strain Label': Evaluate ONLY primary panel requirements (§17404) — product identity, universal symbol, net weight, government warning, Prop 65. Do NOT flag missing compliance label fields (batch number, UID, ingredients, cannabinoid content, etc.) as failures — these belong on the compliance label which was not uploaded. Note in your summary that a separate compliance label is required.
-
-- If 'Compliance Label': Evaluate ONLY the variable data fields: Product Identifier, Ingredients (with 'Ingredients:' header), Batch #, UID #, Package Date, Total THC%, THC mg/pkg, CBD mg/pkg, Licensee Name + phone or website. Do NOT flag missing packaging artwork elements as failures.
-
-- If 'Both': Evaluate all requirements for both primary panel and compliance label. This is a full compliance review.`;
-  return SYSTEM_PROMPT + labelTypeSection;
-}
-
-// ── Letter Grade Helper ──
-function scoreToGrade(score) {
-  if (score >= 97) return { grade: "A+", color: "#22c55e" };
-  if (score >= 93) return { grade: "A",  color: "#22c55e" };
-  if (score >= 90) return { grade: "A-", color: "#22c55e" };
-  if (score >= 87) return { grade: "B+", color: "#84cc16" };
-  if (score >= 83) return { grade: "B",  color: "#eab308" };
-  if (score >= 80) return { grade: "B-", color: "#eab308" };
-  if (score >= 77) return { grade: "C+", color: "#f97316" };
-  if (score >= 73) return { grade: "C",  color: "#f97316" };
-  if (score >= 70) return { grade: "C-", color: "#f97316" };
-  if (score >= 67) return { grade: "D+", color: "#ef4444" };
-  if (score >= 63) return { grade: "D",  color: "#ef4444" };
-  if (score >= 60) return { grade: "D-", color: "#ef4444" };
-  return { grade: "F", color: "#ef4444" };
-}
-
 // ── Severity Badge ──
 function SeverityBadge({ severity }) {
   const colors = {
@@ -387,6 +54,36 @@ function SeverityBadge({ severity }) {
   );
 }
 
+// ── Source Badge ──
+// Whether a verdict came from a deterministic text rule or the model.
+function SourceBadge({ source }) {
+  if (!source) return null;
+  const isRule = source === 'rule';
+  return (
+    <span title={isRule ? "Deterministic check on the label text" : "Evaluated by the AI model"}
+      style={{ marginLeft: 8, padding: "1px 6px", borderRadius: 4, fontSize: 9, fontWeight: 600,
+        letterSpacing: 1, textTransform: "uppercase", fontFamily: "'DM Mono', monospace",
+        color: isRule ? "#38bdf8" : "#94a3b8", border: `1px solid ${isRule ? "#0c4a6e" : "#334155"}` }}>
+      {isRule ? "Rule" : "AI"}
+    </span>
+  );
+}
+
+// Jumps to the text blocks a finding cites on the label preview.
+function EvidenceButton({ item, onShow }) {
+  if (!item.evidence?.length) return null;
+  return (
+    <button onClick={() => onShow(item.id)} title={`Text blocks ${item.evidence.join(", ")}`}
+      style={{ marginLeft: 8, padding: "1px 6px", borderRadius: 4, fontSize: 10, cursor: "pointer",
+        background: "transparent", color: "#94a3b8", border: "1px solid #334155" }}>
+      📍 Show on label
+    </button>
+  );
+}
+
+// Outline for the finding whose evidence is highlighted on the label.
+const focusStyle = (focused) => (focused ? { outline: "1px solid #38bdf8", outlineOffset: 2, borderRadius: 4 } : {});
+
 // ── Regulation Reference Helpers ──
 function extractBaseSection(citation) {
   if (!citation) return null;
@@ -404,10 +101,30 @@ function citationToUrl(citation) {
   return 'https://www.cannabis.ca.gov/cannabis-laws/dcc-regulations/';
 }
 
-function RegulationModal({ citation, onClose }) {
-  const base = extractBaseSection(citation);
-  const ref = base ? REGULATION_REFS[base] : null;
-  const url = citationToUrl(citation);
+// The pack's regulation key for a citation: the longest key the citation
+// contains (e.g. "OAR 333-007" in "OAR 333-007-0010"), else the CA section.
+function regulationKey(citation, regulations = {}) {
+  if (!citation) return null;
+  return Object.keys(regulations)
+    .filter(k => citation.includes(k))
+    .sort((a, b) => b.length - a.length)[0] || extractBaseSection(citation);
+}
+
+function RegulationModal({ citation, pack, onClose }) {
+  const key = regulationKey(citation, pack?.regulations);
+  const ref = pack?.regulations?.[key] || null;
+  const url = ref?.url || pack?.jurisdiction?.url || citationToUrl(citation);
+  // The bundled regulation text for the whole section; null while loading.
+  const [sections, setSections] = useState(null);
+
+  useEffect(() => {
+    if (!pack) return setSections([]);
+    const params = new URLSearchParams({ citation: key || citation });
+    apiFetch(`/api/rulepacks/${pack.packId}/text?${params}`)
+      .then(data => setSections(data.sections))
+      .catch(() => setSections([]));
+  }, [pack?.packId, citation]);
+
   return (
     <div onClick={onClose} style={{
       position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.75)',
@@ -416,7 +133,7 @@ function RegulationModal({ citation, onClose }) {
     }}>
       <div onClick={e => e.stopPropagation()} style={{
         background: '#1a2740', border: '1px solid #334155', borderRadius: 12,
-        padding: 28, maxWidth: 460, width: '100%', position: 'relative',
+        padding: 28, maxWidth: sections?.length ? 680 : 460, width: '100%', position: 'relative',
       }}>
         <button onClick={onClose} style={{
           position: 'absolute', top: 12, right: 14, background: 'transparent',
@@ -437,14 +154,42 @@ function RegulationModal({ citation, onClose }) {
             {citation} ↗
           </a>
         </div>
-        {ref ? (
+        {sections?.length > 0 ? (
+          <>
+            {ref && (
+              <div style={{ fontSize: 17, fontWeight: 700, color: '#f8fafc', marginBottom: 10 }}>
+                {ref.title}
+              </div>
+            )}
+            <div style={{ maxHeight: '55vh', overflowY: 'auto', marginBottom: 20, paddingRight: 8 }}>
+              {sections.map((sec, i) => (
+                <div key={i} style={{ marginBottom: 16 }}>
+                  <div style={{ fontSize: 12, fontWeight: 600, color: '#94a3b8', marginBottom: 4 }}>
+                    <span style={{ fontFamily: "'DM Mono', monospace", color: '#22c55e' }}>{sec.citation}</span>
+                    {sec.heading && ` — ${sec.heading}`}
+                  </div>
+                  <div style={{ whiteSpace: 'pre-wrap', fontSize: 13, lineHeight: 1.7, color: '#cbd5e1',
+                    fontFamily: "'DM Sans', sans-serif" }}>{sec.text}</div>
+                  <div style={{ fontSize: 11, color: '#64748b', marginTop: 4 }}>
+                    {sec.source.title}{sec.source.excerpt && ' · excerpt, not the whole section'}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : ref ? (
           <>
             <div style={{ fontSize: 17, fontWeight: 700, color: '#f8fafc', marginBottom: 10 }}>
               {ref.title}
             </div>
-            <div style={{ fontSize: 13, lineHeight: 1.7, color: '#cbd5e1', marginBottom: 20 }}>
+            <div style={{ fontSize: 13, lineHeight: 1.7, color: '#cbd5e1', marginBottom: sections ? 8 : 20 }}>
               {ref.description}
             </div>
+            {sections && (
+              <div style={{ fontSize: 11, color: '#64748b', marginBottom: 20 }}>
+                Summary only: the text of this section is not in the bundled regulation library.
+              </div>
+            )}
           </>
         ) : (
           <div style={{ fontSize: 13, color: '#94a3b8', marginBottom: 20, lineHeight: 1.6 }}>
@@ -469,51 +214,9 @@ function RegulationModal({ citation, onClose }) {
   );
 }
 
-function CitationLink({ citation, onOpen }) {
-  if (!citation) return null;
-  return (
-    <button
-      onClick={() => onOpen(citation)}
-      style={{
-        background: 'transparent', border: '1px solid #334155', borderRadius: 4,
-        color: '#22c55e', fontSize: 10, fontFamily: "'DM Mono', monospace",
-        cursor: 'pointer', padding: '1px 6px', marginLeft: 6, fontWeight: 600,
-        verticalAlign: 'middle',
-      }}
-    >
-      {citation}
-    </button>
-  );
-}
-
-// ── QA Response Renderer ──
-function renderQaResponse(text, onOpen) {
-  if (!text) return null;
-  const citationRegex = /\[(§[^\]]+)\]/g;
-
-  // Collect unique citations for the "Referenced Regulations" row
-  const citations = [];
-  const seen = new Set();
-  let m;
-  while ((m = citationRegex.exec(text)) !== null) {
-    if (!seen.has(m[1])) { seen.add(m[1]); citations.push(m[1]); }
-  }
-
-  // Build inline text with citation chips replaced by spans (keep readable)
-  const parts = [];
-  let lastIndex = 0;
-  citationRegex.lastIndex = 0;
-  let key = 0;
-  while ((m = citationRegex.exec(text)) !== null) {
-    if (m.index > lastIndex) parts.push(<span key={key++}>{text.slice(lastIndex, m.index)}</span>);
-    parts.push(
-      <CitationLink key={key++} citation={m[1]} onOpen={onOpen} />
-    );
-    lastIndex = m.index + m[0].length;
-  }
-  if (lastIndex < text.length) parts.push(<span key={key++}>{text.slice(lastIndex)}</span>);
-
-  return { parts, citations };
+// "Page 1: Primary Panel · Pages 2, 3: Informational Panel, Prop 65 Warning"
+function describePanels(panels) {
+  return panels.map(p => `${p.name}: ${p.sections.join(", ")}`).join(" · ");
 }
 
 // ── Main App ──
@@ -521,26 +224,46 @@ export default function ComplianceChecker() {
   const [selectedType, setSelectedType] = useState(null);
   const [uploadedFile, setUploadedFile] = useState(null);
   const [filePreview, setFilePreview] = useState(null);
+  const [coaFile, setCoaFile] = useState(null);
+  const [formulation, setFormulation] = useState(EMPTY_FORMULATION);
+  const [dosage, setDosage] = useState(EMPTY_DOSAGE);
+  const [labelSize, setLabelSize] = useState(EMPTY_LABEL_SIZE);
+  const [imageAspect, setImageAspect] = useState(null);
+  const [panelPages, setPanelPages] = useState({});
   const [analyzing, setAnalyzing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const analysisRef = useRef(null);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
-  const [question, setQuestion] = useState("");
-  const [qaMode, setQaMode] = useState(false);
-  const [qaResponse, setQaResponse] = useState(null);
-  const [qaLoading, setQaLoading] = useState(false);
+  const [view, setView] = useState("check");
+  const [qaReview, setQaReview] = useState(null);
   const fileRef = useRef(null);
-  const [unlocked, setUnlocked] = useState(false);
-  const [passwordInput, setPasswordInput] = useState('');
-  const [passwordError, setPasswordError] = useState(false);
+  const coaRef = useRef(null);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [regModal, setRegModal] = useState(null);
-  const [reportId] = useState(() => {
-    const d = new Date();
-    const ds = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
-    return `CP-${ds}-${String(Math.floor(Math.random() * 900) + 100)}`;
-  });
+  const [jurisdiction, setJurisdiction] = useState(DEFAULT_JURISDICTION);
+  const [jurisdictions, setJurisdictions] = useState([]);
+  const [useMode, setUseMode] = useState(DEFAULT_USE_MODE);
+  const [rulePack, setRulePack] = useState(null);
+  const [signoff, setSignoff] = useState(null);
+  const [productName, setProductName] = useState("");
+  const [revisionOf, setRevisionOf] = useState(null);
+  const reportId = results?.reportId;
+  // Reviews from before jurisdictions were selectable were all graded under California rules.
+  const reportJurisdiction = results?.rulePack?.jurisdiction?.name || "California (DCC + City of Los Angeles)";
   const [showPassed, setShowPassed] = useState(false);
+  const [focusedItem, setFocusedItem] = useState(null);
   const [isPackagingLabel, setIsPackagingLabel] = useState(false);
   const [isComplianceLabel, setIsComplianceLabel] = useState(false);
+  const checklists = rulePack?.checklists || {};
+  const labelTypeId = isPackagingLabel && isComplianceLabel
+    ? 'both'
+    : isPackagingLabel
+    ? 'packaging'
+    : isComplianceLabel
+    ? 'compliance'
+    : '';
   const labelType = isPackagingLabel && isComplianceLabel
     ? 'Packaging / Strain Label AND Compliance Label (full review)'
     : isPackagingLabel
@@ -549,21 +272,120 @@ export default function ComplianceChecker() {
     ? 'Compliance Label only'
     : '';
 
-  const PASSWORD = 'finalbell2024';
+  useEffect(() => {
+    fetch(`${API_BASE}/health`)
+      .catch(() => {});
+    if (!getToken()) {
+      setAuthChecked(true);
+      return;
+    }
+    apiFetch('/api/auth/me')
+      .then(data => setUser(data.user))
+      .catch(() => setToken(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
 
-  const handleUnlock = () => {
-    if (passwordInput === PASSWORD) {
-      setUnlocked(true);
-    } else {
-      setPasswordError(true);
-      setTimeout(() => setPasswordError(false), 2000);
+  useEffect(() => {
+    if (!user) return;
+    apiFetch('/api/rulepacks')
+      .then(data => setJurisdictions(data.packs))
+      .catch(handleApiError);
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    apiFetch(`/api/rulepacks/${jurisdiction}/active`)
+      .then(pack => {
+        setRulePack(pack);
+        setSelectedType(t => (t && pack.checklists[t] ? t : null));
+      })
+      .catch(handleApiError);
+  }, [user, jurisdiction]);
+
+  const signOut = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch {
+      // The session is dropped locally either way
     }
+    setToken(null);
+    setUser(null);
+    setResults(null);
+    setUploadedFile(null);
+    setCoaFile(null);
+    setFormulation(EMPTY_FORMULATION);
+    setDosage(EMPTY_DOSAGE);
+    setFilePreview(null);
+    setSelectedType(null);
+    setQaReview(null);
+    setSignoff(null);
   };
 
-  useEffect(() => {
-    fetch('https://cannapliant.up.railway.app/health')
-      .catch(() => {});
-  }, []);
+  const openReview = async (id) => {
+    setError(null);
+    try {
+      const review = await apiFetch(`/api/reviews/${id}`);
+      setJurisdiction(review.result.rulePack?.packId || DEFAULT_JURISDICTION);
+      setUseMode(review.result.useMode?.id || DEFAULT_USE_MODE);
+      setSelectedType(review.productType);
+      setIsPackagingLabel(review.labelType !== 'compliance');
+      setIsComplianceLabel(review.labelType !== 'packaging');
+      setUploadedFile(null);
+      setCoaFile(null);
+      setFormulation(EMPTY_FORMULATION);
+      setDosage(EMPTY_DOSAGE);
+      setShowPassed(false);
+      setFocusedItem(null);
+      setSignoff(review.signoff);
+      setResults({ ...review.result, reviewId: review.id, revision: review.revision || 1, productName: review.productName, fileName: review.file.name });
+      setView("check");
+      if (review.file.mediaType.startsWith("image/")) {
+        const blob = await apiFetchBlob(`/api/reviews/${id}/file`);
+        setFilePreview({ type: "image", data: URL.createObjectURL(blob) });
+      } else {
+        setFilePreview({ type: "pdf", name: review.file.name });
+      }
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  // Keep the product and label type of the current review and go back to the
+  // upload step so the next file is linked to it as a revision.
+  const startRevision = () => {
+    setRevisionOf({ reviewId: results.reviewId, reportId: results.reportId, productName: results.productName, revision: results.revision || 1 });
+    setProductName(results.productName);
+    setResults(null);
+    setUploadedFile(null);
+    setCoaFile(null);
+    setFilePreview(null);
+    setShowPassed(false);
+    setFocusedItem(null);
+    setSignoff(null);
+  };
+
+  // "Show on label": highlight the finding's evidence and bring the preview into view.
+  const showEvidence = (id) => {
+    setFocusedItem(id);
+    document.getElementById("evidence-preview")?.scrollIntoView({ behavior: "smooth", block: "center" });
+  };
+
+  // A box clicked on the preview: open the finding it belongs to.
+  const focusFinding = (id) => {
+    setFocusedItem(id);
+    if (results.items?.find(i => i.id === id)?.status === 'pass') setShowPassed(true);
+    setTimeout(() => document.getElementById(`item-${id}`)?.scrollIntoView({ behavior: "smooth", block: "center" }), 0);
+  };
+
+  // A 401 means the session expired or was revoked: send the user back to sign in.
+  const handleApiError = (err) => {
+    if (err.status === 401) {
+      setToken(null);
+      setUser(null);
+      return;
+    }
+    setError(err.message);
+  };
 
   const handleFileUpload = useCallback((e) => {
     const file = e.target.files?.[0];
@@ -571,157 +393,96 @@ export default function ComplianceChecker() {
     setUploadedFile(file);
     setResults(null);
     setError(null);
+    setImageAspect(null);
+    setPanelPages({});
+    // A size read from the previous file's PDF page doesn't carry over.
+    setLabelSize(ls => (ls.source === "pdf" ? EMPTY_LABEL_SIZE : ls));
     if (file.type.startsWith("image/")) {
       const reader = new FileReader();
-      reader.onload = (ev) => setFilePreview({ type: "image", data: ev.target.result });
+      reader.onload = (ev) => {
+        setFilePreview({ type: "image", data: ev.target.result });
+        const img = new Image();
+        img.onload = () => setImageAspect(img.width / img.height);
+        img.src = ev.target.result;
+      };
       reader.readAsDataURL(file);
     } else if (file.type === "application/pdf") {
       setFilePreview({ type: "pdf", name: file.name });
+      // Measured at the PDF's own page sizes unless a printed size is entered.
+      setLabelSize({ ...EMPTY_LABEL_SIZE, source: "pdf" });
     } else {
       setFilePreview({ type: "file", name: file.name });
     }
   }, []);
 
-  const compressImage = (file) => {
-    return new Promise((resolve) => {
-      const img = new Image();
-      const url = URL.createObjectURL(file);
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const maxWidth = 1920;
-        const scale = Math.min(1, maxWidth / img.width);
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.8);
-        URL.revokeObjectURL(url);
-      };
-      img.src = url;
-    });
-  };
-
   const runAnalysis = async () => {
     if (!selectedType || !(isPackagingLabel || isComplianceLabel) || !uploadedFile) return;
     setAnalyzing(true);
     setError(null);
     setResults(null);
+    setSignoff(null);
+    setFocusedItem(null);
 
     try {
-      const checklist = CHECKLISTS[selectedType];
-      const allItems = checklist.sections.flatMap(s => s.items);
-      const checklistText = checklist.sections.map(s =>
-        `### ${s.name}\n${s.items.map(i => `- [${i.id}] ${i.text} (${i.reg}) [Severity: ${i.severity}]`).join("\n")}`
-      ).join("\n\n");
-
-      let contentParts = [];
-
-      if (uploadedFile.type.startsWith("image/") || uploadedFile.type === "application/pdf") {
-        let fileToEncode = uploadedFile;
-        let mediaType = uploadedFile.type === "application/pdf" ? "application/pdf" : "image/jpeg";
-
-        if (uploadedFile.type.startsWith("image/")) {
-          fileToEncode = await compressImage(uploadedFile);
-        } else if (uploadedFile.size > 3145728) {
-          setError("For best results, use PDFs under 3MB or upload an image instead");
-        }
-
-        const base64 = await new Promise((res, rej) => {
-          const r = new FileReader();
-          r.onload = () => res(r.result.split(",")[1]);
-          r.onerror = () => rej(new Error("Failed to read file"));
-          r.readAsDataURL(fileToEncode);
-        });
-
-        if (uploadedFile.type === "application/pdf") {
-          contentParts.push({
-            type: "document",
-            source: { type: "base64", media_type: mediaType, data: base64 }
-          });
-        } else {
-          contentParts.push({
-            type: "image",
-            source: { type: "base64", media_type: mediaType, data: base64 }
-          });
-        }
-      }
-
-      contentParts.push({
-        type: "text",
-        text: `Analyze this cannabis product label for compliance. Product type: ${checklist.title}.
-
-CHECKLIST TO EVALUATE:
-${checklistText}
-
-Evaluate every item on the checklist against this label. Return ONLY valid JSON matching the schema described in the system prompt. No markdown, no backticks, just raw JSON.`
-      });
-
-      const response = await fetch('https://cannapliant.up.railway.app/api/messages', {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 4000,
-          system: buildSystemPrompt(labelType),
-          messages: [{ role: "user", content: contentParts }],
-        }),
+      if (isTooLarge(uploadedFile)) throw new Error("Label files must be under 100 MB");
+      const file = await encodeLabelFile(uploadedFile);
+      const coa = coaFile ? await encodeLabelFile(coaFile) : undefined;
+      const formulationBody = selectedType === "edibles" ? formulationFromInput(formulation) : undefined;
+      const dosageBody = dosageFromInput(dosage);
+      const panels = uploadedFile.type === "application/pdf"
+        ? panelsFromPages(panelPages, checklists[selectedType].sections.map(sec => sec.name))
+        : undefined;
+      const sizeEntered = rulePack?.sizeChecks
+        && (labelSize.source === "pdf" || (Number(labelSize.width) > 0 && Number(labelSize.height) > 0));
+
+      // Verdicts stream in as the model writes them; the final result replaces them.
+      const controller = new AbortController();
+      analysisRef.current = controller;
+      setProgress({ stage: null, sections: null, items: {} });
+      let data = null;
+      await apiStream('/api/analyze/stream', {
+        signal: controller.signal,
+        onEvent: (type, payload) => {
+          if (type === "stage") setProgress(p => ({ ...p, stage: payload.stage, sections: payload.sections || p.sections }));
+          else if (type === "item") setProgress(p => ({ ...p, items: { ...p.items, [payload.item.id]: payload.item } }));
+          else if (type === "result") data = payload;
+        },
+        body: {
+          jurisdiction,
+          useMode,
+          productType: selectedType,
+          labelType: labelTypeId,
+          productName,
+          previousReviewId: revisionOf?.reviewId,
+          file,
+          coa,
+          formulation: formulationBody,
+          dosage: dosageBody,
+          panels,
+          labelSize: !sizeEntered ? undefined
+            : labelSize.source === "pdf" ? { source: "pdf" }
+            : { width: Number(labelSize.width), height: Number(labelSize.height), unit: labelSize.unit, source: "declared" },
+        },
       });
-
-      const data = await response.json();
-      const text = data.content?.map(b => b.text || "").join("") || "";
-      const clean = text.replace(/```json|```/g, "").trim();
-
-      try {
-        const parsed = JSON.parse(clean);
-        setResults({ ...parsed, checklist: allItems });
-      } catch {
-        setResults({
-          summary: text,
-          items: [],
-          complianceScore: null,
-          riskScore: null,
-          criticalIssues: [],
-          recommendations: [],
-          rawResponse: text,
-          checklist: allItems,
-        });
-      }
+      if (!data) throw new Error("The connection closed before the analysis finished");
+      setResults(data);
+      setRevisionOf(null);
     } catch (err) {
+      // Cancelled by the reviewer: back to the upload step with the file kept.
+      if (err.name === "AbortError") return;
+      if (err.status === 401) return handleApiError(err);
       setError("Analysis failed: " + err.message);
     } finally {
+      analysisRef.current = null;
+      setProgress(null);
       setAnalyzing(false);
     }
   };
 
-  const askQuestion = async () => {
-    if (!question.trim()) return;
-    setQaLoading(true);
-    setQaResponse(null);
-    try {
-      const response = await fetch('https://cannapliant.up.railway.app/api/messages', {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 2000,
-          system: QA_SYSTEM_PROMPT,
-          messages: [{ role: "user", content: question }],
-        }),
-      });
-      const data = await response.json();
-      const text = data.content?.map(b => b.text || "").join("") || "No response received.";
-      setQaResponse(text);
-    } catch (err) {
-      setQaResponse("Error: " + err.message);
-    } finally {
-      setQaLoading(false);
-    }
-  };
-
   const downloadReport = async () => {
     if (!results) return;
     const { grade } = scoreToGrade(results.complianceScore ?? 0);
-    const selectedProduct = CHECKLISTS[selectedType]?.title;
+    const selectedProduct = checklists[selectedType]?.title;
     const gradeColor = (grade === 'A+' || grade === 'A' || grade === 'A-') ? '2ecc71' :
                        (grade.startsWith('B') || grade.startsWith('C')) ? 'f39c12' : 'e74c3c';
     const failItems = results.items?.filter(i => i.status === 'fail') || [];
@@ -733,6 +494,15 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
       seenFindings.add(key);
       return true;
     });
+    // The label text a finding cites, quoted after it in the report.
+    const blockText = new Map((results.textBlocks || []).map(b => [b.id, b]));
+    const evidenceRun = item => {
+      const quoted = (item.evidence || []).map(id => blockText.get(id)).filter(Boolean)
+        .map(b => `"${b.text}" (p. ${b.page})`);
+      return quoted.length > 0
+        ? [new TextRun({ text: ` Label text: ${quoted.join('; ')}`, size: 20, italics: true, color: '7f8c8d' })]
+        : [];
+    };
 
     const doc = new Document({
       styles: {
@@ -767,9 +537,17 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
             alignment: AlignmentType.CENTER
           }),
           new Paragraph({
-            children: [new TextRun({ text: `Date: ${new Date().toLocaleDateString()}`, size: 20, color: '888888' })],
+            children: [new TextRun({ text: `Date: ${new Date(results.createdAt).toLocaleDateString()}`, size: 20, color: '888888' })],
             alignment: AlignmentType.CENTER
           }),
+          new Paragraph({
+            children: [new TextRun({ text: `Product: ${results.productName}${results.revision > 1 ? ` (Revision ${results.revision})` : ''}`, size: 20, color: '888888' })],
+            alignment: AlignmentType.CENTER,
+          }),
+          new Paragraph({
+            children: [new TextRun({ text: `Jurisdiction: ${reportJurisdiction}`, size: 20, color: '888888' })],
+            alignment: AlignmentType.CENTER,
+          }),
           new Paragraph({
             children: [new TextRun({ text: `Product Type: ${selectedProduct}`, size: 20, color: '888888' })],
             alignment: AlignmentType.CENTER,
@@ -777,6 +555,18 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
           new Paragraph({
             children: [new TextRun({ text: `Label Type: ${labelType}`, size: 20, color: '888888' })],
             alignment: AlignmentType.CENTER,
+          }),
+          ...(results.useMode ? [new Paragraph({
+            children: [new TextRun({ text: `Use Mode: ${results.useMode.label}`, size: 20, color: '888888' })],
+            alignment: AlignmentType.CENTER,
+          })] : []),
+          ...(results.pdf?.panels ? [new Paragraph({
+            children: [new TextRun({ text: `Panels: ${describePanels(results.pdf.panels)}`, size: 20, color: '888888' })],
+            alignment: AlignmentType.CENTER,
+          })] : []),
+          new Paragraph({
+            children: [new TextRun({ text: results.rulePack ? `Rule Pack: ${results.rulePack.name} v${results.rulePack.version}` : '', size: 20, color: '888888' })],
+            alignment: AlignmentType.CENTER,
             spacing: { after: 300 },
             border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'dddddd', space: 1 } }
           }),
@@ -785,12 +575,209 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
           new Paragraph({
             children: [new TextRun({ text: `Overall Grade: ${grade}`, bold: true, size: 52, font: 'Arial', color: gradeColor })],
             alignment: AlignmentType.CENTER,
-            spacing: { before: 200, after: 300 }
+            spacing: { before: 200, after: signoff ? 120 : 300 }
           }),
 
+          // Sign-off
+          ...(signoff ? [
+            new Paragraph({
+              children: [new TextRun({ text: formatSignoff(signoff), bold: true, size: 24,
+                color: signoff.decision === 'approved' ? '2ecc71' : 'e74c3c' })],
+              alignment: AlignmentType.CENTER,
+              spacing: { after: signoff.comment ? 60 : 300 }
+            }),
+            ...(signoff.comment ? [new Paragraph({
+              children: [new TextRun({ text: `"${signoff.comment}"`, italics: true, size: 22, color: '555555' })],
+              alignment: AlignmentType.CENTER,
+              spacing: { after: 300 }
+            })] : []),
+          ] : []),
+
           // Executive Summary
           new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Executive Summary')] }),
-          new Paragraph({ children: [new TextRun({ text: results.summary || '', size: 24 })], spacing: { after: 300 } }),
+          new Paragraph({ children: [new TextRun({ text: results.summary || '', size: 24 })], spacing: { after: results.useMode ? 120 : 300 } }),
+          ...(results.useMode ? [new Paragraph({
+            children: [new TextRun({ text: results.useMode.assumption, size: 20, italics: true, color: '555555' })],
+            spacing: { after: 300 },
+          })] : []),
+
+          // Youth Appeal & Imagery
+          ...(results.youthAppeal ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Youth Appeal & Imagery')] }),
+            new Paragraph({
+              children: [new TextRun({
+                text: results.youthAppeal.score != null
+                  ? `Overall imagery risk: ${results.youthAppeal.overall} (${results.youthAppeal.score}/100); overall risk score ${results.riskScore ?? '—'}/100`
+                  : 'Design elements regulators treat as attractive to people under 21',
+                size: 20, color: '888888'
+              })],
+              spacing: { after: 120 }
+            }),
+            ...(results.youthAppeal.error ? [
+              new Paragraph({ children: [new TextRun({ text: results.youthAppeal.error, size: 24, color: 'c0392b' })], spacing: { after: 300 } }),
+            ] : results.youthAppeal.factors.map((f, i, all) => new Paragraph({
+              children: [
+                new TextRun({ text: `• ${f.name}: ${(f.rating || 'not rated').toUpperCase()}`, size: 24, bold: true, color: f.rating === 'high' ? 'c0392b' : f.rating === 'medium' ? 'e67e22' : '2c3e50' }),
+                new TextRun({ text: f.rationale ? ` — ${f.rationale}` : '', size: 24, color: '2c3e50' }),
+                ...(f.elements.length > 0 ? [new TextRun({ text: ` (${f.elements.join('; ')})`, size: 20, italics: true, color: '7f8c8d' })] : []),
+              ],
+              spacing: { after: i === all.length - 1 ? 300 : 100 },
+              indent: { left: 360 }
+            }))),
+          ] : []),
+
+          // Claims & Marketing Copy
+          ...(results.claims ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Claims & Marketing Copy')] }),
+            ...(results.claims.claims.length === 0 ? [
+              new Paragraph({ children: [new TextRun({ text: 'No prohibited or restricted claims found.', size: 24, color: '2c3e50' })], spacing: { after: 300 } }),
+            ] : results.claims.claims.map((c, i, all) => new Paragraph({
+              children: [
+                new TextRun({ text: `• "${c.phrase}"`, size: 24, bold: true, color: c.severity === 'fail' ? 'c0392b' : 'e67e22' }),
+                new TextRun({ text: ` — ${c.ruleName}${c.regulation ? ` [${c.regulation}]` : ''}${c.source === 'ai' ? ' (AI)' : ''}: ${c.rationale}`, size: 24, color: '2c3e50' }),
+                ...(c.rewrite ? [new TextRun({ text: ` Rewrite: ${c.rewrite}`, size: 22, italics: true, color: '27ae60' })] : []),
+              ],
+              spacing: { after: i === all.length - 1 ? 300 : 100 },
+              indent: { left: 360 }
+            }))),
+          ] : []),
+
+          // Warning Text Verification
+          ...(results.warningCheck ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Warning Text Verification')] }),
+            new Paragraph({
+              children: [new TextRun({ text: 'Printed text vs. the required wording: missing text is underlined, text that is not in the required wording is struck through', size: 20, color: '888888' })],
+              spacing: { after: 120 }
+            }),
+            ...results.warningCheck.warnings.flatMap(w => [
+              new Paragraph({
+                children: [
+                  new TextRun({ text: `${w.name} (${w.required}${w.regulation ? `, ${w.regulation}` : ''}) — `, size: 24, bold: true, color: '2c3e50' }),
+                  new TextRun({ text: w.status === 'pass' ? 'EXACT MATCH' : w.status === 'fail' ? 'DIFFERS' : 'NOT FOUND', size: 24, bold: true, color: w.status === 'pass' ? '27ae60' : 'c0392b' }),
+                ],
+                spacing: { after: 80 }
+              }),
+              new Paragraph({
+                children: w.found
+                  ? w.diff.map(seg => new TextRun({
+                    text: seg.text, size: 20, font: 'Courier New',
+                    ...(seg.op === 'missing' ? { underline: {}, color: '27ae60' } : seg.op === 'extra' ? { strike: true, color: 'c0392b' } : { color: '2c3e50' })
+                  }))
+                  : [new TextRun({ text: `Not found. Required text: ${w.expected}`, size: 20, color: '2c3e50' })],
+                spacing: { after: 80 },
+                indent: { left: 360 }
+              }),
+              ...w.issues.map(issue => new Paragraph({
+                children: [new TextRun({ text: `• ${ISSUE_LABELS[issue.type]}: ${describeIssue(issue)}`, size: 22, color: 'c0392b' })],
+                spacing: { after: 60 },
+                indent: { left: 360 }
+              })),
+              ...(w.found && !w.boldChecked ? [new Paragraph({
+                children: [new TextRun({ text: 'Bold type could not be checked.', size: 20, italics: true, color: '888888' })],
+                indent: { left: 360 }
+              })] : []),
+              new Paragraph({ children: [], spacing: { after: 200 } }),
+            ]),
+          ] : []),
+
+          // Serving & Dosage Math
+          ...(results.dosage && results.dosage.checks.length > 0 ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Serving & Dosage Math')] }),
+            ...results.dosage.checks.flatMap((c, i, all) => [
+              new Paragraph({
+                children: [
+                  new TextRun({ text: `${c.name}: `, size: 24, bold: true, color: '2c3e50' }),
+                  new TextRun({ text: `${c.status === 'unverifiable' ? 'not checked' : c.status.toUpperCase()} — ${c.finding}`, size: 24, color: c.status === 'fail' ? 'c0392b' : c.status === 'warning' ? 'e67e22' : '2c3e50' }),
+                ],
+                spacing: { before: 100, after: 60 }
+              }),
+              ...c.steps.map((step, j) => new Paragraph({
+                children: [new TextRun({ text: step, size: 22, color: '2c3e50' })],
+                spacing: { after: i === all.length - 1 && j === c.steps.length - 1 ? 300 : 60 },
+                indent: { left: 360 }
+              })),
+            ]),
+          ] : []),
+
+          // Lab Results Cross-Check
+          ...(results.coaCheck ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Lab Results Cross-Check (COA)')] }),
+            new Paragraph({
+              children: [new TextRun({
+                text: [results.coaCheck.fileName, results.coaCheck.labName, results.coaCheck.sampleId && `Sample ${results.coaCheck.sampleId}`, results.coaCheck.batchNumber && `Batch ${results.coaCheck.batchNumber}`].filter(Boolean).join(' · '),
+                size: 20, color: '888888'
+              })],
+              spacing: { after: 120 }
+            }),
+            ...(results.coaCheck.error ? [
+              new Paragraph({ children: [new TextRun({ text: results.coaCheck.error, size: 24, color: 'c0392b' })] }),
+            ] : [
+              ...(results.coaCheck.comparisons || []).map(c => new Paragraph({
+                children: [new TextRun({
+                  text: `• ${c.cannabinoid} (${c.basis}${c.basisStated === false ? ', basis not stated' : ''}): label ${c.label}, COA ${c.lab ?? 'not reported'}${c.deviationPercent != null ? ` (${c.deviationPercent > 0 ? '+' : ''}${c.deviationPercent}%)` : ''} — ${c.status === 'unverifiable' ? 'not on COA' : c.status.toUpperCase()}`,
+                  size: 24, color: c.status === 'fail' ? 'c0392b' : '2c3e50'
+                })],
+                spacing: { after: 100 },
+                indent: { left: 360 }
+              })),
+              ...((results.coaCheck.required || []).length > 0 ? [new Paragraph({
+                children: [new TextRun({
+                  text: `Cannabinoids at ≥5% of total: ${results.coaCheck.required.map(r => `${r.name} ${r.sharePercent}% (${r.listed ? 'listed' : 'NOT LISTED'})`).join(', ')}`,
+                  size: 24, color: '2c3e50'
+                })],
+                spacing: { before: 100, after: 300 }
+              })] : []),
+            ]),
+          ] : []),
+
+          // Ingredients & Nutrition vs. Formulation
+          ...(results.formulationCheck ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Ingredients & Nutrition vs. Formulation')] }),
+            new Paragraph({
+              children: [new TextRun({
+                text: `${results.formulationCheck.ingredients.length} ingredients · ${results.formulationCheck.totalWeight} g per package · ${results.formulationCheck.servings} servings`,
+                size: 20, color: '888888'
+              })],
+              spacing: { after: 120 }
+            }),
+            ...Object.entries(results.formulationCheck.checks).flatMap(([key, check]) => [
+              new Paragraph({
+                children: [new TextRun({
+                  text: `${FORMULATION_CHECKS[key]}: ${check ? check.status.toUpperCase() : 'not checked'}`,
+                  size: 24, bold: true, color: check?.status === 'fail' ? 'c0392b' : check?.status === 'warning' ? 'e67e22' : '2c3e50'
+                })],
+                spacing: { before: 100, after: 60 }
+              }),
+              ...(check?.issues || []).map(issue => new Paragraph({
+                children: [new TextRun({ text: `• ${issue.message}`, size: 22, color: issue.severity === 'fail' ? 'c0392b' : 'e67e22' })],
+                spacing: { after: 60 },
+                indent: { left: 360 }
+              })),
+            ]),
+            new Paragraph({ children: [], spacing: { after: 200 } }),
+          ] : []),
+
+          // Physical Size Checks
+          ...(results.measurements ? [
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Physical Size Checks')] }),
+            new Paragraph({
+              children: [new TextRun({
+                text: `Label ${results.measurements.labelSize.width} × ${results.measurements.labelSize.height} ${results.measurements.labelSize.unit} (${results.measurements.labelSize.source === 'pdf' ? 'PDF page size' : 'declared'}); sizes are estimated from the image`,
+                size: 20, color: '888888'
+              })],
+              spacing: { after: 120 }
+            }),
+            ...(results.measurements.error ? [
+              new Paragraph({ children: [new TextRun({ text: results.measurements.error, size: 24, color: 'c0392b' })], spacing: { after: 300 } }),
+            ] : (results.measurements.checks || []).map((c, i, all) => new Paragraph({
+              children: [new TextRun({
+                text: `• ${c.name}: measured ${c.measured ?? 'not found'}, required ${c.required} — ${c.status === 'unverifiable' ? 'not measured' : c.status.toUpperCase()}`,
+                size: 24, color: c.status === 'fail' ? 'c0392b' : '2c3e50'
+              })],
+              spacing: { after: i === all.length - 1 ? 300 : 100 },
+              indent: { left: 360 }
+            }))),
+          ] : []),
 
           // Critical Issues
           ...(failItems.length > 0 ? [
@@ -800,7 +787,7 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
               const text = item.finding || checkItem?.text || 'Compliance failure';
               const citation = item.regulation ? ` [${item.regulation}]` : '';
               return new Paragraph({
-                children: [new TextRun({ text: `• ${text}${citation}`, size: 24, color: '2c3e50' })],
+                children: [new TextRun({ text: `• ${sourceTag(item)}${text}${citation}`, size: 24, color: '2c3e50' }), ...evidenceRun(item)],
                 spacing: { after: 100 },
                 indent: { left: 360 }
               });
@@ -815,13 +802,38 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
               const text = item.finding || checkItem?.text || 'Warning';
               const citation = item.regulation ? ` [${item.regulation}]` : '';
               return new Paragraph({
-                children: [new TextRun({ text: `• ${text}${citation}`, size: 24, color: '2c3e50' })],
+                children: [new TextRun({ text: `• ${sourceTag(item)}${text}${citation}`, size: 24, color: '2c3e50' }), ...evidenceRun(item)],
                 spacing: { after: 100 },
                 indent: { left: 360 }
               });
             })
           ] : []),
 
+          // Changes since the previous revision
+          ...(results.comparison ? (() => {
+            const { score, improved, regressed, previousReportId, previousRevision } = results.comparison;
+            const change = c => new Paragraph({
+              children: [new TextRun({ text: `• [${c.id}] ${c.text} (${c.from} → ${c.to})`, size: 24, color: '2c3e50' })],
+              spacing: { after: 100 },
+              indent: { left: 360 }
+            });
+            return [
+              new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(`Changes Since Revision ${previousRevision}`)] }),
+              new Paragraph({
+                children: [new TextRun({
+                  text: `Compared with report ${previousReportId}. Score: ${score.from ?? '—'} → ${score.to ?? '—'}` +
+                    (score.delta != null ? ` (${score.delta > 0 ? '+' : ''}${score.delta})` : ''),
+                  size: 24,
+                })],
+                spacing: { after: 200 }
+              }),
+              new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: `Fixed (${improved.length})`, color: '2ecc71' })] }),
+              ...improved.map(change),
+              new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: `Regressed (${regressed.length})`, color: 'c0392b' })] }),
+              ...regressed.map(change),
+            ];
+          })() : []),
+
           // Recommended Actions
           ...(results.recommendations?.length > 0 ? [
             new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Recommended Actions')] }),
@@ -852,60 +864,10 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
     URL.revokeObjectURL(url);
   };
 
-  if (!unlocked) {
-    return (
-      <div style={{
-        minHeight: '100vh',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        backgroundColor: '#0a1628',
-      }}>
-        <div style={{
-          background: '#1a2740',
-          padding: '40px',
-          borderRadius: '12px',
-          textAlign: 'center',
-          width: '320px',
-        }}>
-          <h2 style={{ color: '#fff', marginBottom: '8px' }}>Cannapliant</h2>
-          <p style={{ color: '#aaa', marginBottom: '24px', fontSize: '14px' }}>Enter password to continue</p>
-          <input
-            type="password"
-            value={passwordInput}
-            onChange={(e) => setPasswordInput(e.target.value)}
-            onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
-            placeholder="Password"
-            style={{
-              width: '100%',
-              padding: '10px',
-              borderRadius: '6px',
-              border: passwordError ? '1px solid #e74c3c' : '1px solid #333',
-              background: '#0a1628',
-              color: '#fff',
-              marginBottom: '12px',
-              boxSizing: 'border-box',
-            }}
-          />
-          {passwordError && <p style={{ color: '#e74c3c', fontSize: '13px', marginBottom: '12px' }}>Incorrect password</p>}
-          <button
-            onClick={handleUnlock}
-            style={{
-              width: '100%',
-              padding: '10px',
-              borderRadius: '6px',
-              background: '#2ecc71',
-              color: '#fff',
-              border: 'none',
-              cursor: 'pointer',
-              fontWeight: 'bold',
-            }}
-          >
-            Enter
-          </button>
-        </div>
-      </div>
-    );
+  if (!authChecked) return null;
+
+  if (!user) {
+    return <LoginScreen onLogin={setUser} />;
   }
 
   return (
@@ -927,18 +889,37 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                 Cannapliant</div>
             </div>
           </div>
-          <div style={{ display: "flex", gap: 8 }}>
-            <button onClick={() => { setQaMode(false); setResults(null); setUploadedFile(null); setFilePreview(null); setSelectedType(null); setIsPackagingLabel(false); setIsComplianceLabel(false); }}
-              style={{ padding: "8px 16px", borderRadius: 6, border: !qaMode ? "1px solid #22c55e" : "1px solid #334155",
-                background: !qaMode ? "#052e1620" : "transparent", color: !qaMode ? "#22c55e" : "#94a3b8",
-                cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
-              Compliance Check
-            </button>
-            <button onClick={() => setQaMode(true)}
-              style={{ padding: "8px 16px", borderRadius: 6, border: qaMode ? "1px solid #22c55e" : "1px solid #334155",
-                background: qaMode ? "#052e1620" : "transparent", color: qaMode ? "#22c55e" : "#94a3b8",
-                cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
-              Ask a Question
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            {[
+              { id: "check", label: "Compliance Check" },
+              { id: "batch", label: "Batch" },
+              { id: "claims", label: "Claims" },
+              { id: "sticker", label: "Sticker" },
+              { id: "history", label: "History" },
+              { id: "qa", label: "Ask a Question" },
+              ...(user.role === "admin" ? [{ id: "rules", label: "Rules" }] : []),
+            ].map(tab => (
+              <button key={tab.id}
+                onClick={() => {
+                  setView(tab.id);
+                  if (tab.id === "check") { setResults(null); setUploadedFile(null); setCoaFile(null); setFormulation(EMPTY_FORMULATION); setDosage(EMPTY_DOSAGE); setLabelSize(EMPTY_LABEL_SIZE); setFilePreview(null); setSelectedType(null); setIsPackagingLabel(false); setIsComplianceLabel(false); setProductName(""); setRevisionOf(null); }
+                }}
+                style={{ padding: "8px 16px", borderRadius: 6, border: view === tab.id ? "1px solid #22c55e" : "1px solid #334155",
+                  background: view === tab.id ? "#052e1620" : "transparent", color: view === tab.id ? "#22c55e" : "#94a3b8",
+                  cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
+                {tab.label}
+              </button>
+            ))}
+            <div style={{ width: 1, height: 24, background: "#1e293b", margin: "0 4px" }} />
+            <span style={{ fontSize: 13, color: "#94a3b8" }} title={`${user.email} · ${user.orgName}`}>
+              {user.name}
+              <span style={{ marginLeft: 6, fontSize: 10, color: "#64748b", textTransform: "uppercase",
+                letterSpacing: 1, fontFamily: "'DM Mono', monospace" }}>{user.role}</span>
+            </span>
+            <button onClick={signOut}
+              style={{ padding: "8px 12px", borderRadius: 6, border: "1px solid #334155",
+                background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 13 }}>
+              Sign Out
             </button>
           </div>
         </div>
@@ -946,67 +927,99 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
 
       <div style={{ maxWidth: 1100, margin: "0 auto", padding: "24px 24px 60px" }}>
         {/* Global Regulation Modal (used in both Q&A and results) */}
-        {regModal && <RegulationModal citation={regModal} onClose={() => setRegModal(null)} />}
+        {regModal && <RegulationModal citation={regModal} pack={rulePack} onClose={() => setRegModal(null)} />}
+
+        {/* Batch */}
+        {view === "batch" && (
+          <BatchView productTypes={PRODUCT_TYPES} jurisdictions={jurisdictions} onOpen={openReview} onApiError={handleApiError} />
+        )}
+
+        {/* Claims check for pasted copy */}
+        {view === "claims" && (
+          <ClaimsView jurisdictions={jurisdictions} onOpenCitation={setRegModal} onApiError={handleApiError} />
+        )}
+
+        {/* Compliance sticker generator */}
+        {view === "sticker" && (
+          <StickerView productTypes={PRODUCT_TYPES} jurisdictions={jurisdictions} onOpen={openReview} onApiError={handleApiError} />
+        )}
+
+        {/* Rule pack editor (admin) */}
+        {view === "rules" && user.role === "admin" && (
+          <RulePackEditor productTypes={PRODUCT_TYPES} jurisdictions={jurisdictions}
+            onSaved={pack => {
+              if (pack.packId === jurisdiction) setRulePack(pack);
+              setJurisdictions(list => list.map(j => (j.packId === pack.packId ? { ...j, name: pack.name, version: pack.version } : j)));
+            }}
+            onApiError={handleApiError} />
+        )}
+
+        {/* History */}
+        {view === "history" && (
+          <HistoryView productTypes={PRODUCT_TYPES} onOpen={openReview} onApiError={handleApiError} />
+        )}
 
         {/* Q&A Mode */}
-        {qaMode && (
-          <div>
-            <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
-              Ask a Compliance Question</h2>
-            <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
-              Ask anything about DCC regulations, LADCR rules, packaging, labeling, or operational compliance.</p>
-            <div style={{ display: "flex", gap: 8, marginBottom: 20 }}>
-              <input value={question} onChange={e => setQuestion(e.target.value)}
-                onKeyDown={e => e.key === "Enter" && askQuestion()}
-                placeholder="e.g., What are the THC limits for adult-use edibles?"
-                style={{ flex: 1, padding: "12px 16px", borderRadius: 8, border: "1px solid #334155",
-                  background: "#0f172a", color: "#e2e8f0", fontSize: 14, outline: "none",
-                  fontFamily: "'DM Sans', sans-serif" }} />
-              <button onClick={askQuestion} disabled={qaLoading || !question.trim()}
-                style={{ padding: "12px 24px", borderRadius: 8, border: "none",
-                  background: qaLoading ? "#1e293b" : "linear-gradient(135deg, #22c55e, #16a34a)",
-                  color: "#fff", fontWeight: 600, fontSize: 14, cursor: "pointer" }}>
-                {qaLoading ? "Thinking..." : "Ask"}
-              </button>
-            </div>
-            {qaResponse && (() => {
-              const rendered = renderQaResponse(qaResponse, setRegModal);
-              return (
-                <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12,
-                  padding: 24 }}>
-                  <div style={{ whiteSpace: "pre-wrap", fontSize: 15, lineHeight: 1.8, color: "#cbd5e1",
-                    fontFamily: "'DM Sans', sans-serif" }}>
-                    {rendered.parts}
-                  </div>
-                  {rendered.citations.length > 0 && (
-                    <div style={{ marginTop: 20, paddingTop: 16, borderTop: "1px solid #1e293b" }}>
-                      <div style={{ fontSize: 11, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
-                        letterSpacing: 1, marginBottom: 10 }}>Referenced Regulations</div>
-                      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
-                        {rendered.citations.map((c, i) => (
-                          <CitationLink key={i} citation={c} onOpen={setRegModal} />
-                        ))}
-                      </div>
-                    </div>
-                  )}
-                </div>
-              );
-            })()}
-          </div>
+        {view === "qa" && (
+          <QaView jurisdictions={jurisdictions} jurisdiction={jurisdiction} onJurisdiction={setJurisdiction}
+            regulations={rulePack?.regulations} review={qaReview} onReview={setQaReview}
+            loadedReview={results?.reviewId ? { reviewId: results.reviewId, productName: results.productName } : null}
+            onOpenCitation={setRegModal} onApiError={handleApiError} />
         )}
 
         {/* Label Review Mode */}
-        {!qaMode && !results && (
+        {view === "check" && !results && (
           <>
             {/* Product Type Selection */}
-            <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
-              Select Product Type</h2>
-            <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
-              Choose the product category to load the correct compliance checklist.</p>
+            <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between", gap: 16, flexWrap: "wrap" }}>
+              <div>
+                <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+                  Select Product Type</h2>
+                <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+                  Choose the jurisdiction and product category to load the correct compliance checklist.</p>
+                {rulePack && rulePack.basedOnBundledVersion < rulePack.bundledVersion && (
+                  <p style={{ color: "#c49a2a", fontSize: 13, marginTop: -12, marginBottom: 20 }}>
+                    Your organization's {rulePack.name} (v{rulePack.version}) was edited from shipped v{rulePack.basedOnBundledVersion};
+                    v{rulePack.bundledVersion} has shipped since, and its checklist changes aren't in your version. An admin can
+                    load it under Rule Pack.</p>
+                )}
+              </div>
+              <div style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 11, color: "#64748b",
+                  textTransform: "uppercase", letterSpacing: 1 }}>
+                  Product Use
+                  <div style={{ display: "flex", border: "1px solid #1e293b", borderRadius: 8, overflow: "hidden" }}>
+                    {Object.entries(rulePack?.useModes || {}).map(([id, mode]) => (
+                      <button key={id} onClick={() => { if (id !== useMode) setRevisionOf(null); setUseMode(id); }}
+                        title={mode.assumption}
+                        style={{ padding: "8px 14px", border: "none", cursor: "pointer", fontSize: 13,
+                          fontFamily: "'DM Sans', sans-serif", textTransform: "none", letterSpacing: 0,
+                          background: useMode === id ? "#052e16" : "#0f172a",
+                          color: useMode === id ? "#22c55e" : "#94a3b8", fontWeight: useMode === id ? 600 : 400 }}>
+                        {mode.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 11, color: "#64748b",
+                  textTransform: "uppercase", letterSpacing: 1 }}>
+                  Jurisdiction
+                  <select value={jurisdiction}
+                    onChange={e => { setJurisdiction(e.target.value); setRevisionOf(null); setCoaFile(null); }}
+                    style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #1e293b", background: "#0f172a",
+                      color: "#e2e8f0", fontSize: 13, fontFamily: "'DM Sans', sans-serif", textTransform: "none", letterSpacing: 0 }}>
+                    {(jurisdictions.length ? jurisdictions : [{ packId: DEFAULT_JURISDICTION, jurisdiction: rulePack?.jurisdiction }])
+                      .map(j => (
+                        <option key={j.packId} value={j.packId}>{j.jurisdiction?.name || j.packId}</option>
+                      ))}
+                  </select>
+                </label>
+              </div>
+            </div>
             <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))",
               gap: 12, marginBottom: 32 }}>
-              {PRODUCT_TYPES.map(pt => (
-                <button key={pt.id} onClick={() => setSelectedType(pt.id)}
+              {PRODUCT_TYPES.filter(pt => checklists[pt.id]).map(pt => (
+                <button key={pt.id} onClick={() => { if (pt.id !== selectedType) setRevisionOf(null); setSelectedType(pt.id); }}
                   style={{ padding: 20, borderRadius: 12, cursor: "pointer", textAlign: "left",
                     border: selectedType === pt.id ? "2px solid #22c55e" : "1px solid #1e293b",
                     background: selectedType === pt.id ? "#052e1615" : "#0f172a",
@@ -1056,10 +1069,34 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                 <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
                   Upload a PDF or image of your label. The AI will evaluate it as a{" "}
                   <strong style={{ color: "#22c55e" }}>{labelType}</strong> using the{" "}
-                  {CHECKLISTS[selectedType].title} checklist.</p>
+                  {checklists[selectedType]?.title} checklist.</p>
+
+                {revisionOf && (
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+                    padding: "12px 16px", marginBottom: 16, borderRadius: 8, border: "1px solid #1e3a8a",
+                    background: "#172554", fontSize: 13, color: "#bfdbfe" }}>
+                    <span>
+                      Re-checking as revision {revisionOf.revision + 1} of <strong>{revisionOf.productName}</strong>
+                      {" "}(<span style={{ fontFamily: "'DM Mono', monospace" }}>{revisionOf.reportId}</span>).
+                      The result will be compared item by item.
+                    </span>
+                    <button onClick={() => setRevisionOf(null)}
+                      style={{ background: "transparent", border: "none", color: "#93c5fd", cursor: "pointer", fontSize: 13 }}>
+                      Unlink
+                    </button>
+                  </div>
+                )}
+
+                <input value={productName} onChange={e => setProductName(e.target.value)}
+                  disabled={analyzing}
+                  placeholder="Product name (optional — defaults to the file name)"
+                  style={{ width: "100%", padding: "12px 16px", borderRadius: 8, border: "1px solid #334155",
+                    background: "#0f172a", color: "#e2e8f0", fontSize: 14, outline: "none", marginBottom: 16,
+                    fontFamily: "'DM Sans', sans-serif" }} />
 
                 {analyzing ? (
-                  /* ── IN/OUT bin loader ── */
+                  <>
+                  {/* ── IN/OUT bin loader ── */}
                   <div style={{ border: "2px dashed #334155", borderRadius: 12, padding: 40,
                     textAlign: "center", background: "#0f172a", minHeight: 200,
                     display: "flex", flexDirection: "column", alignItems: "center",
@@ -1115,10 +1152,19 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                         Analyzing label...
                       </div>
                       <div style={{ fontSize: 11, color: "#475569", fontFamily: "'DM Mono', monospace" }}>
-                        This may take 15–30 seconds
+                        {progress?.sections
+                          ? `${STAGES[progress.stage] || ""} ${Object.keys(progress.items).length} of ${progress.sections.reduce((n, s) => n + s.items.length, 0)} items`
+                          : STAGES[progress?.stage] || "Uploading..."}
                       </div>
                     </div>
+                    <button onClick={() => analysisRef.current?.abort()}
+                      style={{ padding: "8px 20px", borderRadius: 6, border: "1px solid #7f1d1d",
+                        background: "transparent", color: "#f87171", cursor: "pointer", fontSize: 13 }}>
+                      Cancel
+                    </button>
                   </div>
+                  {progress && <AnalysisProgress progress={progress} />}
+                  </>
                 ) : (
                   <>
                   <div onClick={() => fileRef.current?.click()}
@@ -1154,6 +1200,97 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                     )}
                   </div>
 
+                  {/* Optional COA */}
+                  {rulePack?.coaCrossCheck && (
+                    <div style={{ marginTop: 12, padding: "12px 16px", border: "1px solid #1e293b", borderRadius: 10,
+                      background: "#0f172a", display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+                      <input ref={coaRef} type="file" accept="image/*,.pdf"
+                        onChange={e => { setCoaFile(e.target.files?.[0] || null); e.target.value = ""; }}
+                        style={{ display: "none" }} />
+                      <div>
+                        <div style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 600 }}>
+                          Certificate of Analysis <span style={{ color: "#64748b", fontWeight: 400 }}>(optional)</span>
+                        </div>
+                        <div style={{ fontSize: 12, color: coaFile ? "#22c55e" : "#64748b", marginTop: 2 }}>
+                          {coaFile ? coaFile.name : "Attach the lab COA to check labeled cannabinoid amounts against it"}
+                        </div>
+                      </div>
+                      <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+                        {coaFile && (
+                          <button onClick={() => setCoaFile(null)}
+                            style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+                              background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 }}>
+                            Remove
+                          </button>
+                        )}
+                        <button onClick={() => coaRef.current?.click()}
+                          style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+                            background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 }}>
+                          {coaFile ? "Change" : "Attach COA"}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Optional formulation (edibles) */}
+                  {selectedType === "edibles" && (
+                    <FormulationInput value={formulation} onChange={setFormulation} />
+                  )}
+
+                  {/* Optional dosage figures */}
+                  <DosageInput value={dosage} onChange={setDosage} />
+
+                  {/* Optional panel mapping */}
+                  {uploadedFile?.type === "application/pdf" && checklists[selectedType] && (
+                    <PanelMapping sections={checklists[selectedType].sections.map(sec => sec.name)}
+                      value={panelPages} onChange={setPanelPages} />
+                  )}
+
+                  {/* Optional physical label size */}
+                  {rulePack?.sizeChecks && (() => {
+                    const width = Number(labelSize.width);
+                    const height = Number(labelSize.height);
+                    const aspectOff = imageAspect && width > 0 && height > 0
+                      && Math.abs(width / height - imageAspect) / imageAspect > 0.05;
+                    // Clearing both fields of a PDF goes back to its own page sizes.
+                    const setSize = (field, value) => setLabelSize(ls => {
+                      const next = { ...ls, [field]: value };
+                      const pdfSize = uploadedFile?.type === "application/pdf" && !next.width && !next.height;
+                      return { ...next, source: pdfSize ? "pdf" : null };
+                    });
+                    const sizeInput = { width: 72, padding: "6px 8px", borderRadius: 6, border: "1px solid #334155",
+                      background: "#0a0e17", color: "#e2e8f0", fontSize: 13, fontFamily: "'DM Mono', monospace" };
+                    return (
+                      <div style={{ marginTop: 12, padding: "12px 16px", border: "1px solid #1e293b", borderRadius: 10,
+                        background: "#0f172a", display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+                        <div>
+                          <div style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 600 }}>
+                            Printed Label Size <span style={{ color: "#64748b", fontWeight: 400 }}>(optional)</span>
+                          </div>
+                          <div style={{ fontSize: 12, color: aspectOff ? "#f59e0b" : labelSize.source === "pdf" ? "#22c55e" : "#64748b", marginTop: 2 }}>
+                            {aspectOff
+                              ? "These proportions don't match the image — sizes will be measured wrong"
+                              : labelSize.source === "pdf"
+                              ? "Measured at the PDF's page sizes — enter a size only if it prints at a different size"
+                              : "Enter it to measure the universal symbol, type size and Prop 65 symbol"}
+                          </div>
+                        </div>
+                        <div style={{ display: "flex", alignItems: "center", gap: 6, flexShrink: 0 }}>
+                          <input type="number" min="0" step="any" value={labelSize.width} placeholder="Width"
+                            onChange={e => setSize("width", e.target.value)} style={sizeInput} />
+                          <span style={{ color: "#64748b", fontSize: 13 }}>×</span>
+                          <input type="number" min="0" step="any" value={labelSize.height} placeholder="Height"
+                            onChange={e => setSize("height", e.target.value)} style={sizeInput} />
+                          <select value={labelSize.unit} onChange={e => setSize("unit", e.target.value)}
+                            style={{ ...sizeInput, width: "auto", fontFamily: "'DM Sans', sans-serif" }}>
+                            <option value="in">in</option>
+                            <option value="mm">mm</option>
+                          </select>
+                        </div>
+                      </div>
+                    );
+                  })()}
+
                   {uploadedFile && (
                     <div style={{ marginTop: 20, textAlign: "center" }}>
                       <button onClick={runAnalysis}
@@ -1181,28 +1318,54 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
         )}
 
         {/* Results */}
-        {results && (
+        {view === "check" && results && (
           <div>
               {/* Action Bar */}
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24 }}>
               <button
-                onClick={() => { setResults(null); setUploadedFile(null); setFilePreview(null); setShowPassed(false); setIsPackagingLabel(false); setIsComplianceLabel(false); }}
+                onClick={() => { setResults(null); setUploadedFile(null); setCoaFile(null); setFormulation(EMPTY_FORMULATION); setDosage(EMPTY_DOSAGE); setLabelSize(EMPTY_LABEL_SIZE); setFilePreview(null); setShowPassed(false); setFocusedItem(null); setIsPackagingLabel(false); setIsComplianceLabel(false); setProductName(""); setRevisionOf(null); }}
                 style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #334155",
                   background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 13 }}
               >
                 ← New Analysis
               </button>
-              <button
-                onClick={downloadReport}
-                style={{ padding: "8px 20px", borderRadius: 6, border: "1px solid #22c55e",
-                  background: "transparent", color: "#22c55e", cursor: "pointer", fontSize: 13, fontWeight: 600 }}
-              >
-                ↓ Download Report
-              </button>
+              <div style={{ display: "flex", gap: 8 }}>
+                {results.reviewId && (
+                  <button
+                    onClick={startRevision}
+                    style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #334155",
+                      background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 13 }}
+                  >
+                    ↻ Re-check Revision
+                  </button>
+                )}
+                {results.reviewId && (
+                  <button
+                    onClick={() => { setQaReview({ reviewId: results.reviewId, productName: results.productName }); setView("qa"); }}
+                    style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #334155",
+                      background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 13 }}
+                  >
+                    ? Ask About This Label
+                  </button>
+                )}
+                <button
+                  onClick={downloadReport}
+                  style={{ padding: "8px 20px", borderRadius: 6, border: "1px solid #22c55e",
+                    background: "transparent", color: "#22c55e", cursor: "pointer", fontSize: 13, fontWeight: 600 }}
+                >
+                  ↓ Download Report
+                </button>
+              </div>
             </div>
 
+            {/* Label Evidence */}
+            {results.textBlocks?.length > 0 && (
+              <EvidencePreview results={results} filePreview={filePreview} focusedId={focusedItem}
+                onFocus={focusFinding} onApiError={handleApiError} />
+            )}
+
             {/* Uploaded Label Preview */}
-            {filePreview && (
+            {!(results.textBlocks?.length > 0) && filePreview && (
               <div style={{ marginBottom: 24, textAlign: "center" }}>
                 <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
                   letterSpacing: 1, marginBottom: 8 }}>Uploaded Label</div>
@@ -1237,23 +1400,76 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                 </div>
                 <div>
                   <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Date</div>
-                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>{new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</div>
+                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>{new Date(results.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</div>
+                </div>
+                <div>
+                  <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Product</div>
+                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>
+                    {results.productName}
+                    {results.revision > 1 && <span style={{ color: "#64748b" }}> · Revision {results.revision}</span>}
+                  </div>
+                </div>
+                <div>
+                  <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Jurisdiction</div>
+                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>{reportJurisdiction}</div>
                 </div>
                 <div>
                   <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Product Type</div>
-                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>{CHECKLISTS[selectedType]?.title}</div>
+                  <div style={{ fontSize: 13, color: "#cbd5e1" }}>{checklists[selectedType]?.title}</div>
                 </div>
                 <div>
                   <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Label Type</div>
                   <div style={{ fontSize: 13, color: "#cbd5e1" }}>{labelType}</div>
                 </div>
+                {results.useMode && (
+                  <div>
+                    <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Use Mode</div>
+                    <div style={{ fontSize: 13, color: "#cbd5e1" }}>{results.useMode.label}</div>
+                  </div>
+                )}
                 <div>
                   <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>File</div>
-                  <div style={{ fontSize: 13, color: "#cbd5e1", wordBreak: "break-all" }}>{uploadedFile?.name}</div>
+                  <div style={{ fontSize: 13, color: "#cbd5e1", wordBreak: "break-all" }}>{results.fileName}</div>
                 </div>
+                {results.pdf && (
+                  <div>
+                    <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>PDF Pages</div>
+                    <div style={{ fontSize: 13, color: "#cbd5e1" }}>
+                      {results.pdf.pages.filter(p => p.evaluated).length} of {results.pdf.pageCount} evaluated
+                    </div>
+                  </div>
+                )}
+                {results.rulePack && (
+                  <div>
+                    <div style={{ fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 2 }}>Rule Pack</div>
+                    <div style={{ fontSize: 13, color: "#cbd5e1" }}>{results.rulePack.name} · v{results.rulePack.version}</div>
+                  </div>
+                )}
               </div>
             </div>
 
+            {/* Output validation notice */}
+            {results.validation && (results.validation.repairAttempts > 0 || results.validation.missingIds.length > 0) && (
+              <div style={{ padding: "12px 16px", marginBottom: 24, borderRadius: 8, border: "1px solid #334155",
+                background: "#0f172a", fontSize: 13, color: "#94a3b8", lineHeight: 1.6 }}>
+                {results.validation.repairAttempts > 0 && (
+                  <div>⚙ The model's output needed {results.validation.repairAttempts} follow-up request{results.validation.repairAttempts === 1 ? "" : "s"} to match the expected format.</div>
+                )}
+                {results.validation.missingIds.length > 0 && (
+                  <div style={{ color: "#e8c97a" }}>
+                    ! {results.validation.missingIds.length} checklist item{results.validation.missingIds.length === 1 ? " was" : "s were"} not evaluated and {results.validation.missingIds.length === 1 ? "is" : "are"} marked unverifiable:{" "}
+                    <span style={{ fontFamily: "'DM Mono', monospace" }}>{results.validation.missingIds.join(", ")}</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Revision Diff */}
+            {results.comparison && (
+              <RevisionDiff comparison={results.comparison} revision={results.revision}
+                currentPreview={filePreview} onApiError={handleApiError} />
+            )}
+
             {/* Overall Grade */}
             {results.complianceScore != null && (() => {
               const { grade, color } = scoreToGrade(results.complianceScore);
@@ -1265,10 +1481,24 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                   <div style={{ fontSize: 96, fontWeight: 700, color, lineHeight: 1,
                     fontFamily: "'DM Mono', monospace", marginBottom: 12 }}>{grade}</div>
                   <div style={{ fontSize: 13, color: "#64748b" }}>Score: {results.complianceScore} / 100</div>
+                  {results.scoreAdjustment && (
+                    <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>
+                      Model score {results.scoreAdjustment.modelScore}, lowered for {results.scoreAdjustment.deductions.length} item
+                      {results.scoreAdjustment.deductions.length === 1 ? "" : "s"} the deterministic checks found worse
+                    </div>
+                  )}
                 </div>
               );
             })()}
 
+            <SignoffPanel
+              user={user}
+              reviewId={results.reviewId}
+              signoff={signoff}
+              onSignoff={setSignoff}
+              onApiError={handleApiError}
+            />
+
             {/* Executive Summary */}
             {results.summary && (
               <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12,
@@ -1276,9 +1506,42 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                 <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
                   letterSpacing: 1, marginBottom: 8 }}>Executive Summary</div>
                 <div style={{ fontSize: 14, lineHeight: 1.7, color: "#cbd5e1" }}>{results.summary}</div>
+                {results.useMode && (
+                  <div style={{ fontSize: 12, lineHeight: 1.6, color: "#94a3b8", marginTop: 10, paddingTop: 10,
+                    borderTop: "1px solid #1e293b" }}>
+                    {results.useMode.assumption}
+                  </div>
+                )}
+                {results.pdf?.panels && (
+                  <div style={{ fontSize: 12, lineHeight: 1.6, color: "#94a3b8", marginTop: 10, paddingTop: 10,
+                    borderTop: "1px solid #1e293b" }}>
+                    Panels — {describePanels(results.pdf.panels)}
+                  </div>
+                )}
               </div>
             )}
 
+            {/* Youth Appeal & Imagery */}
+            {results.youthAppeal && <YouthAppealPanel youthAppeal={results.youthAppeal} riskScore={results.riskScore} />}
+
+            {/* Claims & Marketing Copy */}
+            {results.claims && <ClaimsPanel claims={results.claims} onOpenCitation={setRegModal} />}
+
+            {/* Warning Text Verification */}
+            {results.warningCheck && <WarningCheckPanel warningCheck={results.warningCheck} />}
+
+            {/* Serving & Dosage Math */}
+            {results.dosage && <DosagePanel dosage={results.dosage} />}
+
+            {/* Lab Results Cross-Check */}
+            {results.coaCheck && <CoaCheckPanel coaCheck={results.coaCheck} />}
+
+            {/* Ingredients & Nutrition vs. Formulation */}
+            {results.formulationCheck && <FormulationCheckPanel formulationCheck={results.formulationCheck} />}
+
+            {/* Physical Size Checks */}
+            {results.measurements && <MeasurementsPanel measurements={results.measurements} />}
+
             {/* Critical Issues */}
             {(() => {
               const failItems = results.items?.filter(i => i.status === 'fail') || [];
@@ -1291,8 +1554,8 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                   {failItems.map((item, i) => {
                     const checkItem = results.checklist?.find(c => c.id === item.id);
                     return (
-                      <div key={item.id || i} style={{ padding: "10px 0",
-                        borderBottom: i < failItems.length - 1 ? "1px solid #7f1d1d40" : "none" }}>
+                      <div key={item.id || i} id={`item-${item.id}`} style={{ padding: "10px 0",
+                        borderBottom: i < failItems.length - 1 ? "1px solid #7f1d1d40" : "none", ...focusStyle(item.id === focusedItem) }}>
                         <div style={{ display: "flex", alignItems: "flex-start", gap: 8, marginBottom: 4 }}>
                           <span style={{ color: "#ef4444", fontWeight: 700, flexShrink: 0, fontSize: 14 }}>✕</span>
                           <div style={{ flex: 1 }}>
@@ -1302,6 +1565,8 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                             {item.regulation && (
                               <CitationLink citation={item.regulation} onOpen={setRegModal} />
                             )}
+                            <SourceBadge source={item.source} />
+                            <EvidenceButton item={item} onShow={showEvidence} />
                           </div>
                         </div>
                         {item.recommendation && (
@@ -1335,8 +1600,8 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                   {warnItems.map((item, i) => {
                     const checkItem = results.checklist?.find(c => c.id === item.id);
                     return (
-                      <div key={item.id || i} style={{ padding: "10px 0",
-                        borderBottom: i < warnItems.length - 1 ? "1px solid #c49a2a40" : "none" }}>
+                      <div key={item.id || i} id={`item-${item.id}`} style={{ padding: "10px 0",
+                        borderBottom: i < warnItems.length - 1 ? "1px solid #c49a2a40" : "none", ...focusStyle(item.id === focusedItem) }}>
                         <div style={{ display: "flex", alignItems: "flex-start", gap: 8, marginBottom: 4 }}>
                           <span style={{ color: "#c49a2a", fontWeight: 700, flexShrink: 0, fontSize: 15 }}>!</span>
                           <div style={{ flex: 1 }}>
@@ -1346,6 +1611,8 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                             {item.regulation && (
                               <CitationLink citation={item.regulation} onOpen={setRegModal} />
                             )}
+                            <SourceBadge source={item.source} />
+                            <EvidenceButton item={item} onShow={showEvidence} />
                           </div>
                         </div>
                         {item.recommendation && (
@@ -1386,9 +1653,9 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                       {passItems.map((item, i) => {
                         const checkItem = results.checklist?.find(c => c.id === item.id);
                         return (
-                          <div key={item.id || i} style={{ display: "flex", alignItems: "flex-start", gap: 8,
+                          <div key={item.id || i} id={`item-${item.id}`} style={{ display: "flex", alignItems: "flex-start", gap: 8,
                             padding: "8px 0",
-                            borderBottom: i < passItems.length - 1 ? "1px solid #1e293b" : "none" }}>
+                            borderBottom: i < passItems.length - 1 ? "1px solid #1e293b" : "none", ...focusStyle(item.id === focusedItem) }}>
                             <span style={{ color: "#22c55e", fontWeight: 700, flexShrink: 0, fontSize: 14 }}>✓</span>
                             <div style={{ flex: 1 }}>
                               <span style={{ fontSize: 13, color: "#94a3b8", lineHeight: 1.5 }}>
@@ -1397,6 +1664,8 @@ Evaluate every item on the checklist against this label. Return ONLY valid JSON
                               {item.regulation && (
                                 <CitationLink citation={item.regulation} onOpen={setRegModal} />
                               )}
+                              <SourceBadge source={item.source} />
+                              <EvidenceButton item={item} onShow={showEvidence} />
                             </div>
                           </div>
                         );
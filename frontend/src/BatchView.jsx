@@ -0,0 +1,394 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch } from "./api";
+import { scoreToGrade } from "./grades";
+import { encodeLabelFile } from "./files";
+import { downloadBatchReport } from "./batchReport";
+
+// How often a batch still being analyzed is reloaded, in ms.
+const POLL_INTERVAL = 3000;
+
+const LABEL_TYPE_OPTIONS = [
+  { id: "both", label: "Packaging + Compliance" },
+  { id: "packaging", label: "Packaging / Strain only" },
+  { id: "compliance", label: "Compliance Label only" },
+];
+
+const STATUS_STYLES = {
+  uploading: { text: "Uploading...", color: "#64748b" },
+  queued: { text: "Queued", color: "#64748b" },
+  running: { text: "Analyzing...", color: "#93c5fd" },
+  done: { text: "Done", color: "#22c55e" },
+  failed: { text: "Failed", color: "#f87171" },
+};
+
+const fieldStyle = {
+  padding: "8px 10px", borderRadius: 6, border: "1px solid #334155",
+  background: "#0a0e17", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif",
+};
+
+const isPending = r => r.status === "uploading" || r.status === "queued" || r.status === "running";
+
+function rowFromReview(r) {
+  return {
+    key: r.id,
+    fileName: r.fileName,
+    productName: r.productName,
+    productType: r.productType,
+    labelType: r.labelType,
+    status: "done",
+    reviewId: r.id,
+    reportId: r.reportId,
+    complianceScore: r.complianceScore,
+    criticalCount: r.criticalCount,
+  };
+}
+
+// One row per uploaded label, with its grade once the review is saved. Batches
+// from before the backend tracked items have only their reviews.
+function rowsFromBatch(batch) {
+  if (!batch.items?.length) return batch.reviews.map(rowFromReview);
+  const reviews = new Map(batch.reviews.map(r => [r.id, r]));
+  return batch.items.map(item => {
+    const review = reviews.get(item.reviewId);
+    return review ? rowFromReview(review) : {
+      key: item.id,
+      fileName: item.fileName,
+      productName: item.productName || item.fileName.replace(/\.[^.]+$/, ""),
+      productType: item.productType,
+      labelType: item.labelType,
+      status: item.status,
+      error: item.error,
+    };
+  });
+}
+
+// Multi-SKU review: compose a list of labels and upload them to a batch. The
+// backend queues and analyzes them; the dashboard reloads the batch until
+// every grade is in, and a batch left running can be reopened later.
+export default function BatchView({ productTypes, jurisdictions, onOpen, onApiError }) {
+  const [batchName, setBatchName] = useState("");
+  const [jurisdiction, setJurisdiction] = useState("ca-dcc");
+  const [useMode, setUseMode] = useState("adult_use");
+  const pack = jurisdictions.find(j => j.packId === jurisdiction);
+  const useModes = pack?.useModes || [];
+  // Only the product types the jurisdiction has a checklist for.
+  const typesFor = (j) => (j ? productTypes.filter(pt => j.productTypes.includes(pt.id)) : productTypes);
+  const typeOptions = typesFor(pack);
+  const [defaultType, setDefaultType] = useState(productTypes[0].id);
+  const [rows, setRows] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [recent, setRecent] = useState([]);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (batch) return;
+    apiFetch('/api/batches')
+      .then(data => setRecent(data.batches))
+      .catch(onApiError);
+  }, [batch]);
+
+  // Files set to a product type the new jurisdiction lacks fall back to its first type.
+  const changeJurisdiction = (packId) => {
+    const ids = typesFor(jurisdictions.find(j => j.packId === packId)).map(pt => pt.id);
+    const fit = (id) => (ids.includes(id) ? id : ids[0]);
+    setJurisdiction(packId);
+    setDefaultType(fit);
+    setRows(rs => rs.map(r => ({ ...r, productType: fit(r.productType) })));
+  };
+
+  const running = uploading || rows.some(isPending);
+
+  // Files that failed to upload were never added to the batch; they stay listed.
+  const refresh = (id) => apiFetch(`/api/batches/${id}`)
+    .then(data => {
+      setBatch(data);
+      setRows(rs => [...rowsFromBatch(data), ...rs.filter(r => r.uploadFailed)]);
+    })
+    .catch(onApiError);
+
+  useEffect(() => {
+    if (!batch || uploading || !running) return;
+    const timer = setInterval(() => refresh(batch.id), POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [batch?.id, uploading, running]);
+
+  const updateRow = (key, changes) => setRows(rs => rs.map(r => r.key === key ? { ...r, ...changes } : r));
+
+  const addFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    setRows(rs => [...rs, ...files.map(file => ({
+      key: `${file.name}-${file.size}-${Math.random().toString(36).slice(2)}`,
+      file,
+      fileName: file.name,
+      productName: file.name.replace(/\.[^.]+$/, ""),
+      productType: defaultType,
+      labelType: "both",
+      status: "queued",
+    }))]);
+    e.target.value = "";
+  };
+
+  // Uploads the files one at a time; the backend queues each as it arrives.
+  const runBatch = async () => {
+    setError(null);
+    setUploading(true);
+    try {
+      const created = await apiFetch('/api/batches', { method: "POST", body: { name: batchName, jurisdiction, useMode } });
+      setBatch(created);
+      setRows(rs => rs.map(r => ({ ...r, status: "uploading" })));
+      for (const row of rows) {
+        try {
+          await apiFetch(`/api/batches/${created.id}/items`, {
+            method: "POST",
+            body: {
+              productType: row.productType,
+              labelType: row.labelType,
+              productName: row.productName,
+              file: await encodeLabelFile(row.file),
+            },
+          });
+          updateRow(row.key, { status: "queued" });
+        } catch (err) {
+          if (err.status === 401) return onApiError(err);
+          updateRow(row.key, { status: "failed", error: err.message, uploadFailed: true });
+        }
+      }
+      await refresh(created.id);
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openBatch = async (id) => {
+    try {
+      const data = await apiFetch(`/api/batches/${id}`);
+      setBatch(data);
+      setRows(rowsFromBatch(data));
+    } catch (err) {
+      onApiError(err);
+    }
+  };
+
+  const exportBatch = async () => {
+    setExporting(true);
+    try {
+      const ids = rows.filter(r => r.reviewId).map(r => r.reviewId);
+      const reviews = await Promise.all(ids.map(id => apiFetch(`/api/reviews/${id}`)));
+      await downloadBatchReport(batch, reviews, productTypes);
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError("Export failed: " + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const reset = () => {
+    setBatch(null);
+    setRows([]);
+    setBatchName("");
+    setError(null);
+  };
+
+  const typeLabel = (id) => productTypes.find(pt => pt.id === id)?.label || id;
+  const done = rows.filter(r => r.status === "done");
+  const failed = rows.filter(r => r.status === "failed");
+  const scored = done.filter(r => r.complianceScore != null);
+  const average = scored.length ? Math.round(scored.reduce((s, r) => s + r.complianceScore, 0) / scored.length) : null;
+
+  // ── Dashboard (running or finished batch) ──
+  if (batch) {
+    return (
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24 }}>
+          <button onClick={reset} disabled={uploading}
+            style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #334155",
+              background: "transparent", color: "#94a3b8", cursor: uploading ? "default" : "pointer", fontSize: 13 }}>
+            ← New Batch
+          </button>
+          <button onClick={exportBatch} disabled={running || exporting || done.length === 0}
+            style={{ padding: "8px 20px", borderRadius: 6, border: "1px solid #22c55e",
+              background: "transparent", color: "#22c55e", cursor: "pointer", fontSize: 13, fontWeight: 600,
+              opacity: running || done.length === 0 ? 0.5 : 1 }}>
+            {exporting ? "Preparing..." : "↓ Download Combined Report"}
+          </button>
+        </div>
+
+        <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>{batch.name}</h2>
+        <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+          {uploading
+            ? `Uploading ${rows.length} labels — ${rows.filter(r => r.status !== "uploading").length} of ${rows.length} sent.`
+            : running
+              ? `Analyzing ${rows.length} labels — ${done.length + failed.length} of ${rows.length} finished. The batch keeps running if you leave this page.`
+              : `${done.length} of ${rows.length} labels analyzed${failed.length ? `, ${failed.length} failed` : ""}.`}
+        </p>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12, marginBottom: 24 }}>
+          {[
+            { label: "Average Grade", value: average != null ? scoreToGrade(average).grade : "—", color: average != null ? scoreToGrade(average).color : "#64748b" },
+            { label: "Passing (C- or better)", value: scored.filter(r => r.complianceScore >= 70).length, color: "#22c55e" },
+            { label: "Critical Issues", value: done.reduce((s, r) => s + (r.criticalCount || 0), 0), color: "#f87171" },
+            { label: "Failed to Run", value: failed.length, color: failed.length ? "#f87171" : "#64748b" },
+          ].map(stat => (
+            <div key={stat.label} style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 16, textAlign: "center" }}>
+              <div style={{ fontSize: 28, fontWeight: 700, color: stat.color, fontFamily: "'DM Mono', monospace" }}>{stat.value}</div>
+              <div style={{ fontSize: 11, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginTop: 4 }}>{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, overflow: "hidden" }}>
+          {rows.map((r, i) => {
+            const status = STATUS_STYLES[r.status];
+            const { grade, color } = r.complianceScore != null ? scoreToGrade(r.complianceScore) : { grade: "—", color: "#64748b" };
+            return (
+              <div key={r.key} style={{ display: "flex", alignItems: "center", gap: 16, padding: "12px 20px",
+                borderBottom: i < rows.length - 1 ? "1px solid #1e293b" : "none" }}>
+                <div style={{ width: 48, fontSize: 22, fontWeight: 700, color, fontFamily: "'DM Mono', monospace" }}>
+                  {r.status === "done" ? grade : ""}</div>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: 14, fontWeight: 600, color: "#e2e8f0" }}>{r.productName}</div>
+                  <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>
+                    {typeLabel(r.productType)} · {r.fileName}</div>
+                  {r.error && <div style={{ fontSize: 12, color: "#f87171", marginTop: 2 }}>{r.error}</div>}
+                </div>
+                {r.status === "done" && (
+                  <span style={{ fontSize: 12, color: r.criticalCount ? "#f87171" : "#64748b" }}>
+                    {r.criticalCount} critical</span>
+                )}
+                <span style={{ width: 90, fontSize: 10, fontWeight: 600, color: status.color, textTransform: "uppercase",
+                  letterSpacing: 1, fontFamily: "'DM Mono', monospace", textAlign: "right" }}>{status.text}</span>
+                <button onClick={() => onOpen(r.reviewId)} disabled={!r.reviewId}
+                  style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155", background: "transparent",
+                    color: r.reviewId ? "#94a3b8" : "#334155", cursor: r.reviewId ? "pointer" : "default", fontSize: 12 }}>
+                  Open
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {error && (
+          <div style={{ marginTop: 16, padding: 16, background: "#350a0a", border: "1px solid #7f1d1d",
+            borderRadius: 8, color: "#f87171", fontSize: 14 }}>{error}</div>
+        )}
+      </div>
+    );
+  }
+
+  // ── Compose a new batch ──
+  return (
+    <div>
+      <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+        Batch Review</h2>
+      <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+        Upload a whole SKU line at once. Set the product and label type for each file, then run them together.</p>
+
+      <div style={{ display: "flex", gap: 10, marginBottom: 16, flexWrap: "wrap" }}>
+        <input value={batchName} onChange={e => setBatchName(e.target.value)}
+          placeholder="Batch name (e.g. Spring 2026 gummy launch)"
+          style={{ ...fieldStyle, flex: 1, minWidth: 240, padding: "10px 12px" }} />
+        {jurisdictions.length > 1 && (
+          <select value={jurisdiction} onChange={e => changeJurisdiction(e.target.value)}
+            title="Jurisdiction every file in the batch is checked against"
+            style={{ ...fieldStyle, padding: "10px 12px" }}>
+            {jurisdictions.map(j => <option key={j.packId} value={j.packId}>{j.jurisdiction.name}</option>)}
+          </select>
+        )}
+        {useModes.length > 1 && (
+          <select value={useMode} onChange={e => setUseMode(e.target.value)}
+            title="Whether the batch is reviewed as adult-use or medicinal products"
+            style={{ ...fieldStyle, padding: "10px 12px" }}>
+            {useModes.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+        )}
+        <select value={defaultType} onChange={e => setDefaultType(e.target.value)}
+          title="Product type given to newly added files"
+          style={{ ...fieldStyle, padding: "10px 12px" }}>
+          {typeOptions.map(pt => <option key={pt.id} value={pt.id}>New files: {pt.label}</option>)}
+        </select>
+        <button onClick={() => fileRef.current?.click()}
+          style={{ padding: "10px 16px", borderRadius: 6, border: "1px solid #22c55e", background: "transparent",
+            color: "#22c55e", cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
+          + Add Files
+        </button>
+        <input ref={fileRef} type="file" accept="image/*,.pdf" multiple onChange={addFiles} style={{ display: "none" }} />
+      </div>
+
+      {rows.length > 0 ? (
+        <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, overflow: "hidden", marginBottom: 20 }}>
+          {rows.map((r, i) => (
+            <div key={r.key} style={{ display: "grid", gridTemplateColumns: "1.5fr 1.5fr 1fr auto", gap: 10,
+              alignItems: "center", padding: "10px 16px", borderBottom: i < rows.length - 1 ? "1px solid #1e293b" : "none" }}>
+              <div style={{ minWidth: 0 }}>
+                <input value={r.productName} onChange={e => updateRow(r.key, { productName: e.target.value })}
+                  style={{ ...fieldStyle, width: "100%" }} />
+                <div style={{ fontSize: 11, color: "#64748b", marginTop: 3, overflow: "hidden",
+                  textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.fileName}</div>
+              </div>
+              <select value={r.productType} onChange={e => updateRow(r.key, { productType: e.target.value })} style={fieldStyle}>
+                {typeOptions.map(pt => <option key={pt.id} value={pt.id}>{pt.label}</option>)}
+              </select>
+              <select value={r.labelType} onChange={e => updateRow(r.key, { labelType: e.target.value })} style={fieldStyle}>
+                {LABEL_TYPE_OPTIONS.map(lt => <option key={lt.id} value={lt.id}>{lt.label}</option>)}
+              </select>
+              <button onClick={() => setRows(rs => rs.filter(x => x.key !== r.key))}
+                style={{ background: "transparent", border: "none", color: "#64748b", cursor: "pointer", fontSize: 18 }}>×</button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div onClick={() => fileRef.current?.click()}
+          style={{ border: "2px dashed #334155", borderRadius: 12, padding: 40, textAlign: "center",
+            cursor: "pointer", background: "#0f172a", marginBottom: 20 }}>
+          <div style={{ fontSize: 48, marginBottom: 8, opacity: 0.5 }}>📚</div>
+          <div style={{ color: "#94a3b8", fontSize: 14 }}>Click to add label files</div>
+          <div style={{ color: "#64748b", fontSize: 12, marginTop: 4 }}>Select as many PDFs or images as you need</div>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <div style={{ textAlign: "center", marginBottom: 32 }}>
+          <button onClick={runBatch} disabled={uploading}
+            style={{ padding: "14px 40px", borderRadius: 10, border: "none",
+              background: "linear-gradient(135deg, #22c55e, #16a34a)",
+              color: "#fff", fontWeight: 700, fontSize: 16, cursor: "pointer",
+              letterSpacing: 0.3, boxShadow: "0 4px 24px #22c55e30" }}>
+            Run Batch ({rows.length} SKU{rows.length === 1 ? "" : "s"})
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div style={{ marginBottom: 16, padding: 16, background: "#350a0a", border: "1px solid #7f1d1d",
+          borderRadius: 8, color: "#f87171", fontSize: 14 }}>{error}</div>
+      )}
+
+      {recent.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+            letterSpacing: 1, marginBottom: 10 }}>Recent Batches</div>
+          <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, overflow: "hidden" }}>
+            {recent.map((b, i) => (
+              <button key={b.id} onClick={() => openBatch(b.id)}
+                style={{ width: "100%", display: "flex", justifyContent: "space-between", padding: "12px 20px",
+                  background: "transparent", border: "none", textAlign: "left", cursor: "pointer",
+                  borderBottom: i < recent.length - 1 ? "1px solid #1e293b" : "none" }}>
+                <span style={{ fontSize: 14, color: "#e2e8f0", fontWeight: 600 }}>{b.name}</span>
+                <span style={{ fontSize: 12, color: "#64748b" }}>
+                  {b.reviewCount} SKUs{b.pendingCount ? ` · ${b.pendingCount} running` : ""} · {b.createdBy.name} · {new Date(b.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+export default function CitationLink({ citation, onOpen }) {
+  if (!citation) return null;
+  return (
+    <button
+      onClick={() => onOpen(citation)}
+      style={{
+        background: 'transparent', border: '1px solid #334155', borderRadius: 4,
+        color: '#22c55e', fontSize: 10, fontFamily: "'DM Mono', monospace",
+        cursor: 'pointer', padding: '1px 6px', marginLeft: 6, fontWeight: 600,
+        verticalAlign: 'middle',
+      }}
+    >
+      {citation}
+    </button>
+  );
+}
+
+// A bracketed token is a citation if it has a section sign or names one of the
+// pack's regulation references ("[1 CCR 212-3 Part 3-1000]", "[CA Prop 65]").
+function isCitation(token, regulations = {}) {
+  return token.includes('§') || Object.keys(regulations).some(key => token.includes(key));
+}
+
+// ── QA Response Renderer ──
+export function renderQaResponse(text, onOpen, regulations) {
+  if (!text) return null;
+  const citationRegex = /\[([^[\]\n]+)\]/g;
+
+  // Collect unique citations for the "Referenced Regulations" row
+  const citations = [];
+  const seen = new Set();
+  let m;
+  while ((m = citationRegex.exec(text)) !== null) {
+    if (isCitation(m[1], regulations) && !seen.has(m[1])) { seen.add(m[1]); citations.push(m[1]); }
+  }
+
+  // Build inline text with citation chips replaced by spans (keep readable)
+  const parts = [];
+  let lastIndex = 0;
+  citationRegex.lastIndex = 0;
+  let key = 0;
+  while ((m = citationRegex.exec(text)) !== null) {
+    if (!seen.has(m[1])) continue;
+    if (m.index > lastIndex) parts.push(<span key={key++}>{text.slice(lastIndex, m.index)}</span>);
+    parts.push(
+      <CitationLink key={key++} citation={m[1]} onOpen={onOpen} />
+    );
+    lastIndex = m.index + m[0].length;
+  }
+  if (lastIndex < text.length) parts.push(<span key={key++}>{text.slice(lastIndex)}</span>);
+
+  return { parts, citations };
+}
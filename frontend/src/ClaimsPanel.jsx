@@ -0,0 +1,73 @@
+const SEVERITY_COLORS = { fail: "#ef4444", warning: "#c49a2a" };
+
+// The linted text with each flagged phrase highlighted in its severity color.
+function HighlightedText({ text, claims }) {
+  const located = claims.filter(c => c.start != null).sort((a, b) => a.start - b.start);
+  const parts = [];
+  let pos = 0;
+  for (const c of located) {
+    if (c.start < pos) continue;
+    parts.push(text.slice(pos, c.start));
+    parts.push(
+      <mark key={c.start} title={`${c.ruleName}: ${c.rationale}`}
+        style={{ background: `${SEVERITY_COLORS[c.severity]}33`, color: "#f8fafc", borderBottom: `2px solid ${SEVERITY_COLORS[c.severity]}`,
+          borderRadius: 2, padding: "0 1px" }}>
+        {text.slice(c.start, c.end)}
+      </mark>
+    );
+    pos = c.end;
+  }
+  parts.push(text.slice(pos));
+  return (
+    <div style={{ whiteSpace: "pre-wrap", fontSize: 14, lineHeight: 1.7, color: "#cbd5e1", background: "#0a0e17",
+      border: "1px solid #1e293b", borderRadius: 8, padding: "12px 14px", marginBottom: 16 }}>
+      {parts}
+    </div>
+  );
+}
+
+// Claims linter results: each flagged phrase with the rule it falls under,
+// why, and a compliant rewrite. `text` (pasted copy) is shown highlighted.
+export default function ClaimsPanel({ claims: report, text, onOpenCitation }) {
+  const { claims, rules, aiChecked } = report;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Claims &amp; Marketing Copy</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        Checked for: {rules.map(r => r.name.toLowerCase()).join(", ")}
+        {!aiChecked && " · phrase lexicon only (the AI classification was unavailable)"}
+      </div>
+
+      {text && <HighlightedText text={text} claims={claims} />}
+
+      {claims.length === 0 ? (
+        <div style={{ fontSize: 13, color: "#22c55e" }}>No prohibited or restricted claims found.</div>
+      ) : (
+        claims.map((c, i) => (
+          <div key={i} style={{ padding: "10px 0", borderBottom: i < claims.length - 1 ? "1px solid #1e293b" : "none" }}>
+            <div style={{ display: "flex", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
+              <span style={{ fontSize: 14, color: SEVERITY_COLORS[c.severity], fontWeight: 600 }}>"{c.phrase}"</span>
+              <span style={{ fontSize: 12, color: "#94a3b8" }}>{c.ruleName}</span>
+              {c.regulation && (
+                <button onClick={() => onOpenCitation?.(c.regulation)}
+                  style={{ padding: 0, border: "none", background: "transparent", cursor: onOpenCitation ? "pointer" : "default",
+                    fontSize: 11, color: "#38bdf8", fontFamily: "'DM Mono', monospace" }}>{c.regulation}</button>
+              )}
+              <span title={c.source === "lexicon" ? "Matched the phrase lexicon" : "Flagged by the AI classification"}
+                style={{ padding: "1px 6px", borderRadius: 4, fontSize: 9, fontWeight: 600, letterSpacing: 1,
+                  textTransform: "uppercase", fontFamily: "'DM Mono', monospace", color: "#94a3b8", border: "1px solid #334155" }}>
+                {c.source === "lexicon" ? "Lexicon" : "AI"}
+              </span>
+            </div>
+            <div style={{ fontSize: 12, color: "#94a3b8", marginTop: 4, lineHeight: 1.5 }}>{c.rationale}</div>
+            {c.rewrite && (
+              <div style={{ fontSize: 12, color: "#4ade80", marginTop: 2, lineHeight: 1.5 }}>Rewrite: {c.rewrite}</div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
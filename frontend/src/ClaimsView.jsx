@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { apiFetch } from "./api";
+import ClaimsPanel from "./ClaimsPanel";
+
+const MAX_LENGTH = 20000;
+
+const fieldStyle = {
+  padding: "8px 10px", borderRadius: 6, border: "1px solid #334155",
+  background: "#0a0e17", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif",
+};
+
+// Claims linter for copy that isn't on a label: website blurbs, menu
+// descriptions, social posts. Nothing is saved.
+export default function ClaimsView({ jurisdictions, onOpenCitation, onApiError }) {
+  const [jurisdiction, setJurisdiction] = useState("ca-dcc");
+  const [text, setText] = useState("");
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const lint = async () => {
+    setRunning(true);
+    setError(null);
+    setResult(null);
+    try {
+      setResult(await apiFetch("/api/claims", { method: "POST", body: { jurisdiction, text } }));
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div>
+      <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+        Claims Check</h2>
+      <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+        Paste marketing copy (a website blurb, menu description or social post) to check it for health, organic,
+        OCal, appellation and anticipated-effects claims.</p>
+
+      <textarea value={text} onChange={e => setText(e.target.value)} rows={8} maxLength={MAX_LENGTH}
+        placeholder="e.g. Our sun-grown Humboldt gummies help you sleep and melt away stress..."
+        style={{ ...fieldStyle, width: "100%", boxSizing: "border-box", padding: "12px 14px", fontSize: 14,
+          lineHeight: 1.6, resize: "vertical", marginBottom: 12 }} />
+
+      <div style={{ display: "flex", gap: 10, alignItems: "center", marginBottom: 20 }}>
+        {jurisdictions.length > 1 && (
+          <select value={jurisdiction} onChange={e => setJurisdiction(e.target.value)}
+            title="Jurisdiction whose rules the copy is checked against"
+            style={{ ...fieldStyle, padding: "10px 12px" }}>
+            {jurisdictions.map(j => <option key={j.packId} value={j.packId}>{j.jurisdiction.name}</option>)}
+          </select>
+        )}
+        <button onClick={lint} disabled={running || !text.trim()}
+          style={{ padding: "10px 24px", borderRadius: 8, border: "none",
+            background: running || !text.trim() ? "#1e293b" : "linear-gradient(135deg, #22c55e, #16a34a)",
+            color: "#fff", fontWeight: 600, fontSize: 14, cursor: running || !text.trim() ? "default" : "pointer" }}>
+          {running ? "Checking..." : "Check Copy"}
+        </button>
+        <span style={{ fontSize: 12, color: "#64748b" }}>{text.length.toLocaleString()} / {MAX_LENGTH.toLocaleString()}</span>
+      </div>
+
+      {error && (
+        <div style={{ marginBottom: 16, padding: 16, background: "#350a0a", border: "1px solid #7f1d1d",
+          borderRadius: 8, color: "#f87171", fontSize: 14 }}>{error}</div>
+      )}
+
+      {result && <ClaimsPanel claims={result} text={result.text} onOpenCitation={onOpenCitation} />}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+const STATUS_COLORS = { pass: "#22c55e", warning: "#c49a2a", fail: "#ef4444", unverifiable: "#94a3b8" };
+const BASIS_LABELS = { serving: "mg / serving", package: "mg / package", percent: "%" };
+
+const th = { textAlign: "left", padding: "6px 8px", fontSize: 11, fontWeight: 600, color: "#64748b",
+  textTransform: "uppercase", letterSpacing: 1, borderBottom: "1px solid #1e293b" };
+const td = { padding: "8px", fontSize: 13, color: "#cbd5e1", borderBottom: "1px solid #1e293b" };
+
+// Label vs. certificate of analysis: every numeric cannabinoid claim compared
+// with the lab result (±10%), and the cannabinoids that are ≥5% of total.
+export default function CoaCheckPanel({ coaCheck }) {
+  const { fileName, labName, sampleId, batchNumber, comparisons = [], required = [], error } = coaCheck;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Lab Results Cross-Check</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        {[fileName, labName, sampleId && `Sample ${sampleId}`, batchNumber && `Batch ${batchNumber}`].filter(Boolean).join(" · ")}
+      </div>
+
+      {error ? (
+        <div style={{ fontSize: 13, color: "#f87171" }}>{error}</div>
+      ) : (
+        <>
+          {comparisons.length === 0 ? (
+            <div style={{ fontSize: 13, color: "#94a3b8", marginBottom: 16 }}>
+              No cannabinoid amounts were found on the label to compare with the COA.
+            </div>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 16 }}>
+              <thead>
+                <tr>
+                  <th style={th}>Cannabinoid</th>
+                  <th style={th}>Unit</th>
+                  <th style={th}>Label</th>
+                  <th style={th}>COA</th>
+                  <th style={th}>Deviation</th>
+                  <th style={th}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparisons.map((c, i) => (
+                  <tr key={i}>
+                    <td style={td}>{c.cannabinoid}{c.labName && c.labName !== c.cannabinoid && (
+                      <span style={{ color: "#64748b", fontSize: 11 }}> (COA: {c.labName})</span>
+                    )}</td>
+                    <td style={td}>{BASIS_LABELS[c.basis]}{c.basisStated === false && (
+                      <span style={{ color: "#64748b", fontSize: 11 }}> (not stated)</span>
+                    )}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{c.label}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{c.lab ?? "—"}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>
+                      {c.deviationPercent == null ? "—" : `${c.deviationPercent > 0 ? "+" : ""}${c.deviationPercent}%`}
+                    </td>
+                    <td style={{ ...td, color: STATUS_COLORS[c.status], fontWeight: 600, fontSize: 11,
+                      textTransform: "uppercase", letterSpacing: 1 }}>
+                      {c.status === "unverifiable" ? "Not on COA" : c.status}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {required.length > 0 && (
+            <div>
+              <div style={{ fontSize: 12, color: "#94a3b8", marginBottom: 8 }}>
+                Cannabinoids at ≥5% of total (must be listed on the label):
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                {required.map(r => (
+                  <span key={r.name} style={{ padding: "4px 10px", borderRadius: 6, fontSize: 12,
+                    border: `1px solid ${r.listed ? "#166534" : "#7f1d1d"}`,
+                    color: r.listed ? "#22c55e" : "#f87171" }}>
+                    {r.listed ? "✓" : "✕"} {r.name} · {r.sharePercent}%
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState } from "react";
+
+const NET_WEIGHT_UNITS = ["g", "mg", "kg", "oz", "lb", "ml", "l", "fl oz"];
+const AMOUNT_FIELDS = [
+  { basis: "serving", label: "mg / serving" },
+  { basis: "package", label: "mg / package" },
+  { basis: "percent", label: "%" },
+];
+
+export const EMPTY_DOSAGE = {
+  servings: "", netWeight: "", netWeightUnit: "g",
+  thc: { serving: "", package: "", percent: "" },
+  cbd: { serving: "", package: "", percent: "" },
+};
+
+const blank = v => String(v).trim() === "";
+
+function amount(text, what) {
+  if (blank(text)) return undefined;
+  const value = Number(text);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`${what} must be a number`);
+  return value;
+}
+
+// The `dosage` body field for /api/analyze: only the figures that were
+// entered. Undefined when none was; throws on anything that isn't a number.
+export function dosageFromInput(value) {
+  const dosage = {};
+  if (!blank(value.servings)) {
+    const servings = Number(value.servings);
+    if (!Number.isInteger(servings) || servings < 1) throw new Error("Servings per package must be a whole number");
+    dosage.servings = servings;
+  }
+  if (!blank(value.netWeight)) {
+    const weight = Number(value.netWeight);
+    if (!(weight > 0)) throw new Error("Net weight must be a positive number");
+    dosage.netWeight = { value: weight, unit: value.netWeightUnit };
+  }
+  for (const name of ["thc", "cbd"]) {
+    const amounts = Object.fromEntries(AMOUNT_FIELDS
+      .map(({ basis, label }) => [basis, amount(value[name][basis], `${name.toUpperCase()} ${label}`)])
+      .filter(([, v]) => v !== undefined));
+    if (Object.keys(amounts).length > 0) dosage[name] = amounts;
+  }
+  return Object.keys(dosage).length > 0 ? dosage : undefined;
+}
+
+// Optional cannabinoid figures for the dosage calculator. Whatever is entered
+// replaces what is read off the label, e.g. when the artwork's numbers are
+// outlined or hard to read.
+export default function DosageInput({ value, onChange }) {
+  const [open, setOpen] = useState(false);
+  // Figures that don't parse still count as entered; the error shows on analyze.
+  const count = (() => {
+    try { return Object.keys(dosageFromInput(value) || {}).length; } catch { return 1; }
+  })();
+
+  const inputStyle = { width: 80, padding: "5px 6px", borderRadius: 4, border: "1px solid #334155",
+    background: "#0a0e17", color: "#e2e8f0", fontSize: 12, fontFamily: "'DM Mono', monospace" };
+  const labelStyle = { display: "flex", flexDirection: "column", gap: 4, fontSize: 11, color: "#64748b" };
+  const setAmount = (name, basis, v) => onChange({ ...value, [name]: { ...value[name], [basis]: v } });
+
+  return (
+    <div style={{ marginTop: 12, padding: "12px 16px", border: "1px solid #1e293b", borderRadius: 10, background: "#0f172a" }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <div>
+          <div style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 600 }}>
+            Dosage Figures <span style={{ color: "#64748b", fontWeight: 400 }}>(optional)</span>
+          </div>
+          <div style={{ fontSize: 12, color: count ? "#22c55e" : "#64748b", marginTop: 2 }}>
+            {count ? "Entered figures replace the ones read off the label"
+              : "The serving math, mg/% and THC caps are checked from the label; enter figures to override them"}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+          {count > 0 && (
+            <button onClick={() => onChange(EMPTY_DOSAGE)}
+              style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+                background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 }}>Clear</button>
+          )}
+          <button onClick={() => setOpen(o => !o)}
+            style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+              background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 }}>
+            {open ? "Hide" : "Enter"}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+            <label style={labelStyle}>
+              Servings per package
+              <input value={value.servings} onChange={e => onChange({ ...value, servings: e.target.value })}
+                inputMode="numeric" style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+              Net weight
+              <span style={{ display: "flex", gap: 4 }}>
+                <input value={value.netWeight} onChange={e => onChange({ ...value, netWeight: e.target.value })}
+                  inputMode="decimal" style={inputStyle} />
+                <select value={value.netWeightUnit} onChange={e => onChange({ ...value, netWeightUnit: e.target.value })}
+                  style={{ ...inputStyle, width: "auto" }}>
+                  {NET_WEIGHT_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+                </select>
+              </span>
+            </label>
+          </div>
+          {["thc", "cbd"].map(name => (
+            <div key={name} style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+              <span style={{ width: 36, fontSize: 12, fontWeight: 600, color: "#94a3b8", paddingBottom: 6 }}>{name.toUpperCase()}</span>
+              {AMOUNT_FIELDS.map(({ basis, label }) => (
+                <label key={basis} style={labelStyle}>
+                  {label}
+                  <input value={value[name][basis]} onChange={e => setAmount(name, basis, e.target.value)}
+                    inputMode="decimal" style={inputStyle} />
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+const STATUS_COLORS = { pass: "#22c55e", warning: "#c49a2a", fail: "#ef4444", unverifiable: "#94a3b8" };
+
+const th = { textAlign: "left", padding: "6px 8px", fontSize: 11, fontWeight: 600, color: "#64748b",
+  textTransform: "uppercase", letterSpacing: 1, borderBottom: "1px solid #1e293b" };
+const td = { padding: "8px", fontSize: 13, color: "#cbd5e1", borderBottom: "1px solid #1e293b", fontFamily: "'DM Mono', monospace" };
+
+function Fact({ fact }) {
+  if (!fact) return <span style={{ color: "#475569" }}>—</span>;
+  return (
+    <span>
+      {fact.text ?? fact.value}
+      {fact.source === "entered" && <span style={{ color: "#38bdf8", fontSize: 10, marginLeft: 4 }}>entered</span>}
+    </span>
+  );
+}
+
+// The dosage calculator: the cannabinoid figures it used (read off the label
+// or entered) and each check with its worked calculation.
+export default function DosagePanel({ dosage }) {
+  const { facts, checks } = dosage;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Serving &amp; Dosage Math</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        Servings per package: <Fact fact={facts.servings} /> · Net weight: <Fact fact={facts.netWeight} />
+        {facts.netWeight && facts.netWeight.grams == null && " (volume)"}
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 16 }}>
+        <thead>
+          <tr>
+            <th style={th}>Cannabinoid</th>
+            <th style={th}>Per serving</th>
+            <th style={th}>Per package</th>
+            <th style={th}>%</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(facts.cannabinoids).map(([name, c]) => (
+            <tr key={name}>
+              <td style={{ ...td, fontFamily: "'DM Sans', sans-serif" }}>{name}</td>
+              <td style={td}><Fact fact={c.serving} /></td>
+              <td style={td}><Fact fact={c.package} /></td>
+              <td style={td}><Fact fact={c.percent} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {checks.length === 0 ? (
+        <div style={{ fontSize: 13, color: "#94a3b8" }}>Not enough figures on the label to check the math.</div>
+      ) : (
+        checks.map((c, i) => (
+          <div key={c.key} style={{ padding: "8px 0", borderBottom: i < checks.length - 1 ? "1px solid #1e293b" : "none" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 12 }}>
+              <span style={{ fontSize: 13, color: "#e2e8f0", fontWeight: 600 }}>{c.name}</span>
+              <span style={{ color: STATUS_COLORS[c.status], fontWeight: 600, fontSize: 11, textTransform: "uppercase",
+                letterSpacing: 1 }}>{c.status === "unverifiable" ? "Not checked" : c.status}</span>
+            </div>
+            <div style={{ fontSize: 12, color: "#94a3b8", marginTop: 2 }}>{c.finding}</div>
+            {c.steps.map((step, j) => (
+              <div key={j} style={{ fontSize: 12, color: "#cbd5e1", marginTop: 2, fontFamily: "'DM Mono', monospace" }}>{step}</div>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useEffect, useState } from "react";
+import { apiFetchBlob } from "./api";
+
+const STATUS_COLORS = { fail: "#ef4444", warning: "#c49a2a", pass: "#22c55e" };
+const STATUS_RANK = { fail: 0, warning: 1, pass: 2 };
+
+// The label with a box over every text block a verdict cites. A block cited
+// by several items takes the color of the worst verdict; clicking it focuses
+// that item. `focusedId` highlights one item's evidence and dims the rest.
+export default function EvidencePreview({ results, filePreview, focusedId, onFocus, onApiError }) {
+  const pages = results.pdf ? results.pdf.pages.filter(p => p.evaluated).map(p => p.page) : [1];
+  const [page, setPage] = useState(pages[0]);
+  const [pageUrls, setPageUrls] = useState({});
+
+  // PDF pages are rendered by the backend, the same way the model saw them.
+  useEffect(() => {
+    if (!results.pdf || !results.reviewId || pageUrls[page]) return;
+    let cancelled = false;
+    apiFetchBlob(`/api/reviews/${results.reviewId}/pages/${page}`)
+      .then(blob => { if (!cancelled) setPageUrls(urls => ({ ...urls, [page]: URL.createObjectURL(blob) })); })
+      .catch(onApiError);
+    return () => { cancelled = true; };
+  }, [results.reviewId, page]);
+
+  useEffect(() => () => Object.values(pageUrls).forEach(url => URL.revokeObjectURL(url)), [results.reviewId]);
+
+  const blocks = new Map((results.textBlocks || []).map(b => [b.id, b]));
+  const cited = (results.items || []).filter(i => STATUS_COLORS[i.status] && i.evidence?.length > 0);
+
+  // Jump to the page holding the focused item's first piece of evidence.
+  useEffect(() => {
+    const item = cited.find(i => i.id === focusedId);
+    const first = item && blocks.get(item.evidence[0]);
+    if (first && first.page !== page) setPage(first.page);
+  }, [focusedId]);
+
+  const overlays = [];
+  for (const block of blocks.values()) {
+    if (block.page !== page) continue;
+    const citing = cited.filter(i => i.evidence.includes(block.id))
+      .sort((a, b) => STATUS_RANK[a.status] - STATUS_RANK[b.status]);
+    if (citing.length === 0) continue;
+    const focused = citing.find(i => i.id === focusedId);
+    const shown = focused || citing[0];
+    overlays.push({ block, citing, shown, focused: Boolean(focused) });
+  }
+
+  const src = results.pdf ? pageUrls[page] : filePreview?.type === "image" ? filePreview.data : null;
+
+  return (
+    <div id="evidence-preview" style={{ marginBottom: 24, textAlign: "center" }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 8 }}>Label Evidence</div>
+      {pages.length > 1 && (
+        <div style={{ display: "flex", justifyContent: "center", gap: 6, marginBottom: 8 }}>
+          {pages.map(n => (
+            <button key={n} onClick={() => setPage(n)}
+              style={{ padding: "4px 10px", borderRadius: 6, fontSize: 12, cursor: "pointer", background: "transparent",
+                border: `1px solid ${n === page ? "#22c55e" : "#334155"}`, color: n === page ? "#22c55e" : "#94a3b8" }}>
+              Page {n}
+            </button>
+          ))}
+        </div>
+      )}
+      <div style={{ display: "inline-block", position: "relative", border: "1px solid #2a3a5c", borderRadius: 8,
+        overflow: "hidden", maxWidth: 520, width: "100%", background: "#0f172a" }}>
+        {src ? (
+          <img src={src} alt={`Label page ${page}`} style={{ display: "block", width: "100%" }} />
+        ) : (
+          <div style={{ padding: 40, fontSize: 12, color: "#64748b" }}>Loading page {page}...</div>
+        )}
+        {src && overlays.map(({ block, citing, shown, focused }) => {
+          const [left, top, right, bottom] = block.box;
+          const dimmed = focusedId && !focused;
+          return (
+            <button key={block.id} onClick={() => onFocus(shown.id)}
+              title={citing.map(i => `${i.status.toUpperCase()} [${i.id}]: ${i.finding}`).join("\n")}
+              style={{ position: "absolute", left: `${left * 100}%`, top: `${top * 100}%`,
+                width: `${(right - left) * 100}%`, height: `${(bottom - top) * 100}%`, padding: 0, cursor: "pointer",
+                border: `${focused ? 3 : 2}px solid ${STATUS_COLORS[shown.status]}`, borderRadius: 3,
+                background: focused ? `${STATUS_COLORS[shown.status]}33` : "transparent",
+                opacity: dimmed ? 0.25 : 1 }} />
+          );
+        })}
+      </div>
+      <div style={{ fontSize: 11, color: "#64748b", marginTop: 6 }}>
+        Boxes mark the text each finding is based on. Click a box to jump to its finding.
+      </div>
+    </div>
+  );
+}
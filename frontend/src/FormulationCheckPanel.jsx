@@ -0,0 +1,120 @@
+const STATUS_COLORS = { pass: "#22c55e", warning: "#c49a2a", fail: "#ef4444", missing: "#ef4444", unverifiable: "#94a3b8" };
+export const CHECK_NAMES = { order: "Ingredient order", allergens: "Allergens", colors: "Artificial colorings", nutrition: "Nutrition per serving" };
+
+const th = { textAlign: "left", padding: "6px 8px", fontSize: 11, fontWeight: 600, color: "#64748b",
+  textTransform: "uppercase", letterSpacing: 1, borderBottom: "1px solid #1e293b" };
+const td = { padding: "8px", fontSize: 13, color: "#cbd5e1", borderBottom: "1px solid #1e293b" };
+const mono = { fontFamily: "'DM Mono', monospace" };
+
+function StatusLabel({ status, children }) {
+  return (
+    <span style={{ color: STATUS_COLORS[status], fontWeight: 600, fontSize: 11, textTransform: "uppercase",
+      letterSpacing: 1 }}>{children || status}</span>
+  );
+}
+
+// Edible ingredient and nutrition panel vs. the formulation that was entered:
+// each check's mismatches, the formulation in order of weight next to where
+// each ingredient appears on the label, and the nutrition math.
+export default function FormulationCheckPanel({ formulationCheck }) {
+  const { servings, totalWeight, ingredients, labelIngredients, contains, allergens, nutrition, checks } = formulationCheck;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Ingredients &amp; Nutrition vs. Formulation</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        {ingredients.length} ingredients · {totalWeight} g per package · {servings} servings
+        {contains && <> · Label "Contains": {contains}</>}
+      </div>
+
+      {/* Checks */}
+      {Object.entries(checks).map(([key, check]) => (
+        <div key={key} style={{ padding: "8px 0", borderBottom: "1px solid #1e293b" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+            <span style={{ fontSize: 13, color: "#e2e8f0", fontWeight: 600 }}>{CHECK_NAMES[key]}</span>
+            {check ? <StatusLabel status={check.status} />
+              : <StatusLabel status="unverifiable">Not checked</StatusLabel>}
+          </div>
+          {!check && key === "nutrition" && (
+            <div style={{ fontSize: 12, color: "#94a3b8", marginTop: 2 }}>
+              Enter nutrition values per 100 g for every ingredient to check the printed values.
+            </div>
+          )}
+          {check?.issues.map((issue, i) => (
+            <div key={i} style={{ fontSize: 12, color: issue.severity === "fail" ? "#f87171" : "#c49a2a", marginTop: 2, lineHeight: 1.5 }}>
+              {issue.message}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {/* Formulation vs. printed list */}
+      <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 16 }}>
+        <thead>
+          <tr>
+            <th style={th}>Formulation</th>
+            <th style={th}>Weight</th>
+            <th style={th}>Share</th>
+            <th style={th}>On label</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ingredients.map((ing, i) => (
+            <tr key={i}>
+              <td style={td}>
+                {ing.name}
+                {ing.allergens.length > 0 && <span style={{ color: "#c49a2a", fontSize: 11 }}> · {ing.allergens.join(", ")}</span>}
+                {ing.colorAdditive && <span style={{ color: "#94a3b8", fontSize: 11 }}> · coloring</span>}
+              </td>
+              <td style={{ ...td, ...mono }}>{ing.weight} g</td>
+              <td style={{ ...td, ...mono }}>{ing.percent}%</td>
+              <td style={td}>
+                {ing.position == null
+                  ? <StatusLabel status="fail">Not listed</StatusLabel>
+                  : <span><span style={mono}>#{ing.position}</span> {ing.listedAs}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {labelIngredients && (
+        <div style={{ fontSize: 12, color: "#64748b", marginTop: 8, lineHeight: 1.5 }}>
+          Printed list: {labelIngredients.map((e, i) => `${i + 1}. ${e}`).join("  ")}
+        </div>
+      )}
+      {allergens.length > 0 && (
+        <div style={{ fontSize: 12, color: "#64748b", marginTop: 8 }}>
+          Allergens: {allergens.map(a => `${a.name} (${a.required ? "in formulation" : "not in formulation"}, ${
+            a.source === "contains" ? "in Contains statement" : a.source === "list" ? "in ingredients list" : "not declared"})`).join("; ")}
+        </div>
+      )}
+
+      {/* Nutrition math */}
+      {checks.nutrition && (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 16 }}>
+          <thead>
+            <tr>
+              <th style={th}>Nutrient</th>
+              <th style={th}>Formulation / serving</th>
+              <th style={th}>Rounded</th>
+              <th style={th}>Label</th>
+              <th style={th}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {nutrition.map(n => (
+              <tr key={n.key}>
+                <td style={td}>{n.name}</td>
+                <td style={{ ...td, ...mono }}>{n.computed == null ? "—" : `${n.computed} ${n.unit}`}</td>
+                <td style={{ ...td, ...mono }}>{n.expected == null ? "—" : `${n.expected} ${n.unit}`}</td>
+                <td style={{ ...td, ...mono }}>{n.label ?? "—"}</td>
+                <td style={td}><StatusLabel status={n.status}>{n.status === "unverifiable" ? "Not checked" : n.status}</StatusLabel></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
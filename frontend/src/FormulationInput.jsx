@@ -0,0 +1,188 @@
+import { useRef, useState } from "react";
+import { parseCsvRecords } from "./csv";
+
+const NUTRIENT_FIELDS = [
+  { key: "sodium", label: "Sodium", unit: "mg" },
+  { key: "sugar", label: "Sugar", unit: "g" },
+  { key: "carbs", label: "Carbs", unit: "g" },
+  { key: "fat", label: "Fat", unit: "g" },
+];
+
+const EMPTY_ROW = { name: "", weight: "", allergens: "", colorAdditive: false, sodium: "", sugar: "", carbs: "", fat: "" };
+
+export const EMPTY_FORMULATION = { servings: "", rows: [] };
+
+// CSV header → row field. Headers are matched case-insensitively, ignoring
+// units and punctuation ("Weight (g)", "sodium_mg_per_100g").
+const CSV_COLUMNS = [
+  { field: "name", pattern: /^(ingredient|name)/ },
+  { field: "weight", pattern: /^(weight|grams|amount)/ },
+  { field: "allergens", pattern: /^allergen/ },
+  { field: "colorAdditive", pattern: /colou?r/ },
+  { field: "sodium", pattern: /^sodium/ },
+  { field: "sugar", pattern: /^sugar/ },
+  { field: "carbs", pattern: /^(carb|total carb)/ },
+  { field: "fat", pattern: /^(fat|total fat)/ },
+];
+
+// Formulation rows from a CSV export with a header row. Throws when there is
+// no ingredient column.
+export function parseFormulationCsv(text) {
+  const { fields, records } = parseCsvRecords(text, CSV_COLUMNS);
+  if (!fields.includes("name")) throw new Error('The CSV needs an "Ingredient" column');
+  return records.map(record => {
+    const row = { ...EMPTY_ROW, ...record };
+    if (record.colorAdditive != null) row.colorAdditive = /^(y|yes|true|x|1)$/i.test(record.colorAdditive);
+    return row;
+  }).filter(row => row.name.trim());
+}
+
+const parseNumber = (text, what) => {
+  const value = Number(String(text).trim());
+  if (String(text).trim() === "" || !Number.isFinite(value) || value < 0) throw new Error(`${what} must be a number`);
+  return value;
+};
+
+// The `formulation` body field for /api/analyze. Undefined when no ingredient
+// was entered; throws on anything the backend would reject.
+export function formulationFromInput({ servings, rows }) {
+  const named = rows.filter(r => r.name.trim());
+  if (named.length === 0) return undefined;
+  const count = Number(servings);
+  if (!Number.isInteger(count) || count < 1) throw new Error("Enter the number of servings per package for the formulation");
+  return {
+    servings: count,
+    ingredients: named.map(r => ({
+      name: r.name.trim(),
+      weight: parseNumber(r.weight, `The weight of ${r.name.trim()}`),
+      allergens: r.allergens.split(/[,;/]/).map(a => a.trim()).filter(Boolean),
+      colorAdditive: Boolean(r.colorAdditive),
+      per100g: Object.fromEntries(NUTRIENT_FIELDS.map(({ key, label }) => [
+        key, String(r[key]).trim() === "" ? null : parseNumber(r[key], `${label} for ${r.name.trim()}`),
+      ])),
+    })),
+  };
+}
+
+// Optional recipe for an edible: the ingredients of one package with their
+// weights, so the printed ingredient order, allergens, colorings and
+// nutrition values can be checked against it. Entered by hand or imported
+// from a CSV.
+export default function FormulationInput({ value, onChange }) {
+  const [open, setOpen] = useState(value.rows.length > 0);
+  const [csvError, setCsvError] = useState(null);
+  const csvRef = useRef(null);
+
+  const setRow = (i, field, v) => onChange({ ...value, rows: value.rows.map((r, j) => (j === i ? { ...r, [field]: v } : r)) });
+  const addRow = () => onChange({ ...value, rows: [...value.rows, { ...EMPTY_ROW }] });
+  const removeRow = (i) => onChange({ ...value, rows: value.rows.filter((_, j) => j !== i) });
+
+  const importCsv = async (file) => {
+    setCsvError(null);
+    try {
+      const rows = parseFormulationCsv(await file.text());
+      if (rows.length === 0) throw new Error("The CSV has no ingredient rows");
+      onChange({ ...value, rows });
+      setOpen(true);
+    } catch (err) {
+      setCsvError(err.message);
+    }
+  };
+
+  const inputStyle = { width: "100%", boxSizing: "border-box", padding: "5px 6px", borderRadius: 4, border: "1px solid #334155",
+    background: "#0a0e17", color: "#e2e8f0", fontSize: 12, fontFamily: "'DM Sans', sans-serif" };
+  const numberStyle = { ...inputStyle, fontFamily: "'DM Mono', monospace" };
+  const buttonStyle = { padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+    background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 };
+  const named = value.rows.filter(r => r.name.trim()).length;
+
+  return (
+    <div style={{ marginTop: 12, padding: "12px 16px", border: "1px solid #1e293b", borderRadius: 10, background: "#0f172a" }}>
+      <input ref={csvRef} type="file" accept=".csv,text/csv"
+        onChange={e => { if (e.target.files?.[0]) importCsv(e.target.files[0]); e.target.value = ""; }}
+        style={{ display: "none" }} />
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <div>
+          <div style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 600 }}>
+            Formulation <span style={{ color: "#64748b", fontWeight: 400 }}>(optional)</span>
+          </div>
+          <div style={{ fontSize: 12, color: named ? "#22c55e" : "#64748b", marginTop: 2 }}>
+            {named
+              ? `${named} ingredient${named === 1 ? "" : "s"}${value.servings ? ` · ${value.servings} servings per package` : ""}`
+              : "Enter the recipe to check ingredient order, allergens, colorings and nutrition values against it"}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+          {named > 0 && (
+            <button onClick={() => onChange(EMPTY_FORMULATION)} style={buttonStyle}>Clear</button>
+          )}
+          <button onClick={() => csvRef.current?.click()} style={buttonStyle}>Import CSV</button>
+          <button onClick={() => { setOpen(o => !o); if (value.rows.length === 0) addRow(); }} style={buttonStyle}>
+            {open ? "Hide" : "Enter"}
+          </button>
+        </div>
+      </div>
+      {csvError && <div style={{ fontSize: 12, color: "#f87171", marginTop: 8 }}>{csvError}</div>}
+
+      {open && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 12, color: "#64748b", marginBottom: 8 }}>
+            Weights are grams per package. Allergens are any of milk, eggs, fish, shellfish, tree nuts, peanuts, wheat,
+            soy or sesame, separated by commas. Nutrition values are per 100 g of the ingredient; leave them blank to skip
+            the nutrition check. CSV columns: Ingredient, Weight, Allergens, Color, Sodium, Sugar, Carbs, Fat.
+          </div>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: "#94a3b8", marginBottom: 10 }}>
+            Servings per package
+            <input value={value.servings} onChange={e => onChange({ ...value, servings: e.target.value })}
+              inputMode="numeric" style={{ ...numberStyle, width: 72 }} />
+          </label>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, color: "#64748b" }}>
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th style={{ padding: "0 4px 4px 0", fontWeight: 600, minWidth: 140 }}>Ingredient</th>
+                  <th style={{ padding: "0 4px 4px", fontWeight: 600, width: 64 }}>g / pkg</th>
+                  <th style={{ padding: "0 4px 4px", fontWeight: 600, minWidth: 90 }}>Allergens</th>
+                  <th style={{ padding: "0 4px 4px", fontWeight: 600 }} title="Artificial coloring">Color</th>
+                  {NUTRIENT_FIELDS.map(n => (
+                    <th key={n.key} style={{ padding: "0 4px 4px", fontWeight: 600, width: 56 }}>{n.label} {n.unit}/100 g</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {value.rows.map((row, i) => (
+                  <tr key={i}>
+                    <td style={{ padding: "2px 4px 2px 0" }}>
+                      <input value={row.name} onChange={e => setRow(i, "name", e.target.value)} style={inputStyle} />
+                    </td>
+                    <td style={{ padding: 2 }}>
+                      <input value={row.weight} onChange={e => setRow(i, "weight", e.target.value)} inputMode="decimal" style={numberStyle} />
+                    </td>
+                    <td style={{ padding: 2 }}>
+                      <input value={row.allergens} onChange={e => setRow(i, "allergens", e.target.value)} style={inputStyle} />
+                    </td>
+                    <td style={{ padding: 2, textAlign: "center" }}>
+                      <input type="checkbox" checked={row.colorAdditive} onChange={e => setRow(i, "colorAdditive", e.target.checked)}
+                        style={{ accentColor: "#22c55e" }} />
+                    </td>
+                    {NUTRIENT_FIELDS.map(n => (
+                      <td key={n.key} style={{ padding: 2 }}>
+                        <input value={row[n.key]} onChange={e => setRow(i, n.key, e.target.value)} inputMode="decimal" style={numberStyle} />
+                      </td>
+                    ))}
+                    <td style={{ padding: 2 }}>
+                      <button onClick={() => removeRow(i)} title="Remove ingredient"
+                        style={{ border: "none", background: "transparent", color: "#64748b", cursor: "pointer", fontSize: 14 }}>×</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button onClick={addRow} style={{ ...buttonStyle, marginTop: 8 }}>+ Add ingredient</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api";
+import { scoreToGrade } from "./grades";
+
+const fieldStyle = {
+  padding: "10px 12px", borderRadius: 8, border: "1px solid #334155",
+  background: "#0f172a", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif",
+};
+
+const labelStyle = {
+  fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 4,
+};
+
+const SIGNOFF_BADGES = {
+  approved: { text: "Approved", color: "#22c55e" },
+  rejected: { text: "Rejected", color: "#f87171" },
+};
+
+// Searchable archive of the organization's saved reviews.
+export default function HistoryView({ productTypes, onOpen, onApiError }) {
+  const [filters, setFilters] = useState({ q: "", from: "", to: "", grade: "", productType: "" });
+  const [reviews, setReviews] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const setFilter = (key) => (e) => setFilters(f => ({ ...f, [key]: e.target.value }));
+
+  useEffect(() => {
+    // Debounce so typing in the search box doesn't fire a request per keystroke
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+      setLoading(true);
+      apiFetch(`/api/reviews?${params}`)
+        .then(data => setReviews(data.reviews))
+        .catch(onApiError)
+        .finally(() => setLoading(false));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const typeLabel = (id) => productTypes.find(pt => pt.id === id)?.label || id;
+
+  return (
+    <div>
+      <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+        Review History</h2>
+      <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+        Every compliance check your organization has run. Open one to see the full report without re-running it.</p>
+
+      <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr 1fr 1.5fr", gap: 10, marginBottom: 20 }}>
+        <div>
+          <div style={labelStyle}>Product name</div>
+          <input value={filters.q} onChange={setFilter("q")} placeholder="Search products or files"
+            style={{ ...fieldStyle, width: "100%" }} />
+        </div>
+        <div>
+          <div style={labelStyle}>From</div>
+          <input type="date" value={filters.from} onChange={setFilter("from")} style={{ ...fieldStyle, width: "100%" }} />
+        </div>
+        <div>
+          <div style={labelStyle}>To</div>
+          <input type="date" value={filters.to} onChange={setFilter("to")} style={{ ...fieldStyle, width: "100%" }} />
+        </div>
+        <div>
+          <div style={labelStyle}>Grade</div>
+          <select value={filters.grade} onChange={setFilter("grade")} style={{ ...fieldStyle, width: "100%" }}>
+            <option value="">Any</option>
+            {["A", "B", "C", "D", "F"].map(g => <option key={g} value={g}>{g}</option>)}
+          </select>
+        </div>
+        <div>
+          <div style={labelStyle}>Product type</div>
+          <select value={filters.productType} onChange={setFilter("productType")} style={{ ...fieldStyle, width: "100%" }}>
+            <option value="">Any</option>
+            {productTypes.map(pt => <option key={pt.id} value={pt.id}>{pt.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, overflow: "hidden" }}>
+        {reviews === null ? (
+          <div style={{ padding: 24, fontSize: 13, color: "#64748b" }}>Loading...</div>
+        ) : reviews.length === 0 ? (
+          <div style={{ padding: 24, fontSize: 13, color: "#64748b" }}>
+            {loading ? "Loading..." : "No reviews match these filters."}</div>
+        ) : reviews.map((r, i) => {
+          const { grade, color } = r.complianceScore != null ? scoreToGrade(r.complianceScore) : { grade: "—", color: "#64748b" };
+          const badge = r.signoff && SIGNOFF_BADGES[r.signoff.decision];
+          return (
+            <button key={r.id} onClick={() => onOpen(r.id)}
+              style={{ width: "100%", display: "flex", alignItems: "center", gap: 16, padding: "14px 20px",
+                background: "transparent", border: "none", textAlign: "left", cursor: "pointer",
+                borderBottom: i < reviews.length - 1 ? "1px solid #1e293b" : "none" }}>
+              <div style={{ width: 48, fontSize: 22, fontWeight: 700, color, fontFamily: "'DM Mono', monospace" }}>{grade}</div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: 14, fontWeight: 600, color: "#e2e8f0" }}>{r.productName}</div>
+                <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>
+                  {r.rulePack?.jurisdiction ? `${r.rulePack.jurisdiction.id} · ` : ""}{typeLabel(r.productType)}{r.useMode === "medicinal" ? " (medicinal)" : ""} · {r.fileName} · {r.createdBy.name}</div>
+              </div>
+              {badge && (
+                <span style={{ fontSize: 10, fontWeight: 600, color: badge.color, textTransform: "uppercase",
+                  letterSpacing: 1, fontFamily: "'DM Mono', monospace" }}>{badge.text}</span>
+              )}
+              <div style={{ textAlign: "right" }}>
+                <div style={{ fontSize: 12, color: "#22c55e", fontFamily: "'DM Mono', monospace" }}>{r.reportId}</div>
+                <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>
+                  {new Date(r.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</div>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
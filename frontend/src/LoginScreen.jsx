@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { apiFetch, setToken } from "./api";
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '10px',
+  borderRadius: '6px',
+  border: hasError ? '1px solid #e74c3c' : '1px solid #333',
+  background: '#0a1628',
+  color: '#fff',
+  marginBottom: '12px',
+  boxSizing: 'border-box',
+});
+
+export default function LoginScreen({ onLogin }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleLogin = async () => {
+    if (!email || !password || submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { token, user } = await apiFetch('/api/auth/login', { method: 'POST', body: { email, password } });
+      setToken(token);
+      onLogin(user);
+    } catch (err) {
+      setError(err.status === 401 ? 'Incorrect email or password' : 'Sign-in failed: ' + err.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const onEnter = (e) => e.key === 'Enter' && handleLogin();
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#0a1628',
+    }}>
+      <div style={{
+        background: '#1a2740',
+        padding: '40px',
+        borderRadius: '12px',
+        textAlign: 'center',
+        width: '320px',
+      }}>
+        <h2 style={{ color: '#fff', marginBottom: '8px' }}>Cannapliant</h2>
+        <p style={{ color: '#aaa', marginBottom: '24px', fontSize: '14px' }}>Sign in to continue</p>
+        <input
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          onKeyDown={onEnter}
+          placeholder="Email"
+          style={inputStyle(!!error)}
+        />
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyDown={onEnter}
+          placeholder="Password"
+          style={inputStyle(!!error)}
+        />
+        {error && <p style={{ color: '#e74c3c', fontSize: '13px', marginBottom: '12px' }}>{error}</p>}
+        <button
+          onClick={handleLogin}
+          disabled={submitting}
+          style={{
+            width: '100%',
+            padding: '10px',
+            borderRadius: '6px',
+            background: submitting ? '#1e293b' : '#2ecc71',
+            color: '#fff',
+            border: 'none',
+            cursor: 'pointer',
+            fontWeight: 'bold',
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </div>
+    </div>
+  );
+}
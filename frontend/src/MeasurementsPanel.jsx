@@ -0,0 +1,53 @@
+const STATUS_COLORS = { pass: "#22c55e", fail: "#ef4444", warning: "#f59e0b", unverifiable: "#94a3b8" };
+
+const th = { textAlign: "left", padding: "6px 8px", fontSize: 11, fontWeight: 600, color: "#64748b",
+  textTransform: "uppercase", letterSpacing: 1, borderBottom: "1px solid #1e293b" };
+const td = { padding: "8px", fontSize: 13, color: "#cbd5e1", borderBottom: "1px solid #1e293b" };
+
+// Symbol and type sizes in real units, from the declared (or PDF) label size:
+// measured vs. required for each physical check on the checklist.
+export default function MeasurementsPanel({ measurements }) {
+  const { labelSize, checks = [], error } = measurements;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Physical Size Checks</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        Label {labelSize.width} × {labelSize.height} {labelSize.unit}
+        {labelSize.source === "pdf" ? " (PDF page size)" : " (declared)"} · sizes are estimated from the image;
+        confirm borderline results on a printed proof
+      </div>
+
+      {error ? (
+        <div style={{ fontSize: 13, color: "#f87171" }}>{error}</div>
+      ) : checks.length === 0 ? (
+        <div style={{ fontSize: 13, color: "#94a3b8" }}>This checklist has no physical size requirements.</div>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={th}>Check</th>
+              <th style={th}>Measured</th>
+              <th style={th}>Required</th>
+              <th style={th}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {checks.map(c => (
+              <tr key={c.key}>
+                <td style={td}>{c.name}</td>
+                <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{c.measured ?? "Not found"}</td>
+                <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{c.required}</td>
+                <td style={{ ...td, color: STATUS_COLORS[c.status], fontWeight: 600, fontSize: 11,
+                  textTransform: "uppercase", letterSpacing: 1 }}>
+                  {c.status === "unverifiable" ? "Not measured" : c.status}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// Page numbers typed for a section: "2", "2,3" or "2-4". Null when blank;
+// throws on anything that is not a page list.
+function parsePages(text) {
+  const value = text.trim();
+  if (!value) return null;
+  const pages = [];
+  for (const part of value.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!m) throw new Error(`"${value}" is not a page number or range`);
+    const from = Number(m[1]);
+    const to = Number(m[2] || m[1]);
+    if (from < 1 || to < from) throw new Error(`"${value}" is not a page number or range`);
+    for (let n = from; n <= to; n++) pages.push(n);
+  }
+  return [...new Set(pages)];
+}
+
+// The `panels` body field for /api/analyze: sections of the current checklist
+// typed with the same pages share a panel. Undefined when none was mapped.
+export function panelsFromPages(pagesBySection, sections) {
+  const panels = new Map();
+  for (const section of sections) {
+    const pages = parsePages(pagesBySection[section] || "");
+    if (!pages) continue;
+    const key = pages.join(",");
+    if (!panels.has(key)) panels.set(key, { pages, sections: [] });
+    panels.get(key).sections.push(section);
+  }
+  return panels.size > 0 ? [...panels.values()] : undefined;
+}
+
+// Optional mapping of a multi-page dieline PDF's pages to checklist sections,
+// so each section is judged against the panel it belongs on.
+export default function PanelMapping({ sections, value, onChange }) {
+  const inputStyle = { width: 90, padding: "6px 8px", borderRadius: 6, border: "1px solid #334155",
+    background: "#0a0e17", color: "#e2e8f0", fontSize: 13, fontFamily: "'DM Mono', monospace" };
+
+  return (
+    <div style={{ marginTop: 12, padding: "12px 16px", border: "1px solid #1e293b", borderRadius: 10, background: "#0f172a" }}>
+      <div style={{ fontSize: 13, color: "#cbd5e1", fontWeight: 600 }}>
+        Panel Mapping <span style={{ color: "#64748b", fontWeight: 400 }}>(optional, multi-page dielines)</span>
+      </div>
+      <div style={{ fontSize: 12, color: "#64748b", marginTop: 2, marginBottom: 10 }}>
+        Enter the PDF page(s) each section appears on, e.g. 1 or 2-3. Mapped sections are checked against those pages only;
+        when any section is mapped, unmapped pages are not sent.
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))", gap: "6px 16px" }}>
+        {sections.map(name => (
+          <label key={name} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8,
+            fontSize: 12, color: "#94a3b8" }}>
+            <span>{name}</span>
+            <input value={value[name] || ""} placeholder="All pages"
+              onChange={e => onChange({ ...value, [name]: e.target.value })} style={inputStyle} />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
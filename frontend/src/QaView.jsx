@@ -0,0 +1,239 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch } from "./api";
+import CitationLink, { renderQaResponse } from "./CitationLink";
+
+const fieldStyle = {
+  padding: "10px 12px", borderRadius: 8, border: "1px solid #334155",
+  background: "#0f172a", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif",
+};
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+}
+
+// `sources` are the citations of the regulation text the answer was given.
+function Answer({ text, sources = [], regulations, onOpenCitation }) {
+  const rendered = renderQaResponse(text, onOpenCitation, regulations);
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 24 }}>
+      <div style={{ whiteSpace: "pre-wrap", fontSize: 15, lineHeight: 1.8, color: "#cbd5e1",
+        fontFamily: "'DM Sans', sans-serif" }}>
+        {rendered.parts}
+      </div>
+      {rendered.citations.length > 0 && (
+        <div style={{ marginTop: 20, paddingTop: 16, borderTop: "1px solid #1e293b" }}>
+          <div style={{ fontSize: 11, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+            letterSpacing: 1, marginBottom: 10 }}>Referenced Regulations</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+            {rendered.citations.map((c, i) => (
+              <CitationLink key={i} citation={c} onOpen={onOpenCitation} />
+            ))}
+          </div>
+        </div>
+      )}
+      {sources.length > 0 ? (
+        <div style={{ marginTop: 12, fontSize: 11, color: "#64748b" }}>
+          Regulation text provided:
+          {sources.map((c, i) => <CitationLink key={i} citation={c} onOpen={onOpenCitation} />)}
+        </div>
+      ) : (
+        <div style={{ marginTop: 12, fontSize: 11, color: "#c49a2a" }}>
+          No regulation text matched this question; the answer rests on summaries. Check it against the official text.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Threaded compliance Q&A. Conversations are saved per user; one started with
+// `review` set ({ reviewId, productName }) is about that label review.
+// `jurisdiction` is App's, so the regulation modal uses the conversation's pack.
+export default function QaView({ jurisdictions, jurisdiction, onJurisdiction, regulations, review, loadedReview,
+  onReview, onOpenCitation, onApiError }) {
+  const [conversations, setConversations] = useState([]);
+  const [conversation, setConversation] = useState(null);
+  const [question, setQuestion] = useState("");
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const endRef = useRef(null);
+
+  const loadConversations = () => apiFetch("/api/conversations")
+    .then(data => setConversations(data.conversations))
+    .catch(onApiError);
+
+  useEffect(() => { loadConversations(); }, []);
+
+  // A review picked on a report starts a new conversation about it.
+  useEffect(() => {
+    if (review) setConversation(null);
+  }, [review?.reviewId]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: "smooth", block: "end" });
+  }, [conversation?.turns.length, pending]);
+
+  const fail = (err) => {
+    if (err.status === 401) return onApiError(err);
+    setError(err.message);
+  };
+
+  const open = async (id) => {
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/conversations/${id}`);
+      onJurisdiction(data.packId);
+      onReview(null);
+      setConversation(data);
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const startNew = () => {
+    setConversation(null);
+    setError(null);
+    onReview(null);
+  };
+
+  const ask = async () => {
+    const text = question.trim();
+    if (!text || pending) return;
+    setPending(text);
+    setError(null);
+    try {
+      const current = conversation || await apiFetch("/api/conversations", {
+        method: "POST",
+        body: review ? { reviewId: review.reviewId } : { jurisdiction },
+      });
+      setConversation(current);
+      onJurisdiction(current.packId);
+      setConversation(await apiFetch(`/api/conversations/${current.id}/messages`, {
+        method: "POST", body: { question: text },
+      }));
+      setQuestion("");
+      loadConversations();
+    } catch (err) {
+      fail(err);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const about = conversation ? conversation.productName : review?.productName;
+  const packName = id => jurisdictions.find(j => j.packId === id)?.jurisdiction.name || id;
+  const activePack = jurisdictions.find(j => j.packId === (conversation ? conversation.packId : jurisdiction));
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "240px 1fr", gap: 24, alignItems: "start" }}>
+      <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, overflow: "hidden" }}>
+        <button onClick={startNew}
+          style={{ width: "100%", padding: "12px 16px", border: "none", borderBottom: "1px solid #1e293b",
+            background: "transparent", color: "#22c55e", cursor: "pointer", fontSize: 13, fontWeight: 600,
+            textAlign: "left" }}>
+          + New Conversation
+        </button>
+        {conversations.length === 0 && (
+          <div style={{ padding: 16, fontSize: 12, color: "#64748b" }}>Your conversations are saved here.</div>
+        )}
+        {conversations.map(c => (
+          <button key={c.id} onClick={() => open(c.id)}
+            style={{ display: "block", width: "100%", padding: "10px 16px", border: "none",
+              borderBottom: "1px solid #1e293b", textAlign: "left", cursor: "pointer",
+              background: conversation?.id === c.id ? "#052e1640" : "transparent" }}>
+            <div style={{ fontSize: 13, color: "#e2e8f0", overflow: "hidden", textOverflow: "ellipsis",
+              whiteSpace: "nowrap" }}>{c.title}</div>
+            <div style={{ fontSize: 11, color: "#64748b", marginTop: 2 }}>
+              {formatDate(c.updatedAt)} · {c.questionCount} question{c.questionCount === 1 ? "" : "s"}
+              {c.productName && ` · ${c.productName}`}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+          Ask a Compliance Question</h2>
+        <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 16 }}>
+          Ask anything about labeling, packaging or operational compliance. Follow-up questions keep the context of
+          the conversation.</p>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 20, fontSize: 13 }}>
+          {conversation || review ? (
+            <span style={{ color: "#64748b" }}>
+              {packName(conversation ? conversation.packId : jurisdiction)}
+            </span>
+          ) : jurisdictions.length > 1 && (
+            <select value={jurisdiction} onChange={e => onJurisdiction(e.target.value)}
+              title="Jurisdiction whose regulations the answers cite" style={fieldStyle}>
+              {jurisdictions.map(j => <option key={j.packId} value={j.packId}>{j.jurisdiction.name}</option>)}
+            </select>
+          )}
+          {about && (
+            <span style={{ padding: "4px 10px", borderRadius: 6, border: "1px solid #22c55e40",
+              background: "#052e1620", color: "#22c55e" }}>
+              About label: {about}
+              {!conversation && (
+                <button onClick={() => onReview(null)} title="Ask a general question instead"
+                  style={{ marginLeft: 8, padding: 0, border: "none", background: "transparent",
+                    color: "#94a3b8", cursor: "pointer" }}>✕</button>
+              )}
+            </span>
+          )}
+          {!conversation && !review && loadedReview && (
+            <button onClick={() => onReview(loadedReview)}
+              style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+                background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12 }}>
+              Ask about {loadedReview.productName}
+            </button>
+          )}
+        </div>
+
+        {activePack?.corpus && !activePack.corpus.fullText && (
+          <div style={{ marginTop: -8, marginBottom: 20, fontSize: 12, color: "#64748b" }}>
+            {activePack.corpus.sources.length > 0
+              ? `Only part of the ${activePack.jurisdiction.name} regulations is bundled (${activePack.corpus.sources.map(s => s.title).join("; ")}). `
+                + `No full text for ${activePack.corpus.missing.join(", ")}; answers on those rest on summaries.`
+              : `No ${activePack.jurisdiction.name} regulation text is bundled; answers rest on summaries.`}
+          </div>
+        )}
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 16, marginBottom: 20 }}>
+          {conversation?.turns.map((turn, i) => (turn.role === "user" ? (
+            <div key={i} style={{ alignSelf: "flex-end", maxWidth: "80%", padding: "10px 16px", borderRadius: 12,
+              background: "#1e293b", color: "#f8fafc", fontSize: 14, whiteSpace: "pre-wrap" }}>{turn.content}</div>
+          ) : (
+            <Answer key={i} text={turn.content} sources={turn.sources} regulations={regulations}
+              onOpenCitation={onOpenCitation} />
+          )))}
+          {pending && (
+            <div style={{ alignSelf: "flex-end", maxWidth: "80%", padding: "10px 16px", borderRadius: 12,
+              background: "#1e293b", color: "#94a3b8", fontSize: 14, whiteSpace: "pre-wrap" }}>{pending}</div>
+          )}
+          <div ref={endRef} />
+        </div>
+
+        {error && (
+          <div style={{ marginBottom: 16, padding: 16, background: "#350a0a", border: "1px solid #7f1d1d",
+            borderRadius: 8, color: "#f87171", fontSize: 14 }}>{error}</div>
+        )}
+
+        <div style={{ display: "flex", gap: 8 }}>
+          <input value={question} onChange={e => setQuestion(e.target.value)}
+            onKeyDown={e => e.key === "Enter" && ask()}
+            placeholder={about ? "e.g., Why did e3f fail, and what wording would pass?"
+              : conversation ? "Ask a follow-up question" : "e.g., What are the THC limits for adult-use edibles?"}
+            style={{ flex: 1, padding: "12px 16px", borderRadius: 8, border: "1px solid #334155",
+              background: "#0f172a", color: "#e2e8f0", fontSize: 14, outline: "none",
+              fontFamily: "'DM Sans', sans-serif" }} />
+          <button onClick={ask} disabled={Boolean(pending) || !question.trim()}
+            style={{ padding: "12px 24px", borderRadius: 8, border: "none",
+              background: pending ? "#1e293b" : "linear-gradient(135deg, #22c55e, #16a34a)",
+              color: "#fff", fontWeight: 600, fontSize: 14, cursor: "pointer" }}>
+            {pending ? "Thinking..." : "Ask"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState, useEffect } from "react";
+import { apiFetch, apiFetchBlob } from "./api";
+import { scoreToGrade } from "./grades";
+
+const STATUS_LABELS = { pass: "Pass", fail: "Fail", warning: "Warning", unverifiable: "Unverifiable" };
+const STATUS_COLORS = { pass: "#22c55e", fail: "#ef4444", warning: "#c49a2a", unverifiable: "#94a3b8" };
+
+function StatusChip({ status }) {
+  return (
+    <span style={{ fontSize: 10, fontWeight: 600, color: STATUS_COLORS[status], textTransform: "uppercase",
+      letterSpacing: 1, fontFamily: "'DM Mono', monospace" }}>{STATUS_LABELS[status]}</span>
+  );
+}
+
+function ChangeList({ title, color, changes, empty }) {
+  return (
+    <div style={{ flex: 1, minWidth: 260 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color, textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 10 }}>{title} ({changes.length})</div>
+      {changes.length === 0 ? (
+        <div style={{ fontSize: 13, color: "#64748b" }}>{empty}</div>
+      ) : changes.map(c => (
+        <div key={c.id} style={{ padding: "8px 0", borderBottom: "1px solid #1e293b" }}>
+          <div style={{ fontSize: 13, color: "#cbd5e1", lineHeight: 1.5 }}>
+            <span style={{ fontFamily: "'DM Mono', monospace", color: "#64748b", marginRight: 6 }}>{c.id}</span>
+            {c.text}
+          </div>
+          <div style={{ marginTop: 2 }}>
+            <StatusChip status={c.from} /> <span style={{ color: "#475569", fontSize: 11 }}>→</span> <StatusChip status={c.to} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// What changed between this review and the one it revises: score movement,
+// the two label versions side by side, and the checklist items that flipped.
+export default function RevisionDiff({ comparison, revision, currentPreview, onApiError }) {
+  const [previousPreview, setPreviousPreview] = useState(null);
+
+  useEffect(() => {
+    let objectUrl;
+    apiFetch(`/api/reviews/${comparison.previousReviewId}`)
+      .then(async (prev) => {
+        if (!prev.file.mediaType.startsWith("image/")) {
+          setPreviousPreview({ type: "pdf", name: prev.file.name });
+          return;
+        }
+        objectUrl = URL.createObjectURL(await apiFetchBlob(`/api/reviews/${prev.id}/file`));
+        setPreviousPreview({ type: "image", data: objectUrl });
+      })
+      .catch(onApiError);
+    return () => objectUrl && URL.revokeObjectURL(objectUrl);
+  }, [comparison.previousReviewId]);
+
+  const { from, to, delta } = comparison.score;
+  const deltaColor = delta > 0 ? "#22c55e" : delta < 0 ? "#ef4444" : "#94a3b8";
+
+  const preview = (p, label) => (
+    <div style={{ flex: 1, textAlign: "center" }}>
+      <div style={{ fontSize: 11, color: "#64748b", textTransform: "uppercase", letterSpacing: 1, marginBottom: 6 }}>{label}</div>
+      <div style={{ display: "inline-block", border: "1px solid #2a3a5c", borderRadius: 8, overflow: "hidden", maxWidth: 260 }}>
+        {p?.type === "image" ? (
+          <img src={p.data} alt={label} style={{ display: "block", width: "100%", maxWidth: 260 }} />
+        ) : (
+          <div style={{ padding: 20, background: "#0f172a", fontSize: 12, color: "#94a3b8", wordBreak: "break-all" }}>
+            <div style={{ fontSize: 36 }}>📄</div>{p?.name || "Loading..."}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e3a8a", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#93c5fd", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Revision {revision} vs. Revision {comparison.previousRevision}</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        Compared with report <span style={{ fontFamily: "'DM Mono', monospace" }}>{comparison.previousReportId}</span>
+        {" "}from {new Date(comparison.previousCreatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "center", gap: 20, marginBottom: 20,
+        fontFamily: "'DM Mono', monospace" }}>
+        <span style={{ fontSize: 28, fontWeight: 700, color: from != null ? scoreToGrade(from).color : "#64748b" }}>
+          {from != null ? scoreToGrade(from).grade : "—"}</span>
+        <span style={{ fontSize: 18, color: "#475569" }}>→</span>
+        <span style={{ fontSize: 28, fontWeight: 700, color: to != null ? scoreToGrade(to).color : "#64748b" }}>
+          {to != null ? scoreToGrade(to).grade : "—"}</span>
+        {delta != null && (
+          <span style={{ fontSize: 14, fontWeight: 600, color: deltaColor }}>
+            {from} → {to} ({delta > 0 ? "+" : ""}{delta})</span>
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 16, marginBottom: 20 }}>
+        {preview(previousPreview, `Revision ${comparison.previousRevision}`)}
+        {preview(currentPreview, `Revision ${revision}`)}
+      </div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap" }}>
+        <ChangeList title="✓ Fixed" color="#22c55e" changes={comparison.improved} empty="No items improved." />
+        <ChangeList title="✕ Regressed" color="#f87171" changes={comparison.regressed} empty="No items got worse." />
+      </div>
+      <div style={{ fontSize: 12, color: "#64748b", marginTop: 12 }}>
+        {comparison.unchanged} item{comparison.unchanged === 1 ? "" : "s"} unchanged</div>
+    </div>
+  );
+}
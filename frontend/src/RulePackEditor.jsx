@@ -0,0 +1,395 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api";
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const fieldStyle = {
+  padding: "8px 10px", borderRadius: 6, border: "1px solid #334155",
+  background: "#0a0e17", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif", width: "100%", boxSizing: "border-box",
+};
+
+const labelStyle = {
+  fontSize: 10, color: "#64748b", textTransform: "uppercase", letterSpacing: 0.5, marginBottom: 4,
+};
+
+const smallButton = {
+  padding: "6px 12px", borderRadius: 6, border: "1px solid #334155",
+  background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 12,
+};
+
+// Prompt text beyond expertise/scope/requirements: the jurisdiction-specific
+// examples and label-type wording woven into the evaluation instructions.
+const PROMPT_FIELDS = [
+  { key: "citationExamples", label: "Citation examples" },
+  { key: "criticalIssueExample", label: "Example critical issue" },
+  { key: "recommendationExample", label: "Example recommendation" },
+  { key: "evaluationNotes", label: "Extra evaluation notes", rows: 2 },
+  { key: "packagingScope", label: "Packaging label evaluates only …" },
+  { key: "complianceLabelFields", label: "Compliance label fields", rows: 2 },
+  { key: "complianceLabelSummary", label: "Compliance label summary (consolidated warning)", rows: 2 },
+  { key: "complianceLabelCitation", label: "Compliance label citation" },
+];
+
+const panelStyle = { background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 };
+
+const sectionTitle = {
+  fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase", letterSpacing: 1, marginBottom: 12,
+};
+
+// The editable part of a pack; version metadata is assigned by the server.
+// `basedOnBundledVersion` carries over which shipped version the edits are on.
+function toDraft(pack) {
+  return JSON.parse(JSON.stringify({
+    basedOnBundledVersion: pack.basedOnBundledVersion,
+    name: pack.name,
+    effectiveDate: pack.effectiveDate,
+    useModes: pack.useModes,
+    prompt: pack.prompt,
+    regulations: pack.regulations,
+    checklists: pack.checklists,
+  }));
+}
+
+// Admin editor for the organization's rule pack for one jurisdiction at a
+// time: checklist items, severities and citations, the regulation reference
+// texts and the regulatory part of the analysis prompt. Every save creates a
+// new version.
+export default function RulePackEditor({ productTypes, jurisdictions, onSaved, onApiError }) {
+  const [packId, setPackId] = useState("ca-dcc");
+  const [active, setActive] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [loadedVersion, setLoadedVersion] = useState(null);
+  const [typeId, setTypeId] = useState(productTypes[0].id);
+  const [note, setNote] = useState("");
+  const [newCitation, setNewCitation] = useState("");
+  const [showPrompt, setShowPrompt] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const load = () => Promise.all([apiFetch(`/api/rulepacks/${packId}/active`), apiFetch(`/api/rulepacks/${packId}/versions`)])
+    .then(([pack, list]) => {
+      setActive(pack);
+      setDraft(toDraft(pack));
+      setLoadedVersion(pack.version);
+      setVersions(list.versions);
+      setTypeId(t => (pack.checklists[t] ? t : Object.keys(pack.checklists)[0]));
+    })
+    .catch(onApiError);
+
+  useEffect(() => {
+    setMessage(null);
+    load();
+  }, [packId]);
+
+  if (!draft) return <div style={{ color: "#64748b", fontSize: 14 }}>Loading rule pack...</div>;
+
+  const checklist = draft.checklists[typeId];
+  const typeIds = [...new Set([...productTypes.map(pt => pt.id), ...Object.keys(draft.checklists)])]
+    .filter(id => draft.checklists[id]);
+  const typeLabel = (id) => productTypes.find(pt => pt.id === id)?.label || id;
+  const bundledDate = versions.find(v => v.bundled)?.effectiveDate;
+
+  // Every edit goes through here: clone, mutate the clone, store it.
+  const edit = (mutate) => {
+    setDraft(d => {
+      const next = JSON.parse(JSON.stringify(d));
+      mutate(next);
+      return next;
+    });
+    setMessage(null);
+  };
+  const editItem = (si, ii, field, value) => edit(d => { d.checklists[typeId].sections[si].items[ii][field] = value; });
+  // "" means the item applies in every use mode.
+  const editItemMode = (si, ii, mode) => edit(d => {
+    const item = d.checklists[typeId].sections[si].items[ii];
+    if (mode) item.modes = [mode];
+    else delete item.modes;
+  });
+  // THC caps are per product type; they are edited for the checklist selected above.
+  const editLimit = (modeId, basis, value) => edit(d => {
+    const mode = d.useModes[modeId];
+    mode.thcLimits = { ...mode.thcLimits, [typeId]: { ...mode.thcLimits?.[typeId], [basis]: value === "" ? null : Number(value) } };
+  });
+
+  const addItem = (si) => {
+    const id = window.prompt("New item id (letters and digits, unique within this checklist):");
+    if (!id) return;
+    edit(d => { d.checklists[typeId].sections[si].items.push({ id: id.trim(), text: "", reg: "", severity: "medium" }); });
+  };
+
+  const addSection = () => {
+    const name = window.prompt("Section name:");
+    if (!name) return;
+    edit(d => { d.checklists[typeId].sections.push({ name: name.trim(), items: [] }); });
+  };
+
+  const addCitation = () => {
+    const citation = newCitation.trim();
+    if (!citation || draft.regulations[citation]) return;
+    edit(d => { d.regulations[citation] = { title: "", description: "", url: "" }; });
+    setNewCitation("");
+  };
+
+  const loadVersion = async (version, bundled = false) => {
+    try {
+      const pack = await apiFetch(bundled ? `/api/rulepacks/${packId}/bundled` : `/api/rulepacks/${packId}/versions/${version}`);
+      setDraft(toDraft(pack));
+      setLoadedVersion(pack.version);
+      setMessage({
+        ok: true,
+        text: bundled && pack.version !== active.basedOnBundledVersion
+          ? `Loaded the shipped v${pack.version} into the editor. Re-apply your organization's edits, then save to grade new reviews against it.`
+          : `Loaded v${pack.version} into the editor. Saving creates a new version from it.`,
+      });
+    } catch (err) {
+      onApiError(err);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const saved = await apiFetch(`/api/rulepacks/${packId}`, { method: "POST", body: { ...draft, note } });
+      setNote("");
+      await load();
+      onSaved(saved);
+      setMessage({ ok: true, text: `Saved as v${saved.version}. New reviews are graded against it.` });
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setMessage({ ok: false, text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, marginBottom: 8 }}>
+        <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc" }}>
+          Rule Pack</h2>
+        <select value={packId} onChange={e => setPackId(e.target.value)} style={{ ...fieldStyle, width: "auto" }}>
+          {jurisdictions.map(j => <option key={j.packId} value={j.packId}>{j.jurisdiction.name}</option>)}
+        </select>
+      </div>
+      <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+        {active.name} · active version <span style={{ fontFamily: "'DM Mono', monospace", color: "#22c55e" }}>v{active.version}</span>
+        {loadedVersion !== active.version && <> · editing a copy of v{loadedVersion}</>}
+      </p>
+
+      {active.basedOnBundledVersion < active.bundledVersion && (
+        <div style={{ ...panelStyle, display: "flex", alignItems: "center", gap: 12, borderColor: "#c49a2a60",
+          background: "#c49a2a10", fontSize: 13, color: "#e2e8f0" }}>
+          <span style={{ flex: 1 }}>
+            v{active.version} was edited from the shipped pack v{active.basedOnBundledVersion}. The app now ships
+            v{active.bundledVersion} (effective {bundledDate || "…"}), whose checklist changes your organization's
+            version doesn't include.
+          </span>
+          <button onClick={() => loadVersion(active.bundledVersion, true)} style={smallButton}>
+            Load shipped v{active.bundledVersion}</button>
+        </div>
+      )}
+
+      {/* Pack details */}
+      <div style={{ ...panelStyle, display: "grid", gridTemplateColumns: "2fr 1fr", gap: 12 }}>
+        <div>
+          <div style={labelStyle}>Name</div>
+          <input value={draft.name} onChange={e => edit(d => { d.name = e.target.value; })} style={fieldStyle} />
+        </div>
+        <div>
+          <div style={labelStyle}>Effective date</div>
+          <input type="date" value={draft.effectiveDate || ""} onChange={e => edit(d => { d.effectiveDate = e.target.value; })}
+            style={fieldStyle} />
+        </div>
+      </div>
+
+      {/* Checklist items */}
+      <div style={panelStyle}>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 16 }}>
+          {typeIds.map(id => (
+            <button key={id} onClick={() => setTypeId(id)}
+              style={{ ...smallButton, border: typeId === id ? "1px solid #22c55e" : smallButton.border,
+                color: typeId === id ? "#22c55e" : smallButton.color }}>
+              {typeLabel(id)}
+            </button>
+          ))}
+        </div>
+        <div style={{ marginBottom: 16 }}>
+          <div style={labelStyle}>Checklist title</div>
+          <input value={checklist.title} onChange={e => edit(d => { d.checklists[typeId].title = e.target.value; })}
+            style={fieldStyle} />
+        </div>
+
+        {checklist.sections.map((section, si) => (
+          <div key={si} style={{ marginBottom: 20 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <input value={section.name} onChange={e => edit(d => { d.checklists[typeId].sections[si].name = e.target.value; })}
+                style={{ ...fieldStyle, width: "auto", flex: 1, fontWeight: 600, marginRight: 8 }} />
+              <button onClick={() => addItem(si)} style={smallButton}>+ Item</button>
+            </div>
+            {section.items.map((item, ii) => (
+              <div key={`${item.id}-${ii}`} style={{ display: "grid", gridTemplateColumns: "60px 1fr 170px 120px 100px 80px", gap: 8,
+                alignItems: "center", padding: "6px 0", borderBottom: "1px solid #1e293b", opacity: item.retired ? 0.45 : 1 }}>
+                <span style={{ fontFamily: "'DM Mono', monospace", fontSize: 12, color: "#64748b" }}>{item.id}</span>
+                <input value={item.text} onChange={e => editItem(si, ii, "text", e.target.value)} placeholder="Requirement"
+                  style={fieldStyle} />
+                <input value={item.reg} onChange={e => editItem(si, ii, "reg", e.target.value)} placeholder="Citation"
+                  style={{ ...fieldStyle, fontFamily: "'DM Mono', monospace", fontSize: 12 }} />
+                <select value={item.modes?.length === 1 ? item.modes[0] : ""} onChange={e => editItemMode(si, ii, e.target.value)}
+                  title="Use mode this item applies to" style={fieldStyle}>
+                  <option value="">All modes</option>
+                  {Object.entries(draft.useModes).map(([id, mode]) => <option key={id} value={id}>{mode.label} only</option>)}
+                </select>
+                <select value={item.severity} onChange={e => editItem(si, ii, "severity", e.target.value)} style={fieldStyle}>
+                  {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <button onClick={() => editItem(si, ii, "retired", !item.retired)} style={smallButton}
+                  title={item.retired ? "Bring this item back into reviews" : "Stop checking this item in new reviews"}>
+                  {item.retired ? "Restore" : "Retire"}
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+        <button onClick={addSection} style={smallButton}>+ Section</button>
+      </div>
+
+      {/* Use modes */}
+      <div style={panelStyle}>
+        <div style={sectionTitle}>Use Modes</div>
+        <div style={{ fontSize: 12, color: "#64748b", marginBottom: 8 }}>THC caps shown are for {typeLabel(typeId)}.</div>
+        {Object.entries(draft.useModes).map(([id, mode]) => (
+          <div key={id} style={{ display: "grid", gridTemplateColumns: "140px 1fr 200px", gap: 8,
+            padding: "8px 0", borderBottom: "1px solid #1e293b" }}>
+            <input value={mode.label} onChange={e => edit(d => { d.useModes[id].label = e.target.value; })}
+              style={{ ...fieldStyle, fontWeight: 600, alignSelf: "start" }} />
+            <textarea value={mode.assumption} rows={2}
+              onChange={e => edit(d => { d.useModes[id].assumption = e.target.value; })}
+              placeholder="What the review assumes in this mode (shown in the report and sent to the model)"
+              style={{ ...fieldStyle, resize: "vertical" }} />
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, alignSelf: "start" }}>
+              {["serving", "package"].map(basis => (
+                <div key={basis}>
+                  <div style={labelStyle}>THC mg / {basis}</div>
+                  <input type="number" min="0" value={mode.thcLimits?.[typeId]?.[basis] ?? ""} placeholder="No cap"
+                    onChange={e => editLimit(id, basis, e.target.value)} style={fieldStyle} />
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Regulation references */}
+      <div style={panelStyle}>
+        <div style={sectionTitle}>Regulation References</div>
+        {Object.entries(draft.regulations).map(([citation, ref]) => (
+          <div key={citation} style={{ display: "grid", gridTemplateColumns: "140px 1fr 60px", gap: 8,
+            padding: "8px 0", borderBottom: "1px solid #1e293b" }}>
+            <span style={{ fontFamily: "'DM Mono', monospace", fontSize: 12, color: "#22c55e", paddingTop: 8 }}>{citation}</span>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              <input value={ref.title} onChange={e => edit(d => { d.regulations[citation].title = e.target.value; })}
+                placeholder="Title" style={{ ...fieldStyle, fontWeight: 600 }} />
+              <textarea value={ref.description} rows={2}
+                onChange={e => edit(d => { d.regulations[citation].description = e.target.value; })}
+                placeholder="Summary shown when the citation is clicked" style={{ ...fieldStyle, resize: "vertical" }} />
+              <input value={ref.url || ""} onChange={e => edit(d => { d.regulations[citation].url = e.target.value; })}
+                placeholder="Link to the regulation text (optional)" style={{ ...fieldStyle, fontSize: 12 }} />
+            </div>
+            <button onClick={() => edit(d => { delete d.regulations[citation]; })} style={{ ...smallButton, alignSelf: "start" }}>
+              Remove
+            </button>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <input value={newCitation} onChange={e => setNewCitation(e.target.value)} placeholder="New citation, e.g. §17411"
+            style={{ ...fieldStyle, width: 240 }} />
+          <button onClick={addCitation} style={smallButton}>+ Citation</button>
+        </div>
+      </div>
+
+      {/* Regulatory prompt text */}
+      <div style={panelStyle}>
+        <button onClick={() => setShowPrompt(s => !s)}
+          style={{ ...sectionTitle, marginBottom: showPrompt ? 12 : 0, background: "transparent", border: "none",
+            cursor: "pointer", padding: 0 }}>
+          {showPrompt ? "▲" : "▼"} Regulatory Prompt Text
+        </button>
+        {showPrompt && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+            <div>
+              <div style={labelStyle}>Expertise ("a compliance expert specializing in …")</div>
+              <input value={draft.prompt.expertise} onChange={e => edit(d => { d.prompt.expertise = e.target.value; })}
+                style={fieldStyle} />
+            </div>
+            <div>
+              <div style={labelStyle}>Regulations in scope</div>
+              <textarea value={draft.prompt.scope} rows={6} onChange={e => edit(d => { d.prompt.scope = e.target.value; })}
+                style={{ ...fieldStyle, resize: "vertical", fontFamily: "'DM Mono', monospace", fontSize: 12 }} />
+            </div>
+            <div>
+              <div style={labelStyle}>Key requirements</div>
+              <textarea value={draft.prompt.requirements} rows={14}
+                onChange={e => edit(d => { d.prompt.requirements = e.target.value; })}
+                style={{ ...fieldStyle, resize: "vertical", fontFamily: "'DM Mono', monospace", fontSize: 12 }} />
+            </div>
+            {PROMPT_FIELDS.map(f => (
+              <div key={f.key}>
+                <div style={labelStyle}>{f.label}</div>
+                {f.rows ? (
+                  <textarea value={draft.prompt[f.key] || ""} rows={f.rows}
+                    onChange={e => edit(d => { d.prompt[f.key] = e.target.value; })}
+                    style={{ ...fieldStyle, resize: "vertical" }} />
+                ) : (
+                  <input value={draft.prompt[f.key] || ""} onChange={e => edit(d => { d.prompt[f.key] = e.target.value; })}
+                    style={fieldStyle} />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Save */}
+      <div style={{ ...panelStyle, display: "flex", gap: 12, alignItems: "flex-end" }}>
+        <div style={{ flex: 1 }}>
+          <div style={labelStyle}>What changed</div>
+          <input value={note} onChange={e => setNote(e.target.value)} placeholder="e.g. Retire e7e, update §17407 summary"
+            style={fieldStyle} />
+        </div>
+        <button onClick={save} disabled={saving}
+          style={{ padding: "10px 24px", borderRadius: 8, border: "none",
+            background: saving ? "#334155" : "linear-gradient(135deg, #22c55e, #16a34a)",
+            color: "#fff", fontWeight: 700, fontSize: 14, cursor: saving ? "default" : "pointer" }}>
+          {saving ? "Saving..." : `Save as v${Math.max(active.version, active.bundledVersion) + 1}`}
+        </button>
+      </div>
+      {message && (
+        <div style={{ marginTop: -12, marginBottom: 24, fontSize: 13, color: message.ok ? "#22c55e" : "#f87171" }}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Version history */}
+      <div style={panelStyle}>
+        <div style={sectionTitle}>Version History</div>
+        {versions.map(v => (
+          <div key={`${v.bundled}-${v.version}`} style={{ display: "flex", alignItems: "center", gap: 12, padding: "8px 0",
+            borderBottom: "1px solid #1e293b", fontSize: 13 }}>
+            <span style={{ fontFamily: "'DM Mono', monospace", color: v.version === active.version && v.bundled === !active.createdBy ? "#22c55e" : "#94a3b8", width: 40 }}>
+              v{v.version}</span>
+            <span style={{ flex: 1, color: "#cbd5e1" }}>{v.note || "—"}</span>
+            <span style={{ color: "#64748b", fontSize: 12 }}>
+              {v.createdBy
+                ? `${v.createdBy.name} · ${new Date(v.createdAt).toLocaleDateString()} · from shipped v${v.basedOnBundledVersion}`
+                : "Shipped with the app"}
+            </span>
+            <button onClick={() => loadVersion(v.version, v.bundled)} style={smallButton}>Load</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
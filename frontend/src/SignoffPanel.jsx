@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { apiFetch } from "./api";
+
+const DECISION_STYLES = {
+  approved: { label: "Approved for Print", color: "#22c55e", bg: "#052e1630", border: "#166534" },
+  rejected: { label: "Rejected", color: "#f87171", bg: "#350a0a", border: "#7f1d1d" },
+};
+
+export function formatSignoff(signoff) {
+  const when = new Date(signoff.decidedAt).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+  return `${DECISION_STYLES[signoff.decision].label} by ${signoff.decidedBy.name} on ${when}`;
+}
+
+// Approver sign-off for the current report. Reviewers see the recorded
+// decision (if any) but cannot make one.
+export default function SignoffPanel({ user, reviewId, signoff, onSignoff, onApiError }) {
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const canSignOff = user.role === "approver" || user.role === "admin";
+
+  const decide = async (decision) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await apiFetch('/api/signoffs', {
+        method: "POST",
+        body: { reviewId, decision, comment },
+      });
+      onSignoff(saved);
+      setComment("");
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const current = signoff && DECISION_STYLES[signoff.decision];
+
+  return (
+    <div style={{ background: current ? current.bg : "#0f172a", border: `1px solid ${current ? current.border : "#1e293b"}`,
+      borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 10 }}>Sign-Off</div>
+
+      {signoff ? (
+        <div style={{ marginBottom: canSignOff ? 16 : 0 }}>
+          <div style={{ fontSize: 15, fontWeight: 700, color: current.color }}>{formatSignoff(signoff)}</div>
+          {signoff.comment && (
+            <div style={{ fontSize: 13, color: "#cbd5e1", marginTop: 6, lineHeight: 1.5 }}>“{signoff.comment}”</div>
+          )}
+        </div>
+      ) : (
+        <div style={{ fontSize: 13, color: "#94a3b8", marginBottom: canSignOff ? 16 : 0 }}>
+          {canSignOff ? "Not yet signed off." : "Awaiting sign-off from an approver."}
+        </div>
+      )}
+
+      {canSignOff && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <input value={comment} onChange={e => setComment(e.target.value)}
+            placeholder="Comment (optional)"
+            style={{ flex: 1, minWidth: 200, padding: "8px 12px", borderRadius: 6, border: "1px solid #334155",
+              background: "#0a0e17", color: "#e2e8f0", fontSize: 13, outline: "none",
+              fontFamily: "'DM Sans', sans-serif" }} />
+          <button onClick={() => decide("approved")} disabled={saving}
+            style={{ padding: "8px 16px", borderRadius: 6, border: "none",
+              background: "linear-gradient(135deg, #22c55e, #16a34a)", color: "#fff",
+              cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
+            ✓ Approve for Print
+          </button>
+          <button onClick={() => decide("rejected")} disabled={saving}
+            style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #7f1d1d",
+              background: "transparent", color: "#f87171", cursor: "pointer", fontSize: 13, fontWeight: 600 }}>
+            ✕ Reject
+          </button>
+        </div>
+      )}
+      {error && <div style={{ marginTop: 10, fontSize: 13, color: "#f87171" }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import { useRef, useState } from "react";
+import { apiFetch } from "./api";
+import { parseCsvRecords } from "./csv";
+import { scoreToGrade } from "./grades";
+
+// Sticker fields, in form order. `number` fields go to the backend as numbers.
+const FIELDS = [
+  { key: "productName", label: "Product name", required: true, wide: true },
+  { key: "licensee", label: "Licensee name", required: true },
+  { key: "licenseNumber", label: "License #" },
+  { key: "contact", label: "Phone or website", required: true },
+  { key: "batch", label: "Batch #", required: true },
+  { key: "uid", label: "UID #" },
+  { key: "packageDate", label: "Package date", required: true },
+  { key: "expirationDate", label: "Expiration date" },
+  { key: "netWeight", label: "Net weight", placeholder: "e.g. 40 g (1.41 oz)" },
+  { key: "servings", label: "Servings / package", number: true },
+  { key: "totalThcPercent", label: "Total THC %", number: true },
+  { key: "totalCbdPercent", label: "Total CBD %", number: true },
+  { key: "thcPerServing", label: "THC mg / serving", number: true },
+  { key: "thcPerPackage", label: "THC mg / package", number: true },
+  { key: "cbdPerServing", label: "CBD mg / serving", number: true },
+  { key: "cbdPerPackage", label: "CBD mg / package", number: true },
+  { key: "ingredients", label: "Ingredients", wide: true, multiline: true },
+  { key: "allergens", label: "Allergens (Contains:)", wide: true, placeholder: "e.g. milk, soy" },
+];
+
+const EMPTY_FIELDS = Object.fromEntries(FIELDS.map(f => [f.key, ""]));
+
+// CSV header → sticker field, one row per SKU.
+const CSV_COLUMNS = [
+  { field: "productName", pattern: /^(product|name|sku)/ },
+  { field: "licenseNumber", pattern: /^licen[cs]e (#|no|num)/ },
+  { field: "licensee", pattern: /^(licensee|manufacturer|brand owner)/ },
+  { field: "contact", pattern: /^(contact|phone|website)/ },
+  { field: "batch", pattern: /^(batch|lot)/ },
+  { field: "uid", pattern: /^(uid|metrc|package tag)/ },
+  { field: "packageDate", pattern: /^(package date|packaged|packaging date)/ },
+  { field: "expirationDate", pattern: /^(expir|best by|use by)/ },
+  { field: "netWeight", pattern: /^net (wt|weight)/ },
+  { field: "servings", pattern: /^servings/ },
+  { field: "totalThcPercent", pattern: /^total thc/ },
+  { field: "totalCbdPercent", pattern: /^total cbd/ },
+  { field: "thcPerServing", pattern: /^thc.*serving/ },
+  { field: "thcPerPackage", pattern: /^thc.*(package|pkg)/ },
+  { field: "cbdPerServing", pattern: /^cbd.*serving/ },
+  { field: "cbdPerPackage", pattern: /^cbd.*(package|pkg)/ },
+  { field: "ingredients", pattern: /^ingredient/ },
+  { field: "allergens", pattern: /^(allergen|contains)/ },
+];
+
+// The body for /api/stickers from the form. Throws on numbers that don't parse.
+export function stickerFromInput({ jurisdiction, productType, useMode, fields, size, prop65 }) {
+  const body = {};
+  for (const { key, label, number } of FIELDS) {
+    const text = String(fields[key] ?? "").trim();
+    if (!text) continue;
+    if (number) {
+      const value = Number(text.replace(/%|mg/gi, "").trim());
+      if (!Number.isFinite(value) || value < 0) throw new Error(`${label} must be a number`);
+      body[key] = value;
+    } else {
+      body[key] = text;
+    }
+  }
+  return {
+    jurisdiction, productType, useMode, prop65,
+    fields: body,
+    size: { width: Number(size.width), height: Number(size.height), unit: size.unit },
+  };
+}
+
+function download(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const fieldStyle = {
+  padding: "8px 10px", borderRadius: 6, border: "1px solid #334155",
+  background: "#0a0e17", color: "#e2e8f0", fontSize: 13, outline: "none",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const buttonStyle = { padding: "8px 16px", borderRadius: 6, border: "1px solid #334155",
+  background: "transparent", color: "#94a3b8", cursor: "pointer", fontSize: 13 };
+
+// Compliance sticker generator: the variable data for one SKU, entered or
+// picked from a CSV, becomes a print-ready PDF/SVG sticker with the right
+// warnings, which can then be run through the compliance checklist before it
+// is printed. The check is saved as a review like any other.
+export default function StickerView({ productTypes, jurisdictions, onOpen, onApiError }) {
+  const available = jurisdictions.filter(j => j.stickers);
+  const [jurisdiction, setJurisdiction] = useState("ca-dcc");
+  const [productType, setProductType] = useState("edibles");
+  const [useMode, setUseMode] = useState("adult_use");
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [size, setSize] = useState({ width: "4", height: "3", unit: "in" });
+  const [prop65, setProp65] = useState(true);
+  const [csvRecords, setCsvRecords] = useState([]);
+  const [sticker, setSticker] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [error, setError] = useState(null);
+  const csvRef = useRef(null);
+  const pack = available.find(j => j.packId === jurisdiction) || available[0];
+
+  // Any change to the input makes the generated sticker and its check stale.
+  const edit = (apply) => { apply(); setSticker(null); setCheck(null); };
+  const setField = (key, value) => edit(() => setFields(f => ({ ...f, [key]: value })));
+
+  const importCsv = async (file) => {
+    setError(null);
+    try {
+      const { fields: columns, records } = parseCsvRecords(await file.text(), CSV_COLUMNS);
+      if (!columns.includes("productName")) throw new Error('The CSV needs a "Product" column');
+      const rows = records.filter(r => r.productName?.trim());
+      if (rows.length === 0) throw new Error("The CSV has no product rows");
+      setCsvRecords(rows);
+      edit(() => setFields({ ...EMPTY_FIELDS, ...rows[0] }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const generate = async () => {
+    setRunning("generate");
+    setError(null);
+    setSticker(null);
+    setCheck(null);
+    try {
+      const body = stickerFromInput({ jurisdiction: pack.packId, productType, useMode, fields, size, prop65 });
+      setSticker(await apiFetch("/api/stickers", { method: "POST", body }));
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError(err.message);
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  // Runs the generated PDF through the same analysis as uploaded artwork, as
+  // a compliance label whose size is the PDF page.
+  const runCheck = async () => {
+    setRunning("check");
+    setError(null);
+    try {
+      setCheck(await apiFetch("/api/analyze", {
+        method: "POST",
+        body: {
+          jurisdiction: pack.packId,
+          useMode,
+          productType,
+          labelType: "compliance",
+          productName: fields.productName.trim(),
+          file: sticker.pdf,
+          labelSize: { source: "pdf" },
+        },
+      }));
+    } catch (err) {
+      if (err.status === 401) return onApiError(err);
+      setError("Check failed: " + err.message);
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  if (available.length === 0) {
+    return (
+      <div style={{ color: "#94a3b8", fontSize: 14 }}>
+        None of the available jurisdictions supports sticker generation.</div>
+    );
+  }
+
+  const missing = FIELDS.filter(f => f.required && !String(fields[f.key]).trim());
+  const issues = check ? check.items.filter(i => i.status === "fail" || i.status === "warning") : [];
+  const grade = check?.complianceScore != null ? scoreToGrade(check.complianceScore) : null;
+
+  return (
+    <div>
+      <input ref={csvRef} type="file" accept=".csv,text/csv"
+        onChange={e => { if (e.target.files?.[0]) importCsv(e.target.files[0]); e.target.value = ""; }}
+        style={{ display: "none" }} />
+      <h2 style={{ fontSize: 22, fontWeight: 700, color: "#f8fafc", marginBottom: 8 }}>
+        Compliance Sticker</h2>
+      <p style={{ color: "#94a3b8", fontSize: 14, marginBottom: 20 }}>
+        Enter the variable data for one SKU, or import a CSV with one row per SKU, to generate a print-ready sticker
+        with the government warning for the product type. Check it against the compliance checklist before printing.</p>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginBottom: 16 }}>
+        {available.length > 1 && (
+          <select value={pack.packId} onChange={e => edit(() => setJurisdiction(e.target.value))} style={fieldStyle}>
+            {available.map(j => <option key={j.packId} value={j.packId}>{j.jurisdiction.name}</option>)}
+          </select>
+        )}
+        <select value={productType} onChange={e => edit(() => setProductType(e.target.value))} style={fieldStyle}>
+          {productTypes.filter(pt => pack.productTypes.includes(pt.id)).map(pt => (
+            <option key={pt.id} value={pt.id}>{pt.label}</option>
+          ))}
+        </select>
+        <select value={useMode} onChange={e => edit(() => setUseMode(e.target.value))} style={fieldStyle}>
+          {pack.useModes.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <button onClick={() => csvRef.current?.click()} style={buttonStyle}>Import CSV</button>
+        {csvRecords.length > 0 && (
+          <select onChange={e => edit(() => setFields({ ...EMPTY_FIELDS, ...csvRecords[Number(e.target.value)] }))}
+            title="CSV row to load" style={fieldStyle}>
+            {csvRecords.map((r, i) => <option key={i} value={i}>Row {i + 1}: {r.productName}</option>)}
+          </select>
+        )}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 10,
+        background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 16, marginBottom: 16 }}>
+        {FIELDS.map(f => (
+          <label key={f.key} style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 11, color: "#64748b",
+            gridColumn: f.wide ? "1 / -1" : undefined }}>
+            <span>{f.label}{f.required && <span style={{ color: "#f87171" }}> *</span>}</span>
+            {f.multiline ? (
+              <textarea value={fields[f.key]} onChange={e => setField(f.key, e.target.value)} rows={3}
+                placeholder={productType === "non_mfg" ? "Not required for flower" : "Sugar, corn syrup, ..."}
+                style={{ ...fieldStyle, resize: "vertical", lineHeight: 1.5 }} />
+            ) : (
+              <input value={fields[f.key]} onChange={e => setField(f.key, e.target.value)} placeholder={f.placeholder}
+                inputMode={f.number ? "decimal" : undefined}
+                style={{ ...fieldStyle, fontFamily: f.number ? "'DM Mono', monospace" : fieldStyle.fontFamily }} />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginBottom: 20 }}>
+        <span style={{ fontSize: 13, color: "#94a3b8" }}>Sticker size</span>
+        <input value={size.width} onChange={e => edit(() => setSize(s => ({ ...s, width: e.target.value })))}
+          inputMode="decimal" placeholder="Width" style={{ ...fieldStyle, width: 70, fontFamily: "'DM Mono', monospace" }} />
+        <span style={{ color: "#64748b" }}>×</span>
+        <input value={size.height} onChange={e => edit(() => setSize(s => ({ ...s, height: e.target.value })))}
+          inputMode="decimal" placeholder="Height" style={{ ...fieldStyle, width: 70, fontFamily: "'DM Mono', monospace" }} />
+        <select value={size.unit} onChange={e => edit(() => setSize(s => ({ ...s, unit: e.target.value })))} style={fieldStyle}>
+          <option value="in">in</option>
+          <option value="mm">mm</option>
+        </select>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, color: "#94a3b8", marginLeft: 8 }}>
+          <input type="checkbox" checked={prop65} onChange={e => edit(() => setProp65(e.target.checked))}
+            style={{ accentColor: "#22c55e" }} />
+          Include the Prop 65 warning
+        </label>
+        <button onClick={generate} disabled={running != null || missing.length > 0}
+          title={missing.length ? `Required: ${missing.map(f => f.label).join(", ")}` : undefined}
+          style={{ marginLeft: "auto", padding: "10px 24px", borderRadius: 8, border: "none",
+            background: running != null || missing.length ? "#1e293b" : "linear-gradient(135deg, #22c55e, #16a34a)",
+            color: "#fff", fontWeight: 600, fontSize: 14, cursor: running != null || missing.length ? "default" : "pointer" }}>
+          {running === "generate" ? "Generating..." : "Generate Sticker"}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ marginBottom: 16, padding: 16, background: "#350a0a", border: "1px solid #7f1d1d",
+          borderRadius: 8, color: "#f87171", fontSize: 14 }}>{error}</div>
+      )}
+
+      {sticker && (
+        <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 12 }}>
+            <div style={{ fontSize: 12, color: "#64748b" }}>
+              {sticker.layout.size.width} × {sticker.layout.size.height} {sticker.layout.size.unit} ·
+              {" "}{sticker.layout.typeSize} pt type · {sticker.layout.fill}% of the height used ·
+              {" "}{sticker.warnings.government.version} government warning ({sticker.warnings.government.reg})
+              {sticker.warnings.prop65 && ` · Prop 65 ${sticker.warnings.prop65.variant} warning`}
+            </div>
+            <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+              <button onClick={() => download(sticker.pdf.name,
+                new Blob([Uint8Array.from(atob(sticker.pdf.data), c => c.charCodeAt(0))], { type: "application/pdf" }))}
+                style={buttonStyle}>↓ PDF</button>
+              <button onClick={() => download(sticker.pdf.name.replace(/\.pdf$/, ".svg"),
+                new Blob([sticker.svg], { type: "image/svg+xml" }))} style={buttonStyle}>↓ SVG</button>
+              <button onClick={runCheck} disabled={running != null}
+                style={{ ...buttonStyle, border: "1px solid #22c55e", color: "#22c55e", fontWeight: 600 }}>
+                {running === "check" ? "Checking..." : "Check Sticker"}
+              </button>
+            </div>
+          </div>
+          <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(sticker.svg)}`} alt="Sticker preview"
+            style={{ display: "block", maxWidth: "100%", width: 560, background: "#fff", borderRadius: 4 }} />
+
+          {check && (
+            <div style={{ marginTop: 20, paddingTop: 16, borderTop: "1px solid #1e293b" }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 8 }}>
+                <div style={{ fontSize: 28, fontWeight: 700, color: grade?.color || "#64748b", fontFamily: "'DM Mono', monospace" }}>
+                  {grade?.grade || "—"}</div>
+                <div style={{ flex: 1, fontSize: 13, color: issues.length ? "#cbd5e1" : "#22c55e" }}>
+                  {issues.length ? `${issues.length} item${issues.length === 1 ? "" : "s"} to fix before printing` : "Ready to print: no failures or warnings"}
+                </div>
+                <button onClick={() => onOpen(check.reviewId)} style={buttonStyle}>Open Full Report</button>
+              </div>
+              {issues.map(item => (
+                <div key={item.id} style={{ fontSize: 12, marginTop: 4, lineHeight: 1.5,
+                  color: item.status === "fail" ? "#f87171" : "#c49a2a" }}>
+                  <span style={{ fontFamily: "'DM Mono', monospace" }}>{item.id}</span> {item.finding}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
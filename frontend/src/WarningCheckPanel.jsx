@@ -0,0 +1,83 @@
+const STATUS_COLORS = { pass: "#22c55e", fail: "#ef4444", missing: "#ef4444" };
+const STATUS_LABELS = { pass: "Exact match", fail: "Differs", missing: "Not found" };
+export const ISSUE_LABELS = { missing: "Missing", extra: "Extra", wording: "Wording", punctuation: "Punctuation", case: "Not capitals", bold: "Not bold" };
+
+// One line per difference between the printed and the required warning text,
+// for the panel and the DOCX report.
+export function describeIssue(issue) {
+  const q = text => `"${text}"`;
+  const where = issue.after ? ` after ${q(issue.after)}` : "";
+  if (issue.type === "case" || issue.type === "bold") return q(issue.found);
+  if (!issue.found) return `${q(issue.expected)} is missing${where}`;
+  if (!issue.expected) return `${q(issue.found)} is not in the required text${where}`;
+  return `${q(issue.found)} should be ${q(issue.expected)}${where}`;
+}
+
+// The printed statement with the differences marked inline: required text
+// that is missing underlined in green, printed text that doesn't belong
+// struck through in red.
+function DiffText({ diff }) {
+  return (
+    <div style={{ fontSize: 13, lineHeight: 1.7, color: "#cbd5e1", fontFamily: "'DM Mono', monospace",
+      background: "#0a0e17", border: "1px solid #1e293b", borderRadius: 8, padding: "10px 12px" }}>
+      {diff.map((seg, i) => seg.op === "equal" ? (
+        <span key={i}>{seg.text}</span>
+      ) : seg.op === "missing" ? (
+        <span key={i} title="Required but not printed"
+          style={{ color: "#4ade80", background: "#14532d66", textDecoration: "underline" }}>{seg.text}</span>
+      ) : (
+        <span key={i} title="Printed but not in the required text"
+          style={{ color: "#f87171", background: "#7f1d1d66", textDecoration: "line-through" }}>{seg.text}</span>
+      ))}
+    </div>
+  );
+}
+
+// The government and Prop 65 warnings compared with their canonical texts:
+// a character-level diff plus capitalization and bold checks.
+export default function WarningCheckPanel({ warningCheck }) {
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+        letterSpacing: 1, marginBottom: 4 }}>Warning Text Verification</div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        Printed text vs. the required wording: <span style={{ color: "#4ade80", textDecoration: "underline" }}>missing</span>
+        {" · "}<span style={{ color: "#f87171", textDecoration: "line-through" }}>not in the required text</span>
+      </div>
+
+      {warningCheck.warnings.map(w => (
+        <div key={w.key} style={{ marginBottom: 16 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+            <span style={{ fontSize: 13, color: "#e2e8f0", fontWeight: 600 }}>
+              {w.name} <span style={{ color: "#64748b", fontWeight: 400 }}>({w.required}{w.regulation ? `, ${w.regulation}` : ""})</span>
+            </span>
+            <span style={{ color: STATUS_COLORS[w.status], fontWeight: 600, fontSize: 11,
+              textTransform: "uppercase", letterSpacing: 1 }}>{STATUS_LABELS[w.status]}</span>
+          </div>
+          {w.found ? (
+            <>
+              <DiffText diff={w.diff} />
+              {w.issues.length > 0 && (
+                <div style={{ marginTop: 8 }}>
+                  {w.issues.map((issue, i) => (
+                    <div key={i} style={{ fontSize: 12, color: "#fca5a5", padding: "2px 0" }}>
+                      <span style={{ color: "#64748b", display: "inline-block", minWidth: 96 }}>{ISSUE_LABELS[issue.type]}</span>
+                      {describeIssue(issue)}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {!w.boldChecked && (
+                <div style={{ fontSize: 11, color: "#64748b", marginTop: 6 }}>Bold type could not be checked.</div>
+              )}
+            </>
+          ) : (
+            <div style={{ fontSize: 13, color: "#94a3b8" }}>
+              Not found on the label. Required text: <span style={{ color: "#cbd5e1" }}>{w.expected}</span>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+const RATING_COLORS = { none: "#22c55e", low: "#94a3b8", medium: "#c49a2a", high: "#ef4444" };
+
+// The youth-appeal imagery review: a risk rating and rationale for each
+// factor regulators cite as attractive to people under 21, plus the score
+// that was folded into the overall risk score.
+export default function YouthAppealPanel({ youthAppeal, riskScore }) {
+  const { factors = [], overall, score, error } = youthAppeal;
+
+  return (
+    <div style={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 12, padding: 20, marginBottom: 24 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4 }}>
+        <div style={{ fontSize: 12, fontWeight: 600, color: "#64748b", textTransform: "uppercase",
+          letterSpacing: 1 }}>Youth Appeal &amp; Imagery</div>
+        {overall && (
+          <span style={{ color: RATING_COLORS[overall], fontWeight: 600, fontSize: 11, textTransform: "uppercase",
+            letterSpacing: 1 }}>{overall === "none" ? "No risk found" : `${overall} risk`}</span>
+        )}
+      </div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 16 }}>
+        {score != null
+          ? `Imagery risk ${score}/100 · overall risk score ${riskScore ?? "—"}/100 (the higher of the two counts)`
+          : "Design elements regulators treat as attractive to people under 21"}
+      </div>
+
+      {error ? (
+        <div style={{ fontSize: 13, color: "#f87171" }}>{error}</div>
+      ) : (
+        factors.map((f, i) => (
+          <div key={f.key} style={{ display: "flex", gap: 12, padding: "10px 0",
+            borderBottom: i < factors.length - 1 ? "1px solid #1e293b" : "none" }}>
+            <span style={{ width: 64, flexShrink: 0, color: RATING_COLORS[f.rating] || "#64748b", fontWeight: 600,
+              fontSize: 11, textTransform: "uppercase", letterSpacing: 1, paddingTop: 2 }}>
+              {f.rating || "Not rated"}
+            </span>
+            <div style={{ flex: 1 }}>
+              <div style={{ fontSize: 13, color: "#e2e8f0", fontWeight: 600 }}>{f.name}</div>
+              {f.rationale && <div style={{ fontSize: 12, color: "#94a3b8", lineHeight: 1.5, marginTop: 2 }}>{f.rationale}</div>}
+              {f.elements.length > 0 && (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+                  {f.elements.map((el, j) => (
+                    <span key={j} style={{ fontSize: 11, color: "#cbd5e1", border: "1px solid #334155",
+                      borderRadius: 4, padding: "1px 6px" }}>{el}</span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+export const API_BASE = 'https://cannapliant.up.railway.app';
+
+const TOKEN_KEY = 'cannapliant.session';
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+function authHeaders() {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// JSON request against the backend with the session token attached. Throws an
+// Error carrying the HTTP status when the server responds with a failure.
+export async function apiFetch(path, { method = "GET", body } = {}) {
+  const headers = authHeaders();
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = response.status === 204 ? null : await response.json();
+  if (!response.ok) throw httpError(data?.error || `Server returned ${response.status}`, response.status);
+  return data;
+}
+
+// Authenticated download of a binary resource (e.g. a stored label file).
+export async function apiFetchBlob(path) {
+  const response = await fetch(`${API_BASE}${path}`, { headers: authHeaders() });
+  if (!response.ok) throw httpError(`Server returned ${response.status}`, response.status);
+  return response.blob();
+}
+
+// POST whose response is a stream of server-sent events; onEvent(type, data)
+// is called for each one. An `error` event rejects like a failed apiFetch.
+// Abort through `signal` to close the connection, which cancels the work on
+// the server.
+export async function apiStream(path, { body, signal, onEvent }) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: { ...authHeaders(), "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw httpError(data?.error || `Server returned ${response.status}`, response.status);
+  }
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffered += value;
+    const events = buffered.split("\n\n");
+    buffered = events.pop();
+    for (const event of events) {
+      const type = event.match(/^event: (.*)$/m)?.[1] || "message";
+      const data = event.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("");
+      if (!data) continue;
+      const parsed = JSON.parse(data);
+      if (type === "error") throw httpError(parsed.error, parsed.status);
+      onEvent(type, parsed);
+    }
+  }
+}
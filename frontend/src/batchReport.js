@@ -0,0 +1,140 @@
+import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle,
+  Table, TableRow, TableCell, WidthType } from 'docx';
+import { scoreToGrade } from './grades';
+import { sourceTag } from './sources';
+
+const cell = (text, { bold = false, color = '2c3e50' } = {}) => new TableCell({
+  children: [new Paragraph({ children: [new TextRun({ text: String(text), bold, size: 20, color })] })],
+  margins: { top: 60, bottom: 60, left: 100, right: 100 },
+});
+
+// One DOCX covering every SKU in a batch: a summary table followed by the
+// critical issues and warnings for each label.
+export async function downloadBatchReport(batch, reviews, productTypes) {
+  const typeLabel = (id) => productTypes.find(pt => pt.id === id)?.label || id;
+  const scored = reviews.filter(r => r.complianceScore != null);
+  const average = scored.length
+    ? Math.round(scored.reduce((sum, r) => sum + r.complianceScore, 0) / scored.length)
+    : null;
+
+  const summaryTable = new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: ['Product', 'Type', 'Grade', 'Score', 'Critical', 'Report ID'].map(h => cell(h, { bold: true, color: '1a2740' })),
+      }),
+      ...reviews.map(r => {
+        const grade = r.complianceScore != null ? scoreToGrade(r.complianceScore).grade : '—';
+        const failCount = (r.result.items || []).filter(i => i.status === 'fail').length;
+        return new TableRow({
+          children: [
+            cell(r.productName),
+            cell(typeLabel(r.productType)),
+            cell(grade, { bold: true }),
+            cell(r.complianceScore ?? '—'),
+            cell(failCount),
+            cell(r.reportId),
+          ],
+        });
+      }),
+    ],
+  });
+
+  const skuSections = reviews.flatMap(r => {
+    const grade = r.complianceScore != null ? scoreToGrade(r.complianceScore).grade : '—';
+    const fails = (r.result.items || []).filter(i => i.status === 'fail');
+    const warns = (r.result.items || []).filter(i => i.status === 'warning' || i.status === 'unverifiable');
+    const line = (item) => {
+      const checkItem = r.result.checklist?.find(c => c.id === item.id);
+      const citation = item.regulation ? ` [${item.regulation}]` : '';
+      return new Paragraph({
+        children: [new TextRun({ text: `• ${sourceTag(item)}${item.finding || checkItem?.text || item.id}${citation}`, size: 22, color: '2c3e50' })],
+        spacing: { after: 80 },
+        indent: { left: 360 }
+      });
+    };
+    return [
+      new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(`${r.productName} — ${grade}`)] }),
+      new Paragraph({
+        children: [new TextRun({ text: `${typeLabel(r.productType)} · ${r.file.name} · Report ${r.reportId}`, size: 20, color: '888888' })],
+        spacing: { after: 120 }
+      }),
+      ...(r.result.summary ? [new Paragraph({ children: [new TextRun({ text: r.result.summary, size: 22 })], spacing: { after: 160 } })] : []),
+      ...(fails.length > 0 ? [
+        new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: `Critical Issues (${fails.length})`, color: 'c0392b' })] }),
+        ...fails.map(line),
+      ] : []),
+      ...(warns.length > 0 ? [
+        new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: `Warnings (${warns.length})`, color: 'e67e22' })] }),
+        ...warns.map(line),
+      ] : []),
+    ];
+  });
+
+  const doc = new Document({
+    styles: {
+      default: { document: { run: { font: 'Arial', size: 24 } } },
+      paragraphStyles: [
+        { id: 'Heading1', name: 'Heading 1', basedOn: 'Normal', next: 'Normal',
+          run: { size: 32, bold: true, font: 'Arial', color: '1a2740' },
+          paragraph: { spacing: { before: 240, after: 120 } } },
+        { id: 'Heading2', name: 'Heading 2', basedOn: 'Normal', next: 'Normal',
+          run: { size: 26, bold: true, font: 'Arial', color: '2c3e50' },
+          paragraph: { spacing: { before: 200, after: 100 } } },
+      ]
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: 12240, height: 15840 },
+          margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
+        }
+      },
+      children: [
+        new Paragraph({
+          children: [new TextRun({ text: 'Cannapliant Batch Compliance Report', bold: true, size: 40, font: 'Arial', color: '1a2740' })],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 120 }
+        }),
+        new Paragraph({
+          children: [new TextRun({ text: `Batch: ${batch.name}`, size: 20, color: '888888' })],
+          alignment: AlignmentType.CENTER
+        }),
+        new Paragraph({
+          children: [new TextRun({ text: `Date: ${new Date(batch.createdAt).toLocaleDateString()}`, size: 20, color: '888888' })],
+          alignment: AlignmentType.CENTER
+        }),
+        new Paragraph({
+          children: [new TextRun({
+            text: `${reviews.length} SKUs · Average score: ${average ?? '—'}${average != null ? ` (${scoreToGrade(average).grade})` : ''}`,
+            size: 20, color: '888888'
+          })],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 300 },
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'dddddd', space: 1 } }
+        }),
+
+        new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Summary')] }),
+        summaryTable,
+
+        ...skuSections,
+
+        new Paragraph({
+          children: [new TextRun({ text: 'Generated by Cannapliant', size: 18, color: 'aaaaaa', italics: true })],
+          alignment: AlignmentType.CENTER,
+          spacing: { before: 400 },
+          border: { top: { style: BorderStyle.SINGLE, size: 6, color: 'dddddd', space: 1 } }
+        }),
+      ]
+    }]
+  });
+
+  const blob = await Packer.toBlob(doc);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `cannapliant-batch-${batch.name.replace(/[^\w-]+/g, '-')}.docx`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
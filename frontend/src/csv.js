@@ -0,0 +1,44 @@
+// CSV imports (formulations, sticker data): one record per line with a header row.
+
+// One CSV record's cells, unquoted and trimmed.
+export function parseCsvLine(line) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+// Records of a CSV export with a header row, as objects keyed by field.
+// `columns` maps headers to fields by pattern; headers are matched
+// case-insensitively with underscores and dashes read as spaces. Cells of
+// unmatched columns are dropped.
+export function parseCsvRecords(text, columns) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length === 0) throw new Error("The CSV file is empty");
+  const header = parseCsvLine(lines[0]).map(h => h.toLowerCase().replace(/[_-]+/g, " "));
+  const fields = header.map(h => columns.find(c => c.pattern.test(h))?.field || null);
+  return {
+    fields,
+    records: lines.slice(1).map(line => {
+      const record = {};
+      parseCsvLine(line).forEach((cell, i) => { if (fields[i]) record[fields[i]] = cell; });
+      return record;
+    }),
+  };
+}
@@ -0,0 +1,44 @@
+const MAX_IMAGE_WIDTH = 1920;
+// Base64 adds a third, and the backend accepts JSON bodies up to 150 MB.
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+export function compressImage(file) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      const scale = Math.min(1, MAX_IMAGE_WIDTH / img.width);
+      canvas.width = img.width * scale;
+      canvas.height = img.height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.8);
+      URL.revokeObjectURL(url);
+    };
+    img.src = url;
+  });
+}
+
+export function isTooLarge(file) {
+  return file.size > MAX_UPLOAD_BYTES;
+}
+
+// The `file` payload /api/analyze expects. Images are downscaled to JPEG
+// first; PDFs are sent as-is.
+export async function encodeLabelFile(file) {
+  let blob = file;
+  let mediaType = file.type;
+  if (file.type.startsWith("image/")) {
+    blob = await compressImage(file);
+    mediaType = "image/jpeg";
+  }
+
+  const data = await new Promise((res, rej) => {
+    const r = new FileReader();
+    r.onload = () => res(r.result.split(",")[1]);
+    r.onerror = () => rej(new Error("Failed to read file"));
+    r.readAsDataURL(blob);
+  });
+  return { name: file.name, mediaType, data };
+}
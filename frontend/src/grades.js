@@ -0,0 +1,16 @@
+// ── Letter Grade Helper ──
+export function scoreToGrade(score) {
+  if (score >= 97) return { grade: "A+", color: "#22c55e" };
+  if (score >= 93) return { grade: "A",  color: "#22c55e" };
+  if (score >= 90) return { grade: "A-", color: "#22c55e" };
+  if (score >= 87) return { grade: "B+", color: "#84cc16" };
+  if (score >= 83) return { grade: "B",  color: "#eab308" };
+  if (score >= 80) return { grade: "B-", color: "#eab308" };
+  if (score >= 77) return { grade: "C+", color: "#f97316" };
+  if (score >= 73) return { grade: "C",  color: "#f97316" };
+  if (score >= 70) return { grade: "C-", color: "#f97316" };
+  if (score >= 67) return { grade: "D+", color: "#ef4444" };
+  if (score >= 63) return { grade: "D",  color: "#ef4444" };
+  if (score >= 60) return { grade: "D-", color: "#ef4444" };
+  return { grade: "F", color: "#ef4444" };
+}
@@ -0,0 +1,5 @@
+// Verdict provenance: deterministic text rules (backend/lib/rules.js) vs. the
+// AI model. Older reviews predate the rule engine and carry no source.
+export function sourceTag(item) {
+  return item.source === 'rule' ? '[Rule] ' : item.source === 'ai' ? '[AI] ' : '';
+}